@@ -8,19 +8,75 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
 const VeoPromptExporter = require('./src/index');
+const StoragePolicy = require('./src/storagePolicy');
 
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 50;
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
 
-// Initialize the VeoPromptExporter
-const veoExporter = new VeoPromptExporter({
-  debug: process.env.NODE_ENV !== 'production',
-  useGemini: true,
-  defaultPlatform: 'midjourney',
-  defaultFormat: 'json'
+// Initialize the VeoPromptExporter; bad settings (such as an unreadable Drive token file) stop the server
+let veoExporter;
+try {
+  veoExporter = new VeoPromptExporter({
+    debug: process.env.NODE_ENV !== 'production',
+    useGemini: true,
+    defaultPlatform: 'midjourney',
+    defaultFormat: 'json',
+    maxBatchSize: MAX_BATCH_SIZE,
+    maxBatchFileSize: MAX_UPLOAD_SIZE,
+    defaultStorage: process.env.EXPORT_STORAGE || 'local',
+    exportDir: process.env.EXPORT_DIR,
+    comfyuiTemplate: process.env.COMFYUI_TEMPLATE,
+    driveOptions: {
+      tokenPath: process.env.GOOGLE_DRIVE_TOKEN_PATH,
+      outputFolderId: process.env.GOOGLE_DRIVE_OUTPUT_FOLDER_ID,
+      scopes: process.env.GOOGLE_DRIVE_SCOPES ? process.env.GOOGLE_DRIVE_SCOPES.split(',') : undefined
+    },
+    enhancementProvider: process.env.ENHANCEMENT_PROVIDER,
+    policiesDir: process.env.POLICIES_DIR,
+    jobOptions: {
+      stateDir: process.env.JOB_STATE_DIR || './jobs',
+      concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2
+    }
+  });
+} catch (error) {
+  console.error(`Could not start the server: ${error.message}`);
+  process.exit(1);
+}
+
+// Drive permissions clients may ask for, as a JSON array in GOOGLE_DRIVE_ALLOWED_SHARING
+let allowedSharing = [];
+if (process.env.GOOGLE_DRIVE_ALLOWED_SHARING) {
+  let problem;
+  try {
+    allowedSharing = JSON.parse(process.env.GOOGLE_DRIVE_ALLOWED_SHARING);
+  } catch (error) {
+    problem = error.message;
+  }
+  
+  if (!problem && !(Array.isArray(allowedSharing) &&
+    allowedSharing.every(permission => permission && typeof permission === 'object' && !Array.isArray(permission)))) {
+    problem = 'not an array of objects';
+  }
+  
+  if (problem) {
+    console.error('GOOGLE_DRIVE_ALLOWED_SHARING must be a JSON array of Drive permissions, such as ' +
+      `[{"type":"domain","role":"reader","domain":"example.com"}] (${problem})`);
+    process.exit(1);
+  }
+}
+
+// Storage providers and Drive permissions clients may ask for; uploads are private otherwise
+const storagePolicy = new StoragePolicy({
+  storage: (process.env.CLIENT_STORAGE || 'local,memory').split(','),
+  sharing: allowedSharing
 });
 
 // Middleware
@@ -33,11 +89,52 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'src/ui/index.html'));
 });
 
+// Google Drive sign-in; pending OAuth states expire after 10 minutes
+const AUTH_STATE_TTL = 10 * 60 * 1000;
+const authStates = new Map();
+
+app.get('/auth/google', (req, res) => {
+  try {
+    authStates.forEach((expires, pending) => expires < Date.now() && authStates.delete(pending));
+    
+    const state = crypto.randomBytes(16).toString('hex');
+    authStates.set(state, Date.now() + AUTH_STATE_TTL);
+    res.redirect(veoExporter.getDriveAuthUrl(state));
+  } catch (error) {
+    console.error('Drive sign-in error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/auth/google/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  const expires = authStates.get(state);
+  authStates.delete(state);
+  
+  if (error) {
+    return res.status(400).json({ error: `Google sign-in failed: ${error}` });
+  }
+  
+  if (!expires || expires < Date.now()) {
+    return res.status(400).json({ error: 'Invalid or expired sign-in state; start again at /auth/google' });
+  }
+  
+  try {
+    await veoExporter.authorizeDrive(code);
+    res.json({ authorized: true });
+  } catch (authError) {
+    console.error('Drive authorization error:', authError);
+    res.status(400).json({ error: authError.message });
+  }
+});
+
 // API Endpoints
 app.post('/api/export', async (req, res) => {
   try {
-    const options = req.body;
-    const result = await veoExporter.exportPrompt(options);
+    const options = storagePolicy.apply(req.body);
+    const result = Array.isArray(options.prompts) ?
+      await veoExporter.exportPrompts(options) :
+      await veoExporter.exportPrompt(options);
     res.json(result);
   } catch (error) {
     console.error('Export error:', error);
@@ -45,17 +142,134 @@ app.post('/api/export', async (req, res) => {
   }
 });
 
-app.post('/api/batch', async (req, res) => {
+// Validate and preview run the parser, validator and transformer only: nothing is enhanced or stored
+app.post('/api/validate', async (req, res) => {
   try {
-    const options = req.body;
-    const result = await veoExporter.batchProcessFolder(options);
-    res.json(result);
+    res.json(await veoExporter.validatePrompt(req.body));
+  } catch (error) {
+    console.error('Validation error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/preview', async (req, res) => {
+  try {
+    res.json(await veoExporter.previewPrompt(req.body));
+  } catch (error) {
+    console.error('Preview error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/exports/:id', async (req, res) => {
+  let file;
+  try {
+    file = await veoExporter.getExport(req.params.id);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  if (!file) {
+    return res.status(404).json({ error: 'Export not found' });
+  }
+  
+  res.attachment(file.fileName);
+  res.set({
+    'Content-Type': file.mimeType,
+    'Content-Length': file.size
+  });
+  
+  fs.createReadStream(file.path)
+    .on('error', error => {
+      console.error('Error streaming export:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Could not read export' });
+      } else {
+        res.destroy(error);
+      }
+    })
+    .pipe(res);
+});
+
+// Batch uploads: prompt files or one zip archive, kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: MAX_BATCH_SIZE, fileSize: MAX_UPLOAD_SIZE }
+});
+
+const uploadBatchFiles = (req, res, next) => {
+  upload.array('files')(req, res, error => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Upload rejected: ${error.message}` });
+    }
+    next(error);
+  });
+};
+
+// Multipart form fields arrive as strings; object options are sent as JSON
+const parseFormOptions = body => {
+  const options = { ...body };
+  ['enhancementOptions', 'sourceOptions', 'videoSettings', 'sharing', 'storageOptions', 'template'].forEach(name => {
+    if (typeof options[name] === 'string') {
+      try {
+        options[name] = JSON.parse(options[name]);
+      } catch (error) {
+        throw new Error(`${name} must be a JSON object`);
+      }
+    }
+  });
+  return options;
+};
+
+// Batches run as background jobs; clients follow them at /api/jobs/:id
+app.post('/api/batch', uploadBatchFiles, async (req, res) => {
+  try {
+    const uploaded = req.files && req.files.length;
+    // Clients cannot point a batch at a server directory
+    const { directory, files, ...rest } = uploaded ? parseFormOptions(req.body) : req.body;
+    
+    const options = storagePolicy.apply(rest);
+    const job = await veoExporter.submitBatchJob(uploaded ? {
+      ...options,
+      files: req.files.map(file => ({ name: file.originalname, content: file.buffer }))
+    } : options);
+    
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
   } catch (error) {
     console.error('Batch processing error:', error);
     res.status(400).json({ error: error.message });
   }
 });
 
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await veoExporter.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error getting job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await veoExporter.cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'cancelled') {
+      return res.status(409).json({ error: `Job already ${job.status}`, job });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/platforms', (req, res) => {
   try {
     const platforms = veoExporter.getSupportedPlatforms();
@@ -76,6 +290,16 @@ app.get('/api/formats', (req, res) => {
   }
 });
 
+app.get('/api/schema', (req, res) => {
+  try {
+    const version = req.query.version ? parseInt(req.query.version, 10) : undefined;
+    res.json(veoExporter.getPromptSchema(version));
+  } catch (error) {
+    console.error('Error getting schema:', error);
+    res.status(404).json({ error: error.message });
+  }
+});
+
 // Handle 404
 app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
@@ -90,4 +314,7 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`VeoPromptExporter server running on port ${PORT}`);
+  
+  // Pick up jobs that were queued or running when the server last stopped
+  veoExporter.resumeJobs().catch(error => console.error('Could not resume batch jobs:', error));
 });
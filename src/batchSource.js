@@ -0,0 +1,289 @@
+/**
+ * Batch Source Module
+ *
+ * Collects the files of a batch from a local directory, from uploaded files or
+ * from a zip archive
+ * Works out each file's source type from its extension (or Drive MIME type)
+ * Files are read lazily, one at a time, when the batch gets to them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const minimatch = require('minimatch');
+
+// Source types by file extension
+const SOURCE_EXTENSIONS = {
+  '.txt': 'text',
+  '.text': 'text',
+  '.fountain': 'screenplay',
+  '.spmd': 'screenplay',
+  '.csv': 'csv'
+};
+
+// Source types by MIME type, for files without a telling extension (e.g. Google Docs)
+const SOURCE_MIME_TYPES = {
+  'application/vnd.google-apps.document': 'document',
+  'text/plain': 'text',
+  'text/csv': 'csv'
+};
+
+const DEFAULT_INCLUDE = ['**/*.{txt,text,fountain,spmd,csv}'];
+
+// Zip compression methods that can be read
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+class BatchSource {
+  /**
+   * Creates a new BatchSource instance
+   * @param {Object} config Configuration options
+   * @param {number} [config.maxBatchFileSize=10485760] Largest file read, in bytes
+   * @param {number} [config.maxArchiveSize=52428800] Most bytes read from all the files of one zip archive
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      maxBatchFileSize: 10 * 1024 * 1024,
+      maxArchiveSize: 50 * 1024 * 1024,
+      ...config
+    };
+  }
+  
+  /**
+   * Work out the source type of a file
+   * @param {string} name File name or path
+   * @param {string} [mimeType] MIME type, if known
+   * @returns {string|null} Source type, or null if the file is not a prompt source
+   */
+  sourceType(name, mimeType) {
+    return SOURCE_EXTENSIONS[path.extname(name || '').toLowerCase()] || SOURCE_MIME_TYPES[mimeType] || null;
+  }
+  
+  /**
+   * List the files of a local directory and its subdirectories
+   * Paths are matched relative to the directory, with `/` separators. Hidden files and
+   * directories only match patterns that name them (e.g. `.drafts/**`). Symbolic links
+   * are not followed.
+   * @param {string} dir Directory path
+   * @param {Object} options Directory options
+   * @param {string|Array<string>} [options.include] Glob patterns of files to process.
+   *   Default: every text, Fountain and CSV file
+   * @param {string|Array<string>} [options.exclude] Glob patterns of files to leave out
+   * @returns {Promise<Array<Object>>} Files as `{ name, sourceType, load }`, sorted by path
+   */
+  async fromDirectory(dir, options = {}) {
+    const include = [].concat(options.include || DEFAULT_INCLUDE);
+    const exclude = [].concat(options.exclude || []);
+    const root = path.resolve(dir);
+    
+    const stats = await fs.promises.stat(root);
+    if (!stats.isDirectory()) {
+      throw new Error(`Not a directory: ${dir}`);
+    }
+    
+    const names = (await this._walk(root, ''))
+      .filter(name => include.some(pattern => minimatch(name, pattern)))
+      .filter(name => !exclude.some(pattern => minimatch(name, pattern)))
+      .sort();
+    
+    return names.map(name => ({
+      name,
+      sourceType: this.sourceType(name),
+      load: () => this.readFile(root, name)
+    }));
+  }
+  
+  /**
+   * Read a file listed by fromDirectory()
+   * @param {string} dir Directory the file was listed from
+   * @param {string} name File name from fromDirectory(), relative to `dir`
+   * @returns {Promise<string>} File content
+   */
+  async readFile(dir, name) {
+    return this._readFile(path.join(path.resolve(dir), name), name);
+  }
+  
+  /**
+   * List uploaded files, or the files inside a single uploaded zip archive
+   * @param {Array<Object>} uploads Files as `{ name, content }` where `content` is a Buffer or string
+   * @returns {Array<Object>} Files as `{ name, sourceType, load }`
+   */
+  fromUploads(uploads) {
+    const archives = uploads.filter(upload => path.extname(upload.name || '').toLowerCase() === '.zip');
+    
+    if (archives.length && uploads.length > 1) {
+      throw new Error('Upload either prompt files or a single zip archive');
+    }
+    
+    if (archives.length) {
+      return this.fromArchive(archives[0].content);
+    }
+    
+    return uploads.map(upload => ({
+      name: upload.name,
+      sourceType: this.sourceType(upload.name),
+      load: async () => this._toText(upload.content, upload.name)
+    }));
+  }
+  
+  /**
+   * List the files inside a zip archive
+   * Directories, hidden files and macOS resource forks (`__MACOSX/`) are left out. Sizes in
+   * the archive's headers can be forged, so entries are inflated with a cap on the bytes
+   * written: a file stops at `maxBatchFileSize`, and all files together at `maxArchiveSize`.
+   * @param {Buffer} buffer Zip archive
+   * @returns {Array<Object>} Files as `{ name, sourceType, load }`, in archive order
+   */
+  fromArchive(buffer) {
+    let entries;
+    try {
+      entries = new AdmZip(buffer).getEntries();
+    } catch (error) {
+      throw new Error(`Invalid zip archive: ${error.message || error}`);
+    }
+    
+    let inflated = 0;
+    
+    return entries
+      .filter(entry => !entry.isDirectory)
+      .filter(entry => !entry.entryName.split('/').some(part => part.startsWith('.') || part === '__MACOSX'))
+      .map(entry => ({
+        name: entry.entryName,
+        sourceType: this.sourceType(entry.entryName),
+        load: async () => {
+          const data = this._inflateEntry(entry, this.config.maxArchiveSize - inflated);
+          inflated += data.length;
+          return this._toText(data, entry.entryName);
+        }
+      }));
+  }
+  
+  /**
+   * Inflate a zip entry, stopping once it passes the file size limit or what is left of the archive limit
+   * @param {Object} entry adm-zip entry
+   * @param {number} remaining Bytes left under `maxArchiveSize`
+   * @returns {Buffer} Entry content
+   * @private
+   */
+  _inflateEntry(entry, remaining) {
+    const name = entry.entryName;
+    const { method, encrypted } = entry.header;
+    const limit = Math.min(this.config.maxBatchFileSize, remaining);
+    
+    if (encrypted) {
+      throw new Error(`${name} is encrypted`);
+    }
+    
+    if (method !== ZIP_STORED && method !== ZIP_DEFLATED) {
+      throw new Error(`${name} uses an unsupported compression method (${method})`);
+    }
+    
+    // Reject what the header declares early; the real size is checked while inflating
+    this._checkSize(entry.header.size, name);
+    
+    const compressed = entry.getCompressedData();
+    
+    if (method === ZIP_STORED) {
+      this._checkInflated(compressed.length, name, remaining);
+      return compressed;
+    }
+    
+    let data;
+    try {
+      // One byte over the limit is enough to tell the entry is too large
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: limit + 1 });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        this._checkInflated(limit + 1, name, remaining);
+      }
+      throw new Error(`${name} could not be inflated: ${error.message}`);
+    }
+    
+    this._checkInflated(data.length, name, remaining);
+    
+    return data;
+  }
+  
+  /**
+   * List the files under a directory, skipping symbolic links
+   * @param {string} root Directory being listed
+   * @param {string} relative Path of the current subdirectory, relative to `root`
+   * @returns {Promise<Array<string>>} File paths relative to `root`
+   * @private
+   */
+  async _walk(root, relative) {
+    const entries = await fs.promises.readdir(path.join(root, relative), { withFileTypes: true });
+    const names = [];
+    
+    for (const entry of entries) {
+      const name = relative ? `${relative}/${entry.name}` : entry.name;
+      
+      if (entry.isDirectory()) {
+        names.push(...(await this._walk(root, name)));
+      } else if (entry.isFile()) {
+        names.push(name);
+      }
+    }
+    
+    return names;
+  }
+  
+  /**
+   * Read a local file as text
+   * @param {string} filePath File path
+   * @param {string} name Name for error messages
+   * @returns {Promise<string>} File content
+   * @private
+   */
+  async _readFile(filePath, name) {
+    const stats = await fs.promises.stat(filePath);
+    this._checkSize(stats.size, name);
+    
+    return this._toText(await fs.promises.readFile(filePath), name);
+  }
+  
+  /**
+   * Decode file content as UTF-8 text without a byte order mark
+   * @param {Buffer|string} content File content
+   * @param {string} name Name for error messages
+   * @returns {string} Text
+   * @private
+   */
+  _toText(content, name) {
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+    this._checkSize(Buffer.byteLength(text), name);
+    
+    return text.replace(/^\uFEFF/, '');
+  }
+  
+  /**
+   * Reject zip entries larger than `maxBatchFileSize` or than what is left of `maxArchiveSize`
+   * @param {number} size Inflated size in bytes
+   * @param {string} name Name for error messages
+   * @param {number} remaining Bytes left under `maxArchiveSize`
+   * @private
+   */
+  _checkInflated(size, name, remaining) {
+    this._checkSize(size, name);
+    
+    if (size > remaining) {
+      throw new Error(`Zip archive holds more than ${this.config.maxArchiveSize} bytes of files`);
+    }
+  }
+  
+  /**
+   * Reject files larger than `maxBatchFileSize`
+   * @param {number} size File size in bytes
+   * @param {string} name Name for error messages
+   * @private
+   */
+  _checkSize(size, name) {
+    if (size > this.config.maxBatchFileSize) {
+      throw new Error(`${name} is larger than ${this.config.maxBatchFileSize} bytes`);
+    }
+  }
+}
+
+module.exports = BatchSource;
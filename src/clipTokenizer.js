@@ -0,0 +1,95 @@
+/**
+ * CLIP Tokenizer Module
+ *
+ * Counts prompt text in CLIP byte-pair-encoding tokens, as Stable Diffusion's text encoder does
+ * Uses the BPE vocabulary bundled with clip-bpe-js, so no network access is needed
+ * The vocabulary is loaded on first use
+ */
+
+const ClipBpe = require('clip-bpe-js').default;
+
+// Token ids around every encoded prompt
+const START_OF_TEXT = 49406;
+const END_OF_TEXT = 49407;
+
+class ClipTokenizer {
+  /**
+   * Creates a new ClipTokenizer instance
+   * @param {Object} config Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+    
+    this.bpe = null;
+  }
+  
+  /**
+   * Encode text as CLIP token ids, without the start and end tokens
+   * Text is lowercased and its whitespace collapsed first, as CLIP does.
+   * @param {string} text Text to encode
+   * @returns {Array<number>} Token ids
+   */
+  encode(text) {
+    const bpe = this._load();
+    const ids = [];
+    
+    for (const [word] of String(text || '').replace(/\s+/g, ' ').trim().toLowerCase().matchAll(bpe.pat)) {
+      // BPE works on UTF-8 bytes, each written as one printable character
+      const bytes = Array.from(Buffer.from(word, 'utf8'), byte => bpe.byteEncoder[byte]).join('');
+      bpe.bpe(bytes).split(' ').forEach(piece => ids.push(bpe.encoder[piece]));
+    }
+    
+    return ids;
+  }
+  
+  /**
+   * Count the CLIP tokens in text, without the start and end tokens
+   * @param {string} text Text to count
+   * @returns {number} Token count
+   */
+  count(text) {
+    return this.encode(text).length;
+  }
+  
+  /**
+   * Decode CLIP token ids back to text
+   * @param {Array<number>} ids Token ids
+   * @returns {string} Text (lowercased, as encoded)
+   */
+  decode(ids) {
+    const bpe = this._load();
+    const text = ids
+      .filter(id => id !== START_OF_TEXT && id !== END_OF_TEXT)
+      .map(id => bpe.decoder[id])
+      .join('')
+      .replace(/<\/w>/g, ' ');
+    
+    // Spaces only come from end-of-word markers; every other character stands for a UTF-8 byte
+    return Buffer.from(Array.from(text, ch => (ch === ' ' ? 32 : Number(bpe.byteDecoder[ch])))).toString('utf8').trim();
+  }
+  
+  /**
+   * Load the BPE vocabulary
+   * @returns {Object} clip-bpe-js tokenizer
+   * @private
+   */
+  _load() {
+    if (!this.bpe) {
+      this.bpe = new ClipBpe();
+      
+      if (this.config.debug) {
+        console.log('Loaded the CLIP BPE vocabulary');
+      }
+    }
+    
+    return this.bpe;
+  }
+}
+
+ClipTokenizer.START_OF_TEXT = START_OF_TEXT;
+ClipTokenizer.END_OF_TEXT = END_OF_TEXT;
+
+module.exports = ClipTokenizer;
@@ -0,0 +1,219 @@
+/**
+ * CSV Codec Module
+ *
+ * Reads and writes RFC 4180 CSV: quoted fields, escaped quotes ("") and line breaks inside quotes
+ * Accepts CRLF or LF line endings, a leading byte order mark and a configurable delimiter
+ * Shared by the parser (CSV shot lists), the transformer, the export engine and the import engine
+ */
+
+// Written between the items of a list value, and split on when a list is read back
+const LIST_SEPARATOR = '; ';
+
+class CsvCodec {
+  /**
+   * Creates a new CsvCodec instance
+   * @param {Object} config Configuration options
+   * @param {string} [config.delimiter=','] Field delimiter
+   * @param {string} [config.lineEnding='\r\n'] Line ending written between records
+   * @param {boolean} [config.bom=false] Whether to write a UTF-8 byte order mark
+   * @param {boolean} [config.quoteAll=false] Whether to quote every field, not only those that need it
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      delimiter: ',',
+      lineEnding: '\r\n',
+      bom: false,
+      quoteAll: false,
+      ...config
+    };
+  }
+  
+  /**
+   * Parse CSV text into records
+   * @param {string} text CSV text
+   * @param {Object} options Per-call overrides of the codec config (e.g. `delimiter`)
+   * @returns {Array<Object>} Records as `{ fields, line, raw }`, where `line` is the
+   *   1-based line the record starts on and `raw` is the record's text
+   */
+  parse(text, options = {}) {
+    const { delimiter } = { ...this.config, ...options };
+    this._checkDelimiter(delimiter);
+    
+    const input = String(text).replace(/^\uFEFF/, '');
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let quoteLine = 0;
+    let line = 1;
+    let recordLine = 1;
+    let recordStarted = false;
+    let recordStart = 0;
+    let i = 0;
+    
+    const endField = () => {
+      fields.push(field);
+      field = '';
+    };
+    
+    const endRecord = () => {
+      endField();
+      records.push({ fields, line: recordLine, raw: input.slice(recordStart, i) });
+      fields = [];
+      recordStarted = false;
+    };
+    
+    while (i < input.length) {
+      const char = input[i];
+      recordStarted = true;
+      
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        
+        if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+          if (char === '\n') {
+            line++;
+          }
+        }
+        
+        i++;
+        continue;
+      }
+      
+      if (char === '"' && field === '') {
+        quoted = true;
+        quoteLine = line;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        endRecord();
+        i += char === '\r' && input[i + 1] === '\n' ? 2 : 1;
+        line++;
+        recordLine = line;
+        recordStart = i;
+        continue;
+      } else {
+        field += char;
+      }
+      
+      i++;
+    }
+    
+    if (quoted) {
+      throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+    }
+    
+    // A trailing line break does not start another record
+    if (recordStarted) {
+      endRecord();
+    }
+    
+    return records;
+  }
+  
+  /**
+   * Write records as CSV text
+   * Arrays are joined with "; ", objects written as JSON, and null or undefined as empty fields.
+   * @param {Array<Array<*>>} rows Records, each a list of field values
+   * @param {Object} options Per-call overrides of the codec config
+   * @returns {string} CSV text (without a trailing line ending)
+   */
+  stringify(rows, options = {}) {
+    const { delimiter, lineEnding, bom, quoteAll } = { ...this.config, ...options };
+    this._checkDelimiter(delimiter);
+    
+    if (!['\r\n', '\n'].includes(lineEnding)) {
+      throw new Error(`Invalid CSV line ending: ${JSON.stringify(lineEnding)}`);
+    }
+    
+    const text = rows
+      .map(row => {
+        // A record holding one empty field would otherwise read back as a blank line
+        if (row.length === 1 && this.formatValue(row[0]) === '') {
+          return '""';
+        }
+        
+        return row.map(value => this._quoteField(this.formatValue(value), delimiter, quoteAll)).join(delimiter);
+      })
+      .join(lineEnding);
+    
+    return bom ? `\uFEFF${text}` : text;
+  }
+  
+  /**
+   * Convert a value to field text
+   * @param {*} value Field value
+   * @returns {string} Field text
+   */
+  formatValue(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    
+    if (Array.isArray(value)) {
+      // Semicolons in items written as JSON are escaped, so parseList() does not split inside them
+      return value
+        .map(item => (item !== null && typeof item === 'object' ?
+          JSON.stringify(item).replace(/;/g, '\\u003b') :
+          this.formatValue(item)))
+        .join(LIST_SEPARATOR);
+    }
+    
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    
+    return String(value);
+  }
+  
+  /**
+   * Split field text written by formatValue() for a list back into items
+   * Items that themselves contain the separator cannot be told apart and are split too.
+   * @param {string} text Field text
+   * @returns {Array<string>} Items; an empty field is an empty list
+   */
+  parseList(text) {
+    return text === '' ? [] : text.split(LIST_SEPARATOR);
+  }
+  
+  /**
+   * Quote a field if it contains the delimiter, a quote or a line break
+   * (or starts with a byte order mark, which readers would strip)
+   * @param {string} field Field text
+   * @param {string} delimiter Field delimiter
+   * @param {boolean} quoteAll Whether to quote the field regardless
+   * @returns {string} Field as written
+   * @private
+   */
+  _quoteField(field, delimiter, quoteAll) {
+    if (quoteAll || field.includes(delimiter) || /["\r\n]/.test(field) || field.startsWith('\uFEFF')) {
+      return `"${field.replace(/"/g, '""')}"`;
+    }
+    
+    return field;
+  }
+  
+  /**
+   * Check that a delimiter is a single character other than a quote or line break
+   * @param {string} delimiter Field delimiter
+   * @private
+   */
+  _checkDelimiter(delimiter) {
+    if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+      throw new Error(`Invalid CSV delimiter: ${JSON.stringify(delimiter)}`);
+    }
+  }
+}
+
+// Marks header columns that hold lists in exports (e.g. `subjects[]`)
+CsvCodec.LIST_SUFFIX = '[]';
+
+module.exports = CsvCodec;
@@ -0,0 +1,275 @@
+/**
+ * Drive Client Module
+ *
+ * Google Drive access for batch processing and exports, through the googleapis Drive v3 API
+ * Handles the OAuth 2.0 sign-in and keeps the tokens (optionally in a file)
+ * Lists and downloads the files in a folder, uploads files and shares them
+ * Any object with the same listFiles, downloadFile, uploadFile and shareFile methods
+ * can be injected in its place (e.g. a local fake for testing)
+ */
+
+const fs = require('fs');
+const { Readable } = require('stream');
+
+// Only files the exporter created or the user opened with it; batch folders of other files also need drive.readonly
+const SCOPES = ['https://www.googleapis.com/auth/drive.file'];
+
+// Google Docs are exported as plain text; other files are downloaded as they are
+const GOOGLE_DOC = 'application/vnd.google-apps.document';
+
+class DriveClient {
+  /**
+   * Creates a new DriveClient instance
+   * @param {Object} config Configuration options
+   * @param {string} [config.clientId] OAuth client id. Default: GOOGLE_DRIVE_CLIENT_ID
+   * @param {string} [config.clientSecret] OAuth client secret. Default: GOOGLE_DRIVE_CLIENT_SECRET
+   * @param {string} [config.redirectUri] OAuth redirect URI. Default: GOOGLE_DRIVE_REDIRECT_URI
+   * @param {Object} [config.tokens] Stored OAuth tokens to start with
+   * @param {string} [config.tokenPath] File to load tokens from and save them to
+   * @param {string} [config.rootUrl] Drive API root URL, to use a local stand-in (e.g. 'http://localhost:8788/')
+   * @param {Array<string>} [config.scopes] OAuth scopes to ask for. Default: drive.file
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      clientId: process.env.GOOGLE_DRIVE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_DRIVE_CLIENT_SECRET,
+      redirectUri: process.env.GOOGLE_DRIVE_REDIRECT_URI,
+      ...config
+    };
+    
+    this.tokens = this.config.tokens || this._loadTokens();
+    this.auth = null;
+    this.drive = null;
+  }
+  
+  /**
+   * Get the Google sign-in URL that starts the OAuth flow
+   * @param {string} state Opaque value returned to the callback, to tie it to this request
+   * @returns {string} Authorization URL
+   */
+  getAuthUrl(state) {
+    return this._getAuth().generateAuthUrl({
+      access_type: 'offline',
+      prompt: 'consent',
+      scope: this.config.scopes || SCOPES,
+      state
+    });
+  }
+  
+  /**
+   * Exchange the authorization code from the OAuth callback for tokens
+   * @param {string} code Authorization code
+   * @returns {Promise<void>}
+   */
+  async authorize(code) {
+    if (!code) {
+      throw new Error('Authorization code is required');
+    }
+    
+    const { tokens } = await this._getAuth().getToken(code);
+    this.setTokens(tokens);
+  }
+  
+  /**
+   * Use a set of OAuth tokens, saving them to `tokenPath` if configured
+   * @param {Object} tokens OAuth tokens (access_token, refresh_token, expiry_date, ...)
+   */
+  setTokens(tokens) {
+    this.tokens = { ...this.tokens, ...tokens };
+    
+    if (this.auth) {
+      this.auth.setCredentials(this.tokens);
+    }
+    
+    if (this.config.tokenPath) {
+      fs.writeFileSync(this.config.tokenPath, JSON.stringify(this.tokens, null, 2), { mode: 0o600 });
+    }
+  }
+  
+  /**
+   * Check whether the client has tokens to call Drive with
+   * @returns {boolean} Whether the client is authorized
+   */
+  isAuthorized() {
+    return Boolean(this.tokens && (this.tokens.access_token || this.tokens.refresh_token));
+  }
+  
+  /**
+   * List the files in a folder (not its subfolders), following every result page
+   * @param {string} folderId Folder id
+   * @returns {Promise<Array<Object>>} Files as `{ id, name, mimeType }`
+   */
+  async listFiles(folderId) {
+    const drive = this._getDrive();
+    const files = [];
+    let pageToken;
+    
+    do {
+      const { data } = await drive.files.list({
+        q: `'${this._escapeQuery(folderId)}' in parents and trashed = false`,
+        fields: 'nextPageToken, files(id, name, mimeType)',
+        pageSize: 100,
+        pageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true
+      });
+      
+      files.push(...(data.files || []));
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+    
+    return files;
+  }
+  
+  /**
+   * Download a file's content as text
+   * @param {Object} file File from listFiles()
+   * @returns {Promise<string>} File content (plain text for Google Docs)
+   */
+  async downloadFile(file) {
+    const drive = this._getDrive();
+    
+    const { data } = file.mimeType === GOOGLE_DOC ?
+      await drive.files.export({ fileId: file.id, mimeType: 'text/plain' }, { responseType: 'text' }) :
+      await drive.files.get({ fileId: file.id, alt: 'media', supportsAllDrives: true }, { responseType: 'text' });
+    
+    return typeof data === 'string' ? data : String(data);
+  }
+  
+  /**
+   * Upload a file into a folder
+   * @param {Object} params Upload parameters
+   * @param {string} params.name File name
+   * @param {string} params.mimeType Content type
+   * @param {string} params.content File content
+   * @param {string} [params.folderId] Folder to upload into (Drive root if omitted)
+   * @returns {Promise<Object>} Uploaded file as `{ id, name, webViewLink }`
+   */
+  async uploadFile(params) {
+    // Upload URLs do not follow the API-wide rootUrl, so a stand-in needs it on the request
+    const requestOptions = this.config.rootUrl ? { rootUrl: this.config.rootUrl } : {};
+    
+    const { data } = await this._getDrive().files.create({
+      requestBody: {
+        name: params.name,
+        ...(params.folderId && { parents: [params.folderId] })
+      },
+      media: {
+        mimeType: params.mimeType,
+        body: Readable.from([Buffer.from(params.content, 'utf8')])
+      },
+      fields: 'id, name, webViewLink',
+      supportsAllDrives: true
+    }, requestOptions);
+    
+    return data;
+  }
+  
+  /**
+   * Grant a permission on a file
+   * @param {string} fileId File id
+   * @param {Object} permission Drive permission, e.g. `{ type: 'anyone', role: 'reader' }` or
+   *   `{ type: 'user', role: 'writer', emailAddress: 'editor@example.com' }`
+   * @returns {Promise<Object>} Created permission
+   */
+  async shareFile(fileId, permission) {
+    const { data } = await this._getDrive().permissions.create({
+      fileId,
+      requestBody: permission,
+      supportsAllDrives: true
+    });
+    
+    return data;
+  }
+  
+  /**
+   * Get the OAuth client, creating it on first use
+   * googleapis is loaded lazily, since it is large and only needed for Drive access.
+   * @returns {Object} OAuth2 client
+   * @private
+   */
+  _getAuth() {
+    if (this.auth) {
+      return this.auth;
+    }
+    
+    const { clientId, clientSecret, redirectUri } = this.config;
+    if (!clientId || !clientSecret) {
+      throw new Error('Google Drive is not configured (set GOOGLE_DRIVE_CLIENT_ID and GOOGLE_DRIVE_CLIENT_SECRET)');
+    }
+    
+    const { google } = require('googleapis');
+    this.auth = new google.auth.OAuth2(clientId, clientSecret, redirectUri);
+    
+    if (this.tokens) {
+      this.auth.setCredentials(this.tokens);
+    }
+    
+    // Keep refreshed access tokens
+    this.auth.on('tokens', tokens => this.setTokens(tokens));
+    
+    return this.auth;
+  }
+  
+  /**
+   * Get the Drive API, creating it on first use
+   * @returns {Object} Drive v3 API
+   * @private
+   */
+  _getDrive() {
+    if (!this.isAuthorized()) {
+      throw new Error('Google Drive is not authorized; sign in at /auth/google first');
+    }
+    
+    if (!this.drive) {
+      const { google } = require('googleapis');
+      this.drive = google.drive({
+        version: 'v3',
+        auth: this._getAuth(),
+        ...(this.config.rootUrl && { rootUrl: this.config.rootUrl })
+      });
+    }
+    
+    return this.drive;
+  }
+  
+  /**
+   * Load tokens saved to `tokenPath`
+   * @returns {Object|null} Tokens, or null if there are none
+   * @throws {Error} If the file cannot be read or does not hold a JSON object
+   * @private
+   */
+  _loadTokens() {
+    if (!this.config.tokenPath || !fs.existsSync(this.config.tokenPath)) {
+      return null;
+    }
+    
+    let tokens;
+    try {
+      tokens = JSON.parse(fs.readFileSync(this.config.tokenPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not load Drive tokens from ${this.config.tokenPath}: ${error.message}. ` +
+        'Delete the file and sign in again');
+    }
+    
+    if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+      throw new Error(`Could not load Drive tokens from ${this.config.tokenPath}: not a JSON object. ` +
+        'Delete the file and sign in again');
+    }
+    
+    return tokens;
+  }
+  
+  /**
+   * Escape a value for a Drive search query string literal
+   * @param {string} value Value
+   * @returns {string} Escaped value
+   * @private
+   */
+  _escapeQuery(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  }
+}
+
+module.exports = DriveClient;
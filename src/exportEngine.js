@@ -1,49 +1,111 @@
 /**
  * Export Engine Module
  * 
- * Generates files in requested formats (JSON, CSV, TXT, XML)
- * Uploads to Google Drive or other storage platforms
+ * Generates files in requested formats (JSON, CSV, TXT, XML, YAML, Markdown, JSONL)
+ * Writes ComfyUI workflows and Automatic1111 txt2img bodies for Stable Diffusion
+ * Uploads to Google Drive, saves to a local export directory or returns data URLs
  * Creates shareable links with appropriate permissions
  */
 
+const yaml = require('js-yaml');
+const CsvCodec = require('./csvCodec');
+const XmlCodec = require('./xmlCodec');
+const ShotListFormatter = require('./shotListFormatter');
+const StableDiffusionWorkflow = require('./stableDiffusionWorkflow');
+const LocalFileStorage = require('./localFileStorage');
+const DriveClient = require('./driveClient');
+
 class ExportEngine {
   /**
    * Creates a new ExportEngine instance
    * @param {Object} config Configuration options
+   * @param {string} [config.defaultStorage='memory'] Storage provider ('google_drive', 'local' or 'memory')
+   * @param {string} [config.exportDir] Directory the local provider writes to (see LocalFileStorage)
+   * @param {string} [config.exportUrlPath] URL path the local provider's files are served under
+   * @param {DriveClient} [config.driveClient] Google Drive client to upload with
+   * @param {Object} [config.driveOptions] Google Drive options: `outputFolderId` (folder to upload into)
+   *   and `sharing` (permission granted on uploads; files stay private without one); see DriveClient for the OAuth options
    */
   constructor(config = {}) {
     this.config = {
       debug: false,
-      defaultStorage: 'google_drive',
+      defaultStorage: 'memory',
       includeTimestamp: true,
       ...config
     };
     
+    // CSV output options: delimiter, bom and lineEnding (see CsvCodec)
+    this.csv = new CsvCodec(this.config.csvOptions);
+    this.xml = new XmlCodec();
+    this.shotList = new ShotListFormatter();
+    this.workflow = new StableDiffusionWorkflow(this.config);
+    
     // Format-specific export settings
     this.formatSettings = {
       json: {
         mimeType: 'application/json',
         extension: '.json',
-        formatter: this._formatJsonFile.bind(this)
+        formatter: this._formatJsonFile.bind(this),
+        collectionFormatter: this._formatJsonCollection.bind(this)
       },
       txt: {
         mimeType: 'text/plain',
         extension: '.txt',
-        formatter: this._formatTxtFile.bind(this)
+        formatter: this._formatTxtFile.bind(this),
+        collectionFormatter: this._formatTxtCollection.bind(this)
       },
       csv: {
         mimeType: 'text/csv',
         extension: '.csv',
-        formatter: this._formatCsvFile.bind(this)
+        formatter: this._formatCsvFile.bind(this),
+        collectionFormatter: this._formatCsvCollection.bind(this)
       },
       xml: {
         mimeType: 'application/xml',
         extension: '.xml',
-        formatter: this._formatXmlFile.bind(this)
+        formatter: this._formatXmlFile.bind(this),
+        collectionFormatter: this._formatXmlCollection.bind(this)
+      },
+      yaml: {
+        mimeType: 'application/yaml',
+        extension: '.yaml',
+        formatter: this._formatYamlFile.bind(this),
+        collectionFormatter: this._formatYamlCollection.bind(this)
+      },
+      md: {
+        mimeType: 'text/markdown',
+        extension: '.md',
+        formatter: this._formatMarkdownFile.bind(this),
+        collectionFormatter: this._formatMarkdownCollection.bind(this)
+      },
+      jsonl: {
+        mimeType: 'application/x-ndjson',
+        extension: '.jsonl',
+        formatter: this._formatJsonlFile.bind(this),
+        collectionFormatter: this._formatJsonlCollection.bind(this)
+      },
+      comfyui: {
+        mimeType: 'application/json',
+        extension: '.json',
+        formatter: this._formatComfyUIFile.bind(this),
+        collectionFormatter: this._formatComfyUICollection.bind(this)
+      },
+      a1111: {
+        mimeType: 'application/json',
+        extension: '.json',
+        formatter: this._formatA1111File.bind(this),
+        collectionFormatter: this._formatA1111Collection.bind(this)
       }
     };
     
-    // Storage providers (would be implemented in production)
+    // Content types of stored files, for downloads
+    const mimeTypes = {};
+    Object.values(this.formatSettings).forEach(settings => {
+      mimeTypes[settings.extension] = mimeTypes[settings.extension] || settings.mimeType;
+    });
+    this.localStorage = new LocalFileStorage({ ...this.config, mimeTypes });
+    this.driveClient = this.config.driveClient || new DriveClient({ debug: this.config.debug, ...this.config.driveOptions });
+    
     this.storageProviders = {
       google_drive: {
         name: 'Google Drive',
@@ -66,9 +128,11 @@ class ExportEngine {
    * @param {string} format The format to export to
    * @param {boolean} includeMetadata Whether to include metadata in the export
    * @param {string} storage Storage provider to use (default from config)
+   * @param {Object} storageOptions Options for the storage provider (e.g. `folderId` for Google Drive)
+   *   and `baseName`, the file name before the timestamp and extension
    * @returns {Promise<Object>} Export result
    */
-  async export(prompt, format, includeMetadata = true, storage = null) {
+  async export(prompt, format, includeMetadata = true, storage = null, storageOptions = {}) {
     if (this.config.debug) {
       console.log(`Exporting prompt to ${format} format`);
     }
@@ -76,13 +140,76 @@ class ExportEngine {
     // Get format settings
     const formatConfig = this.formatSettings[format] || this.formatSettings.json;
     
+    // Format the content
+    const content = formatConfig.formatter(prompt, includeMetadata);
+    
+    return this._store(
+      'prompt',
+      content,
+      format,
+      formatConfig,
+      includeMetadata ? prompt.metadata : undefined,
+      storage,
+      storageOptions
+    );
+  }
+  
+  /**
+   * Export several prompts to one file in the specified format
+   * JSON and YAML are written as a list, CSV as one row per prompt under the union of
+   * their metadata columns, TXT as consecutive sections, XML under a `<prompts>` root,
+   * Markdown as one shot list table and JSONL as one line per prompt. ComfyUI and
+   * Automatic1111 files hold an array of request bodies, to be posted one at a time.
+   * @param {Array<Object>} prompts The prompts to export, in order
+   * @param {string} format The format to export to
+   * @param {boolean} includeMetadata Whether to include metadata in the export
+   * @param {string} storage Storage provider to use (default from config)
+   * @param {Object} storageOptions Options for the storage provider, as in export()
+   * @returns {Promise<Object>} Export result, with `count` set to the number of prompts
+   */
+  async exportCollection(prompts, format, includeMetadata = true, storage = null, storageOptions = {}) {
+    if (this.config.debug) {
+      console.log(`Exporting ${prompts.length} prompts to ${format} format`);
+    }
+    
+    // Get format settings
+    const formatConfig = this.formatSettings[format] || this.formatSettings.json;
+    
+    // Format the content
+    const content = formatConfig.collectionFormatter(prompts, includeMetadata);
+    
+    const result = await this._store(
+      'prompts',
+      content,
+      format,
+      formatConfig,
+      includeMetadata ? { count: prompts.length } : undefined,
+      storage,
+      storageOptions
+    );
+    
+    return { ...result, count: prompts.length };
+  }
+  
+  /**
+   * Name a formatted file and hand it to a storage provider
+   * @param {string} baseName File name before the timestamp and extension
+   * @param {string} content Formatted content
+   * @param {string} format Format id
+   * @param {Object} formatConfig Format settings
+   * @param {Object} metadata Metadata for the storage provider
+   * @param {string} storage Storage provider to use (default from config)
+   * @param {Object} storageOptions Options for the storage provider, with an optional `baseName`
+   * @returns {Promise<Object>} Export result
+   * @private
+   */
+  async _store(baseName, content, format, formatConfig, metadata, storage, storageOptions = {}) {
+    const { baseName: requestedName, ...uploadOptions } = storageOptions;
+    
     // Generate file name
     const timestamp = this.config.includeTimestamp ? 
       `_${new Date().toISOString().replace(/:/g, '-').replace(/\..+/g, '')}` : '';
-    const fileName = `prompt${timestamp}${formatConfig.extension}`;
-    
-    // Format the content
-    const content = formatConfig.formatter(prompt, includeMetadata);
+    const fileName = `${requestedName || baseName}${timestamp}${formatConfig.extension}`;
     
     // Determine storage provider
     const storageProvider = storage || this.config.defaultStorage;
@@ -90,19 +217,23 @@ class ExportEngine {
     
     // Upload to storage
     const uploadResult = await provider.upload({
+      ...uploadOptions,
       fileName,
       content,
       mimeType: formatConfig.mimeType,
-      metadata: includeMetadata ? prompt.metadata : undefined
+      metadata
     });
     
     return {
-      fileName,
+      id: uploadResult.id || uploadResult.fileId,
+      fileName: uploadResult.fileName || fileName,
       format,
+      mimeType: formatConfig.mimeType,
       url: uploadResult.url,
       storage: provider.name,
       timestamp: new Date().toISOString(),
-      size: content.length
+      size: Buffer.byteLength(content),
+      content
     };
   }
   
@@ -114,16 +245,42 @@ class ExportEngine {
    * @private
    */
   _formatJsonFile(prompt, includeMetadata) {
+    return JSON.stringify(this._toJsonObject(prompt, includeMetadata), null, 2);
+  }
+  
+  /**
+   * Format prompts as a JSON array
+   * @param {Array<Object>} prompts The prompts to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatJsonCollection(prompts, includeMetadata) {
+    return JSON.stringify(prompts.map(prompt => this._toJsonObject(prompt, includeMetadata)), null, 2);
+  }
+  
+  /**
+   * Build the JSON representation of a prompt
+   * @param {Object} prompt The prompt to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {Object} JSON object
+   * @private
+   */
+  _toJsonObject(prompt, includeMetadata) {
     const jsonObj = {
       prompt: prompt.content,
       timestamp: new Date().toISOString()
     };
     
+    if (prompt.request) {
+      jsonObj.request = prompt.request;
+    }
+    
     if (includeMetadata && prompt.metadata) {
       jsonObj.metadata = prompt.metadata;
     }
     
-    return JSON.stringify(jsonObj, null, 2);
+    return jsonObj;
   }
   
   /**
@@ -153,6 +310,19 @@ class ExportEngine {
     return content;
   }
   
+  /**
+   * Format prompts as consecutive text sections
+   * @param {Array<Object>} prompts The prompts to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatTxtCollection(prompts, includeMetadata) {
+    return prompts
+      .map((prompt, index) => `=== Prompt ${index + 1} ===\n${this._formatTxtFile(prompt, includeMetadata).trim()}`)
+      .join('\n\n');
+  }
+  
   /**
    * Format a prompt as a CSV file
    * @param {Object} prompt The prompt to format
@@ -161,40 +331,42 @@ class ExportEngine {
    * @private
    */
   _formatCsvFile(prompt, includeMetadata) {
-    let content = 'prompt,timestamp';
-    const metadataKeys = includeMetadata && prompt.metadata ? Object.keys(prompt.metadata) : [];
+    return this._formatCsvCollection([prompt], includeMetadata);
+  }
+  
+  /**
+   * Format prompts as CSV rows
+   * The header holds every metadata key used by any prompt, in first-seen order;
+   * prompts without a key get an empty cell. Keys that hold a list in any prompt are
+   * marked with `[]` (e.g. `subjects[]`), so the import engine splits them again, and
+   * null is written as `null` to tell it apart from a missing key.
+   * @param {Array<Object>} prompts The prompts to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatCsvCollection(prompts, includeMetadata) {
+    const metadataKeys = [];
     
-    // Add metadata headers
-    if (metadataKeys.length) {
-      metadataKeys.forEach(key => {
-        content += `,${key}`;
+    if (includeMetadata) {
+      prompts.forEach(prompt => {
+        Object.keys(prompt.metadata || {})
+          .filter(key => !metadataKeys.includes(key))
+          .forEach(key => metadataKeys.push(key));
       });
     }
     
-    content += '\n';
+    const listKeys = metadataKeys.filter(key => prompts.some(prompt => Array.isArray((prompt.metadata || {})[key])));
     
-    // Add data row
-    content += `"${prompt.content}","${new Date().toISOString()}"`;
+    const timestamp = new Date().toISOString();
+    const rows = prompts.map(prompt => {
+      const metadata = prompt.metadata || {};
+      return [prompt.content, timestamp, ...metadataKeys.map(key => (metadata[key] === null ? 'null' : metadata[key]))];
+    });
     
-    // Add metadata values
-    if (metadataKeys.length) {
-      metadataKeys.forEach(key => {
-        const value = prompt.metadata[key];
-        let cellValue;
-        
-        if (Array.isArray(value)) {
-          cellValue = value.join('; ');
-        } else if (typeof value === 'object') {
-          cellValue = JSON.stringify(value);
-        } else {
-          cellValue = value;
-        }
-        
-        content += `,"${cellValue}"`;
-      });
-    }
+    const header = metadataKeys.map(key => (listKeys.includes(key) ? `${key}${CsvCodec.LIST_SUFFIX}` : key));
     
-    return content;
+    return this.csv.stringify([['prompt', 'timestamp', ...header], ...rows]);
   }
   
   /**
@@ -205,98 +377,272 @@ class ExportEngine {
    * @private
    */
   _formatXmlFile(prompt, includeMetadata) {
-    let content = '<?xml version="1.0" encoding="UTF-8"?>\n';
-    content += '<prompt>\n';
-    content += `  <content><![CDATA[${prompt.content}]]></content>\n`;
-    content += `  <timestamp>${new Date().toISOString()}</timestamp>\n`;
+    return `${this.xml.declaration()}\n${this._formatXmlPrompt(prompt, includeMetadata, '')}`;
+  }
+  
+  /**
+   * Format prompts as `<prompt>` elements under a `<prompts>` root
+   * @param {Array<Object>} prompts The prompts to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatXmlCollection(prompts, includeMetadata) {
+    let content = `${this.xml.declaration()}\n`;
+    content += `<prompts count="${prompts.length}">\n`;
+    
+    prompts.forEach(prompt => {
+      content += `${this._formatXmlPrompt(prompt, includeMetadata, '  ')}\n`;
+    });
+    
+    content += '</prompts>';
+    
+    return content;
+  }
+  
+  /**
+   * Format a single `<prompt>` element
+   * @param {Object} prompt The prompt to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @param {string} indent Indentation of the element
+   * @returns {string} Formatted element
+   * @private
+   */
+  _formatXmlPrompt(prompt, includeMetadata, indent) {
+    let content = `${indent}<prompt>\n`;
+    content += `${indent}  <content>${this.xml.cdata(prompt.content)}</content>\n`;
+    content += `${indent}  <timestamp>${new Date().toISOString()}</timestamp>\n`;
     
     if (includeMetadata && prompt.metadata) {
-      content += '  <metadata>\n';
+      content += `${indent}  <metadata>\n`;
       
       Object.entries(prompt.metadata).forEach(([key, value]) => {
-        if (Array.isArray(value)) {
-          content += `    <${key}>\n`;
-          value.forEach(item => {
-            content += `      <item>${item}</item>\n`;
-          });
-          content += `    </${key}>\n`;
-        } else if (typeof value === 'object') {
-          content += `    <${key}><![CDATA[${JSON.stringify(value)}]]></${key}>\n`;
-        } else {
-          content += `    <${key}>${value}</${key}>\n`;
-        }
+        content += `${this.xml.field(key, value, `${indent}    `)}\n`;
       });
       
-      content += '  </metadata>\n';
+      content += `${indent}  </metadata>\n`;
     }
     
-    content += '</prompt>';
+    content += `${indent}</prompt>`;
     
     return content;
   }
   
   /**
-   * Upload to Google Drive (mock implementation)
+   * Format a prompt as a YAML file
+   * @param {Object} prompt The prompt to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatYamlFile(prompt, includeMetadata) {
+    return this._dumpYaml(this._toJsonObject(prompt, includeMetadata));
+  }
+  
+  /**
+   * Format prompts as a YAML list
+   * @param {Array<Object>} prompts The prompts to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatYamlCollection(prompts, includeMetadata) {
+    return this._dumpYaml(prompts.map(prompt => this._toJsonObject(prompt, includeMetadata)));
+  }
+  
+  /**
+   * Serialize a value as YAML
+   * Keys with undefined values are left out, as in JSON, and repeated objects are
+   * written out in full instead of as anchors and aliases.
+   * @param {*} value Value to serialize
+   * @returns {string} YAML document (without a trailing line break)
+   * @private
+   */
+  _dumpYaml(value) {
+    return yaml.safeDump(value, { skipInvalid: true, noRefs: true, lineWidth: -1 }).replace(/\n$/, '');
+  }
+  
+  /**
+   * Format a prompt as a Markdown shot list with one row
+   * @param {Object} prompt The prompt to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatMarkdownFile(prompt, includeMetadata) {
+    return this._formatMarkdownCollection([prompt], includeMetadata);
+  }
+  
+  /**
+   * Format prompts as a Markdown shot list (see ShotListFormatter)
+   * @param {Array<Object>} prompts The prompts to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatMarkdownCollection(prompts, includeMetadata) {
+    return this.shotList.format(prompts, includeMetadata);
+  }
+  
+  /**
+   * Format a prompt as a JSONL file with one line
+   * @param {Object} prompt The prompt to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatJsonlFile(prompt, includeMetadata) {
+    return this._formatJsonlCollection([prompt], includeMetadata);
+  }
+  
+  /**
+   * Format prompts as JSON Lines, one compact object (with its generation request) per line
+   * @param {Array<Object>} prompts The prompts to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatJsonlCollection(prompts, includeMetadata) {
+    return prompts
+      .map(prompt => JSON.stringify(this._toJsonObject(prompt, includeMetadata)))
+      .join('\n');
+  }
+  
+  /**
+   * Format a prompt as a ComfyUI `/prompt` request body
+   * With metadata, the prompt's metadata is sent as `extra_pnginfo`, which ComfyUI
+   * embeds in the saved images.
+   * @param {Object} prompt The prompt to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatComfyUIFile(prompt, includeMetadata) {
+    return JSON.stringify(this._toComfyUIRequest(prompt, includeMetadata), null, 2);
+  }
+  
+  /**
+   * Format prompts as an array of ComfyUI `/prompt` request bodies
+   * @param {Array<Object>} prompts The prompts to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatComfyUICollection(prompts, includeMetadata) {
+    return JSON.stringify(prompts.map(prompt => this._toComfyUIRequest(prompt, includeMetadata)), null, 2);
+  }
+  
+  /**
+   * Build a ComfyUI request body from the configured workflow template
+   * @param {Object} prompt The prompt to format
+   * @param {boolean} includeMetadata Whether to include metadata
+   * @returns {Object} Request body
+   * @private
+   */
+  _toComfyUIRequest(prompt, includeMetadata) {
+    const extraData = includeMetadata && prompt.metadata ?
+      { extra_pnginfo: { promptMetadata: prompt.metadata } } :
+      undefined;
+    
+    return this.workflow.buildComfyUIRequest(prompt, extraData);
+  }
+  
+  /**
+   * Format a prompt as an Automatic1111 `/sdapi/v1/txt2img` request body
+   * The body never carries metadata, so it can be posted as is.
+   * @param {Object} prompt The prompt to format
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatA1111File(prompt) {
+    return JSON.stringify(this.workflow.buildA1111Request(prompt), null, 2);
+  }
+  
+  /**
+   * Format prompts as an array of Automatic1111 `/sdapi/v1/txt2img` request bodies
+   * @param {Array<Object>} prompts The prompts to format
+   * @returns {string} Formatted content
+   * @private
+   */
+  _formatA1111Collection(prompts) {
+    return JSON.stringify(prompts.map(prompt => this.workflow.buildA1111Request(prompt)), null, 2);
+  }
+  
+  /**
+   * Upload to Google Drive and share the file
+   * The folder and permission come from the upload parameters (`folderId`, `sharing`),
+   * falling back to `driveOptions.outputFolderId` and `driveOptions.sharing`. Files stay
+   * private unless one of them names a permission.
    * @param {Object} params Upload parameters
    * @returns {Promise<Object>} Upload result
    * @private
    */
   async _uploadToGoogleDrive(params) {
-    // This would be implemented with actual Google Drive API
+    const driveOptions = this.config.driveOptions || {};
+    const folderId = params.folderId || driveOptions.outputFolderId;
+    const sharing = params.sharing !== undefined ? params.sharing : driveOptions.sharing;
+    
     if (this.config.debug) {
       console.log(`Uploading to Google Drive: ${params.fileName}`);
     }
     
-    // Mock implementation
+    const file = await this.driveClient.uploadFile({
+      name: params.fileName,
+      mimeType: params.mimeType,
+      content: params.content,
+      folderId
+    });
+    
+    if (sharing) {
+      await this.driveClient.shareFile(file.id, sharing);
+    }
+    
     return {
-      url: `https://drive.google.com/file/d/${this._generateMockId()}/view`,
-      fileId: this._generateMockId(),
+      url: file.webViewLink || `https://drive.google.com/file/d/${file.id}/view`,
+      fileId: file.id,
       success: true
     };
   }
   
   /**
-   * Save to local file (mock implementation)
+   * Save to the local export directory
    * @param {Object} params Upload parameters
-   * @returns {Promise<Object>} Upload result
+   * @returns {Promise<Object>} Upload result with the stored `id`, `fileName` and `path`
    * @private
    */
   async _saveToLocalFile(params) {
-    // This would be implemented with actual file system access
-    if (this.config.debug) {
-      console.log(`Saving to local file: ${params.fileName}`);
-    }
-    
-    // Mock implementation
-    return {
-      url: `file:///tmp/${params.fileName}`,
-      path: `/tmp/${params.fileName}`,
-      success: true
-    };
+    return this.localStorage.save(params);
   }
   
   /**
-   * Store in memory (mock implementation)
+   * Return the content as a data URL, without storing it anywhere
    * @param {Object} params Upload parameters
    * @returns {Promise<Object>} Upload result
    * @private
    */
   async _storeInMemory(params) {
-    // This would store the content in memory or return a data URL
     if (this.config.debug) {
       console.log(`Storing in memory: ${params.fileName}`);
     }
     
-    // Mock implementation
-    const mockUrl = `data:${params.mimeType};filename=${encodeURIComponent(params.fileName)},${encodeURIComponent(params.content).substring(0, 50)}...`;
+    const data = Buffer.from(params.content, 'utf8').toString('base64');
     
     return {
-      url: mockUrl,
+      url: `data:${params.mimeType};charset=utf-8;base64,${data}`,
       id: this._generateMockId(),
       success: true
     };
   }
   
+  /**
+   * Look up a file saved by the local storage provider
+   * @param {string} id File id from the export result
+   * @returns {Promise<Object|null>} `{ id, fileName, path, mimeType, size }`, or null if there is no such file
+   */
+  async getStoredFile(id) {
+    return this.localStorage.get(id);
+  }
+  
   /**
    * Generate a mock ID for testing
    * @returns {string} Mock ID
@@ -0,0 +1,381 @@
+/**
+ * Gemini Enhancer Module
+ *
+ * Enhancement provider backed by the Gemini REST API (generateContent)
+ * Builds platform-aware system prompts for each detail level
+ * Requests structured JSON output and validates it against the structured prompt schema
+ * Applies timeouts and retries with backoff, and falls back to the unenhanced prompt
+ *
+ * Enhancement providers implement `enhance(prompt, platform, options)` and resolve to the
+ * enhanced prompt; see VeoPromptExporter's `enhancer` option.
+ */
+
+const http = require('http');
+const https = require('https');
+const PlatformRegistry = require('./platformRegistry');
+const PolicyRegistry = require('./policyRegistry');
+const PromptSchema = require('./promptSchema');
+
+// Structured prompt fields the model describes; parameters, references and video stay with the caller
+const STRUCTURED_FIELDS = ['schemaVersion', 'subject', 'action', 'style', 'setting', 'camera', 'lighting', 'negative'];
+
+const DETAIL_LEVELS = {
+  basic: 'Make minimal edits: fix grammar and word order and make vague words concrete. Do not add new visual elements.',
+  standard: 'Add concrete visual detail where the prompt is vague: lighting, mood, composition and texture. Keep every element of the original.',
+  detailed: 'Write a rich, cinematic description: lighting, lens and framing, color palette, texture, atmosphere and, for video, subject and camera motion. Keep every element of the original.'
+};
+
+class GeminiEnhancer {
+  /**
+   * Creates a new GeminiEnhancer instance
+   * @param {Object} config Configuration options
+   * @param {Object} [config.geminiOptions] Gemini API options
+   * @param {string} [config.geminiOptions.apiKey] API key (default: GEMINI_API_KEY)
+   * @param {string} [config.geminiOptions.model='gemini-2.0-flash'] Model name
+   * @param {string} [config.geminiOptions.baseUrl] API base URL (default: GEMINI_API_BASE_URL or the public endpoint)
+   * @param {number} [config.geminiOptions.timeout=15000] Timeout per request in milliseconds
+   * @param {number} [config.geminiOptions.maxRetries=2] Retries after a failed request
+   * @param {number} [config.geminiOptions.retryDelay=500] Delay before the first retry in milliseconds; doubles on each retry
+   * @param {boolean} [config.geminiOptions.fallback=true] Whether to return the unenhanced prompt when every attempt fails
+   * @param {PlatformRegistry} [config.platformRegistry] Registry holding the platform rules
+   * @param {PolicyRegistry} [config.policyRegistry] Registry holding the content policies
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+    
+    this.options = {
+      apiKey: process.env.GEMINI_API_KEY,
+      model: 'gemini-2.0-flash',
+      baseUrl: process.env.GEMINI_API_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
+      timeout: 15000,
+      maxRetries: 2,
+      retryDelay: 500,
+      fallback: true,
+      ...this.config.geminiOptions
+    };
+    
+    this.name = 'gemini';
+    this.platforms = this.config.platformRegistry || new PlatformRegistry({ debug: this.config.debug });
+    this.policies = this.config.policyRegistry || new PolicyRegistry({ debug: this.config.debug });
+    this.schema = new PromptSchema(this.config);
+  }
+  
+  /**
+   * Enhance a prompt for a platform
+   * The enhanced prompt keeps the parsed metadata and gains `metadata.enhancement` with the
+   * provider, model, detail level, status ('enhanced' or 'fallback'), number of attempts,
+   * the model's structured description (`structured`) or the error that caused the fallback.
+   * @param {Object} prompt Parsed prompt
+   * @param {string} platform Target platform
+   * @param {Object} options Enhancement options
+   * @param {string} [options.detailLevel='standard'] 'basic', 'standard' or 'detailed'
+   * @returns {Promise<Object>} Enhanced prompt
+   */
+  async enhance(prompt, platform, options = {}) {
+    const { detailLevel = 'standard' } = options;
+    
+    if (!DETAIL_LEVELS[detailLevel]) {
+      throw new Error(`Unknown detail level: ${detailLevel}`);
+    }
+    
+    const enhancement = { provider: this.name, model: this.options.model, detailLevel };
+    let attempts = 0;
+    
+    try {
+      if (!this.options.apiKey) {
+        throw new Error('GEMINI_API_KEY is not set');
+      }
+      
+      const body = this.buildRequest(prompt, platform, detailLevel);
+      let result;
+      
+      while (!result) {
+        attempts++;
+        
+        try {
+          result = this._parseResponse(await this._post(body));
+        } catch (error) {
+          if (!error.retryable || attempts > this.options.maxRetries) {
+            throw error;
+          }
+          
+          const delay = this.options.retryDelay * 2 ** (attempts - 1);
+          if (this.config.debug) {
+            console.log(`Gemini attempt ${attempts} failed (${error.message}); retrying in ${delay}ms`);
+          }
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+      
+      return {
+        ...prompt,
+        content: result.prompt,
+        metadata: {
+          ...prompt.metadata,
+          enhancement: { ...enhancement, status: 'enhanced', attempts, structured: result.structured }
+        }
+      };
+    } catch (error) {
+      if (!this.options.fallback) {
+        throw new Error(`Gemini enhancement failed: ${error.message}`);
+      }
+      
+      if (this.config.debug) {
+        console.log(`Gemini enhancement failed, using the unenhanced prompt: ${error.message}`);
+      }
+      
+      return {
+        ...prompt,
+        metadata: {
+          ...prompt.metadata,
+          enhancement: { ...enhancement, status: 'fallback', attempts, error: error.message }
+        }
+      };
+    }
+  }
+  
+  /**
+   * Build the generateContent request body for a prompt
+   * @param {Object} prompt Parsed prompt
+   * @param {string} platform Target platform
+   * @param {string} detailLevel Detail level
+   * @returns {Object} Request body
+   */
+  buildRequest(prompt, platform, detailLevel) {
+    return {
+      systemInstruction: {
+        parts: [{ text: this.buildSystemPrompt(platform, detailLevel) }]
+      },
+      contents: [
+        { role: 'user', parts: [{ text: prompt.content }] }
+      ],
+      generationConfig: {
+        temperature: detailLevel === 'basic' ? 0.2 : 0.7,
+        responseMimeType: 'application/json',
+        responseSchema: this._responseSchema()
+      }
+    };
+  }
+  
+  /**
+   * Build the system prompt for a platform and detail level
+   * @param {string} platform Target platform
+   * @param {string} detailLevel Detail level
+   * @returns {string} System prompt
+   */
+  buildSystemPrompt(platform, detailLevel) {
+    const adapter = this.platforms.resolve(platform);
+    const isVideo = Boolean(adapter.video);
+    const forbiddenTerms = this.policies.terms(adapter);
+    const lines = [
+      `You rewrite prompts for ${adapter.name}, an AI ${isVideo ? 'video' : 'image'} generation platform.`,
+      DETAIL_LEVELS[detailLevel],
+      `The rewritten prompt must be at most ${adapter.formatting.maxLength} characters.`
+    ];
+    
+    if (adapter.validation.recommendedFormat) {
+      lines.push(`Follow the platform's recommended structure: ${adapter.validation.recommendedFormat}.`);
+    }
+    
+    if (adapter.formatting.supportsWeights) {
+      lines.push('Keep any weighting syntax such as (term:1.2) exactly as written.');
+    } else {
+      lines.push('Do not use weighting syntax such as (term:1.2).');
+    }
+    
+    if (adapter.parameterSyntax === 'midjourney') {
+      lines.push('Keep any --parameters at the end exactly as written and do not add new ones.');
+    }
+    
+    if (isVideo) {
+      lines.push('Describe a single continuous shot and what moves in it.');
+    }
+    
+    lines.push(
+      'Keep camera, lens and shot size phrases (e.g. "slow pan left", "35mm lens", "close-up") exactly as written.',
+      forbiddenTerms.length ?
+        `Never use these words: ${forbiddenTerms.join(', ')}.` :
+        'Avoid unsafe content.',
+      'Respond with JSON: "prompt" is the rewritten prompt text, and "structured" describes it as a structured prompt with schemaVersion 1.'
+    );
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Send a generateContent request
+   * @param {Object} body Request body
+   * @returns {Promise<Object>} Parsed response body
+   * @private
+   */
+  _post(body) {
+    const url = new URL(`${this.options.baseUrl.replace(/\/+$/, '')}/models/${encodeURIComponent(this.options.model)}:generateContent`);
+    const client = url.protocol === 'http:' ? http : https;
+    const payload = JSON.stringify(body);
+    
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const fail = (message, retryable) => {
+        clearTimeout(timer);
+        reject(Object.assign(new Error(message), { retryable }));
+      };
+      
+      const request = client.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          'x-goog-api-key': this.options.apiKey
+        }
+      }, response => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+          text += chunk;
+        });
+        response.on('end', () => {
+          clearTimeout(timer);
+          
+          if (response.statusCode < 200 || response.statusCode >= 300) {
+            let detail = text.trim().substring(0, 200);
+            try {
+              detail = JSON.parse(text).error.message || detail;
+            } catch (e) {
+              // Not a JSON error body; keep the raw text
+            }
+            
+            // Rate limits and server errors are worth retrying; bad requests and auth errors are not
+            fail(`Gemini API returned ${response.statusCode}: ${detail}`, response.statusCode === 429 || response.statusCode >= 500);
+            return;
+          }
+          
+          try {
+            resolve(JSON.parse(text));
+          } catch (e) {
+            fail('Gemini API returned invalid JSON', true);
+          }
+        });
+        response.on('error', error => fail(error.message, true));
+      });
+      
+      // The timeout covers the whole request, not just idle time on the socket
+      timer = setTimeout(() => {
+        request.destroy(new Error(`Gemini request timed out after ${this.options.timeout}ms`));
+      }, this.options.timeout);
+      
+      request.on('error', error => fail(error.message, true));
+      request.end(payload);
+    });
+  }
+  
+  /**
+   * Read and validate the model's answer from a generateContent response
+   * @param {Object} response Response body
+   * @returns {Object} `{ prompt, structured }`
+   * @private
+   */
+  _parseResponse(response) {
+    const fail = (message, retryable) => {
+      throw Object.assign(new Error(message), { retryable });
+    };
+    
+    if (response.promptFeedback && response.promptFeedback.blockReason) {
+      fail(`Gemini blocked the prompt: ${response.promptFeedback.blockReason}`, false);
+    }
+    
+    const candidate = (response.candidates || [])[0];
+    if (!candidate) {
+      fail('Gemini returned no candidates', true);
+    }
+    
+    if (candidate.finishReason && !['STOP', 'MAX_TOKENS'].includes(candidate.finishReason)) {
+      fail(`Gemini stopped with reason ${candidate.finishReason}`, candidate.finishReason !== 'SAFETY');
+    }
+    
+    const text = ((candidate.content && candidate.content.parts) || []).map(part => part.text || '').join('');
+    let answer;
+    try {
+      answer = JSON.parse(text);
+    } catch (e) {
+      fail('Gemini answer is not valid JSON', true);
+    }
+    
+    if (!answer || typeof answer.prompt !== 'string' || !answer.prompt.trim()) {
+      fail('Gemini answer has no "prompt" text', true);
+    }
+    
+    const structured = { schemaVersion: 1, ...answer.structured };
+    const errors = this.schema.validate(structured);
+    if (errors.length) {
+      fail(`Gemini answer does not match the prompt schema: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`, true);
+    }
+    
+    return { prompt: answer.prompt.trim(), structured };
+  }
+  
+  /**
+   * Build the Gemini response schema from the structured prompt JSON Schema
+   * @returns {Object} Response schema (OpenAPI subset used by generationConfig.responseSchema)
+   * @private
+   */
+  _responseSchema() {
+    const properties = this.schema.getSchema().properties;
+    const structured = {};
+    
+    STRUCTURED_FIELDS.forEach(key => {
+      structured[key] = this._toResponseSchema(properties[key]);
+    });
+    
+    return {
+      type: 'OBJECT',
+      properties: {
+        prompt: { type: 'STRING' },
+        structured: { type: 'OBJECT', properties: structured, required: ['schemaVersion', 'subject'] }
+      },
+      required: ['prompt', 'structured']
+    };
+  }
+  
+  /**
+   * Convert a JSON Schema node to the Gemini response schema subset
+   * @param {Object} schema JSON Schema node
+   * @returns {Object} Response schema node
+   * @private
+   */
+  _toResponseSchema(schema) {
+    const converted = {};
+    
+    if (schema.description) {
+      converted.description = schema.description;
+    }
+    
+    if (schema.enum) {
+      const numeric = schema.enum.every(value => typeof value === 'number');
+      return numeric ?
+        { ...converted, type: 'INTEGER', description: `Always ${schema.enum.join(' or ')}` } :
+        { ...converted, type: 'STRING', enum: schema.enum };
+    }
+    
+    converted.type = String(schema.type).toUpperCase();
+    
+    if (schema.type === 'array') {
+      converted.items = this._toResponseSchema(schema.items);
+    } else if (schema.type === 'object') {
+      converted.properties = {};
+      Object.entries(schema.properties || {}).forEach(([key, child]) => {
+        converted.properties[key] = this._toResponseSchema(child);
+      });
+      
+      if (schema.required) {
+        converted.required = schema.required;
+      }
+    }
+    
+    return converted;
+  }
+}
+
+module.exports = GeminiEnhancer;
@@ -0,0 +1,417 @@
+/**
+ * Import Engine Module
+ *
+ * Reads files produced by ExportEngine (JSON, CSV, TXT, XML, YAML, JSONL) back into prompts
+ * Markdown shot lists are for review only and cannot be imported
+ * Detects the format from the file name or the content
+ * Restores content, metadata and export timestamp so prompts can be re-exported
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+const CsvCodec = require('./csvCodec');
+const XmlCodec = require('./xmlCodec');
+
+const TXT_METADATA_MARKER = '\n\n--- Metadata ---\n';
+const TXT_SECTION_HEADING = /^=== Prompt \d+ ===\n/m;
+
+class ImportEngine {
+  /**
+   * Creates a new ImportEngine instance
+   * @param {Object} config Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+    
+    this.csv = new CsvCodec();
+    this.xml = new XmlCodec();
+    
+    // Format-specific import settings, matching ExportEngine.formatSettings
+    this.formatSettings = {
+      json: {
+        extension: '.json',
+        importer: this._importJson.bind(this)
+      },
+      txt: {
+        extension: '.txt',
+        importer: this._importTxt.bind(this)
+      },
+      csv: {
+        extension: '.csv',
+        importer: this._importCsv.bind(this)
+      },
+      xml: {
+        extension: '.xml',
+        importer: this._importXml.bind(this)
+      },
+      yaml: {
+        extension: '.yaml',
+        importer: this._importYaml.bind(this)
+      },
+      jsonl: {
+        extension: '.jsonl',
+        importer: this._importJsonl.bind(this)
+      }
+    };
+  }
+  
+  /**
+   * Import an exported file
+   * JSON, YAML and JSONL restore metadata exactly. CSV, TXT and XML store metadata as text, so values
+   * written as JSON (objects, arrays), booleans and null are decoded and everything else
+   * is read back as a string.
+   * @param {string} content File content
+   * @param {Object} options Import options
+   * @param {string} [options.format='auto'] Format id, or 'auto' to detect it
+   * @param {string} [options.fileName] File name, used to detect the format by extension
+   * @returns {Object} `{ format, collection, prompts }` where each prompt has `content`,
+   *   `metadata` and `timestamp` (null if the format does not store one), and `collection`
+   *   tells whether the file was a multi-prompt export
+   */
+  import(content, options = {}) {
+    const { format = 'auto', fileName } = options;
+    
+    if (typeof content !== 'string' || !content.trim()) {
+      throw new Error('Import content cannot be empty');
+    }
+    
+    const text = content.replace(/^\uFEFF/, '');
+    const resolvedFormat = format === 'auto' ? this.detectFormat(text, fileName) : format;
+    const formatConfig = this.formatSettings[resolvedFormat];
+    
+    if (!formatConfig) {
+      throw new Error(`Unsupported import format: ${resolvedFormat}`);
+    }
+    
+    if (this.config.debug) {
+      console.log(`Importing ${resolvedFormat} export`);
+    }
+    
+    let result;
+    try {
+      result = formatConfig.importer(text);
+    } catch (error) {
+      throw new Error(`Invalid ${resolvedFormat} export: ${error.message}`);
+    }
+    
+    if (!result.prompts.length) {
+      throw new Error(`No prompts found in ${resolvedFormat} export`);
+    }
+    
+    return { format: resolvedFormat, ...result };
+  }
+  
+  /**
+   * Detect the format of an exported file
+   * @param {string} content File content
+   * @param {string} [fileName] File name; a known extension decides the format
+   * @returns {string} Format id
+   */
+  detectFormat(content, fileName) {
+    if (fileName) {
+      const extension = path.extname(fileName).toLowerCase();
+      const format = Object.keys(this.formatSettings)
+        .find(id => this.formatSettings[id].extension === extension);
+      
+      if (format) {
+        return format;
+      }
+    }
+    
+    const text = content.replace(/^\uFEFF/, '').trimStart();
+    
+    if (text.startsWith('<')) {
+      return 'xml';
+    }
+    
+    if (/^[[{]/.test(text)) {
+      try {
+        JSON.parse(text);
+        return 'json';
+      } catch (e) {
+        // Not a single JSON document; JSON Lines has one object per line
+      }
+      
+      if (this._isJsonLines(text)) {
+        return 'jsonl';
+      }
+    }
+    
+    if (/^(- )?prompt: /.test(text)) {
+      return 'yaml';
+    }
+    
+    if (/^"?prompt"?[,;\t|]/.test(text)) {
+      return 'csv';
+    }
+    
+    return 'txt';
+  }
+  
+  /**
+   * Import a JSON export (one object or an array of objects)
+   * @param {string} text File content
+   * @returns {Object} `{ collection, prompts }`
+   * @private
+   */
+  _importJson(text) {
+    return this._importObjects(JSON.parse(text));
+  }
+  
+  /**
+   * Import a YAML export (one mapping or a list of mappings)
+   * @param {string} text File content
+   * @returns {Object} `{ collection, prompts }`
+   * @private
+   */
+  _importYaml(text) {
+    return this._importObjects(yaml.safeLoad(text));
+  }
+  
+  /**
+   * Import a JSONL export (one object per line)
+   * @param {string} text File content
+   * @returns {Object} `{ collection, prompts }`
+   * @private
+   */
+  _importJsonl(text) {
+    const items = [];
+    
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      
+      try {
+        items.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`line ${index + 1}: ${error.message}`);
+      }
+    });
+    
+    const { prompts } = this._importObjects(items);
+    
+    return { collection: prompts.length > 1, prompts };
+  }
+  
+  /**
+   * Read prompts from parsed JSON or YAML data (`{ prompt, timestamp, metadata }` objects)
+   * @param {Object|Array<Object>} data One object or a list of objects
+   * @returns {Object} `{ collection, prompts }`
+   * @private
+   */
+  _importObjects(data) {
+    const items = Array.isArray(data) ? data : [data];
+    
+    const prompts = items.map((item, index) => {
+      if (!item || typeof item.prompt !== 'string') {
+        throw new Error(`entry ${index + 1} has no "prompt" string`);
+      }
+      
+      return this._createPrompt(item.prompt, item.metadata, item.timestamp);
+    });
+    
+    return { collection: Array.isArray(data), prompts };
+  }
+  
+  /**
+   * Check whether text is JSON Lines: every non-blank line is a JSON object
+   * @param {string} text File content
+   * @returns {boolean} Whether the text is JSON Lines
+   * @private
+   */
+  _isJsonLines(text) {
+    return text.split(/\r?\n/).filter(line => line.trim()).every(line => {
+      try {
+        const value = JSON.parse(line);
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+  
+  /**
+   * Import a TXT export (one prompt, or `=== Prompt n ===` sections)
+   * @param {string} text File content
+   * @returns {Object} `{ collection, prompts }`
+   * @private
+   */
+  _importTxt(text) {
+    const normalized = text.replace(/\r\n?/g, '\n');
+    const collection = TXT_SECTION_HEADING.test(normalized);
+    const sections = collection ?
+      normalized.split(TXT_SECTION_HEADING).slice(1) :
+      [normalized];
+    
+    const prompts = sections.map(section => {
+      const markerIndex = section.indexOf(TXT_METADATA_MARKER);
+      const body = markerIndex === -1 ? section : section.substring(0, markerIndex);
+      const metadata = {};
+      
+      if (markerIndex !== -1) {
+        let lastKey = null;
+        
+        section.substring(markerIndex + TXT_METADATA_MARKER.length).split('\n').forEach(line => {
+          const match = line.match(/^([^:\n]+): (.*)$/);
+          
+          if (match) {
+            lastKey = match[1];
+            metadata[lastKey] = match[2];
+          } else if (lastKey && line) {
+            // Values with line breaks continue on the following lines
+            metadata[lastKey] += `\n${line}`;
+          }
+        });
+        
+        Object.keys(metadata).forEach(key => {
+          if (metadata[key] === '') {
+            delete metadata[key];
+          } else {
+            metadata[key] = this._decodeValue(metadata[key]);
+          }
+        });
+      }
+      
+      return this._createPrompt(body.replace(/\n+$/, ''), metadata, null);
+    });
+    
+    return { collection, prompts };
+  }
+  
+  /**
+   * Import a CSV export (`prompt`, `timestamp`, then one column per metadata key)
+   * Columns marked with `[]` hold lists; their cells are split into items, and an empty
+   * cell is an empty list.
+   * @param {string} text File content
+   * @returns {Object} `{ collection, prompts }`
+   * @private
+   */
+  _importCsv(text) {
+    const delimiterMatch = text.match(/^"?prompt"?([,;\t|])/);
+    const [header, ...records] = this.csv.parse(text, { delimiter: delimiterMatch ? delimiterMatch[1] : ',' });
+    const columns = header.fields;
+    
+    if (columns[0] !== 'prompt') {
+      throw new Error('first column must be "prompt"');
+    }
+    
+    const timestampIndex = columns[1] === 'timestamp' ? 1 : -1;
+    
+    const prompts = records
+      .filter(record => record.fields.some(field => field !== ''))
+      .map(record => {
+        const metadata = {};
+        
+        columns.forEach((column, index) => {
+          const value = record.fields[index];
+          
+          if (index === 0 || index === timestampIndex || value === undefined) {
+            return;
+          }
+          
+          if (column.endsWith(CsvCodec.LIST_SUFFIX)) {
+            metadata[column.slice(0, -CsvCodec.LIST_SUFFIX.length)] = this.csv.parseList(value)
+              .map(item => this._decodeValue(item));
+          } else if (value !== '') {
+            // Empty cells belong to metadata keys the prompt did not have
+            metadata[column] = this._decodeValue(value);
+          }
+        });
+        
+        return this._createPrompt(
+          record.fields[0],
+          metadata,
+          timestampIndex === -1 ? null : record.fields[timestampIndex]
+        );
+      });
+    
+    return { collection: prompts.length > 1, prompts };
+  }
+  
+  /**
+   * Import an XML export (a `<prompt>` root, or `<prompt>` elements under `<prompts>`)
+   * @param {string} text File content
+   * @returns {Object} `{ collection, prompts }`
+   * @private
+   */
+  _importXml(text) {
+    const root = this.xml.parse(text);
+    const collection = root.name === 'prompts';
+    
+    // Transformer output may use a custom root element instead of <prompt>
+    const elements = collection ? root.children.filter(child => child.name === 'prompt') : [root];
+    
+    const prompts = elements.map(element => {
+      const child = name => element.children.find(node => node.name === name);
+      const content = child('content');
+      const timestamp = child('timestamp');
+      const metadataElement = child('metadata');
+      const metadata = {};
+      
+      if (!content) {
+        throw new Error(`<${element.name}> has no <content> element`);
+      }
+      
+      (metadataElement ? metadataElement.children : []).forEach(field => {
+        // XmlCodec#field() keeps keys that are not valid element names in a `key` attribute
+        const key = field.attributes.key !== undefined ? field.attributes.key : field.name;
+        
+        if (field.children.length || field.attributes.type === 'list') {
+          metadata[key] = field.children.map(item => this._decodeValue(item.text));
+        } else if (field.selfClosing) {
+          metadata[key] = null;
+        } else {
+          metadata[key] = this._decodeValue(field.text);
+        }
+      });
+      
+      return this._createPrompt(content.text, metadata, timestamp ? timestamp.text.trim() : null);
+    });
+    
+    return { collection, prompts };
+  }
+  
+  /**
+   * Decode a metadata value stored as text
+   * @param {string} text Stored text
+   * @returns {*} Decoded value
+   * @private
+   */
+  _decodeValue(text) {
+    if (/^(\{[\s\S]*\}|\[[\s\S]*\])$/.test(text)) {
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return text;
+      }
+    }
+    
+    if (text === 'true' || text === 'false') {
+      return text === 'true';
+    }
+    
+    return text === 'null' ? null : text;
+  }
+  
+  /**
+   * Build an imported prompt
+   * @param {string} content Prompt content
+   * @param {Object} metadata Prompt metadata
+   * @param {string|null} timestamp Export timestamp
+   * @returns {Object} Imported prompt
+   * @private
+   */
+  _createPrompt(content, metadata, timestamp) {
+    return {
+      content,
+      metadata: metadata && typeof metadata === 'object' ? metadata : {},
+      timestamp: timestamp || null
+    };
+  }
+}
+
+module.exports = ImportEngine;
@@ -6,36 +6,120 @@
  * formatting, and validation.
  */
 
+const path = require('path');
+const PromptParser = require('./parser');
+const FormatTransformer = require('./transformer');
+const PromptValidator = require('./validator');
+const ExportEngine = require('./exportEngine');
+const PlatformRegistry = require('./platformRegistry');
+const PolicyRegistry = require('./policyRegistry');
+const TokenCounter = require('./tokenCounter');
+const PromptSchema = require('./promptSchema');
+const ImportEngine = require('./importEngine');
+const GeminiEnhancer = require('./geminiEnhancer');
+const RuleBasedEnhancer = require('./ruleBasedEnhancer');
+const DriveClient = require('./driveClient');
+const BatchSource = require('./batchSource');
+const JobQueue = require('./jobQueue');
+const SourceLocator = require('./sourceLocator');
+const PromptTemplate = require('./promptTemplate');
+
+const ENHANCEMENT_PROVIDERS = ['gemini', 'local', 'none'];
+
 class VeoPromptExporter {
   /**
    * Creates a new VeoPromptExporter instance
    * @param {Object} config Configuration options
+   * @param {PromptParser|Function} [config.parser] Parser instance or class to use instead of PromptParser
+   * @param {FormatTransformer|Function} [config.transformer] Transformer instance or class to use instead of FormatTransformer
+   * @param {PromptValidator|Function} [config.validator] Validator instance or class to use instead of PromptValidator
+   * @param {ExportEngine|Function} [config.exportEngine] Export engine instance or class to use instead of ExportEngine
+   * @param {Object|Function} [config.enhancer] Enhancement provider instance or class to use instead of GeminiEnhancer;
+   *   providers implement `enhance(prompt, platform, { detailLevel })` and resolve to the enhanced prompt
+   * @param {Object|Function} [config.localEnhancer] Offline provider instance or class to use instead of RuleBasedEnhancer
+   * @param {string} [config.enhancementProvider] Default enhancement provider ('gemini', 'local' or 'none');
+   *   when unset, `useGemini` chooses between 'gemini' and 'none'
+   * @param {PlatformRegistry} [config.platformRegistry] Registry to share instead of a new one with the built-in platforms
+   * @param {string} [config.platformsDir] Directory of additional platform adapter files to load
+   * @param {PolicyRegistry} [config.policyRegistry] Content policy registry to share instead of a new one
+   * @param {string} [config.policiesDir] Directory of content policy files to load
+   * @param {Array<string>} [config.policies] Content policy packs that apply to every platform
+   * @param {Object} [config.tokenCounters] Extra token counters by name, for platform token budgets; see TokenCounter
+   * @param {Object} [config.geminiOptions] Gemini API options (apiKey, model, baseUrl, timeout, maxRetries,
+   *   retryDelay, fallback); see GeminiEnhancer
+   * @param {string} [config.defaultStorage] Where exported files go: 'google_drive', 'local' or 'memory'. Default: 'memory'
+   * @param {Object} [config.driveClient] Google Drive client to use instead of a DriveClient (see DriveClient
+   *   for the methods it needs)
+   * @param {number} [config.maxBatchSize=50] Most prompt files one batch may hold (0 for no limit)
+   * @param {number} [config.maxBatchFileSize] Largest batch file read, in bytes; see BatchSource
+   * @param {number} [config.maxArchiveSize] Most bytes read from all the files of one zip archive; see BatchSource
+   * @param {number} [config.maxTemplateVariants=100] Most prompts one template may expand to; see PromptTemplate
+   * @param {Object} [config.jobOptions] Batch job options (stateDir, concurrency, maxRetries, retryDelay,
+   *   retention); see JobQueue
+   * @param {Object} [config.driveOptions] Google Drive options (clientId, clientSecret, redirectUri, tokens,
+   *   tokenPath, outputFolderId, sharing); see DriveClient and ExportEngine
+   * @param {string} [config.exportDir] Directory for the 'local' storage provider. Default: ./exports
+   * @param {Object|string} [config.comfyuiTemplate] ComfyUI workflow template in API format (object,
+   *   JSON string or file path) for the 'comfyui' export format
    */
   constructor(config = {}) {
+    const {
+      parser,
+      transformer,
+      validator,
+      exportEngine,
+      enhancer,
+      localEnhancer,
+      platformRegistry,
+      policyRegistry,
+      driveClient,
+      ...options
+    } = config;
+    
     this.config = {
       debug: false,
       useGemini: true,
       defaultPlatform: 'midjourney',
       defaultFormat: 'json',
-      ...config
+      maxBatchSize: 50,
+      ...options
     };
     
-    this.supportedPlatforms = [
-      { id: 'midjourney', name: 'Midjourney', supportedFormats: ['json', 'txt'] },
-      { id: 'stable_diffusion', name: 'Stable Diffusion', supportedFormats: ['json', 'txt'] },
-      { id: 'dall_e', name: 'DALL-E', supportedFormats: ['json', 'txt'] },
-      { id: 'runway', name: 'Runway', supportedFormats: ['json'] },
-      { id: 'custom', name: 'Custom Platform', supportedFormats: ['json', 'txt', 'csv', 'xml'] }
-    ];
+    this.platformRegistry = platformRegistry || new PlatformRegistry({
+      debug: this.config.debug,
+      platformsDir: this.config.platformsDir
+    });
+    
+    this.policyRegistry = policyRegistry || new PolicyRegistry({
+      debug: this.config.debug,
+      policiesDir: this.config.policiesDir,
+      policies: this.config.policies
+    });
+    
+    this.tokenCounter = new TokenCounter({ debug: this.config.debug, tokenCounters: this.config.tokenCounters });
+    
+    this.driveClient = driveClient || new DriveClient({ debug: this.config.debug, ...this.config.driveOptions });
+    this.batchSource = new BatchSource(this.config);
+    this.promptTemplate = new PromptTemplate(this.config);
+    this.jobQueue = new JobQueue({
+      debug: this.config.debug,
+      ...this.config.jobOptions,
+      worker: (job, item) => this._runBatchJobItem(job, item)
+    });
     
     this.supportedFormats = [
       { id: 'json', name: 'JSON', mimeType: 'application/json', extension: '.json' },
       { id: 'txt', name: 'Plain Text', mimeType: 'text/plain', extension: '.txt' },
       { id: 'csv', name: 'CSV', mimeType: 'text/csv', extension: '.csv' },
-      { id: 'xml', name: 'XML', mimeType: 'application/xml', extension: '.xml' }
+      { id: 'xml', name: 'XML', mimeType: 'application/xml', extension: '.xml' },
+      { id: 'yaml', name: 'YAML', mimeType: 'application/yaml', extension: '.yaml' },
+      { id: 'md', name: 'Markdown Shot List', mimeType: 'text/markdown', extension: '.md' },
+      { id: 'jsonl', name: 'JSON Lines', mimeType: 'application/x-ndjson', extension: '.jsonl' },
+      { id: 'comfyui', name: 'ComfyUI Workflow', mimeType: 'application/json', extension: '.json' },
+      { id: 'a1111', name: 'Automatic1111 txt2img', mimeType: 'application/json', extension: '.json' }
     ];
     
-    this._initializeComponents();
+    this._initializeComponents({ parser, transformer, validator, exportEngine, enhancer, localEnhancer });
     
     if (this.config.debug) {
       console.log('VeoPromptExporter initialized with config:', this.config);
@@ -44,18 +128,51 @@ class VeoPromptExporter {
   
   /**
    * Initialize the core components of the exporter
+   * @param {Object} overrides Injected component instances or classes, keyed by component name
    * @private
    */
-  _initializeComponents() {
-    // These would be actual implementations in a production environment
-    this.parser = new PromptParser(this.config);
-    this.transformer = new FormatTransformer(this.config);
-    this.exportEngine = new ExportEngine(this.config);
-    this.validator = new PromptValidator(this.config);
+  _initializeComponents(overrides = {}) {
+    this.parser = this._createComponent(overrides.parser, PromptParser);
+    this.transformer = this._createComponent(overrides.transformer, FormatTransformer);
+    this.exportEngine = this._createComponent(overrides.exportEngine, ExportEngine);
+    this.validator = this._createComponent(overrides.validator, PromptValidator);
+    this.enhancer = this._createComponent(overrides.enhancer, GeminiEnhancer);
+    this.localEnhancer = this._createComponent(overrides.localEnhancer, RuleBasedEnhancer);
+  }
+  
+  /**
+   * Resolve a single component from an override or the default implementation
+   * @param {Object|Function|undefined} override Component instance, class, or nothing
+   * @param {Function} DefaultComponent Default component class
+   * @returns {Object} Component instance
+   * @private
+   */
+  _createComponent(override, DefaultComponent) {
+    const componentConfig = {
+      ...this.config,
+      platformRegistry: this.platformRegistry,
+      policyRegistry: this.policyRegistry,
+      tokenCounter: this.tokenCounter,
+      driveClient: this.driveClient
+    };
+    
+    if (!override) {
+      return new DefaultComponent(componentConfig);
+    }
+    
+    // Classes (e.g. subclasses of the default component) are instantiated with our config
+    if (typeof override === 'function') {
+      return new override(componentConfig);
+    }
+    
+    return override;
   }
   
   /**
    * Export a prompt based on the provided options
+   * Multi-prompt sources (e.g. screenplays) run every prompt through the pipeline
+   * and export them together in one file, in source order. With `template`, the source is
+   * rendered as a prompt template first, once per combination of its matrix variables.
    * @param {Object} options Export options
    * @returns {Promise<Object>} Export result
    */
@@ -64,113 +181,569 @@ class VeoPromptExporter {
       const {
         sourceContent,
         sourceType = 'text',
-        targetPlatform = this.config.defaultPlatform,
-        exportFormat = this.config.defaultFormat,
-        enhancementOptions = {
-          useGemini: this.config.useGemini,
-          detailLevel: 'standard',
-          includeMetadata: true
-        }
+        sourceOptions = {},
+        template
       } = options;
       
       // Validate input
       this._validateExportOptions(options);
       
-      // Parse the source content
-      const parsedPrompt = await this.parser.parse(sourceContent, sourceType);
+      // Parse the source content into one or more prompts
+      const parsedPrompts = await this._parseSource(sourceContent, sourceType, sourceOptions, template);
       
-      // Enhance with Gemini if requested
-      let enhancedPrompt = parsedPrompt;
-      if (enhancementOptions.useGemini) {
-        enhancedPrompt = await this._enhanceWithGemini(
-          parsedPrompt,
-          targetPlatform,
-          enhancementOptions.detailLevel
-        );
+      return await this._exportParsedPrompts(parsedPrompts, options);
+    } catch (error) {
+      if (this.config.debug) {
+        console.error('Error in exportPrompt:', error);
       }
+      throw new Error(`Failed to export prompt: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Export several prompts into one combined file
+   * Each prompt runs through the pipeline on its own; a prompt that fails is
+   * reported in its entry and left out of the file.
+   * @param {Object} options Export options as for exportPrompt, with `prompts` instead of `sourceContent`
+   * @param {Array<string|Object>} options.prompts Prompt texts, or objects with `sourceContent` and
+   *   optional `sourceType`, `sourceOptions`, `template` and `videoSettings` overriding the shared options
+   * @returns {Promise<Object>} Export result
+   */
+  async exportPrompts(options) {
+    try {
+      const {
+        prompts,
+        sourceType = 'text',
+        sourceOptions = {},
+        template
+      } = options;
       
-      // Validate for the target platform
-      const validationResult = this.validator.validate(enhancedPrompt, targetPlatform);
+      if (!Array.isArray(prompts)) {
+        throw new Error('prompts must be an array');
+      }
       
-      // Transform to the desired format
-      const formattedPrompt = this.transformer.transform(
-        enhancedPrompt,
-        targetPlatform,
-        exportFormat
-      );
+      // Validate input
+      this._validateExportOptions(options);
       
-      // Generate export data
-      const exportResult = await this.exportEngine.export(
-        formattedPrompt,
-        exportFormat,
-        enhancementOptions.includeMetadata
-      );
+      const parsedPrompts = [];
       
-      return {
-        exportedPrompts: [
-          {
-            id: `prompt_${Date.now()}`,
-            prompt: sourceContent,
-            enhancedPrompt: enhancedPrompt.content,
-            metadata: enhancedPrompt.metadata,
-            validationStatus: validationResult.status,
-            validationMessage: validationResult.message
+      for (const [index, item] of prompts.entries()) {
+        const promptOptions = typeof item === 'string' ? { sourceContent: item } : (item || {});
+        const label = `Prompt ${index + 1}`;
+        
+        try {
+          if (!promptOptions.sourceContent) {
+            throw new Error('Source content is required');
           }
-        ],
-        summary: {
-          totalPrompts: 1,
-          validPrompts: validationResult.status === 'valid' ? 1 : 0,
-          warningPrompts: validationResult.status === 'warning' ? 1 : 0,
-          errorPrompts: validationResult.status === 'error' ? 1 : 0
-        },
-        exportUrl: exportResult.url
+          
+          const parsed = await this._parseSource(
+            promptOptions.sourceContent,
+            promptOptions.sourceType || sourceType,
+            promptOptions.sourceOptions || sourceOptions,
+            promptOptions.template || template
+          );
+          
+          parsed.forEach(parsedPrompt => parsedPrompts.push({
+            ...parsedPrompt,
+            label: parsedPrompt.label ? `${label}, ${parsedPrompt.label}` : label,
+            ...(promptOptions.videoSettings && {
+              video: { ...parsedPrompt.video, ...promptOptions.videoSettings }
+            })
+          }));
+        } catch (error) {
+          parsedPrompts.push({ source: promptOptions.sourceContent, label, error: error.message });
+        }
+      }
+      
+      return await this._exportParsedPrompts(parsedPrompts, options);
+    } catch (error) {
+      if (this.config.debug) {
+        console.error('Error in exportPrompts:', error);
+      }
+      throw new Error(`Failed to export prompts: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Parse source content into one or more prompts
+   * Injected parsers that only implement parse() yield a single prompt.
+   * @param {string} sourceContent Source content
+   * @param {string} sourceType Source type
+   * @param {Object} sourceOptions Source-type specific options
+   * @param {Object} [template] Template options; when given, the source is expanded first (see _parseTemplate)
+   * @returns {Promise<Array<Object>>} Parsed prompts, each with its `source`
+   * @private
+   */
+  async _parseSource(sourceContent, sourceType, sourceOptions, template) {
+    if (template) {
+      return this._parseTemplate(sourceContent, sourceType, sourceOptions, template);
+    }
+    
+    if (typeof this.parser.parseAll === 'function') {
+      return this.parser.parseAll(sourceContent, sourceType, sourceOptions);
+    }
+    
+    const parsedPrompt = await this.parser.parse(sourceContent, sourceType);
+    return [{ ...parsedPrompt, source: sourceContent }];
+  }
+  
+  /**
+   * Expand source content as a prompt template and parse each rendering
+   * Every prompt records how it was rendered in `metadata.template` as `{ variant, variants,
+   * bindings }`. When the template expands to several prompts, each is labelled with its
+   * variant, e.g. "Variant 3" or "Variant 3, Row 2".
+   * @param {string} sourceContent Template text
+   * @param {string} sourceType Source type of the rendered text
+   * @param {Object} sourceOptions Source-type specific options
+   * @param {Object} template Template options (see PromptTemplate#expand)
+   * @returns {Promise<Array<Object>>} Parsed prompts in variant order
+   * @private
+   */
+  async _parseTemplate(sourceContent, sourceType, sourceOptions, template) {
+    const parsedPrompts = [];
+    
+    for (const { content, bindings, variant, variants } of this.promptTemplate.expand(sourceContent, template)) {
+      const label = variants > 1 ? `Variant ${variant}` : null;
+      
+      let parsed;
+      try {
+        parsed = await this._parseSource(content, sourceType, sourceOptions);
+      } catch (error) {
+        // With several variants, one that does not parse only fails its own entry
+        if (!label) {
+          throw error;
+        }
+        parsed = [{ source: content, error: error.message }];
+      }
+      
+      parsed.forEach(parsedPrompt => parsedPrompts.push({
+        ...parsedPrompt,
+        ...(label && { label: parsedPrompt.label ? `${label}, ${parsedPrompt.label}` : label }),
+        metadata: { ...parsedPrompt.metadata, template: { variant, variants, bindings } }
+      }));
+    }
+    
+    return parsedPrompts;
+  }
+  
+  /**
+   * Run parsed prompts through enhancement, validation and transformation, then export them
+   * A single prompt is exported on its own; several prompts go into one combined file.
+   * @param {Array<Object>} parsedPrompts Parsed prompts
+   * @param {Object} options Export options
+   * @returns {Promise<Object>} Export result
+   * @private
+   */
+  async _exportParsedPrompts(parsedPrompts, options) {
+    const {
+      targetPlatform = this.config.defaultPlatform,
+      exportFormat = this.config.defaultFormat,
+      videoSettings,
+      enhancementOptions = {
+        provider: this.config.enhancementProvider,
+        useGemini: this.config.useGemini,
+        detailLevel: 'standard',
+        includeMetadata: true
+      },
+      storage,
+      storageOptions,
+      fix
+    } = options;
+    
+    const multiple = parsedPrompts.length > 1 || parsedPrompts.some(prompt => prompt.label);
+    const timestamp = Date.now();
+    
+    const exportedPrompts = [];
+    const formattedPrompts = [];
+    
+    for (const [index, parsedPrompt] of parsedPrompts.entries()) {
+      const id = multiple ? `prompt_${timestamp}_${index + 1}` : `prompt_${timestamp}`;
+      
+      // Messages from multi-prompt sources say where they came from, e.g. "Row 12: ..."
+      const locate = message => (parsedPrompt.label ? `${parsedPrompt.label}: ${message}` : message);
+      
+      let processed;
+      try {
+        if (parsedPrompt.error) {
+          throw new Error(parsedPrompt.error);
+        }
+        
+        processed = this._processPrompt(await this._enhancePrompt(parsedPrompt, targetPlatform, enhancementOptions), {
+          targetPlatform,
+          exportFormat,
+          videoSettings,
+          fix
+        });
+      } catch (error) {
+        // A single prompt fails the export; a bad scene or row only fails its own entry
+        if (!multiple) {
+          throw error;
+        }
+        
+        exportedPrompts.push({
+          id,
+          prompt: parsedPrompt.source,
+          metadata: parsedPrompt.metadata,
+          validationStatus: 'error',
+          validationMessage: locate(error.message),
+          warnings: [],
+          errors: [locate(error.message)]
+        });
+        continue;
+      }
+      
+      const { entry, formattedPrompt } = processed;
+      
+      exportedPrompts.push({
+        id,
+        prompt: parsedPrompt.source,
+        ...entry,
+        warnings: entry.warnings.map(locate),
+        errors: entry.errors.map(locate)
+      });
+      formattedPrompts.push(formattedPrompt);
+    }
+    
+    // Generate export data
+    let exportResult = null;
+    if (formattedPrompts.length) {
+      exportResult = multiple ?
+        await this.exportEngine.exportCollection(
+          formattedPrompts, exportFormat, enhancementOptions.includeMetadata, storage, storageOptions
+        ) :
+        await this.exportEngine.export(
+          formattedPrompts[0], exportFormat, enhancementOptions.includeMetadata, storage, storageOptions
+        );
+    }
+    
+    const countStatus = status => exportedPrompts.filter(prompt => prompt.validationStatus === status).length;
+    
+    return {
+      exportedPrompts,
+      summary: {
+        totalPrompts: exportedPrompts.length,
+        validPrompts: countStatus('valid'),
+        warningPrompts: countStatus('warning'),
+        errorPrompts: countStatus('error')
+      },
+      exportUrl: exportResult ? exportResult.url : null,
+      exportFile: exportResult ? {
+        id: exportResult.id,
+        fileName: exportResult.fileName,
+        format: exportResult.format,
+        mimeType: exportResult.mimeType,
+        size: exportResult.size,
+        content: exportResult.content
+      } : null
+    };
+  }
+  
+  /**
+   * Enhance a parsed prompt with the requested provider
+   * @param {Object} parsedPrompt Prompt from the parser
+   * @param {string} targetPlatform Target platform
+   * @param {Object} enhancementOptions Enhancement options
+   * @returns {Promise<Object>} Enhanced prompt
+   * @private
+   */
+  async _enhancePrompt(parsedPrompt, targetPlatform, enhancementOptions) {
+    const provider = this._enhancementProvider(enhancementOptions);
+    
+    if (provider === 'none') {
+      return parsedPrompt;
+    }
+    
+    const enhancer = provider === 'local' ? this.localEnhancer : this.enhancer;
+    
+    return enhancer.enhance(parsedPrompt, targetPlatform, {
+      detailLevel: enhancementOptions.detailLevel
+    });
+  }
+  
+  /**
+   * Work out which enhancement provider to use
+   * An explicit `provider` wins; otherwise `useGemini` picks between 'gemini' and 'none'.
+   * @param {Object} enhancementOptions Enhancement options
+   * @returns {string} 'gemini', 'local' or 'none'
+   * @private
+   */
+  _enhancementProvider(enhancementOptions = {}) {
+    if (enhancementOptions.provider) {
+      return enhancementOptions.provider;
+    }
+    
+    if (enhancementOptions.useGemini === undefined && this.config.enhancementProvider) {
+      return this.config.enhancementProvider;
+    }
+    
+    return enhancementOptions.useGemini ? 'gemini' : 'none';
+  }
+  
+  /**
+   * Validate and transform a single enhanced prompt
+   * @param {Object} enhancedPrompt Enhanced (or parsed) prompt
+   * @param {Object} options Resolved export options
+   * @returns {Object} `{ entry, formattedPrompt, validationResult }` where `entry` holds the exported prompt fields
+   * @private
+   */
+  _processPrompt(enhancedPrompt, options) {
+    const { targetPlatform, exportFormat, videoSettings, fix } = options;
+    const { prompt, validationResult } = this._checkPrompt(enhancedPrompt, targetPlatform, videoSettings, fix);
+    
+    // Transform to the desired format; the validation result travels along for shot lists
+    const formattedPrompt = this.transformer.transform(
+      {
+        ...prompt,
+        validation: {
+          status: validationResult.status,
+          warnings: validationResult.warnings || [],
+          errors: validationResult.errors || []
+        }
+      },
+      targetPlatform,
+      exportFormat
+    );
+    
+    // Tags dropped or text cut to fit the platform's limits would otherwise go unnoticed
+    const budget = formattedPrompt.metadata && formattedPrompt.metadata.budget;
+    if (budget) {
+      const cuts = [
+        ...(budget.dropped.length ? [`dropped ${budget.dropped.map(tag => `"${tag.text}"`).join(', ')}`] : []),
+        ...(budget.trimmed ? ['cut the prompt text'] : [])
+      ];
+      this._addWarning(validationResult, 'budget-fit',
+        `Prompt was over the length limit or token budget for ${targetPlatform}: ${cuts.join(' and ')} to fit`, targetPlatform);
+    }
+    
+    return {
+      entry: {
+        enhancedPrompt: prompt.content,
+        formattedPrompt: formattedPrompt.content,
+        request: formattedPrompt.request,
+        metadata: prompt.metadata,
+        validationStatus: validationResult.status,
+        validationMessage: validationResult.message,
+        warnings: validationResult.warnings || [],
+        errors: validationResult.errors || [],
+        ...(validationResult.changes && { changes: validationResult.changes })
+      },
+      formattedPrompt,
+      validationResult
+    };
+  }
+  
+  /**
+   * Attach clip settings to a prompt and validate it for the target platform
+   * @param {Object} enhancedPrompt Enhanced (or parsed) prompt
+   * @param {string} targetPlatform Target platform
+   * @param {Object} [videoSettings] Shared clip settings
+   * @param {boolean|Object} [fix] Repair the prompt before validating it (see PromptValidator#validate)
+   * @returns {Object} `{ prompt, validationResult }` where `prompt` is the repaired prompt when fixing
+   * @private
+   */
+  _checkPrompt(enhancedPrompt, targetPlatform, videoSettings, fix) {
+    let prompt = enhancedPrompt;
+    
+    // Attach clip settings (duration, aspect ratio, camera motion, ...) for video platforms;
+    // settings given for this prompt win over the shared ones
+    if (videoSettings) {
+      prompt = {
+        ...prompt,
+        video: { ...videoSettings, ...prompt.video }
       };
+    }
+    
+    // Validate for the target platform, repairing the prompt first if asked to
+    const validationResult = this.validator.validate(prompt, targetPlatform, { fix });
+    prompt = validationResult.fixedPrompt || prompt;
+    
+    // A failed enhancement still exports the prompt, but reviewers should know it was not enhanced
+    const enhancement = prompt.metadata && prompt.metadata.enhancement;
+    if (enhancement && enhancement.status === 'fallback') {
+      this._addWarning(validationResult, 'enhancement-fallback',
+        `Enhancement failed, exported the unenhanced prompt: ${enhancement.error}`, targetPlatform);
+    }
+    
+    return { prompt, validationResult };
+  }
+  
+  /**
+   * Add a warning that has no place in the prompt text to a validation result
+   * @param {Object} validationResult Validation result to update
+   * @param {string} code Diagnostic code
+   * @param {string} message Warning message
+   * @param {string} targetPlatform Target platform, for the result message
+   * @private
+   */
+  _addWarning(validationResult, code, message, targetPlatform) {
+    validationResult.warnings = [...(validationResult.warnings || []), message];
+    validationResult.diagnostics = [
+      ...(validationResult.diagnostics || []),
+      { code, severity: 'warning', message, range: null }
+    ];
+    if (validationResult.status !== 'error') {
+      validationResult.status = 'warning';
+      validationResult.message = `Prompt validated with ${validationResult.warnings.length} warnings for ${targetPlatform}`;
+    }
+  }
+  
+  /**
+   * Check source content for a platform without enhancing or exporting it
+   * Each diagnostic has a rule `code`, a `severity`, a `message`, the `range` of the offending
+   * text in `sourceContent` (null when the problem has no place in the text, e.g. a missing
+   * element or a clip setting) and, when there is one, a suggested `fix` (see PromptValidator#validate).
+   * @param {Object} options `sourceContent`, `sourceType`, `sourceOptions`, `targetPlatform` and
+   *   `videoSettings` as in exportPrompt
+   * @returns {Promise<Object>} `{ status, prompts, diagnostics, summary }` where `prompts` has each
+   *   prompt's `content`, `status`, `message`, `warnings`, `errors`, `tokenUsage` and `diagnostics`, and
+   *   `diagnostics` lists them all
+   */
+  async validatePrompt(options) {
+    try {
+      return await this._inspectSource(options, false);
     } catch (error) {
       if (this.config.debug) {
-        console.error('Error in exportPrompt:', error);
+        console.error('Error in validatePrompt:', error);
       }
-      throw new Error(`Failed to export prompt: ${error.message}`);
+      throw new Error(`Failed to validate prompt: ${error.message}`);
     }
   }
   
   /**
-   * Process a batch of prompts from a Google Drive folder
-   * @param {Object} options Batch processing options
-   * @returns {Promise<Object>} Batch processing result
+   * Show what source content would export as, without enhancing or exporting it
+   * @param {Object} options Options as for validatePrompt, plus `exportFormat`
+   * @returns {Promise<Object>} Result as from validatePrompt, where each prompt also has the
+   *   `formattedPrompt` and `request` it would export with
    */
-  async batchProcessFolder(options) {
+  async previewPrompt(options) {
     try {
-      const {
-        folderId,
-        targetPlatform = this.config.defaultPlatform,
-        enhancementOptions = {
-          useGemini: this.config.useGemini,
-          detailLevel: 'standard'
-        }
-      } = options;
+      return await this._inspectSource(options, true);
+    } catch (error) {
+      if (this.config.debug) {
+        console.error('Error in previewPrompt:', error);
+      }
+      throw new Error(`Failed to preview prompt: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Parse and validate source content, and optionally transform it
+   * @param {Object} options Validate or preview options
+   * @param {boolean} transform Whether to format each prompt for the export format
+   * @returns {Promise<Object>} `{ status, prompts, diagnostics, summary }`
+   * @private
+   */
+  async _inspectSource(options, transform) {
+    const {
+      sourceContent,
+      sourceType = 'text',
+      sourceOptions = {},
+      targetPlatform = this.config.defaultPlatform,
+      exportFormat = this.config.defaultFormat,
+      videoSettings
+    } = options;
+    
+    if (!sourceContent) {
+      throw new Error('Source content is required');
+    }
+    
+    this._validateTargetOptions(options);
+    
+    const parsedPrompts = await this._parseSource(sourceContent, sourceType, sourceOptions);
+    const locator = new SourceLocator(sourceContent);
+    
+    const prompts = parsedPrompts.map(parsedPrompt => {
+      const { range, map } = locator.locate(parsedPrompt);
+      const label = parsedPrompt.label ? { label: parsedPrompt.label } : {};
       
-      // This would be implemented with actual Google Drive API integration
-      console.log(`Processing folder ${folderId} for platform ${targetPlatform}`);
+      // Rows or scenes that could not be parsed are flagged as a whole
+      if (parsedPrompt.error) {
+        return {
+          ...label,
+          content: null,
+          status: 'error',
+          message: parsedPrompt.error,
+          warnings: [],
+          errors: [parsedPrompt.error],
+          diagnostics: [{ ...label, code: 'parse-error', severity: 'error', message: parsedPrompt.error, range }]
+        };
+      }
+      
+      const { validationResult, formattedPrompt } = transform ?
+        this._processPrompt(parsedPrompt, { targetPlatform, exportFormat, videoSettings }) :
+        this._checkPrompt(parsedPrompt, targetPlatform, videoSettings);
       
-      // Mock implementation
       return {
-        exportedPrompts: [
-          {
-            id: `prompt_batch_${Date.now()}`,
-            prompt: "Example batch processed prompt",
-            metadata: { source: `folder_${folderId}` },
-            validationStatus: 'valid',
-            validationMessage: 'Batch processing completed successfully'
-          }
-        ],
-        summary: {
-          totalPrompts: 1,
-          validPrompts: 1,
-          warningPrompts: 0,
-          errorPrompts: 0
-        },
-        exportUrl: `https://drive.google.com/drive/folders/${folderId}`
+        ...label,
+        content: parsedPrompt.content,
+        status: validationResult.status,
+        message: validationResult.message,
+        warnings: validationResult.warnings,
+        errors: validationResult.errors,
+        tokenUsage: validationResult.tokenUsage,
+        diagnostics: validationResult.diagnostics.map(diagnostic => ({
+          ...label,
+          ...this._locateDiagnostic(diagnostic, map)
+        })),
+        ...(transform && { formattedPrompt: formattedPrompt.content, request: formattedPrompt.request })
       };
+    });
+    
+    const countStatus = status => prompts.filter(prompt => prompt.status === status).length;
+    const diagnostics = [].concat(...prompts.map(prompt => prompt.diagnostics));
+    
+    return {
+      status: countStatus('error') ? 'error' : (countStatus('warning') ? 'warning' : 'valid'),
+      prompts,
+      diagnostics,
+      summary: {
+        totalPrompts: prompts.length,
+        validPrompts: countStatus('valid'),
+        warningPrompts: countStatus('warning'),
+        errorPrompts: countStatus('error'),
+        errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error').length,
+        warnings: diagnostics.filter(diagnostic => diagnostic.severity === 'warning').length
+      }
+    };
+  }
+  
+  /**
+   * Move a diagnostic's ranges from the prompt text to the source text
+   * The range within the prompt text is kept as `promptRange`. A text fix whose range
+   * cannot be found in the source is left out.
+   * @param {Object} diagnostic Diagnostic from the validator
+   * @param {Function} map Range mapping from SourceLocator#locate
+   * @returns {Object} Diagnostic with source ranges
+   * @private
+   */
+  _locateDiagnostic(diagnostic, map) {
+    const { fix, ...located } = { ...diagnostic, range: map(diagnostic.range), promptRange: diagnostic.range };
+    
+    if (fix && fix.range) {
+      const range = map(fix.range);
+      return range ? { ...located, fix: { ...fix, range } } : located;
+    }
+    
+    return fix ? { ...located, fix } : located;
+  }
+  
+  /**
+   * Process the prompt files in a Google Drive folder and upload the results
+   * Google Docs, text, Fountain and CSV files in the folder (not its subfolders) are
+   * downloaded and exported one by one to the output folder (see _processBatchFiles).
+   * @param {Object} options Batch processing options: `folderId`, `outputFolderId` (default:
+   *   `driveOptions.outputFolderId`), `sharing`, `sourceOptions` and the export options of exportPrompt
+   * @returns {Promise<Object>} Batch processing result
+   */
+  async batchProcessFolder(options) {
+    try {
+      const storageOptions = this._folderStorageOptions(options);
+      this._validateTargetOptions(options);
+      
+      const files = await this._listFolderFiles(options.folderId);
+      const result = await this._processBatchFiles(files, options, 'google_drive', storageOptions);
+      
+      return { ...result, exportUrl: this._folderUrl(storageOptions.folderId) };
     } catch (error) {
       if (this.config.debug) {
         console.error('Error in batchProcessFolder:', error);
@@ -179,18 +752,434 @@ class VeoPromptExporter {
     }
   }
   
+  /**
+   * Process the prompt files in a local directory and its subdirectories
+   * Each file is exported on its own to the configured storage (see _processBatchFiles).
+   * @param {string} dirPath Directory path
+   * @param {Object} options Batch processing options: `include` and `exclude` glob patterns
+   *   (see BatchSource#fromDirectory), `sourceOptions` and the export options of exportPrompt
+   * @returns {Promise<Object>} Batch processing result
+   */
+  async batchProcessDirectory(dirPath, options = {}) {
+    try {
+      this._validateTargetOptions(options);
+      
+      const files = await this.batchSource.fromDirectory(dirPath, options);
+      
+      return await this._processBatchFiles(files, options, options.storage, options.storageOptions);
+    } catch (error) {
+      if (this.config.debug) {
+        console.error('Error in batchProcessDirectory:', error);
+      }
+      throw new Error(`Failed to process directory: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Process uploaded prompt files, or the files in a single zip archive
+   * Each file is exported on its own to the configured storage (see _processBatchFiles).
+   * @param {Array<Object>} uploads Files as `{ name, content }` where `content` is a Buffer or string
+   * @param {Object} options Batch processing options: `sourceOptions` and the export options of exportPrompt
+   * @returns {Promise<Object>} Batch processing result
+   */
+  async batchProcessFiles(uploads, options = {}) {
+    try {
+      if (!Array.isArray(uploads) || !uploads.length) {
+        throw new Error('At least one file is required');
+      }
+      
+      this._validateTargetOptions(options);
+      
+      const files = this.batchSource.fromUploads(uploads);
+      
+      return await this._processBatchFiles(files, options, options.storage, options.storageOptions);
+    } catch (error) {
+      if (this.config.debug) {
+        console.error('Error in batchProcessFiles:', error);
+      }
+      throw new Error(`Failed to process files: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Queue a batch to run in the background
+   * The files are listed, and uploads are saved with the job, before this resolves. The job
+   * then exports them a few at a time (`jobOptions.concurrency`), retrying files that fail
+   * with backoff. Follow it with getJob() and stop it with cancelJob().
+   * @param {Object} options Batch processing options with one source: `folderId` as in
+   *   batchProcessFolder, `directory` as in batchProcessDirectory, or `files` as in batchProcessFiles
+   * @returns {Promise<Object>} Job status (see getJob)
+   */
+  async submitBatchJob(options) {
+    try {
+      const { files: uploads, ...batchOptions } = options;
+      let source;
+      let files;
+      
+      if (uploads) {
+        if (!Array.isArray(uploads) || !uploads.length) {
+          throw new Error('At least one file is required');
+        }
+        
+        this._validateTargetOptions(options);
+        source = 'files';
+        files = this.batchSource.fromUploads(uploads);
+      } else if (options.directory) {
+        this._validateTargetOptions(options);
+        source = 'directory';
+        batchOptions.directory = path.resolve(options.directory);
+        files = await this.batchSource.fromDirectory(batchOptions.directory, options);
+      } else {
+        batchOptions.storageOptions = this._folderStorageOptions(options);
+        batchOptions.storage = 'google_drive';
+        this._validateTargetOptions(options);
+        source = 'folder';
+        files = await this._listFolderFiles(options.folderId);
+      }
+      
+      this._checkBatchSize(files);
+      
+      const items = [];
+      
+      for (const { load, ...file } of files) {
+        if (!file.sourceType) {
+          items.push({ ...file, status: 'skipped' });
+        } else if (source !== 'files') {
+          items.push(file);
+        } else {
+          // Uploads only last as long as the request, so their text is saved with the job
+          try {
+            items.push({ ...file, content: await load() });
+          } catch (error) {
+            items.push({ ...file, status: 'failed', error: error.message });
+          }
+        }
+      }
+      
+      const job = await this.jobQueue.submit({ type: 'batch', options: { ...batchOptions, source }, items });
+      
+      return this._jobStatus(job);
+    } catch (error) {
+      if (this.config.debug) {
+        console.error('Error in submitBatchJob:', error);
+      }
+      throw new Error(`Failed to submit batch: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the status of a batch job
+   * @param {string} id Job id
+   * @returns {Promise<Object|null>} `{ id, status, source, createdAt, startedAt, finishedAt, progress,
+   *   files, exportedPrompts, summary }`, or null if there is no such job. `status` is 'queued',
+   *   'running', 'completed' or 'cancelled'; the results so far are listed as in batchProcessFolder
+   */
+  async getJob(id) {
+    const job = await this.jobQueue.get(id);
+    return job ? this._jobStatus(job) : null;
+  }
+  
+  /**
+   * Cancel a batch job
+   * Files not yet started are marked 'cancelled'; files being exported finish first.
+   * @param {string} id Job id
+   * @returns {Promise<Object|null>} Job status (see getJob), or null if there is no such job
+   */
+  async cancelJob(id) {
+    const job = await this.jobQueue.cancel(id);
+    return job ? this._jobStatus(job) : null;
+  }
+  
+  /**
+   * Load the batch jobs saved in `jobOptions.stateDir` and resume their queued files
+   * The job methods do this on first use; servers call it at startup.
+   * @returns {Promise<void>}
+   */
+  async resumeJobs() {
+    await this.jobQueue.start();
+  }
+  
+  /**
+   * Export one file of a batch job
+   * @param {Object} job Job from the queue
+   * @param {Object} item File of the job
+   * @returns {Promise<Object>} File result (see _exportBatchFile)
+   * @private
+   */
+  async _runBatchJobItem(job, item) {
+    const { source, directory, storage, storageOptions } = job.options;
+    let content;
+    
+    if (source === 'folder') {
+      content = await this.driveClient.downloadFile({ id: item.id, name: item.name, mimeType: item.mimeType });
+    } else if (source === 'directory') {
+      content = await this.batchSource.readFile(directory, item.name);
+    } else {
+      content = await this.jobQueue.readContent(job, item);
+    }
+    
+    return this._exportBatchFile(item, content, job.options, storage, storageOptions);
+  }
+  
+  /**
+   * Describe a batch job in the shape of a batch result
+   * @param {Object} job Job from the queue
+   * @returns {Object} Job status
+   * @private
+   */
+  _jobStatus(job) {
+    const files = job.items.map(({ index, status, attempts, error, result, retryAt, ...file }) => {
+      const { exportedPrompts, ...fileResult } = result || {};
+      return { ...file, status, attempts, ...(error && { error }), ...fileResult };
+    });
+    const exportedPrompts = [].concat(...job.items.map(item => (item.result ? item.result.exportedPrompts : [])));
+    const countItems = status => job.items.filter(item => item.status === status).length;
+    
+    return {
+      id: job.id,
+      status: job.status,
+      source: job.options.source,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: {
+        total: job.items.length,
+        done: job.items.length - countItems('queued') - countItems('running'),
+        queued: countItems('queued'),
+        running: countItems('running'),
+        cancelled: countItems('cancelled')
+      },
+      files,
+      exportedPrompts,
+      summary: this._summarizeBatch(files, exportedPrompts),
+      ...(job.options.source === 'folder' && { exportUrl: this._folderUrl(job.options.storageOptions.folderId) })
+    };
+  }
+  
+  /**
+   * List the files of a Google Drive folder for a batch
+   * @param {string} folderId Folder id
+   * @returns {Promise<Array<Object>>} Files as `{ id, name, mimeType, sourceType, load }`
+   * @private
+   */
+  async _listFolderFiles(folderId) {
+    return (await this.driveClient.listFiles(folderId)).map(file => ({
+      id: file.id,
+      name: file.name,
+      mimeType: file.mimeType,
+      sourceType: this.batchSource.sourceType(file.name, file.mimeType),
+      load: () => this.driveClient.downloadFile(file)
+    }));
+  }
+  
+  /**
+   * Check the Drive folders of a folder batch and work out where results go
+   * @param {Object} options Batch processing options
+   * @returns {Object} Storage options for the 'google_drive' provider: `{ folderId, sharing }`
+   * @private
+   */
+  _folderStorageOptions(options) {
+    const {
+      folderId,
+      outputFolderId = (this.config.driveOptions || {}).outputFolderId,
+      sharing
+    } = options;
+    
+    if (!folderId) {
+      throw new Error('folderId is required');
+    }
+    
+    if (!outputFolderId) {
+      throw new Error('outputFolderId is required');
+    }
+    
+    return { folderId: outputFolderId, sharing };
+  }
+  
+  /**
+   * Get the link to a Google Drive folder
+   * @param {string} folderId Folder id
+   * @returns {string} Folder URL
+   * @private
+   */
+  _folderUrl(folderId) {
+    return `https://drive.google.com/drive/folders/${folderId}`;
+  }
+  
+  /**
+   * Export the files of a batch one by one, each to its own file
+   * Results are named `<source name>_<platform>` (plus timestamp and extension). Files that
+   * are not prompt sources are listed as skipped; a file that fails is reported in its entry
+   * and does not stop the others. At most `maxBatchSize` prompt files are accepted.
+   * @param {Array<Object>} files Files as `{ name, sourceType, load, ...fields }`, where `load()`
+   *   resolves to the file's text; other fields (e.g. a Drive `id`) are copied to the file's entry
+   * @param {Object} options Batch processing options
+   * @param {string} storage Storage provider for the results (default from config)
+   * @param {Object} storageOptions Options for the storage provider
+   * @returns {Promise<Object>} `{ files, exportedPrompts, summary }`
+   * @private
+   */
+  async _processBatchFiles(files, options, storage, storageOptions = {}) {
+    this._checkBatchSize(files);
+    
+    const entries = [];
+    const exportedPrompts = [];
+    
+    for (const { load, ...file } of files) {
+      const entry = { ...file };
+      entries.push(entry);
+      
+      if (!file.sourceType) {
+        entry.status = 'skipped';
+        continue;
+      }
+      
+      try {
+        const { exportedPrompts: filePrompts, ...result } = await this._exportBatchFile(
+          file, await load(), options, storage, storageOptions
+        );
+        
+        Object.assign(entry, result);
+        exportedPrompts.push(...filePrompts);
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+      }
+      
+      if (this.config.debug) {
+        console.log(`Batch file ${file.name}: ${entry.status}`);
+      }
+    }
+    
+    return {
+      files: entries,
+      exportedPrompts,
+      summary: this._summarizeBatch(entries, exportedPrompts)
+    };
+  }
+  
+  /**
+   * Export one file of a batch to its own file
+   * @param {Object} file File as `{ name, sourceType }`
+   * @param {string} content File content
+   * @param {Object} options Batch processing options
+   * @param {string} storage Storage provider for the result (default from config)
+   * @param {Object} storageOptions Options for the storage provider
+   * @returns {Promise<Object>} `{ status, summary, exportUrl, exportFileId, exportedPrompts }`, where
+   *   `status` is 'failed' if none of the file's prompts could be exported
+   * @private
+   */
+  async _exportBatchFile(file, content, options, storage, storageOptions = {}) {
+    const { targetPlatform = this.config.defaultPlatform, sourceOptions = {}, template } = options;
+    
+    let parsedPrompts;
+    try {
+      parsedPrompts = await this._parseSource(content, file.sourceType, sourceOptions, template);
+    } catch (error) {
+      // The file itself is at fault, so trying it again cannot help
+      error.retryable = false;
+      throw error;
+    }
+    
+    const result = await this._exportParsedPrompts(parsedPrompts, {
+      ...options,
+      targetPlatform,
+      storage,
+      storageOptions: {
+        ...storageOptions,
+        baseName: `${file.name.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '')}_${targetPlatform}`
+      }
+    });
+    
+    return {
+      status: result.exportFile ? 'exported' : 'failed',
+      summary: result.summary,
+      exportUrl: result.exportUrl,
+      exportFileId: result.exportFile ? result.exportFile.id : null,
+      exportedPrompts: result.exportedPrompts.map(prompt => ({ ...prompt, file: file.name }))
+    };
+  }
+  
+  /**
+   * Reject batches with more than `maxBatchSize` prompt files
+   * @param {Array<Object>} files Files of the batch
+   * @private
+   */
+  _checkBatchSize(files) {
+    const maxBatchSize = Number(this.config.maxBatchSize);
+    
+    const sourceCount = files.filter(file => file.sourceType).length;
+    if (maxBatchSize > 0 && sourceCount > maxBatchSize) {
+      throw new Error(`Batch has ${sourceCount} prompt files; the limit is ${maxBatchSize}`);
+    }
+  }
+  
+  /**
+   * Count the files and prompts of a batch result
+   * @param {Array<Object>} entries File entries
+   * @param {Array<Object>} exportedPrompts Exported prompts of every file
+   * @returns {Object} Batch summary
+   * @private
+   */
+  _summarizeBatch(entries, exportedPrompts) {
+    const countStatus = status => exportedPrompts.filter(prompt => prompt.validationStatus === status).length;
+    const countFiles = status => entries.filter(entry => entry.status === status).length;
+    
+    return {
+      totalFiles: entries.length,
+      exportedFiles: countFiles('exported'),
+      skippedFiles: countFiles('skipped'),
+      failedFiles: countFiles('failed'),
+      totalPrompts: exportedPrompts.length,
+      validPrompts: countStatus('valid'),
+      warningPrompts: countStatus('warning'),
+      errorPrompts: countStatus('error')
+    };
+  }
+  
+  /**
+   * Get the Google sign-in URL for Drive access
+   * @param {string} state Value the OAuth callback must return, to tie it to this request
+   * @returns {string} Authorization URL
+   */
+  getDriveAuthUrl(state) {
+    return this.driveClient.getAuthUrl(state);
+  }
+  
+  /**
+   * Finish the Drive sign-in with the code from the OAuth callback
+   * @param {string} code Authorization code
+   * @returns {Promise<void>}
+   */
+  async authorizeDrive(code) {
+    await this.driveClient.authorize(code);
+  }
+  
   /**
    * Validate export options
    * @param {Object} options Options to validate
    * @private
    */
   _validateExportOptions(options) {
-    if (!options.sourceContent) {
+    if (Array.isArray(options.prompts)) {
+      if (!options.prompts.length) {
+        throw new Error('At least one prompt is required');
+      }
+    } else if (!options.sourceContent) {
       throw new Error('Source content is required');
     }
     
+    this._validateTargetOptions(options);
+  }
+  
+  /**
+   * Validate the platform, format and enhancement options shared by every export
+   * @param {Object} options Options to validate
+   * @private
+   */
+  _validateTargetOptions(options) {
     const platform = options.targetPlatform || this.config.defaultPlatform;
-    if (!this.supportedPlatforms.some(p => p.id === platform)) {
+    if (!this.platformRegistry.has(platform)) {
       throw new Error(`Unsupported platform: ${platform}`);
     }
     
@@ -198,39 +1187,73 @@ class VeoPromptExporter {
     if (!this.supportedFormats.some(f => f.id === format)) {
       throw new Error(`Unsupported export format: ${format}`);
     }
+    
+    if (!this.platformRegistry.resolve(platform).supportedFormats.includes(format)) {
+      throw new Error(`Export format ${format} is not supported for ${platform}`);
+    }
+    
+    const provider = this._enhancementProvider(options.enhancementOptions || {
+      provider: this.config.enhancementProvider,
+      useGemini: this.config.useGemini
+    });
+    if (!ENHANCEMENT_PROVIDERS.includes(provider)) {
+      throw new Error(`Unsupported enhancement provider: ${provider}`);
+    }
+    
+    const replacements = options.fix && options.fix.replacements;
+    if (replacements !== undefined && (typeof replacements !== 'object' || replacements === null || Array.isArray(replacements))) {
+      throw new Error('fix.replacements must be an object mapping phrases to replacements');
+    }
+    
+    // Template options are checked, and the matrix size capped, before anything is parsed
+    if (options.template !== undefined) {
+      this.promptTemplate.combinations(options.template);
+    }
   }
   
   /**
-   * Enhance a prompt using the Gemini API
-   * @param {Object} prompt The parsed prompt
-   * @param {string} platform Target platform
-   * @param {string} detailLevel Detail level
-   * @returns {Promise<Object>} Enhanced prompt
-   * @private
+   * Register a platform adapter with the shared registry
+   * @param {Object} adapter Platform adapter (see PlatformRegistry#register)
+   * @returns {Object} The normalized adapter
    */
-  async _enhanceWithGemini(prompt, platform, detailLevel) {
-    // This would be implemented with actual Gemini API integration
-    console.log(`Enhancing prompt for ${platform} with detail level ${detailLevel}`);
-    
-    // Mock implementation
-    const enhancedContent = `Enhanced: ${prompt.content}`;
-    const promptText = prompt.content.toLowerCase();
-    
-    // Extract some simple metadata
-    const metadata = {
-      style: promptText.includes('cyberpunk') ? 'cyberpunk' : 
-             promptText.includes('noir') ? 'film noir' : 'standard',
-      subject: promptText.includes('detective') ? 'detective' : 'scene',
-      setting: promptText.includes('urban') ? 'urban' : 
-               promptText.includes('office') ? 'office' : 'unspecified',
-      quality: promptText.includes('detailed') ? 'detailed' : 'standard',
-      generatedTimestamp: new Date().toISOString()
-    };
-    
-    return {
-      content: enhancedContent,
-      metadata
-    };
+  registerPlatform(adapter) {
+    return this.platformRegistry.register(adapter);
+  }
+  
+  /**
+   * Load platform adapters from JSON/JS files in a directory
+   * @param {string} dir Directory containing adapter files
+   * @returns {Array<Object>} The adapters that were registered
+   */
+  loadPlatforms(dir) {
+    return this.platformRegistry.loadFromDirectory(dir);
+  }
+  
+  /**
+   * Register a content policy pack with the shared registry
+   * @param {Object} pack Policy pack (see PolicyRegistry#register)
+   * @returns {Object} The normalized pack
+   */
+  registerPolicy(pack) {
+    return this.policyRegistry.register(pack);
+  }
+  
+  /**
+   * Load content policy packs from JSON/JS files in a directory
+   * @param {string} dir Directory containing policy files
+   * @returns {Array<Object>} The packs that were registered
+   */
+  loadPolicies(dir) {
+    return this.policyRegistry.loadFromDirectory(dir);
+  }
+  
+  /**
+   * Register a token counter for platform token budgets (`tokens.counter` in an adapter)
+   * @param {string} name Counter name
+   * @param {Function|Object} counter `text => count` function, or an object with a `count(text)` method
+   */
+  registerTokenCounter(name, counter) {
+    this.tokenCounter.register(name, counter);
   }
   
   /**
@@ -238,7 +1261,44 @@ class VeoPromptExporter {
    * @returns {Array} Supported platforms
    */
   getSupportedPlatforms() {
-    return this.supportedPlatforms;
+    return this.platformRegistry.list().map(adapter => ({
+      id: adapter.id,
+      name: adapter.name,
+      supportedFormats: adapter.supportedFormats,
+      mediaType: adapter.video ? 'video' : 'image',
+      parameters: Object.keys(adapter.parameters)
+    }));
+  }
+  
+  /**
+   * Get the JSON Schema for the 'structured' source type
+   * @param {number} version Schema version (default: current)
+   * @returns {Object} JSON Schema
+   */
+  getPromptSchema(version) {
+    return new PromptSchema(this.config).getSchema(version);
+  }
+  
+  /**
+   * Read a previously exported file back into prompts
+   * To re-export the prompts, pass the file to exportPrompt with `sourceType: 'export'`.
+   * @param {string} content Exported file content
+   * @param {Object} options Import options
+   * @param {string} [options.format='auto'] Format id, or 'auto' to detect it
+   * @param {string} [options.fileName] File name, used to detect the format by extension
+   * @returns {Object} `{ format, collection, prompts }` (see ImportEngine#import)
+   */
+  importPrompts(content, options = {}) {
+    return new ImportEngine(this.config).import(content, options);
+  }
+  
+  /**
+   * Look up a file saved by the 'local' storage provider
+   * @param {string} id File id (`exportFile.id` of the export result)
+   * @returns {Promise<Object|null>} `{ id, fileName, path, mimeType, size }`, or null if there is no such file
+   */
+  async getExport(id) {
+    return this.exportEngine.getStoredFile(id);
   }
   
   /**
@@ -250,33 +1310,4 @@ class VeoPromptExporter {
   }
 }
 
-// Placeholder classes to be implemented in separate files
-class PromptParser {
-  constructor(config) { this.config = config; }
-  async parse(content, type) { 
-    return { content, metadata: {} }; 
-  }
-}
-
-class FormatTransformer {
-  constructor(config) { this.config = config; }
-  transform(prompt, platform, format) { 
-    return prompt; 
-  }
-}
-
-class ExportEngine {
-  constructor(config) { this.config = config; }
-  async export(prompt, format, includeMetadata) { 
-    return { url: 'https://example.com/export' }; 
-  }
-}
-
-class PromptValidator {
-  constructor(config) { this.config = config; }
-  validate(prompt, platform) { 
-    return { status: 'valid', message: 'Prompt is valid' }; 
-  }
-}
-
 module.exports = VeoPromptExporter;
@@ -0,0 +1,411 @@
+/**
+ * Job Queue Module
+ *
+ * Runs batch jobs in the background, a few items at a time across all jobs
+ * Items that fail are retried with exponential backoff; jobs can be cancelled
+ * Job state (and content saved with a job) can be kept in a directory, so queued
+ * work survives a restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Job states with nothing left to run
+const FINISHED_STATES = ['completed', 'cancelled'];
+
+class JobQueue {
+  /**
+   * Creates a new JobQueue instance
+   * @param {Object} config Configuration options
+   * @param {Function} config.worker `async (job, item) => result` runs one item. Errors with
+   *   `retryable: false` fail the item straight away
+   * @param {number} [config.concurrency=2] Items run at the same time, across all jobs
+   * @param {number} [config.maxRetries=2] Retries of an item that fails
+   * @param {number} [config.retryDelay=1000] Wait before the first retry, in milliseconds; doubled for each retry after it
+   * @param {string} [config.stateDir] Directory to save jobs in (created on first save). Without it,
+   *   jobs are kept in memory only
+   * @param {number} [config.retention=86400000] How long finished jobs are kept, in milliseconds
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      concurrency: 2,
+      maxRetries: 2,
+      retryDelay: 1000,
+      retention: 24 * 60 * 60 * 1000,
+      ...config
+    };
+    
+    this.directory = this.config.stateDir ? path.resolve(this.config.stateDir) : null;
+    this.jobs = new Map();
+    this.contents = new Map();
+    this.active = 0;
+    this.timer = null;
+    this.loading = null;
+  }
+  
+  /**
+   * Load saved jobs and start running their queued items
+   * Items that were running when the process stopped are queued again. Safe to call
+   * more than once; the other methods call it themselves.
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (!this.loading) {
+      this.loading = this._load().then(() => this._schedule());
+    }
+    
+    return this.loading;
+  }
+  
+  /**
+   * Add a job to the queue
+   * Items with a `content` string have it saved with the job and can read it back with
+   * readContent(). Items submitted as 'skipped' or 'failed' are kept as they are.
+   * @param {Object} params Job parameters
+   * @param {string} params.type Job type, for the worker
+   * @param {Object} [params.options] Job options, saved with the job (must be JSON-serializable)
+   * @param {Array<Object>} params.items Items as `{ name, content, status, error, ...fields }`
+   * @returns {Promise<Object>} The job
+   */
+  async submit(params) {
+    await this.start();
+    
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type: params.type,
+      status: 'queued',
+      options: params.options || {},
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      items: []
+    };
+    
+    for (const [index, { content, ...item }] of params.items.entries()) {
+      job.items.push({
+        ...item,
+        index,
+        status: item.status || 'queued',
+        attempts: 0,
+        error: item.error || null,
+        result: null
+      });
+      
+      if (content !== undefined) {
+        await this._saveContent(job, index, content);
+      }
+    }
+    
+    this._prune();
+    this.jobs.set(job.id, job);
+    this._settle(job);
+    this._save(job);
+    this._schedule();
+    
+    if (this.config.debug) {
+      console.log(`Queued job ${job.id} with ${job.items.length} items`);
+    }
+    
+    return job;
+  }
+  
+  /**
+   * Look up a job
+   * @param {string} id Job id
+   * @returns {Promise<Object|null>} The job, or null if there is no such job
+   */
+  async get(id) {
+    await this.start();
+    return this.jobs.get(id) || null;
+  }
+  
+  /**
+   * Cancel a job
+   * Queued items are cancelled. Items already running finish, and their results are kept.
+   * @param {string} id Job id
+   * @returns {Promise<Object|null>} The job, or null if there is no such job. A job that had
+   *   already finished is returned unchanged
+   */
+  async cancel(id) {
+    await this.start();
+    
+    const job = this.jobs.get(id);
+    if (!job || FINISHED_STATES.includes(job.status)) {
+      return job || null;
+    }
+    
+    job.items.forEach(item => {
+      if (item.status === 'queued') {
+        item.status = 'cancelled';
+        delete item.retryAt;
+      }
+    });
+    
+    job.status = 'cancelled';
+    this._settle(job);
+    this._save(job);
+    
+    return job;
+  }
+  
+  /**
+   * Read the content saved with an item
+   * @param {Object} job Job
+   * @param {Object} item Item of the job
+   * @returns {Promise<string>} Content
+   */
+  async readContent(job, item) {
+    if (!this.directory) {
+      return this.contents.get(`${job.id}/${item.index}`);
+    }
+    
+    return fs.promises.readFile(path.join(this._contentDir(job), String(item.index)), 'utf8');
+  }
+  
+  /**
+   * Start queued items while there is room, oldest job first
+   * Items waiting to be retried start when their delay is over.
+   * @private
+   */
+  _schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    
+    const now = Date.now();
+    let nextRetry = Infinity;
+    
+    for (const job of this.jobs.values()) {
+      if (FINISHED_STATES.includes(job.status)) {
+        continue;
+      }
+      
+      for (const item of job.items) {
+        if (this.active >= this.config.concurrency) {
+          return;
+        }
+        
+        if (item.status !== 'queued') {
+          continue;
+        }
+        
+        if (item.retryAt > now) {
+          nextRetry = Math.min(nextRetry, item.retryAt);
+          continue;
+        }
+        
+        this.active++;
+        this._run(job, item)
+          .catch(error => console.error(`Job ${job.id} item ${item.index} could not be saved:`, error))
+          .finally(() => {
+            this.active--;
+            this._schedule();
+          });
+      }
+    }
+    
+    if (nextRetry < Infinity) {
+      this.timer = setTimeout(() => this._schedule(), nextRetry - now);
+      // A pending retry alone does not keep the process alive
+      this.timer.unref();
+    }
+  }
+  
+  /**
+   * Run one item, queueing a retry if it fails and has retries left
+   * @param {Object} job Job
+   * @param {Object} item Item to run
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _run(job, item) {
+    item.status = 'running';
+    item.attempts++;
+    delete item.retryAt;
+    
+    if (job.status === 'queued') {
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+    }
+    this._save(job);
+    
+    try {
+      item.result = await this.config.worker(job, item);
+      item.status = 'completed';
+      item.error = null;
+    } catch (error) {
+      item.error = error.message;
+      
+      if (job.status !== 'cancelled' && error.retryable !== false && item.attempts <= this.config.maxRetries) {
+        item.status = 'queued';
+        item.retryAt = Date.now() + this.config.retryDelay * 2 ** (item.attempts - 1);
+      } else {
+        item.status = 'failed';
+      }
+    }
+    
+    if (this.config.debug) {
+      console.log(`Job ${job.id} item ${item.name}: ${item.status} (attempt ${item.attempts})`);
+    }
+    
+    this._settle(job);
+    this._save(job);
+  }
+  
+  /**
+   * Finish a job once none of its items are queued or running
+   * @param {Object} job Job
+   * @private
+   */
+  _settle(job) {
+    if (job.items.some(item => item.status === 'queued' || item.status === 'running')) {
+      return;
+    }
+    
+    if (job.status !== 'cancelled') {
+      job.status = 'completed';
+    }
+    job.finishedAt = new Date().toISOString();
+    
+    this._removeContent(job);
+  }
+  
+  /**
+   * Load the jobs saved in the state directory, dropping finished jobs past their retention
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _load() {
+    if (!this.directory || !fs.existsSync(this.directory)) {
+      return;
+    }
+    
+    const jobs = [];
+    
+    for (const name of await fs.promises.readdir(this.directory)) {
+      if (path.extname(name) !== '.json') {
+        continue;
+      }
+      
+      try {
+        jobs.push(JSON.parse(await fs.promises.readFile(path.join(this.directory, name), 'utf8')));
+      } catch (error) {
+        console.error(`Skipping unreadable job file ${name}:`, error.message);
+      }
+    }
+    
+    jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt)).forEach(job => {
+      const interrupted = job.items.filter(item => item.status === 'running');
+      // Items of a cancelled job are not started again
+      interrupted.forEach(item => {
+        item.status = job.status === 'cancelled' ? 'cancelled' : 'queued';
+      });
+      
+      this.jobs.set(job.id, job);
+      
+      if (interrupted.length) {
+        this._settle(job);
+        this._save(job);
+      }
+    });
+    
+    this._prune();
+    
+    if (this.config.debug) {
+      console.log(`Loaded ${this.jobs.size} jobs from ${this.directory}`);
+    }
+  }
+  
+  /**
+   * Forget finished jobs older than the retention period
+   * @private
+   */
+  _prune() {
+    const cutoff = Date.now() - this.config.retention;
+    
+    for (const job of this.jobs.values()) {
+      if (FINISHED_STATES.includes(job.status) && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(job.id);
+        this._removeContent(job);
+        
+        if (this.directory) {
+          fs.rmSync(this._statePath(job), { force: true });
+        }
+      }
+    }
+  }
+  
+  /**
+   * Save a job's state
+   * The state goes to a temporary file that is renamed into place, so a crash never
+   * leaves a half-written job file.
+   * @param {Object} job Job
+   * @private
+   */
+  _save(job) {
+    if (!this.directory) {
+      return;
+    }
+    
+    fs.mkdirSync(this.directory, { recursive: true });
+    
+    const tempPath = path.join(this.directory, `.${job.id}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+    fs.writeFileSync(tempPath, JSON.stringify(job));
+    fs.renameSync(tempPath, this._statePath(job));
+  }
+  
+  /**
+   * Save an item's content with its job
+   * @param {Object} job Job
+   * @param {number} index Item index
+   * @param {string} content Content
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveContent(job, index, content) {
+    if (!this.directory) {
+      this.contents.set(`${job.id}/${index}`, content);
+      return;
+    }
+    
+    await fs.promises.mkdir(this._contentDir(job), { recursive: true });
+    await fs.promises.writeFile(path.join(this._contentDir(job), String(index)), content);
+  }
+  
+  /**
+   * Delete the content saved with a job
+   * @param {Object} job Job
+   * @private
+   */
+  _removeContent(job) {
+    job.items.forEach(item => this.contents.delete(`${job.id}/${item.index}`));
+    
+    if (this.directory) {
+      fs.rmSync(this._contentDir(job), { recursive: true, force: true });
+    }
+  }
+  
+  /**
+   * Get the path of a job's state file
+   * @param {Object} job Job
+   * @returns {string} File path
+   * @private
+   */
+  _statePath(job) {
+    return path.join(this.directory, `${job.id}.json`);
+  }
+  
+  /**
+   * Get the directory holding a job's saved content
+   * @param {Object} job Job
+   * @returns {string} Directory path
+   * @private
+   */
+  _contentDir(job) {
+    return path.join(this.directory, job.id);
+  }
+}
+
+module.exports = JobQueue;
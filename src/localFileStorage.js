@@ -0,0 +1,163 @@
+/**
+ * Local File Storage Module
+ *
+ * Stores exported files in a directory on the local file system
+ * Files are written atomically and never overwrite each other
+ * Stored files are looked up by id (their stored file name) for download; each stored name carries
+ * a random token, so ids cannot be guessed from the export's name or time
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Random bytes in each stored file name
+const TOKEN_BYTES = 12;
+
+// A stored file name: the requested name with the token, in hex, before its extension
+const STORED_NAME = /^(.+)\.[0-9a-f]{24}((?:\.[^.]*)?)$/;
+
+class LocalFileStorage {
+  /**
+   * Creates a new LocalFileStorage instance
+   * @param {Object} config Configuration options
+   * @param {string} [config.exportDir='./exports'] Directory to store files in (created on first save)
+   * @param {string} [config.exportUrlPath='/api/exports'] URL path files are served under
+   * @param {Object} [config.mimeTypes] Content types by file extension (e.g. `{ '.csv': 'text/csv' }`)
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      exportUrlPath: '/api/exports',
+      mimeTypes: {},
+      ...config
+    };
+    
+    // Relative directories are resolved against the working directory
+    this.directory = path.resolve(this.config.exportDir || 'exports');
+  }
+  
+  /**
+   * Write a file to the export directory
+   * The content goes to a temporary file that is then linked into place, so readers never
+   * see a partial file. The file is stored as the requested name with a random token before
+   * the extension (`prompt.<token>.json`); the stored name is its id.
+   * @param {Object} params Upload parameters
+   * @param {string} params.fileName Requested file name; directories are stripped
+   * @param {string|Buffer} params.content File content
+   * @returns {Promise<Object>} `{ id, fileName, path, url, success }` where `fileName` is the
+   *   requested name, without the token
+   */
+  async save(params) {
+    const fileName = this.sanitizeFileName(params.fileName);
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    
+    const tempPath = path.join(this.directory, `.${fileName}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+    
+    try {
+      const handle = await fs.promises.open(tempPath, 'wx');
+      try {
+        await handle.writeFile(params.content);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      
+      const extension = path.extname(fileName);
+      const storedName = `${fileName.substring(0, fileName.length - extension.length)}.` +
+        `${crypto.randomBytes(TOKEN_BYTES).toString('hex')}${extension}`;
+      
+      // Hard links never replace an existing file
+      await fs.promises.link(tempPath, path.join(this.directory, storedName));
+      
+      if (this.config.debug) {
+        console.log(`Saved export to ${path.join(this.directory, storedName)}`);
+      }
+      
+      return {
+        id: storedName,
+        fileName,
+        path: path.join(this.directory, storedName),
+        url: `${this.config.exportUrlPath}/${encodeURIComponent(storedName)}`,
+        success: true
+      };
+    } finally {
+      await fs.promises.unlink(tempPath).catch(() => {});
+    }
+  }
+  
+  /**
+   * Look up a stored file
+   * Files in the directory whose names carry no token were not stored by save() and are not served.
+   * @param {string} id File id, as returned by save()
+   * @returns {Promise<Object|null>} `{ id, fileName, path, mimeType, size }` where `fileName` is the
+   *   name the file was saved under, or null if there is no such file
+   */
+  async get(id) {
+    const filePath = this.resolvePath(id);
+    const stored = STORED_NAME.exec(id);
+    
+    if (!stored) {
+      return null;
+    }
+    
+    const fileName = stored[1] + stored[2];
+    
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (!stats.isFile()) {
+        return null;
+      }
+      
+      return {
+        id,
+        fileName,
+        path: filePath,
+        mimeType: this.config.mimeTypes[path.extname(fileName).toLowerCase()] || 'application/octet-stream',
+        size: stats.size
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Resolve a file id to a path inside the export directory
+   * Ids are bare file names: anything with a path separator, a leading dot (which also
+   * covers `..` and temporary files) or a control character is rejected.
+   * @param {string} id File id
+   * @returns {string} Absolute file path
+   */
+  resolvePath(id) {
+    if (typeof id !== 'string' || !id || /[\/\\\x00-\x1f]/.test(id) || id.startsWith('.')) {
+      throw new Error(`Invalid export id: ${JSON.stringify(id)}`);
+    }
+    
+    const filePath = path.resolve(this.directory, id);
+    
+    if (path.dirname(filePath) !== this.directory) {
+      throw new Error(`Invalid export id: ${JSON.stringify(id)}`);
+    }
+    
+    return filePath;
+  }
+  
+  /**
+   * Reduce a requested file name to a safe bare name
+   * @param {string} fileName Requested file name
+   * @returns {string} File name without directories, control or reserved characters
+   */
+  sanitizeFileName(fileName) {
+    const name = path.basename(String(fileName || '').replace(/\\/g, '/'))
+      .replace(/[\x00-\x1f<>:"|?*]/g, '_')
+      .replace(/^\.+/, '')
+      .trim();
+    
+    return name || 'export';
+  }
+}
+
+module.exports = LocalFileStorage;
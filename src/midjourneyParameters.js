@@ -0,0 +1,354 @@
+/**
+ * Midjourney Parameters Module
+ * 
+ * Parses `--parameter value` syntax from Midjourney prompt text
+ * Merges inline parameters with structured metadata parameters
+ * Emits parameters in canonical order at the end of a prompt
+ * Takes parameters out of the text of prompts for other platforms
+ */
+
+// Canonical parameters in emission order, with the flag written and the aliases accepted
+const PARAMETERS = [
+  { name: 'ar', flag: 'ar', aliases: ['ar', 'aspect'] },
+  { name: 'stylize', flag: 's', aliases: ['s', 'stylize'] },
+  { name: 'quality', flag: 'q', aliases: ['q', 'quality'] },
+  { name: 'chaos', flag: 'c', aliases: ['c', 'chaos'] },
+  { name: 'no', flag: 'no', aliases: ['no'] },
+  { name: 'seed', flag: 'seed', aliases: ['seed'] },
+  { name: 'version', flag: 'v', aliases: ['v', 'version'] },
+  { name: 'style', flag: 'style', aliases: ['style'] },
+  { name: 'sref', flag: 'sref', aliases: ['sref'] }
+];
+
+// A `--flag` written anywhere, with at most one value word (comma-joined lists count as one)
+const LOOSE_FLAG = /(^|\s)--([a-z][^\s,]*)(?:\s+(?!--[a-z])([^\s,]+(?:,[^\s,]+)*))?/gi;
+
+class MidjourneyParameters {
+  /**
+   * Creates a new MidjourneyParameters instance
+   * @param {Object} config Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+  }
+  
+  /**
+   * Split prompt text into the prompt body and its trailing parameters
+   * Midjourney only reads parameters after the prompt, so everything from the
+   * first `--flag` onward is treated as the parameter section. Known parameters
+   * written without a value are dropped; when one is written twice, the last value wins
+   * (the validator reports both cases).
+   * @param {string} content Prompt text
+   * @returns {Object} `{ text, parameters, unknown }` where `parameters` is keyed by
+   *   canonical name and `unknown` keeps unrecognised flags in their original order
+   */
+  parse(content = '') {
+    const start = content.search(/(^|\s)--[a-z]/i);
+    
+    if (start === -1) {
+      return { text: content.trim(), parameters: {}, unknown: [] };
+    }
+    
+    const text = content.substring(0, start).trim().replace(/[,\s]+$/, '');
+    const parameters = {};
+    const unknown = [];
+    
+    content.substring(start)
+      .split(/(?:^|\s)--(?=[a-z])/i)
+      .map(token => token.trim())
+      .filter(Boolean)
+      .forEach(token => {
+        const [flag, ...rest] = token.split(/\s+/);
+        const value = rest.join(' ');
+        const name = this.normalizeName(flag);
+        
+        if (name) {
+          if (value !== '') {
+            parameters[name] = value;
+          }
+        } else {
+          unknown.push({ flag: flag.toLowerCase(), value });
+        }
+      });
+    
+    return { text, parameters, unknown };
+  }
+  
+  /**
+   * Find where each `--flag value` parameter is written in prompt text
+   * Reads the same sections as parse(), in the same order.
+   * @param {string} content Prompt text
+   * @returns {Array<Object>} Parameters as `{ flag, name, value, range, valueRange, removeRange }`, where
+   *   `name` is the canonical name (null for unknown flags), ranges are `{ start, end }` offsets and
+   *   `removeRange` also covers the space before the flag
+   */
+  locate(content = '') {
+    const spans = [];
+    
+    for (const match of content.matchAll(/(^|\s)--([a-z]\S*)((?:\s+(?!--[a-z])\S+)*)/gi)) {
+      const start = match.index + match[1].length;
+      const end = match.index + match[0].length;
+      const value = match[3].trim();
+      
+      spans.push({
+        flag: match[2].toLowerCase(),
+        name: this.normalizeName(match[2]),
+        value,
+        range: { start, end },
+        valueRange: { start: end - value.length, end },
+        removeRange: { start: match.index, end }
+      });
+    }
+    
+    return spans;
+  }
+  
+  /**
+   * Take `--flag value` parameters out of the text of a prompt for a platform that does not read them
+   * Unlike parse(), flags may be written anywhere and each takes at most one value word, so the
+   * text after a flag's value is kept: "a castle --ar 16:9 moody lighting" keeps "moody lighting".
+   * @param {string} content Prompt text
+   * @returns {Object} `{ text, parameters, unknown, spans }` as from parse(), plus the `spans`
+   *   of the flags as from locate()
+   */
+  strip(content = '') {
+    const spans = [];
+    const parameters = {};
+    const unknown = [];
+    let text = '';
+    let last = 0;
+    
+    for (const match of content.matchAll(LOOSE_FLAG)) {
+      const start = match.index + match[1].length;
+      const end = match.index + match[0].length;
+      const value = match[3] || '';
+      const name = this.normalizeName(match[2]);
+      
+      spans.push({
+        flag: match[2].toLowerCase(),
+        name,
+        value,
+        range: { start, end },
+        valueRange: { start: end - value.length, end },
+        removeRange: { start: match.index, end }
+      });
+      
+      if (!name) {
+        unknown.push({ flag: match[2].toLowerCase(), value });
+      } else if (value !== '') {
+        parameters[name] = value;
+      }
+      
+      text += content.substring(last, match.index);
+      last = end;
+    }
+    
+    text = `${text}${content.substring(last)}`
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\s+,/g, ',')
+      .replace(/,(\s*,)+/g, ',')
+      .replace(/^[\s,]+|[\s,]+$/g, '');
+    
+    return { text, parameters, unknown, spans };
+  }
+  
+  /**
+   * Move `--flag value` parameters out of the text of a prompt for a platform without Midjourney syntax
+   * `--ar`, `--seed` and `--no` go where destination() says, unless the prompt already sets them;
+   * every other flag is dropped. A platform's "Negative:" section is written into the text.
+   * @param {Object} prompt Prompt with `content`, and optional `metadata` and `video`
+   * @param {Object} adapter Platform adapter
+   * @returns {Object} `{ prompt, moved, spans }` where `moved` describes what happened to each flag,
+   *   e.g. "--ar 16:9 to video.aspectRatio" or "dropped --s 250", and `spans` are from strip()
+   */
+  relocate(prompt, adapter) {
+    const content = prompt.content || '';
+    const { text, spans } = this.strip(content);
+    
+    if (!spans.length) {
+      return { prompt, moved: [], spans };
+    }
+    
+    const metadata = { ...prompt.metadata };
+    const parameters = { ...metadata.parameters };
+    const video = { ...prompt.video };
+    const negatives = [];
+    const moved = [];
+    
+    spans.forEach(span => {
+      const flagText = content.substring(span.range.start, span.range.end);
+      const destination = span.name && this.destination(span.name, adapter);
+      const seed = /^\d+$/.test(span.value) ? Number(span.value) : span.value;
+      const size = destination === 'size' ? this.sizeForRatio(span.value, adapter.imageSize) : null;
+      const drop = reason => moved.push(`dropped ${flagText}${reason ? ` (${reason})` : ''}`);
+      
+      if (span.name && span.value === '') {
+        drop('no value');
+      } else if (destination === 'negative') {
+        negatives.push(...span.value.split(',').map(term => term.trim()).filter(Boolean));
+        moved.push(`${flagText} to the negative prompt`);
+      } else if (destination === 'aspectRatio') {
+        if (video.aspectRatio !== undefined) {
+          drop('the aspect ratio is set');
+        } else {
+          video.aspectRatio = span.value;
+          moved.push(`${flagText} to video.aspectRatio`);
+        }
+      } else if (destination === 'size') {
+        if (!size) {
+          drop('not a width:height ratio');
+        } else if (parameters.width !== undefined || parameters.height !== undefined) {
+          drop('width and height are set');
+        } else {
+          Object.assign(parameters, size);
+          moved.push(`${flagText} to ${size.width}x${size.height} in metadata.parameters`);
+        }
+      } else if (destination === 'seed') {
+        const settings = adapter.video ? video : parameters;
+        if (settings.seed !== undefined) {
+          drop('the seed is set');
+        } else {
+          settings.seed = seed;
+          moved.push(`${flagText} to ${adapter.video ? 'video.seed' : 'metadata.parameters'}`);
+        }
+      } else {
+        drop();
+      }
+    });
+    
+    let relocatedText = text;
+    const marker = adapter.formatting && adapter.formatting.negativePromptMarker;
+    if (negatives.length && marker) {
+      const hasSection = relocatedText.toLowerCase().includes(marker.toLowerCase());
+      relocatedText = `${relocatedText}${hasSection ? ',' : ` ${marker}`} ${negatives.join(', ')}`;
+    } else if (negatives.length) {
+      video.negativePrompt = [video.negativePrompt, ...negatives].filter(Boolean).join(', ');
+    }
+    
+    const relocated = { ...prompt, content: relocatedText };
+    if (Object.keys(parameters).length) {
+      relocated.metadata = { ...metadata, parameters };
+    }
+    if (Object.keys(video).length) {
+      relocated.video = video;
+    }
+    
+    return { prompt: relocated, moved, spans };
+  }
+  
+  /**
+   * Work out where a parameter goes on a platform without Midjourney syntax
+   * @param {string} name Canonical parameter name
+   * @param {Object} adapter Platform adapter
+   * @returns {string|null} 'aspectRatio' (the clip's aspect ratio), 'size' (an image width and
+   *   height, see sizeForRatio), 'seed', 'negative' (the negative prompt), or null when the
+   *   platform has nothing to put it in
+   */
+  destination(name, adapter) {
+    const video = adapter.video;
+    const formatting = adapter.formatting || {};
+    
+    if (name === 'ar' && video) {
+      return 'aspectRatio';
+    }
+    
+    if (name === 'ar' && adapter.imageSize) {
+      return 'size';
+    }
+    
+    if (name === 'seed' && (video ? video.supportsSeed : adapter.parameters && adapter.parameters.seed)) {
+      return 'seed';
+    }
+    
+    if (name === 'no' && (formatting.negativePromptMarker || (video && video.supportsNegativePrompt))) {
+      return 'negative';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Work out an image size for an aspect ratio
+   * @param {string} ratio Ratio as `width:height`, e.g. '16:9'
+   * @param {Object} imageSize Platform image size, as `{ base, multiple }`
+   * @returns {Object|null} `{ width, height }` with about `base` × `base` pixels, or null
+   *   when the ratio cannot be read
+   */
+  sizeForRatio(ratio, imageSize) {
+    const match = String(ratio).trim().match(/^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/);
+    const aspect = match && parseFloat(match[1]) / parseFloat(match[2]);
+    
+    if (!aspect || !Number.isFinite(aspect)) {
+      return null;
+    }
+    
+    const { base, multiple } = imageSize;
+    const round = size => Math.max(Math.round(size / multiple), 1) * multiple;
+    
+    return { width: round(base * Math.sqrt(aspect)), height: round(base / Math.sqrt(aspect)) };
+  }
+  
+  /**
+   * Merge structured parameters with inline ones; inline values win
+   * @param {Object} structured Parameters from metadata (any accepted alias as key)
+   * @param {Object} inline Parameters parsed from text
+   * @returns {Object} Parameters keyed by canonical name
+   */
+  merge(structured = {}, inline = {}) {
+    const merged = {};
+    
+    Object.entries(structured).forEach(([key, value]) => {
+      const name = this.normalizeName(key);
+      if (name && value !== undefined && value !== null && value !== '') {
+        merged[name] = Array.isArray(value) ? value.join(', ') : String(value);
+      }
+    });
+    
+    return { ...merged, ...inline };
+  }
+  
+  /**
+   * Format parameters as `--flag value` pairs in canonical order
+   * @param {Object} parameters Parameters keyed by canonical name
+   * @param {Array<Object>} unknown Unrecognised flags to append unchanged
+   * @returns {string} Parameter string
+   */
+  format(parameters = {}, unknown = []) {
+    const known = PARAMETERS
+      .filter(param => parameters[param.name] !== undefined)
+      .map(param => this._formatFlag(param.flag, parameters[param.name]));
+    
+    const extra = unknown.map(param => this._formatFlag(param.flag, param.value));
+    
+    return known.concat(extra).join(' ');
+  }
+  
+  /**
+   * Resolve a flag or alias to its canonical parameter name
+   * @param {string} flag Flag without leading dashes
+   * @returns {string|null} Canonical name
+   */
+  normalizeName(flag) {
+    const lowerFlag = String(flag).replace(/^--/, '').toLowerCase();
+    const param = PARAMETERS.find(p => p.aliases.includes(lowerFlag));
+    return param ? param.name : null;
+  }
+  
+  /**
+   * Format a single flag
+   * @param {string} flag Flag name
+   * @param {string} value Flag value (may be empty for boolean flags)
+   * @returns {string} Formatted flag
+   * @private
+   */
+  _formatFlag(flag, value) {
+    return value === '' ? `--${flag}` : `--${flag} ${value}`;
+  }
+}
+
+MidjourneyParameters.PARAMETERS = PARAMETERS;
+
+module.exports = MidjourneyParameters;
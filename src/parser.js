@@ -6,6 +6,79 @@
  * Validates extracted information against platform requirements
  */
 
+const PromptSchema = require('./promptSchema');
+const ScreenplayParser = require('./screenplayParser');
+const CsvCodec = require('./csvCodec');
+const ImportEngine = require('./importEngine');
+const MidjourneyParameters = require('./midjourneyParameters');
+
+// Shot sizes, most specific first; abbreviations are matched case-sensitively
+const SHOT_SIZES = [
+  { id: 'extreme close-up', patterns: [/\bextreme\s+close[\s-]?up\b/i, /\b(?:ECU|XCU)\b/] },
+  { id: 'medium close-up', patterns: [/\bmedium\s+close[\s-]?up\b/i, /\bMCU\b/] },
+  { id: 'close-up', patterns: [/\bclose[\s-]?up\b/i, /\bCU\b/] },
+  { id: 'extreme wide', patterns: [/\bextreme\s+(?:wide|long)\s+shot\b/i, /\b(?:EWS|ELS|XWS)\b/] },
+  { id: 'medium', patterns: [/\b(?:medium|mid)[\s-]shot\b/i, /\bwaist\s+shot\b/i, /\bMS\b/] },
+  { id: 'full', patterns: [/\bfull[\s-](?:body\s+)?shot\b/i, /\bFS\b/] },
+  { id: 'wide', patterns: [/\b(?:wide|long|establishing)\s+shot\b/i, /\bWS\b/] }
+];
+
+const CAMERA_MOVES = {
+  pan: 'pans|panning|panned|pan',
+  tilt: 'tilts|tilting|tilted|tilt',
+  dolly: 'dollies|dollying|dolly|push(?:es|ing)?\\s+in|pull(?:s|ing)?\\s+(?:out|back)',
+  crane: 'cranes|craning|crane|jib',
+  orbit: 'orbits|orbiting|orbit|arc(?:s|ing)?\\s+around|circl(?:e|es|ing)\\s+around',
+  handheld: 'hand-?held|shaky\\s+cam',
+  zoom: 'zooms|zooming|zoom',
+  tracking: 'tracking\\s+shot|tracking|tracks'
+};
+
+const AMBIGUOUS_MOVE_WORDS = ['pan', 'tilt', 'dolly', 'crane', 'jib', 'orbit', 'zoom', 'tracks'];
+
+const CAMERA_SPEEDS = {
+  slow: ['slowly', 'slow', 'gently', 'gentle', 'gradually', 'gradual'],
+  fast: ['quickly', 'quick', 'fast', 'rapidly', 'rapid', 'whip'],
+  smooth: ['smoothly', 'smooth', 'steadily', 'steady']
+};
+
+const CAMERA_DIRECTIONS = {
+  left: 'left',
+  right: 'right',
+  up: 'up',
+  down: 'down',
+  in: 'in',
+  out: 'out',
+  forward: 'forwards?',
+  backward: 'backwards?|back',
+  clockwise: 'clockwise',
+  counterclockwise: 'counter-?clockwise|anti-?clockwise'
+};
+
+const LENS_TYPES = /\b(wide[\s-]angle|telephoto|fish[\s-]?eye|macro|anamorphic|tilt[\s-]shift)(?:\s+lens)?\b/i;
+
+// Source types that yield one prompt per unit (scene, shot, ...) rather than a single prompt
+const MULTI_PROMPT_SOURCE_TYPES = ['screenplay', 'csv', 'export'];
+
+// Spreadsheet fields and the column headers recognised for them when no mapping is given
+const CSV_FIELDS = {
+  description: ['description', 'prompt', 'action', 'shot description'],
+  camera: ['camera', 'camera move', 'camera movement', 'shot type', 'framing'],
+  style: ['style', 'look'],
+  setting: ['setting', 'location'],
+  duration: ['duration', 'length', 'seconds'],
+  aspectRatio: ['aspect ratio', 'aspect', 'ar'],
+  negative: ['negative', 'negative prompt', 'avoid'],
+  notes: ['notes', 'note', 'comments'],
+  sceneNumber: ['scene', 'scene number', 'scene #', 'scene no'],
+  shotNumber: ['shot', 'shot number', 'shot #', 'shot no', '#']
+};
+
+// Uppercase abbreviations kept as written when screenplay action is converted to prose
+const SHOT_ABBREVIATIONS = ['ECU', 'XCU', 'MCU', 'CU', 'EWS', 'ELS', 'XWS', 'MS', 'FS', 'WS', 'POV', 'OS', 'VO'];
+
+const TRANSITIONS = /\b(smash cut|match cut|jump cut|cut to|cross[\s-]?dissolve|dissolves? to|fade (?:in|out|to black)|wipe to)\b/gi;
+
 class PromptParser {
   /**
    * Creates a new PromptParser instance
@@ -14,9 +87,49 @@ class PromptParser {
   constructor(config = {}) {
     this.config = {
       debug: false,
-      maxPromptLength: 1000,
       ...config
     };
+    
+    this.schema = new PromptSchema(this.config);
+    this.screenplayParser = new ScreenplayParser(this.config);
+    this.csvCodec = new CsvCodec();
+    this.importEngine = new ImportEngine(this.config);
+    this.midjourneyParameters = new MidjourneyParameters(this.config);
+  }
+  
+  /**
+   * Parse source content into one or more prompts
+   * Single-prompt source types yield a one-element list; screenplays yield one
+   * prompt per scene (or per shot) in script order, and CSV yields one prompt per row.
+   * @param {string} content Source content to parse
+   * @param {string} sourceType Type of source content ('text', 'document', 'structured', 'screenplay', 'csv', 'export')
+   * @param {Object} options Source-type specific options
+   * @param {boolean} [options.includeDialogue=false] Screenplays: describe dialogue in the prompt
+   * @param {string} [options.splitBy='scene'] Screenplays: 'scene' or 'shot'
+   * @param {Object} [options.columns] CSV: column header per field, e.g. `{ description: 'Action' }`
+   * @param {string} [options.delimiter=','] CSV: field delimiter
+   * @param {string} [options.format='auto'] Export: format of the exported file
+   * @param {string} [options.fileName] Export: file name, used to detect the format
+   * @returns {Promise<Array<Object>>} Structured prompt data; each entry also carries `source`,
+   *   the part of the content it was parsed from, and for multi-prompt sources a `label`
+   *   locating it (e.g. "Scene 3", "Row 12"). Entries that could not be parsed carry
+   *   `error` instead of `content`.
+   */
+  async parseAll(content, sourceType = 'text', options = {}) {
+    if (sourceType === 'screenplay') {
+      return this._parseScreenplay(content, options);
+    }
+    
+    if (sourceType === 'csv') {
+      return this._parseCsv(content, options);
+    }
+    
+    if (sourceType === 'export') {
+      return this._parseExport(content, options);
+    }
+    
+    const parsed = await this.parse(content, sourceType);
+    return [{ ...parsed, source: content }];
   }
   
   /**
@@ -30,8 +143,21 @@ class PromptParser {
       console.log(`Parsing content of type ${sourceType}`);
     }
     
+    if (MULTI_PROMPT_SOURCE_TYPES.includes(sourceType)) {
+      throw new Error(`Source type ${sourceType} yields multiple prompts; use parseAll()`);
+    }
+    
+    // Structured content is decoded before normalization so multi-line JSON survives,
+    // then described as prompt text for component extraction
+    let sourceText = content;
+    let document = null;
+    if (sourceType === 'structured') {
+      document = this._decodeStructured(content);
+      sourceText = this._composeStructuredText(document.data);
+    }
+    
     // Sanitize and normalize content
-    const normalizedContent = this._normalizeContent(content);
+    const normalizedContent = this._normalizeContent(sourceText);
     
     // Extract basic prompt components
     const components = this._extractComponents(normalizedContent);
@@ -43,7 +169,7 @@ class PromptParser {
         structuredData = await this._parseDocument(normalizedContent, components);
         break;
       case 'structured':
-        structuredData = await this._parseStructured(normalizedContent, components);
+        structuredData = await this._parseStructured(normalizedContent, components, document);
         break;
       case 'text':
       default:
@@ -71,12 +197,7 @@ class PromptParser {
     
     let normalized = content.trim();
     
-    // Truncate if too long
-    if (normalized.length > this.config.maxPromptLength) {
-      normalized = normalized.substring(0, this.config.maxPromptLength);
-    }
-    
-    // Basic sanitization
+    // Basic sanitization; length is left to the transformer, which fits each prompt to its platform
     normalized = normalized
       .replace(/[\n\r]+/g, ' ')
       .replace(/\s+/g, ' ');
@@ -125,8 +246,124 @@ class PromptParser {
       subjects,
       styles,
       qualities,
-      settings
+      settings,
+      shot: this._extractShot(content)
+    };
+  }
+  
+  /**
+   * Extract shot grammar (size, camera move, lens, transitions) from the prompt
+   * @param {string} content Normalized content
+   * @returns {Object} Shot description; `phrases` holds the source text of each match
+   * @private
+   */
+  _extractShot(content) {
+    const shot = {
+      size: null,
+      move: null,
+      direction: null,
+      speed: null,
+      lens: { focalLength: null, type: null },
+      transitions: [],
+      phrases: {}
     };
+    
+    // Shot size
+    for (const size of SHOT_SIZES) {
+      const match = size.patterns.map(pattern => content.match(pattern)).find(Boolean);
+      if (match) {
+        shot.size = size.id;
+        shot.phrases.size = match[0];
+        break;
+      }
+    }
+    
+    // Camera move with optional speed and direction, e.g. "the camera slowly panning right".
+    // Bare nouns like "pan" or "crane" only count with camera, shot, speed or direction context.
+    const moveMatch = Array.from(content.matchAll(this._buildMovePattern()))
+      .find(([phrase, speedBefore, moveWord, noun, speedAfter, directionWord]) =>
+        /camera/i.test(phrase) || noun || speedBefore || speedAfter || directionWord ||
+        !AMBIGUOUS_MOVE_WORDS.includes(moveWord.toLowerCase()));
+    if (moveMatch) {
+      const [phrase, speedBefore, moveWord, , speedAfter, directionWord] = moveMatch;
+      shot.move = Object.keys(CAMERA_MOVES)
+        .find(move => new RegExp(`^(?:${CAMERA_MOVES[move]})$`, 'i').test(moveWord));
+      shot.speed = this._matchVocabulary(speedBefore || speedAfter, CAMERA_SPEEDS);
+      shot.direction = this._matchDirection(directionWord) ||
+        (/^push/i.test(moveWord) ? 'in' : /^pull/i.test(moveWord) ? 'out' : null);
+      shot.phrases.move = phrase.trim();
+    }
+    
+    // Lens and focal length
+    const focalMatch = content.match(/\b(\d{2,3})\s?mm\b(?:\s+lens\b)?/i);
+    if (focalMatch) {
+      shot.lens.focalLength = parseInt(focalMatch[1], 10);
+      shot.phrases.focalLength = focalMatch[0];
+    }
+    
+    const lensMatch = content.match(LENS_TYPES);
+    if (lensMatch) {
+      shot.lens.type = lensMatch[1].toLowerCase().replace(/[\s-]+/g, '-').replace('fish-eye', 'fisheye');
+      shot.phrases.lensType = lensMatch[0];
+    }
+    
+    // Transitions
+    const transitions = content.match(TRANSITIONS) || [];
+    shot.transitions = transitions.map(transition => transition.toLowerCase());
+    
+    return shot;
+  }
+  
+  /**
+   * Build the camera move pattern from the move, speed and direction vocabularies
+   * The match covers the whole phrase, from a leading article or "camera" to a trailing
+   * "shot" or "camera" (e.g. "a handheld camera", "A tracking shot", "the camera slowly pans left"),
+   * so the transformer can rewrite it in place.
+   * @returns {RegExp} Camera move pattern; groups are speed before, move, trailing noun, speed after
+   *   and direction
+   * @private
+   */
+  _buildMovePattern() {
+    const speeds = Object.values(CAMERA_SPEEDS).flat().join('|');
+    const moves = Object.values(CAMERA_MOVES).join('|');
+    const directions = Object.values(CAMERA_DIRECTIONS).join('|');
+    
+    return new RegExp(
+      `(?:\\b(?:an?|the)\\s+)?(?:\\bcamera\\s+)?(?:\\b(${speeds})\\s+)?\\b(${moves})\\b` +
+      `(?:\\s+(shots?|camera|cam)\\b)?(?:\\s+(${speeds})\\b)?(?:\\s+(?:to\\s+the\\s+)?(${directions})\\b)?`,
+      'gi'
+    );
+  }
+  
+  /**
+   * Map a word to its canonical vocabulary entry
+   * @param {string} word Word to look up
+   * @param {Object} vocabulary Canonical id to list of synonyms
+   * @returns {string|null} Canonical id
+   * @private
+   */
+  _matchVocabulary(word, vocabulary) {
+    if (!word) {
+      return null;
+    }
+    
+    const lowerWord = word.toLowerCase();
+    return Object.keys(vocabulary).find(id => vocabulary[id].includes(lowerWord)) || null;
+  }
+  
+  /**
+   * Map a direction word to its canonical direction
+   * @param {string} word Direction word
+   * @returns {string|null} Canonical direction
+   * @private
+   */
+  _matchDirection(word) {
+    if (!word) {
+      return null;
+    }
+    
+    return Object.keys(CAMERA_DIRECTIONS)
+      .find(direction => new RegExp(`^(?:${CAMERA_DIRECTIONS[direction]})$`, 'i').test(word)) || null;
   }
   
   /**
@@ -145,6 +382,7 @@ class PromptParser {
       styles: components.styles,
       qualities: components.qualities,
       settings: components.settings,
+      shot: components.shot,
       parsedAt: new Date().toISOString()
     };
   }
@@ -164,35 +402,497 @@ class PromptParser {
       styles: components.styles,
       qualities: components.qualities,
       settings: components.settings,
+      shot: components.shot,
       parsedAt: new Date().toISOString()
     };
   }
   
   /**
    * Parse structured content (e.g., JSON input)
-   * @param {string} content Normalized content
+   * @param {string} content Normalized prompt text composed from the document
    * @param {Object} components Extracted components
+   * @param {Object} document Decoded document from _decodeStructured()
    * @returns {Promise<Object>} Structured data
    * @private
    */
-  async _parseStructured(content, components) {
-    // For structured content, we would parse the JSON or structured format
-    let structuredData;
-    try {
-      // If the content is already JSON, parse it
-      structuredData = JSON.parse(content);
-    } catch (e) {
-      // If not valid JSON, treat as text
-      return this._parseText(content, components);
+  async _parseStructured(content, components, document) {
+    const { data, migratedFrom } = document;
+    const camera = data.camera || {};
+    const lens = camera.lens || {};
+    
+    // Camera fields in the document take precedence over what was found in the text
+    const shot = {
+      ...components.shot,
+      size: camera.shotSize || components.shot.size,
+      move: camera.move || components.shot.move,
+      direction: camera.direction || components.shot.direction,
+      speed: camera.speed || components.shot.speed,
+      lens: {
+        focalLength: lens.focalLength || components.shot.lens.focalLength,
+        type: lens.type || components.shot.lens.type
+      }
+    };
+    
+    // Negative prompt and image references also drive video platform requests
+    const video = { ...data.video };
+    if (data.negative && data.negative.length && video.negativePrompt === undefined) {
+      video.negativePrompt = data.negative.join(', ');
+    }
+    const imageReference = (data.references || []).find(reference => reference.type === 'image');
+    if (imageReference && video.imageReference === undefined) {
+      video.imageReference = imageReference.url;
     }
     
     return {
       type: 'structured',
       structured: true,
-      ...structuredData,
+      schemaVersion: data.schemaVersion,
+      migratedFrom,
+      subjects: components.subjects,
+      styles: components.styles,
+      qualities: components.qualities,
+      settings: components.settings,
+      subject: data.subject,
+      action: data.action,
+      style: data.style,
+      setting: data.setting,
+      camera: data.camera,
+      lighting: data.lighting,
+      negative: data.negative,
+      parameters: data.parameters,
+      references: data.references,
+      video,
+      shot,
       parsedAt: new Date().toISOString()
     };
   }
+  
+  /**
+   * Parse a screenplay into one prompt per scene or shot
+   * @param {string} content Screenplay text (Fountain or plain text)
+   * @param {Object} options Screenplay options (see parseAll)
+   * @returns {Promise<Array<Object>>} Structured prompt data in script order
+   * @private
+   */
+  async _parseScreenplay(content, options = {}) {
+    const { includeDialogue = false, splitBy = 'scene' } = options;
+    
+    if (!['scene', 'shot'].includes(splitBy)) {
+      throw new Error(`Unsupported screenplay split: ${splitBy}`);
+    }
+    
+    if (!content || !String(content).trim()) {
+      throw new Error('Content cannot be empty');
+    }
+    
+    const prompts = [];
+    
+    this.screenplayParser.parse(content).forEach(scene => {
+      const units = splitBy === 'shot' ? this._splitShots(scene.elements) : [scene.elements];
+      
+      units.forEach((elements, index) => {
+        const text = this._composeSceneText(scene, elements, includeDialogue);
+        if (!text) {
+          return;
+        }
+        
+        const normalizedContent = this._normalizeContent(text);
+        const components = this._extractComponents(normalizedContent);
+        const dialogue = elements.filter(element => element.type === 'dialogue');
+        const characters = [...new Set(dialogue.map(element => this._toProse(element.character)))];
+        
+        prompts.push({
+          content: normalizedContent,
+          metadata: {
+            type: 'screenplay',
+            sceneNumber: scene.sceneNumber,
+            ...(splitBy === 'shot' && { shotNumber: index + 1 }),
+            heading: scene.heading,
+            setting: scene.setting,
+            characters,
+            ...(includeDialogue && {
+              dialogue: dialogue.map(element => ({ character: this._toProse(element.character), text: element.text }))
+            }),
+            subjects: components.subjects,
+            styles: components.styles,
+            qualities: components.qualities,
+            settings: components.settings,
+            shot: {
+              ...components.shot,
+              transitions: components.shot.transitions.concat(elements
+                .filter(element => element.type === 'transition')
+                .map(element => element.text.replace(/[.:]$/, '').toLowerCase()))
+            },
+            parsedAt: new Date().toISOString()
+          },
+          components,
+          source: scene.source,
+          label: splitBy === 'shot' ? `Scene ${scene.sceneNumber}, shot ${index + 1}` : `Scene ${scene.sceneNumber}`
+        });
+      });
+    });
+    
+    if (!prompts.length) {
+      throw new Error('Screenplay contains no scenes');
+    }
+    
+    return prompts;
+  }
+  
+  /**
+   * Group scene elements into shots
+   * A shot starts at each shot heading (e.g. "CLOSE ON") and at each action paragraph
+   * not already introduced by one; dialogue and transitions stay with the current shot.
+   * @param {Array<Object>} elements Scene elements from ScreenplayParser
+   * @returns {Array<Array<Object>>} Elements per shot
+   * @private
+   */
+  _splitShots(elements) {
+    const shots = [];
+    let current = null;
+    
+    elements.forEach(element => {
+      const headingOnly = current && current.length === 1 && current[0].type === 'shot';
+      
+      if (!current || element.type === 'shot' || (element.type === 'action' && !headingOnly)) {
+        current = [];
+        shots.push(current);
+      }
+      
+      current.push(element);
+    });
+    
+    return shots.length ? shots : [[]];
+  }
+  
+  /**
+   * Describe scene elements as prompt text
+   * Action and shot lines become the visual description, followed by the setting
+   * from the scene heading. Dialogue is only included on request.
+   * @param {Object} scene Scene from ScreenplayParser
+   * @param {Array<Object>} elements Elements to describe
+   * @param {boolean} includeDialogue Whether to describe dialogue
+   * @returns {string} Prompt text (empty when there is nothing to describe)
+   * @private
+   */
+  _composeSceneText(scene, elements, includeDialogue) {
+    const visuals = elements
+      .map(element => {
+        if (element.type === 'shot') {
+          return `${element.text.toLowerCase()}:`;
+        }
+        if (element.type === 'action') {
+          return this._toProse(element.text);
+        }
+        if (element.type === 'dialogue' && includeDialogue && element.text) {
+          return `${this._toProse(element.character)} says "${element.text}"`;
+        }
+        return null;
+      })
+      .filter(Boolean)
+      .join(' ')
+      .replace(/[.:;,\s]+$/, '');
+    
+    const { location, timeOfDay, interior } = scene.setting;
+    const place = [
+      interior === true ? 'interior' : interior === false ? 'exterior' : null,
+      location && location.toLowerCase()
+    ].filter(Boolean).join(' ');
+    
+    return [visuals, place, timeOfDay].filter(Boolean).join(', ');
+  }
+  
+  /**
+   * Convert screenplay capitalization (character introductions, sound cues) to prose
+   * @param {string} text Screenplay text
+   * @returns {string} Text with all-caps words in title case
+   * @private
+   */
+  _toProse(text) {
+    return text.replace(/\b[A-Z][A-Z'\u2019]*[A-Z]\b/g, word =>
+      SHOT_ABBREVIATIONS.includes(word) ? word : word.charAt(0) + word.slice(1).toLowerCase());
+  }
+  
+  /**
+   * Parse a CSV shot list into one prompt per row
+   * A row that cannot be parsed yields an entry with `error` so the other rows still export.
+   * @param {string} content CSV text with a header row
+   * @param {Object} options CSV options (see parseAll)
+   * @returns {Promise<Array<Object>>} Structured prompt data in row order
+   * @private
+   */
+  async _parseCsv(content, options = {}) {
+    const { columns = {}, delimiter = ',' } = options;
+    
+    if (!content || !String(content).trim()) {
+      throw new Error('Content cannot be empty');
+    }
+    
+    const [header, ...records] = this.csvCodec.parse(content, { delimiter });
+    const columnIndexes = this._mapCsvColumns(header.fields, columns);
+    const prompts = [];
+    
+    records.forEach((record, index) => {
+      // Row numbers match the spreadsheet, where the header is row 1
+      const rowNumber = index + 2;
+      const label = `Row ${rowNumber}`;
+      const source = record.raw;
+      
+      if (record.fields.every(field => !field.trim())) {
+        return;
+      }
+      
+      const row = {};
+      Object.entries(columnIndexes).forEach(([field, columnIndex]) => {
+        const value = record.fields[columnIndex];
+        if (value !== undefined && value.trim()) {
+          row[field] = value.trim();
+        }
+      });
+      
+      try {
+        prompts.push({ ...this._parseCsvRow(row, rowNumber), source, label });
+      } catch (error) {
+        prompts.push({
+          metadata: { type: 'csv', rowNumber },
+          source,
+          label,
+          error: error.message
+        });
+      }
+    });
+    
+    if (!prompts.length) {
+      throw new Error('CSV contains no data rows');
+    }
+    
+    return prompts;
+  }
+  
+  /**
+   * Resolve the column index of each field from the header row
+   * Mapped columns must exist; unmapped fields use a recognised header if present.
+   * @param {Array<string>} header Header row
+   * @param {Object} columns Column header per field
+   * @returns {Object} Column index per field
+   * @private
+   */
+  _mapCsvColumns(header, columns) {
+    const headers = header.map(name => name.trim().toLowerCase());
+    const indexes = {};
+    
+    Object.entries(columns).forEach(([field, column]) => {
+      if (!CSV_FIELDS[field]) {
+        throw new Error(`Unknown CSV field: ${field} (expected one of: ${Object.keys(CSV_FIELDS).join(', ')})`);
+      }
+      
+      const index = headers.indexOf(String(column).trim().toLowerCase());
+      if (index === -1) {
+        throw new Error(`CSV column not found for ${field}: ${column}`);
+      }
+      
+      indexes[field] = index;
+    });
+    
+    Object.entries(CSV_FIELDS)
+      .filter(([field]) => indexes[field] === undefined)
+      .forEach(([field, aliases]) => {
+        const index = headers.findIndex(name => aliases.includes(name));
+        if (index !== -1 && !Object.values(indexes).includes(index)) {
+          indexes[field] = index;
+        }
+      });
+    
+    if (indexes.description === undefined) {
+      throw new Error('CSV has no description column; map one with columns.description');
+    }
+    
+    return indexes;
+  }
+  
+  /**
+   * Parse one CSV row
+   * Description, camera, style and setting form the prompt text; the other fields
+   * become metadata (duration and aspect ratio as video settings).
+   * @param {Object} row Cell values keyed by field
+   * @param {number} rowNumber Spreadsheet row number
+   * @returns {Object} Structured prompt data
+   * @private
+   */
+  _parseCsvRow(row, rowNumber) {
+    if (!row.description) {
+      throw new Error('Description is empty');
+    }
+    
+    const text = [row.description, row.camera, row.style, row.setting].filter(Boolean).join(', ');
+    const normalizedContent = this._normalizeContent(text);
+    const components = this._extractComponents(normalizedContent);
+    
+    const video = {};
+    if (row.duration) {
+      const duration = parseFloat(row.duration.replace(/\s*(s|sec|secs|seconds)$/i, ''));
+      if (!isFinite(duration) || !/^\d*\.?\d+\s*(s|sec|secs|seconds)?$/i.test(row.duration)) {
+        throw new Error(`Duration is not a number of seconds: ${row.duration}`);
+      }
+      video.duration = duration;
+    }
+    if (row.aspectRatio) {
+      video.aspectRatio = row.aspectRatio;
+    }
+    
+    const negative = row.negative ? row.negative.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+    if (negative) {
+      video.negativePrompt = negative.join(', ');
+    }
+    
+    const metadata = {
+      type: 'csv',
+      rowNumber,
+      sceneNumber: row.sceneNumber,
+      shotNumber: row.shotNumber,
+      subjects: components.subjects,
+      styles: components.styles,
+      qualities: components.qualities,
+      settings: components.settings,
+      negative,
+      notes: row.notes,
+      video,
+      shot: components.shot,
+      parsedAt: new Date().toISOString()
+    };
+    
+    // Leave out the optional columns this sheet does not have
+    Object.keys(metadata)
+      .filter(key => metadata[key] === undefined)
+      .forEach(key => delete metadata[key]);
+    
+    return {
+      content: normalizedContent,
+      metadata,
+      components
+    };
+  }
+  
+  /**
+   * Parse a previously exported file into its prompts
+   * Imported metadata is kept. Midjourney parameters in the exported text move to
+   * `metadata.parameters`, so they are re-emitted for Midjourney and dropped elsewhere.
+   * @param {string} content Exported file content
+   * @param {Object} options Export options (see parseAll)
+   * @returns {Promise<Array<Object>>} Structured prompt data in file order
+   * @private
+   */
+  async _parseExport(content, options = {}) {
+    const { format, collection, prompts } = this.importEngine.import(content, options);
+    const multiple = collection || prompts.length > 1;
+    
+    return prompts.map((imported, index) => {
+      const { text, parameters, unknown } = this.midjourneyParameters.parse(imported.content);
+      const promptText = [text, this.midjourneyParameters.format({}, unknown)].filter(Boolean).join(' ');
+      const normalizedContent = this._normalizeContent(promptText);
+      const components = this._extractComponents(normalizedContent);
+      const metadata = {
+        subjects: components.subjects,
+        styles: components.styles,
+        qualities: components.qualities,
+        settings: components.settings,
+        ...imported.metadata,
+        // Shot phrases must match the exported text, which no longer reads like the original
+        shot: components.shot,
+        importedFrom: format,
+        exportedAt: imported.timestamp
+      };
+      
+      if (Object.keys(parameters).length) {
+        metadata.parameters = { ...metadata.parameters, ...parameters };
+      }
+      
+      return {
+        content: normalizedContent,
+        metadata,
+        components,
+        source: imported.content,
+        ...(multiple && { label: `Prompt ${index + 1}` })
+      };
+    });
+  }
+  
+  /**
+   * Decode, migrate and validate a structured prompt document
+   * @param {string|Object} content JSON text or an already-decoded object
+   * @returns {Object} `{ data, migratedFrom }` for the current schema version
+   * @private
+   */
+  _decodeStructured(content) {
+    let raw = content;
+    
+    if (typeof content === 'string') {
+      try {
+        raw = JSON.parse(content);
+      } catch (e) {
+        throw new Error(`Invalid structured prompt JSON: ${e.message}`);
+      }
+    }
+    
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('Structured prompt must be a JSON object');
+    }
+    
+    const { data, migratedFrom } = this.schema.migrate(raw);
+    const errors = this.schema.validate(data);
+    
+    if (errors.length) {
+      const details = errors.map(error => `${error.path} ${error.message}`).join('; ');
+      throw new Error(`Structured prompt does not match schema v${PromptSchema.CURRENT_VERSION}: ${details}`);
+    }
+    
+    return { data, migratedFrom };
+  }
+  
+  /**
+   * Describe a structured prompt document as prompt text
+   * @param {Object} data Structured prompt (current schema version)
+   * @returns {string} Prompt text
+   * @private
+   */
+  _composeStructuredText(data) {
+    const parts = [];
+    const camera = data.camera || {};
+    const setting = data.setting || {};
+    
+    parts.push(data.action ? `${data.subject} ${data.action}` : data.subject);
+    
+    const place = [setting.location, setting.timeOfDay && `at ${setting.timeOfDay}`].filter(Boolean).join(' ');
+    if (setting.description || place) {
+      parts.push(setting.description || place);
+    }
+    
+    (data.style || []).forEach(style => parts.push(style));
+    
+    if (camera.description) {
+      parts.push(camera.description);
+    } else {
+      if (camera.shotSize) {
+        parts.push(camera.shotSize.endsWith('close-up') ? camera.shotSize : `${camera.shotSize} shot`);
+      }
+      if (camera.move) {
+        parts.push([camera.speed, camera.move === 'static' ? 'static camera' : camera.move, camera.direction]
+          .filter(Boolean)
+          .join(' '));
+      }
+      if (camera.lens && (camera.lens.focalLength || camera.lens.type)) {
+        parts.push([camera.lens.focalLength && `${camera.lens.focalLength}mm`, camera.lens.type, 'lens']
+          .filter(Boolean)
+          .join(' '));
+      }
+    }
+    
+    if (data.lighting) {
+      parts.push(data.lighting);
+    }
+    
+    return parts.join(', ');
+  }
 }
 
 module.exports = PromptParser;
@@ -0,0 +1,243 @@
+/**
+ * Platform Registry Module
+ * 
+ * Single source of platform knowledge for the exporter, transformer and validator
+ * Registers platform adapters that declare formatting rules, validation rules,
+ * supported formats and parameter schema
+ * Loads additional adapters from JSON/JS files in a project directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const builtinPlatforms = require('./platforms');
+
+const FALLBACK_PLATFORM = 'custom';
+
+// Export formats of adapters that do not list their own
+const DEFAULT_FORMATS = ['json', 'txt', 'csv', 'xml', 'yaml', 'md', 'jsonl'];
+
+class PlatformRegistry {
+  /**
+   * Creates a new PlatformRegistry instance
+   * @param {Object} config Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      includeBuiltins: true,
+      platformsDir: null,
+      ...config
+    };
+    
+    this.adapters = new Map();
+    
+    if (this.config.includeBuiltins) {
+      builtinPlatforms.forEach(adapter => this.register(adapter));
+    }
+    
+    if (this.config.platformsDir) {
+      this.loadFromDirectory(this.config.platformsDir);
+    }
+  }
+  
+  /**
+   * Register a platform adapter, replacing any adapter with the same id
+   * @param {Object} adapter Platform adapter
+   * @param {string} adapter.id Unique platform identifier
+   * @param {string} adapter.name Display name
+   * @param {Array<string>} [adapter.supportedFormats] Export formats the platform accepts; defaults to
+   *   every format except the Stable Diffusion request bodies
+   * @param {Object} [adapter.formatting] Rules used by FormatTransformer
+   * @param {Object} [adapter.validation] Rules used by PromptValidator
+   * @param {Object} [adapter.parameters] Parameter schema keyed by parameter name
+   * @returns {Object} The normalized adapter
+   */
+  register(adapter) {
+    const normalized = this._normalizeAdapter(adapter);
+    
+    if (this.config.debug && this.adapters.has(normalized.id)) {
+      console.log(`Replacing platform adapter: ${normalized.id}`);
+    }
+    
+    this.adapters.set(normalized.id, normalized);
+    return normalized;
+  }
+  
+  /**
+   * Remove a platform adapter
+   * @param {string} id Platform identifier
+   * @returns {boolean} Whether an adapter was removed
+   */
+  unregister(id) {
+    return this.adapters.delete(id);
+  }
+  
+  /**
+   * Check whether a platform is registered
+   * @param {string} id Platform identifier
+   * @returns {boolean} Whether the platform exists
+   */
+  has(id) {
+    return this.adapters.has(id);
+  }
+  
+  /**
+   * Get a registered platform adapter
+   * @param {string} id Platform identifier
+   * @returns {Object|undefined} Platform adapter
+   */
+  get(id) {
+    return this.adapters.get(id);
+  }
+  
+  /**
+   * Get a platform adapter, falling back to the custom platform for unknown ids
+   * @param {string} id Platform identifier
+   * @returns {Object} Platform adapter
+   */
+  resolve(id) {
+    return this.adapters.get(id) ||
+      this.adapters.get(FALLBACK_PLATFORM) ||
+      this._normalizeAdapter({ id: FALLBACK_PLATFORM, name: 'Custom Platform' });
+  }
+  
+  /**
+   * Get all registered platform adapters in registration order
+   * @returns {Array<Object>} Platform adapters
+   */
+  list() {
+    return Array.from(this.adapters.values());
+  }
+  
+  /**
+   * Resolve the video settings for a prompt on a video platform
+   * Adapter defaults are overridden by prompt metadata, then by explicit prompt settings
+   * @param {string} id Platform identifier
+   * @param {Object} prompt Prompt with optional `video` settings and `metadata.video`
+   * @returns {Object|null} Video settings, or null for non-video platforms
+   */
+  getVideoSettings(id, prompt = {}) {
+    const adapter = this.resolve(id);
+    
+    if (!adapter.video) {
+      return null;
+    }
+    
+    return {
+      ...adapter.video.defaults,
+      ...(prompt.metadata && prompt.metadata.video),
+      ...prompt.video
+    };
+  }
+  
+  /**
+   * Load platform adapters from .json and .js files in a directory
+   * A file may export a single adapter or an array of adapters
+   * @param {string} dir Directory containing adapter files
+   * @returns {Array<Object>} The adapters that were registered
+   */
+  loadFromDirectory(dir) {
+    const directory = path.resolve(dir);
+    const files = fs.readdirSync(directory)
+      .filter(file => ['.json', '.js'].includes(path.extname(file)))
+      .sort();
+    
+    const registered = [];
+    
+    for (const file of files) {
+      const filePath = path.join(directory, file);
+      let exported;
+      
+      try {
+        exported = path.extname(file) === '.json' ?
+          JSON.parse(fs.readFileSync(filePath, 'utf8')) :
+          require(filePath);
+      } catch (error) {
+        throw new Error(`Failed to load platform adapter ${file}: ${error.message}`);
+      }
+      
+      const adapters = Array.isArray(exported) ? exported : [exported];
+      
+      for (const adapter of adapters) {
+        try {
+          registered.push(this.register(adapter));
+        } catch (error) {
+          throw new Error(`Invalid platform adapter in ${file}: ${error.message}`);
+        }
+      }
+    }
+    
+    if (this.config.debug) {
+      console.log(`Loaded ${registered.length} platform adapters from ${directory}`);
+    }
+    
+    return registered;
+  }
+  
+  /**
+   * Validate an adapter and fill in defaults
+   * @param {Object} adapter Platform adapter
+   * @returns {Object} Normalized adapter
+   * @private
+   */
+  _normalizeAdapter(adapter) {
+    if (!adapter || typeof adapter !== 'object') {
+      throw new Error('Platform adapter must be an object');
+    }
+    
+    if (!adapter.id || typeof adapter.id !== 'string') {
+      throw new Error('Platform adapter requires a string id');
+    }
+    
+    const formatting = {
+      maxLength: 2000,
+      parameterSeparator: ',',
+      supportsTags: true,
+      supportsWeights: false,
+      ...adapter.formatting
+    };
+    
+    const validation = {
+      maxLength: formatting.maxLength,
+      forbiddenPhrases: [],
+      ...adapter.validation
+    };
+    
+    return {
+      ...adapter,
+      id: adapter.id,
+      name: adapter.name || adapter.id,
+      supportedFormats: adapter.supportedFormats && adapter.supportedFormats.length ?
+        [...adapter.supportedFormats] : [...DEFAULT_FORMATS],
+      formatting,
+      validation,
+      parameters: this._normalizeParameters(adapter.parameters || {})
+    };
+  }
+  
+  /**
+   * Convert parameter formats given as strings (e.g. from JSON files) to regular expressions
+   * @param {Object} parameters Parameter schema
+   * @returns {Object} Normalized parameter schema
+   * @private
+   */
+  _normalizeParameters(parameters) {
+    const normalized = {};
+    
+    Object.entries(parameters).forEach(([name, rule]) => {
+      const paramRule = { ...rule };
+      
+      if (typeof paramRule.format === 'string') {
+        paramRule.format = new RegExp(paramRule.format);
+      }
+      
+      normalized[name.toLowerCase()] = paramRule;
+    });
+    
+    return normalized;
+  }
+}
+
+PlatformRegistry.FALLBACK_PLATFORM = FALLBACK_PLATFORM;
+
+module.exports = PlatformRegistry;
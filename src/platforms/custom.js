@@ -0,0 +1,25 @@
+/**
+ * Custom Platform Adapter
+ * 
+ * Permissive rules used for custom targets and as the fallback for unknown platforms
+ */
+
+module.exports = {
+  id: 'custom',
+  name: 'Custom Platform',
+  supportedFormats: ['json', 'txt', 'csv', 'xml', 'yaml', 'md', 'jsonl'],
+  formatting: {
+    maxLength: 2000,
+    parameterSeparator: ',',
+    weightOperator: '::',
+    supportsTags: true,
+    supportsWeights: true,
+    cameraPhrasing: 'inline'
+  },
+  validation: {
+    maxLength: 2000,
+    forbiddenPhrases: [],
+    recommendedFormat: 'any format acceptable'
+  },
+  parameters: {}
+};
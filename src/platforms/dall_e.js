@@ -0,0 +1,25 @@
+/**
+ * DALL-E Platform Adapter
+ * 
+ * Formatting and validation rules for DALL-E prompts
+ */
+
+module.exports = {
+  id: 'dall_e',
+  name: 'DALL-E',
+  supportedFormats: ['json', 'txt', 'csv', 'xml', 'yaml', 'md', 'jsonl'],
+  formatting: {
+    maxLength: 1000,
+    parameterSeparator: ',',
+    supportsTags: false,
+    supportsWeights: false,
+    cameraPhrasing: 'still'
+  },
+  validation: {
+    maxLength: 1000,
+    forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing', 'political', 'celebrity'],
+    recommendedFormat: 'detailed description, clear style references',
+    requirements: ['clear subject', 'specific style']
+  },
+  parameters: {}
+};
@@ -0,0 +1,19 @@
+/**
+ * Built-in Platform Adapters
+ * 
+ * Adapters registered by default in every PlatformRegistry
+ */
+
+module.exports = [
+  require('./midjourney'),
+  require('./stable_diffusion'),
+  require('./dall_e'),
+  require('./runway'),
+  require('./veo'),
+  require('./sora'),
+  require('./runway_gen3'),
+  require('./pika'),
+  require('./kling'),
+  require('./luma'),
+  require('./custom')
+];
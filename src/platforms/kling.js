@@ -0,0 +1,110 @@
+/**
+ * Kling Platform Adapter
+ * 
+ * Formatting, validation and request rules for Kling video generation
+ * Camera motion is sent as a structured camera_control block instead of prompt text
+ */
+
+const CAMERA_AXES = {
+  pan: 'pan',
+  tilt: 'tilt',
+  roll: 'roll',
+  zoom: 'zoom',
+  dolly: 'zoom',
+  truck: 'horizontal',
+  tracking: 'horizontal',
+  pedestal: 'vertical',
+  crane: 'vertical'
+};
+
+// Tracking toward or away from the subject moves the camera in depth, like a dolly
+const DEPTH_DIRECTIONS = ['forward', 'backward'];
+
+const NEGATIVE_DIRECTIONS = ['left', 'down', 'out', 'backward', 'counterclockwise'];
+
+const SPEED_AMOUNTS = {
+  slow: 3,
+  medium: 5,
+  fast: 8
+};
+
+module.exports = {
+  id: 'kling',
+  name: 'Kling',
+  supportedFormats: ['json', 'txt', 'csv', 'xml', 'yaml', 'md', 'jsonl'],
+  formatting: {
+    maxLength: 2500,
+    parameterSeparator: ',',
+    supportsTags: true,
+    supportsWeights: false,
+    cameraPhrasing: 'inline'
+  },
+  validation: {
+    maxLength: 2500,
+    forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing'],
+    recommendedFormat: 'subject, movement, scene, camera language, lighting, atmosphere'
+  },
+  parameters: {
+    cfg_scale: { format: /^\d+(\.\d+)?$/, range: [0, 1] }
+  },
+  video: {
+    durations: [5, 10],
+    frameRates: [30],
+    aspectRatios: ['16:9', '9:16', '1:1'],
+    resolutions: ['720p', '1080p'],
+    cameraControl: 'structured',
+    supportsSeed: false,
+    supportsNegativePrompt: true,
+    imageReference: 'optional',
+    defaults: {
+      duration: 5,
+      frameRate: 30,
+      aspectRatio: '16:9',
+      resolution: '720p'
+    }
+  },
+  
+  /**
+   * Build a Kling generation request
+   * @param {Object} prompt Transformed prompt with content and resolved video settings
+   * @returns {Object} Request body
+   */
+  buildRequest({ content, settings }) {
+    const request = {
+      model_name: 'kling-v1',
+      prompt: content,
+      mode: settings.resolution === '1080p' ? 'pro' : 'std',
+      aspect_ratio: settings.aspectRatio,
+      duration: String(settings.duration)
+    };
+    
+    if (settings.negativePrompt) {
+      request.negative_prompt = settings.negativePrompt;
+    }
+    
+    if (settings.imageReference) {
+      request.image = settings.imageReference;
+    }
+    
+    const motion = settings.cameraMotion;
+    const axis = motion && typeof motion === 'object' &&
+      (motion.move === 'tracking' && DEPTH_DIRECTIONS.includes(motion.direction) ? 'zoom' : CAMERA_AXES[motion.move]);
+    if (axis) {
+      const amount = SPEED_AMOUNTS[motion.speed] || SPEED_AMOUNTS.medium;
+      request.camera_control = {
+        type: 'simple',
+        config: {
+          horizontal: 0,
+          vertical: 0,
+          pan: 0,
+          tilt: 0,
+          roll: 0,
+          zoom: 0,
+          [axis]: NEGATIVE_DIRECTIONS.includes(motion.direction) ? -amount : amount
+        }
+      };
+    }
+    
+    return request;
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * Luma Dream Machine Platform Adapter
+ * 
+ * Formatting, validation and request rules for Luma Ray video generation
+ */
+
+module.exports = {
+  id: 'luma',
+  name: 'Luma Dream Machine',
+  supportedFormats: ['json', 'txt', 'csv', 'xml', 'yaml', 'md', 'jsonl'],
+  formatting: {
+    maxLength: 5000,
+    parameterSeparator: ',',
+    supportsTags: true,
+    supportsWeights: false,
+    cameraPhrasing: 'inline'
+  },
+  validation: {
+    maxLength: 5000,
+    forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing'],
+    recommendedFormat: 'natural-language scene description with camera concepts'
+  },
+  parameters: {},
+  video: {
+    durations: [5, 9],
+    frameRates: [24],
+    aspectRatios: ['16:9', '9:16', '1:1', '4:3', '3:4', '21:9', '9:21'],
+    resolutions: ['540p', '720p', '1080p', '4k'],
+    cameraControl: 'text',
+    supportsSeed: false,
+    supportsNegativePrompt: false,
+    imageReference: 'optional',
+    defaults: {
+      duration: 5,
+      frameRate: 24,
+      aspectRatio: '16:9',
+      resolution: '720p'
+    }
+  },
+  
+  /**
+   * Build a Luma generation request
+   * @param {Object} prompt Transformed prompt with content and resolved video settings
+   * @returns {Object} Request body
+   */
+  buildRequest({ content, settings }) {
+    const request = {
+      model: 'ray-2',
+      prompt: content,
+      aspect_ratio: settings.aspectRatio,
+      resolution: settings.resolution,
+      duration: `${settings.duration}s`
+    };
+    
+    if (settings.imageReference) {
+      request.keyframes = {
+        frame0: { type: 'image', url: settings.imageReference }
+      };
+    }
+    
+    return request;
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * Midjourney Platform Adapter
+ * 
+ * Formatting, validation and parameter rules for Midjourney prompts
+ */
+
+module.exports = {
+  id: 'midjourney',
+  name: 'Midjourney',
+  supportedFormats: ['json', 'txt', 'csv', 'xml', 'yaml', 'md', 'jsonl'],
+  parameterSyntax: 'midjourney',
+  formatting: {
+    maxLength: 500,
+    parameterSeparator: ',',
+    weightOperator: '::',
+    supportsTags: true,
+    supportsWeights: true,
+    cameraPhrasing: 'still',
+    imageRatio: '1:1, 16:9, 4:3, 3:2',
+    commonParameters: ['ar', 'stylize', 'quality', 'chaos']
+  },
+  validation: {
+    maxLength: 500,
+    maxParameters: 10,
+    forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing'],
+    recommendedFormat: 'subject, style, setting, quality parameters'
+  },
+  parameters: {
+    ar: { format: /^\d+:\d+$/, examples: ['16:9', '4:3', '1:1'] },
+    stylize: { format: /^\d+$/, range: [0, 1000] },
+    quality: { format: /^(\d+(\.\d+)?|\.\d+)$/, range: [0.25, 4] },
+    chaos: { format: /^\d+$/, range: [0, 100] },
+    no: { format: /\S/ },
+    seed: { format: /^\d+$/, range: [0, 4294967295] },
+    version: { validValues: ['5', '5.1', '5.2', '6', '6.1', '7'] },
+    style: { validValues: ['raw', 'cute', 'expressive', 'original', 'scenic'] },
+    sref: { format: /\S/ }
+  }
+};
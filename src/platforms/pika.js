@@ -0,0 +1,70 @@
+/**
+ * Pika Platform Adapter
+ * 
+ * Formatting, validation and request rules for Pika video generation
+ */
+
+module.exports = {
+  id: 'pika',
+  name: 'Pika',
+  supportedFormats: ['json', 'txt', 'csv', 'xml', 'yaml', 'md', 'jsonl'],
+  formatting: {
+    maxLength: 1000,
+    parameterSeparator: ',',
+    supportsTags: true,
+    supportsWeights: false,
+    cameraPhrasing: 'inline'
+  },
+  validation: {
+    maxLength: 1000,
+    forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing'],
+    recommendedFormat: 'short visual description with motion'
+  },
+  parameters: {
+    seed: { format: /^\d+$/, range: [0, 4294967295] }
+  },
+  video: {
+    durations: [5, 10],
+    frameRates: [24],
+    aspectRatios: ['16:9', '9:16', '1:1', '4:5', '5:4', '3:2', '2:3'],
+    resolutions: ['720p', '1080p'],
+    cameraControl: 'text',
+    supportsSeed: true,
+    supportsNegativePrompt: true,
+    imageReference: 'optional',
+    defaults: {
+      duration: 5,
+      frameRate: 24,
+      aspectRatio: '16:9',
+      resolution: '720p'
+    }
+  },
+  
+  /**
+   * Build a Pika generation request
+   * @param {Object} prompt Transformed prompt with content and resolved video settings
+   * @returns {Object} Request body
+   */
+  buildRequest({ content, settings }) {
+    const request = {
+      prompt: content,
+      aspect_ratio: settings.aspectRatio,
+      resolution: settings.resolution,
+      duration: settings.duration
+    };
+    
+    if (settings.negativePrompt) {
+      request.negative_prompt = settings.negativePrompt;
+    }
+    
+    if (settings.seed !== undefined) {
+      request.seed = settings.seed;
+    }
+    
+    if (settings.imageReference) {
+      request.image_url = settings.imageReference;
+    }
+    
+    return request;
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Runway Platform Adapter
+ * 
+ * Formatting, validation and parameter rules for Runway prompts
+ */
+
+module.exports = {
+  id: 'runway',
+  name: 'Runway',
+  supportedFormats: ['json', 'txt', 'csv', 'xml', 'yaml', 'md', 'jsonl'],
+  formatting: {
+    maxLength: 800,
+    parameterSeparator: ',',
+    supportsTags: true,
+    supportsWeights: false,
+    cameraPhrasing: 'inline'
+  },
+  validation: {
+    maxLength: 800,
+    forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing'],
+    recommendedFormat: 'descriptive text with visual details'
+  },
+  parameters: {
+    guidance: { format: /^\d+(\.\d+)?$/, range: [1, 50] }
+  }
+};
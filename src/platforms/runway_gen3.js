@@ -0,0 +1,68 @@
+/**
+ * Runway Gen-3 Alpha Platform Adapter
+ * 
+ * Formatting, validation and request rules for Runway Gen-3 Alpha Turbo
+ * Requests follow the Runway /v1/image_to_video body, which requires a prompt image
+ */
+
+const RATIOS = {
+  '16:9': '1280:768',
+  '9:16': '768:1280'
+};
+
+module.exports = {
+  id: 'runway_gen3',
+  name: 'Runway Gen-3 Alpha',
+  supportedFormats: ['json', 'txt', 'csv', 'xml', 'yaml', 'md', 'jsonl'],
+  formatting: {
+    maxLength: 1000,
+    parameterSeparator: ',',
+    supportsTags: true,
+    supportsWeights: false,
+    cameraPhrasing: 'prefix'
+  },
+  validation: {
+    maxLength: 1000,
+    forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing'],
+    recommendedFormat: 'camera movement: establishing scene. additional details'
+  },
+  parameters: {
+    seed: { format: /^\d+$/, range: [0, 4294967295] }
+  },
+  video: {
+    durations: [5, 10],
+    frameRates: [24],
+    aspectRatios: ['16:9', '9:16'],
+    resolutions: null,
+    cameraControl: 'text',
+    supportsSeed: true,
+    supportsNegativePrompt: false,
+    imageReference: 'required',
+    defaults: {
+      duration: 10,
+      frameRate: 24,
+      aspectRatio: '16:9'
+    }
+  },
+  
+  /**
+   * Build a Runway Gen-3 generation request
+   * @param {Object} prompt Transformed prompt with content and resolved video settings
+   * @returns {Object} Request body
+   */
+  buildRequest({ content, settings }) {
+    const request = {
+      model: 'gen3a_turbo',
+      promptImage: settings.imageReference,
+      promptText: content,
+      duration: settings.duration,
+      ratio: RATIOS[settings.aspectRatio] || RATIOS['16:9']
+    };
+    
+    if (settings.seed !== undefined) {
+      request.seed = settings.seed;
+    }
+    
+    return request;
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * OpenAI Sora Platform Adapter
+ * 
+ * Formatting, validation and request rules for Sora video generation
+ * Requests follow the OpenAI /v1/videos body
+ */
+
+const SIZES = {
+  '720p': { '16:9': '1280x720', '9:16': '720x1280' },
+  '1024p': { '16:9': '1792x1024', '9:16': '1024x1792' }
+};
+
+module.exports = {
+  id: 'sora',
+  name: 'OpenAI Sora',
+  supportedFormats: ['json', 'txt', 'csv', 'xml', 'yaml', 'md', 'jsonl'],
+  formatting: {
+    maxLength: 2000,
+    parameterSeparator: ',',
+    supportsTags: true,
+    supportsWeights: false,
+    cameraPhrasing: 'inline'
+  },
+  validation: {
+    maxLength: 2000,
+    forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing', 'celebrity'],
+    recommendedFormat: 'shot-by-shot description with camera framing, action and lighting'
+  },
+  parameters: {},
+  video: {
+    durations: [4, 8, 12],
+    frameRates: [24],
+    aspectRatios: ['16:9', '9:16'],
+    resolutions: ['720p', '1024p'],
+    cameraControl: 'text',
+    supportsSeed: false,
+    supportsNegativePrompt: false,
+    imageReference: 'optional',
+    defaults: {
+      duration: 4,
+      frameRate: 24,
+      aspectRatio: '16:9',
+      resolution: '720p'
+    }
+  },
+  
+  /**
+   * Build a Sora generation request
+   * @param {Object} prompt Transformed prompt with content and resolved video settings
+   * @returns {Object} Request body
+   */
+  buildRequest({ content, settings }) {
+    const sizes = SIZES[settings.resolution] || SIZES['720p'];
+    const request = {
+      model: settings.resolution === '1024p' ? 'sora-2-pro' : 'sora-2',
+      prompt: content,
+      seconds: String(settings.duration),
+      size: sizes[settings.aspectRatio] || sizes['16:9']
+    };
+    
+    if (settings.imageReference) {
+      request.input_reference = settings.imageReference;
+    }
+    
+    return request;
+  }
+};
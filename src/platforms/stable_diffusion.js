@@ -0,0 +1,46 @@
+/**
+ * Stable Diffusion Platform Adapter
+ * 
+ * Formatting, validation and parameter rules for Stable Diffusion prompts
+ */
+
+module.exports = {
+  id: 'stable_diffusion',
+  name: 'Stable Diffusion',
+  supportedFormats: ['json', 'txt', 'csv', 'xml', 'yaml', 'md', 'jsonl', 'comfyui', 'a1111'],
+  weightSyntax: 'stable_diffusion',
+  // CLIP reads 77 tokens at a time, two of them the start and end tokens
+  tokens: {
+    counter: 'clip',
+    maxTokens: 75
+  },
+  // Midjourney `--ar` ratios become a width and height of about base × base pixels, in multiples of 8
+  imageSize: {
+    base: 512,
+    multiple: 8
+  },
+  formatting: {
+    maxLength: 1000,
+    parameterSeparator: ',',
+    weightOperator: ':',
+    supportsTags: true,
+    supportsWeights: true,
+    cameraPhrasing: 'still',
+    bracketTypes: ['()', '[]', '{}'],
+    negativePromptMarker: 'Negative:'
+  },
+  validation: {
+    maxLength: 1000,
+    forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing'],
+    recommendedFormat: 'detailed description with weights using () or []',
+    weightRange: [0.5, 1.5]
+  },
+  parameters: {
+    steps: { format: /^\d+$/, range: [20, 150], default: 30 },
+    cfg: { format: /^\d+(\.\d+)?$/, range: [1, 30], default: 7 },
+    sampler: { validValues: ['Euler a', 'DPM++ 2M Karras', 'DDIM'], default: 'Euler a' },
+    seed: { format: /^-?\d+$/, range: [-1, 4294967295], default: -1 },
+    width: { format: /^\d+$/, range: [64, 2048] },
+    height: { format: /^\d+$/, range: [64, 2048] }
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * Google Veo Platform Adapter
+ * 
+ * Formatting, validation and request rules for Veo text/image-to-video generation
+ * Requests follow the Vertex AI predictLongRunning body (instances + parameters)
+ */
+
+module.exports = {
+  id: 'veo',
+  name: 'Google Veo',
+  supportedFormats: ['json', 'txt', 'csv', 'xml', 'yaml', 'md', 'jsonl'],
+  formatting: {
+    maxLength: 1024,
+    parameterSeparator: ',',
+    supportsTags: true,
+    supportsWeights: false,
+    cameraPhrasing: 'inline'
+  },
+  validation: {
+    maxLength: 1024,
+    forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing'],
+    recommendedFormat: 'subject, action, style, camera motion, ambiance'
+  },
+  parameters: {
+    seed: { format: /^\d+$/, range: [0, 4294967295] }
+  },
+  video: {
+    durations: [4, 6, 8],
+    frameRates: [24],
+    aspectRatios: ['16:9', '9:16'],
+    resolutions: ['720p', '1080p'],
+    cameraControl: 'text',
+    supportsSeed: true,
+    supportsNegativePrompt: true,
+    imageReference: 'optional',
+    defaults: {
+      duration: 8,
+      frameRate: 24,
+      aspectRatio: '16:9',
+      resolution: '720p'
+    }
+  },
+  
+  /**
+   * Build a Veo generation request
+   * @param {Object} prompt Transformed prompt with content and resolved video settings
+   * @returns {Object} Request body
+   */
+  buildRequest({ content, settings }) {
+    const instance = { prompt: content };
+    
+    if (settings.imageReference) {
+      const source = settings.imageReference.startsWith('gs://') ?
+        { gcsUri: settings.imageReference } :
+        { bytesBase64Encoded: settings.imageReference };
+      instance.image = { ...source, mimeType: settings.imageMimeType || 'image/png' };
+    }
+    
+    const parameters = {
+      aspectRatio: settings.aspectRatio,
+      durationSeconds: settings.duration,
+      resolution: settings.resolution,
+      sampleCount: 1
+    };
+    
+    if (settings.negativePrompt) {
+      parameters.negativePrompt = settings.negativePrompt;
+    }
+    
+    if (settings.seed !== undefined) {
+      parameters.seed = settings.seed;
+    }
+    
+    return { instances: [instance], parameters };
+  }
+};
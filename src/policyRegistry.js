@@ -0,0 +1,480 @@
+/**
+ * Policy Registry Module
+ *
+ * Content policy packs: terms and patterns a prompt must not contain
+ * Terms match whole words by default, or word stems, or any substring; each rule has
+ * its own severity, and allowlists exempt harmless text that would otherwise match
+ * Packs extend other packs, apply to some or all platforms, and load from JSON/JS files
+ * Each platform's `forbiddenPhrases` form a built-in pack, `platform:<id>`
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SEVERITIES = ['error', 'warning', 'off'];
+const MATCH_MODES = ['word', 'stem', 'substring'];
+
+// Suffixes stripped for stemmed matching, longest first
+const STEM_SUFFIXES = [
+  'ations', 'ation', 'ating', 'ated', 'ates', 'ions', 'ives', 'ings', 'ness',
+  'ate', 'ion', 'ive', 'ing', 'ies', 'ied', 'ed', 'es', 'ly', 's'
+];
+
+// Suffixes after which a stem ending in a vowel and "s" is the verb's "d": "explosion" -> "explod"
+const S_TO_D_SUFFIXES = ['ions', 'ion', 'ives', 'ive'];
+
+// Letters and digits, so `\bgore\b`-style matching also works for accented words
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+class PolicyRegistry {
+  /**
+   * Creates a new PolicyRegistry instance
+   * @param {Object} config Configuration options
+   * @param {string} [config.policiesDir] Directory of policy files to load
+   * @param {Array<string>} [config.policies] Ids of the packs that apply to every platform (the project's policy)
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      policiesDir: null,
+      policies: [],
+      ...config
+    };
+    
+    this.packs = new Map();
+    
+    if (this.config.policiesDir) {
+      this.loadFromDirectory(this.config.policiesDir);
+    }
+  }
+  
+  /**
+   * Register a policy pack, replacing any pack with the same id
+   * @param {Object} pack Policy pack
+   * @param {string} pack.id Unique pack identifier
+   * @param {string|Array<string>} [pack.extends] Packs whose rules and allowlist this pack starts from
+   * @param {Array<string>} [pack.platforms] Platforms the pack applies to ('*' for all). Packs without
+   *   platforms only apply where they are named: in `policies`, in a platform's `validation.policies`
+   *   or in another pack's `extends`
+   * @param {string} [pack.match='word'] Default matching for the pack's terms: 'word', 'stem' or 'substring'
+   * @param {string} [pack.severity='error'] Default severity of the pack's rules: 'error', 'warning' or 'off'
+   * @param {Array<string|Object>} pack.rules Terms, or rules as `{ id, term, pattern, flags, match, severity,
+   *   message, replacement, allow }`; a rule with the id of an inherited rule replaces it
+   * @param {Array<string|Object>} [pack.allow] Text that is never a violation: phrases, or `{ pattern, flags }`
+   * @param {string} [file] File the pack was loaded from, for violation reports
+   * @returns {Object} The normalized pack
+   */
+  register(pack, file = null) {
+    const normalized = this._normalizePack(pack, file);
+    
+    if (this.config.debug && this.packs.has(normalized.id)) {
+      console.log(`Replacing policy pack: ${normalized.id}`);
+    }
+    
+    this.packs.set(normalized.id, normalized);
+    return normalized;
+  }
+  
+  /**
+   * Remove a policy pack
+   * @param {string} id Pack identifier
+   * @returns {boolean} Whether a pack was removed
+   */
+  unregister(id) {
+    return this.packs.delete(id);
+  }
+  
+  /**
+   * Check whether a policy pack is registered
+   * @param {string} id Pack identifier
+   * @returns {boolean} Whether the pack exists
+   */
+  has(id) {
+    return this.packs.has(id);
+  }
+  
+  /**
+   * Get a registered policy pack
+   * @param {string} id Pack identifier
+   * @returns {Object|undefined} Policy pack
+   */
+  get(id) {
+    return this.packs.get(id);
+  }
+  
+  /**
+   * Get all registered policy packs in registration order
+   * @returns {Array<Object>} Policy packs
+   */
+  list() {
+    return Array.from(this.packs.values());
+  }
+  
+  /**
+   * Load policy packs from .json and .js files in a directory
+   * A file may export a single pack or an array of packs
+   * @param {string} dir Directory containing policy files
+   * @returns {Array<Object>} The packs that were registered
+   */
+  loadFromDirectory(dir) {
+    const directory = path.resolve(dir);
+    const files = fs.readdirSync(directory)
+      .filter(file => ['.json', '.js'].includes(path.extname(file)))
+      .sort();
+    
+    const registered = [];
+    
+    for (const file of files) {
+      const filePath = path.join(directory, file);
+      let exported;
+      
+      try {
+        exported = path.extname(file) === '.json' ?
+          JSON.parse(fs.readFileSync(filePath, 'utf8')) :
+          require(filePath);
+      } catch (error) {
+        throw new Error(`Failed to load policy pack ${file}: ${error.message}`);
+      }
+      
+      const packs = Array.isArray(exported) ? exported : [exported];
+      
+      for (const pack of packs) {
+        try {
+          registered.push(this.register(pack, path.join(dir, file)));
+        } catch (error) {
+          throw new Error(`Invalid policy pack in ${file}: ${error.message}`);
+        }
+      }
+    }
+    
+    if (this.config.debug) {
+      console.log(`Loaded ${registered.length} policy packs from ${directory}`);
+    }
+    
+    return registered;
+  }
+  
+  /**
+   * Work out the rules that apply on a platform
+   * Packs apply in this order, later rules replacing earlier ones with the same id: the platform's
+   * `forbiddenPhrases`, the packs in its `validation.policies`, registered packs whose `platforms`
+   * include it, then the project's `policies`. Each pack brings the packs it extends first.
+   * @param {Object} adapter Platform adapter
+   * @returns {Object} `{ policies, rules, allow }` with the ids of the packs applied, the rules
+   *   (without those turned off) and the allowlist entries
+   */
+  resolve(adapter) {
+    const ids = [
+      ...[].concat((adapter.validation && adapter.validation.policies) || []),
+      ...this.list()
+        .filter(pack => pack.platforms.includes('*') || pack.platforms.includes(adapter.id))
+        .map(pack => pack.id),
+      ...(this.config.policies || [])
+    ];
+    
+    const packs = [this._platformPack(adapter)];
+    ids.forEach(id => this._collect(id, packs, []));
+    
+    const rules = new Map();
+    packs.forEach(pack => pack.rules.forEach(rule => {
+      // Re-inserting moves an overridden rule to where its replacement was declared
+      rules.delete(rule.id);
+      rules.set(rule.id, rule);
+    }));
+    
+    return {
+      policies: packs.map(pack => pack.id),
+      rules: Array.from(rules.values()).filter(rule => rule.severity !== 'off'),
+      allow: [].concat(...packs.map(pack => pack.allow))
+    };
+  }
+  
+  /**
+   * Find the policy violations in prompt text
+   * @param {string} content Prompt text
+   * @param {Object} adapter Platform adapter
+   * @returns {Array<Object>} Violations as `{ policy, file, rule, severity, text, range, message, replacement }`
+   *   in text order, where `policy` and `file` are the pack and file the rule came from (`file` is null
+   *   for packs that were not loaded from a file) and `range` is the `{ start, end }` of `text`
+   */
+  check(content, adapter) {
+    if (!content) {
+      return [];
+    }
+    
+    const { rules, allow } = this.resolve(adapter);
+    const allowed = [].concat(...allow.map(entry => this._find(entry, content)));
+    const violations = [];
+    
+    rules.forEach(rule => {
+      const exempt = allowed.concat(...rule.allow.map(entry => this._find(entry, content)));
+      
+      this._find(rule, content)
+        .filter(range => !exempt.some(other => other.start <= range.start && range.end <= other.end))
+        .forEach(range => {
+          const text = content.substring(range.start, range.end);
+          
+          violations.push({
+            policy: rule.policy,
+            file: rule.file,
+            rule: rule.id,
+            severity: rule.severity,
+            text,
+            range,
+            message: rule.message || `Prompt contains forbidden content: "${text}"`,
+            replacement: rule.replacement
+          });
+        });
+    });
+    
+    return violations.sort((a, b) => a.range.start - b.range.start);
+  }
+  
+  /**
+   * List the terms that must not be used on a platform (rules with severity 'error' and a term)
+   * @param {Object} adapter Platform adapter
+   * @returns {Array<string>} Terms
+   */
+  terms(adapter) {
+    return this.resolve(adapter).rules
+      .filter(rule => rule.severity === 'error' && rule.term)
+      .map(rule => rule.term);
+  }
+  
+  /**
+   * Add a pack, after the packs it extends, unless it is already in the list
+   * @param {string} id Pack identifier
+   * @param {Array<Object>} packs Packs collected so far
+   * @param {Array<string>} chain Ids of the packs being extended, to catch cycles
+   * @private
+   */
+  _collect(id, packs, chain) {
+    const pack = this.packs.get(id);
+    
+    if (!pack) {
+      throw new Error(chain.length ?
+        `Unknown content policy: ${id} (extended by ${chain[chain.length - 1]})` :
+        `Unknown content policy: ${id}`);
+    }
+    
+    if (chain.includes(id)) {
+      throw new Error(`Content policy ${id} extends itself: ${[...chain, id].join(' > ')}`);
+    }
+    
+    pack.extends.forEach(parent => this._collect(parent, packs, [...chain, id]));
+    
+    if (!packs.includes(pack)) {
+      packs.push(pack);
+    }
+  }
+  
+  /**
+   * Build the pack holding a platform's `forbiddenPhrases`
+   * @param {Object} adapter Platform adapter
+   * @returns {Object} Normalized pack
+   * @private
+   */
+  _platformPack(adapter) {
+    return this._normalizePack({
+      id: `platform:${adapter.id}`,
+      rules: (adapter.validation && adapter.validation.forbiddenPhrases) || []
+    }, null);
+  }
+  
+  /**
+   * Find the ranges of content a rule or allowlist entry matches
+   * @param {Object} rule Normalized rule or allowlist entry
+   * @param {string} content Text to search
+   * @returns {Array<Object>} Ranges as `{ start, end }`
+   * @private
+   */
+  _find(rule, content) {
+    if (rule.match === 'stem') {
+      return this._findStems(rule.stems, content);
+    }
+    
+    const ranges = [];
+    const pattern = new RegExp(rule.pattern.source, rule.pattern.flags);
+    
+    for (let match = pattern.exec(content); match; match = pattern.exec(content)) {
+      if (!match[0]) {
+        // An empty match would never move on
+        pattern.lastIndex++;
+        continue;
+      }
+      
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+    
+    return ranges;
+  }
+  
+  /**
+   * Find runs of words whose stems are the term's stems
+   * @param {Array<string>} stems Stems of the term's words
+   * @param {string} content Text to search
+   * @returns {Array<Object>} Ranges as `{ start, end }`
+   * @private
+   */
+  _findStems(stems, content) {
+    const words = Array.from(content.matchAll(/[\p{L}\p{N}]+(?:'\p{L}+)?/gu)).map(match => ({
+      stem: this._stem(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+    
+    const ranges = [];
+    
+    for (let index = 0; index + stems.length <= words.length; index++) {
+      if (stems.every((stem, offset) => words[index + offset].stem === stem)) {
+        ranges.push({ start: words[index].start, end: words[index + stems.length - 1].end });
+      }
+    }
+    
+    return ranges;
+  }
+  
+  /**
+   * Reduce a word to a rough stem, so "gore", "gory" and "gores" compare equal
+   * Common inflections and the suffixes -ate, -ation, -ion and -ive are stripped, never below
+   * three letters, so "explode", "exploding", "explosion" and "explosive" compare equal, as do
+   * "mutilate" and "mutilation". Irregular forms ("bled" for "bleed") and other derivations
+   * ("destruction" for "destroy") are not matched.
+   * @param {string} word Word
+   * @returns {string} Stem
+   * @private
+   */
+  _stem(word) {
+    let stem = word.toLowerCase().replace(/'s$/, '');
+    
+    // "-ed" after a long "ee" is part of the word: "bleed", "speed"
+    const suffix = STEM_SUFFIXES.find(ending => stem.endsWith(ending) && stem.length - ending.length >= 3 &&
+      !(ending === 'ed' && stem.endsWith('eed')));
+    if (suffix) {
+      stem = stem.slice(0, -suffix.length);
+    }
+    
+    if (S_TO_D_SUFFIXES.includes(suffix)) {
+      stem = stem.replace(/([aeiou])s$/, '$1d');
+    }
+    
+    // "running" -> "runn" -> "run", "gore" and "gory" -> "gor"
+    stem = stem.replace(/([b-df-hj-np-tv-z])\1$/, '$1');
+    if (stem.length > 3) {
+      stem = stem.replace(/[eiy]$/, '');
+    }
+    
+    return stem;
+  }
+  
+  /**
+   * Validate a pack and compile its rules
+   * @param {Object} pack Policy pack
+   * @param {string|null} file File the pack was loaded from
+   * @returns {Object} Normalized pack
+   * @private
+   */
+  _normalizePack(pack, file) {
+    if (!pack || typeof pack !== 'object') {
+      throw new Error('Policy pack must be an object');
+    }
+    
+    if (!pack.id || typeof pack.id !== 'string') {
+      throw new Error('Policy pack requires a string id');
+    }
+    
+    if (pack.rules !== undefined && !Array.isArray(pack.rules)) {
+      throw new Error(`Policy pack ${pack.id} rules must be an array`);
+    }
+    
+    const defaults = {
+      policy: pack.id,
+      file,
+      match: pack.match || 'word',
+      severity: pack.severity || 'error'
+    };
+    
+    return {
+      id: pack.id,
+      name: pack.name || pack.id,
+      file,
+      extends: [].concat(pack.extends || []),
+      platforms: [].concat(pack.platforms || []),
+      rules: (pack.rules || []).map(rule => this._normalizeRule(rule, defaults)),
+      allow: (pack.allow || []).map(entry => this._normalizeRule(entry, { ...defaults, match: 'word' }))
+    };
+  }
+  
+  /**
+   * Validate a rule (or allowlist entry) and compile its matcher
+   * @param {string|Object} rule Term, or rule object
+   * @param {Object} defaults Pack id, file, match mode and severity
+   * @returns {Object} Normalized rule
+   * @private
+   */
+  _normalizeRule(rule, defaults) {
+    const spec = typeof rule === 'string' ? { term: rule } : { ...rule };
+    const id = spec.id || spec.term || spec.pattern;
+    
+    if (!spec.term === !spec.pattern) {
+      throw new Error(`Rule ${id || JSON.stringify(rule)} in policy ${defaults.policy} needs either a term or a pattern`);
+    }
+    
+    const severity = spec.severity || defaults.severity;
+    const match = spec.pattern ? 'pattern' : (spec.match || defaults.match);
+    
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Rule ${id} in policy ${defaults.policy} has an unknown severity: ${severity}`);
+    }
+    
+    if (match !== 'pattern' && !MATCH_MODES.includes(match)) {
+      throw new Error(`Rule ${id} in policy ${defaults.policy} has an unknown match mode: ${match}`);
+    }
+    
+    const normalized = {
+      id,
+      policy: defaults.policy,
+      file: defaults.file,
+      match,
+      severity,
+      ...(spec.term && { term: spec.term }),
+      message: spec.message || null,
+      replacement: typeof spec.replacement === 'string' ? spec.replacement : null,
+      allow: (spec.allow || []).map(entry => this._normalizeRule(entry, { ...defaults, match: 'word' }))
+    };
+    
+    if (match === 'stem') {
+      normalized.stems = spec.term.trim().split(/\s+/).map(word => this._stem(word));
+      return normalized;
+    }
+    
+    try {
+      normalized.pattern = match === 'pattern' ?
+        new RegExp(spec.pattern, `${(spec.flags === undefined ? 'i' : spec.flags).replace('g', '')}g`) :
+        this._termPattern(spec.term, match);
+    } catch (error) {
+      throw new Error(`Rule ${id} in policy ${defaults.policy} has an invalid pattern: ${error.message}`);
+    }
+    
+    return normalized;
+  }
+  
+  /**
+   * Build the pattern for a term; spaces in the term match any run of whitespace
+   * @param {string} term Term
+   * @param {string} match 'word' or 'substring'
+   * @returns {RegExp} Case-insensitive pattern
+   * @private
+   */
+  _termPattern(term, match) {
+    const escaped = term.trim().split(/\s+/)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\s+');
+    
+    return match === 'word' ?
+      new RegExp(`(?<!${WORD_CHAR})${escaped}(?!${WORD_CHAR})`, 'giu') :
+      new RegExp(escaped, 'giu');
+  }
+}
+
+module.exports = PolicyRegistry;
@@ -0,0 +1,309 @@
+/**
+ * Prompt Budget Module
+ *
+ * Keeps prompts within a platform's length limits: characters and, where the platform
+ * declares one, a token budget measured with its token counter (e.g. CLIP tokens)
+ * Drops the lowest-priority components first and cuts text at clause or word
+ * boundaries, never inside a word or a weighted group
+ */
+
+const TokenCounter = require('./tokenCounter');
+
+// Brackets of weighted groups, which are never cut open
+const OPENING_BRACKETS = '([{';
+const CLOSING_BRACKETS = ')]}';
+
+class PromptBudget {
+  /**
+   * Creates a new PromptBudget instance
+   * @param {Object} config Configuration options
+   * @param {TokenCounter} [config.tokenCounter] Token counter to share instead of a new one
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+    
+    this.tokenCounter = this.config.tokenCounter || new TokenCounter(this.config);
+  }
+  
+  /**
+   * Work out the limits a platform puts on prompt text
+   * @param {Object} adapter Platform adapter; `tokens: { counter, maxTokens }` adds a token budget
+   * @param {number} [maxLength] Character limit (the adapter's formatting or validation maxLength)
+   * @returns {Array<Object>} Limits as `{ counter, limit }`, characters first
+   */
+  limits(adapter, maxLength) {
+    const limits = [];
+    
+    if (maxLength) {
+      limits.push({ counter: 'characters', limit: maxLength });
+    }
+    
+    if (adapter.tokens && adapter.tokens.maxTokens) {
+      limits.push({ counter: adapter.tokens.counter || 'characters', limit: adapter.tokens.maxTokens });
+    }
+    
+    return limits;
+  }
+  
+  /**
+   * Measure text against each limit
+   * A suffix (trailing `--parameters` or a negative section) counts against the character
+   * limit only: token budgets cover the positive prompt, which is encoded on its own.
+   * @param {string} text Prompt text
+   * @param {Array<Object>} limits Limits from limits()
+   * @param {string} [suffix=''] Text that follows, with its leading space
+   * @returns {Array<Object>} Usage as `{ counter, used, limit, remaining }`, one per limit
+   */
+  usage(text, limits, suffix = '') {
+    return limits.map(limit => {
+      const used = this._measure(text, limit, suffix);
+      return { counter: this._counterName(limit), used, limit: limit.limit, remaining: limit.limit - used };
+    });
+  }
+  
+  /**
+   * Find the first limit text goes over
+   * @param {string} text Prompt text
+   * @param {Array<Object>} limits Limits from limits()
+   * @param {string} [suffix=''] Text that follows, with its leading space
+   * @returns {Object|null} The limit, or null if the text fits
+   */
+  exceeded(text, limits, suffix = '') {
+    return limits.find(limit => this._measure(text, limit, suffix) > limit.limit) || null;
+  }
+  
+  /**
+   * Check whether text is within every limit
+   * @param {string} text Prompt text
+   * @param {Array<Object>} limits Limits from limits()
+   * @param {string} [suffix=''] Text that follows, with its leading space
+   * @returns {boolean} Whether it fits
+   */
+  fits(text, limits, suffix = '') {
+    return !this.exceeded(text, limits, suffix);
+  }
+  
+  /**
+   * Describe a limit for messages, e.g. "500 characters" or "75 clip tokens"
+   * @param {Object} limit Limit from limits()
+   * @returns {string} Description
+   */
+  describe(limit) {
+    const counter = this._counterName(limit);
+    return counter === 'characters' ? `${limit.limit} characters` : `${limit.limit} ${counter} tokens`;
+  }
+  
+  /**
+   * Join prompt components, dropping the lowest-priority ones until the result fits
+   * Ties drop the last component first. If the required components alone do not fit,
+   * the text is cut with trim().
+   * @param {Array<Object>} components Components in output order, as `{ text, priority, required }`
+   * @param {Array<Object>} limits Limits from limits()
+   * @param {Object} options Fit options
+   * @param {string} [options.separator=', '] Text between components
+   * @param {string} [options.suffix=''] Text that follows, with its leading space
+   * @returns {Object} `{ content, dropped, trimmed }` with the dropped components and whether text was cut
+   */
+  fit(components, limits, options = {}) {
+    const { separator = ', ', suffix = '' } = options;
+    const kept = components.filter(component => component.text);
+    const dropped = [];
+    const join = () => kept.map(component => component.text).join(separator);
+    
+    while (!this.fits(join(), limits, suffix)) {
+      const droppable = kept.filter(component => !component.required);
+      if (!droppable.length) {
+        break;
+      }
+      
+      const lowest = droppable.reduce((low, component) => (component.priority <= low.priority ? component : low));
+      kept.splice(kept.indexOf(lowest), 1);
+      dropped.unshift(lowest);
+    }
+    
+    const content = join();
+    const cut = this.trim(content, limits, suffix);
+    
+    return { content: cut, dropped, trimmed: cut !== content };
+  }
+  
+  /**
+   * Cut text to fit, at the last clause boundary that keeps at least half of what a word-boundary
+   * cut would keep; otherwise at the last word boundary, and only inside a word if there is none
+   * Commas, semicolons, colons, sentence ends and dashes are clause boundaries. Nothing is cut
+   * inside brackets, so weighted groups stay whole.
+   * @param {string} text Text to cut
+   * @param {Array<Object>} limits Limits from limits()
+   * @param {string} [suffix=''] Text that follows, with its leading space
+   * @returns {string} The text, cut if it did not fit
+   */
+  trim(text, limits, suffix = '') {
+    if (this.fits(text, limits, suffix)) {
+      return text;
+    }
+    
+    const { clauses, words } = this._boundaries(text);
+    const fitsAt = end => this.fits(this._tidy(text.substring(0, end)), limits, suffix);
+    const clauseEnd = this._lastFitting(clauses, fitsAt);
+    const wordEnd = this._lastFitting(words, fitsAt);
+    
+    let end = clauseEnd !== -1 && clauseEnd >= wordEnd / 2 ? clauseEnd : wordEnd;
+    if (end === -1) {
+      const positions = Array.from({ length: text.length }, (value, index) => index + 1);
+      end = Math.max(this._lastFitting(positions, fitsAt), 0);
+    }
+    
+    return this._tidy(text.substring(0, end));
+  }
+  
+  /**
+   * Find the largest end offset at which text fits
+   * @param {string} text Text to cut
+   * @param {Array<Object>} limits Limits from limits()
+   * @param {string} [suffix=''] Text that follows, with its leading space
+   * @returns {number} Offset of the end of the last whole word that fits (the text length if it all fits)
+   */
+  fitLength(text, limits, suffix = '') {
+    if (this.fits(text, limits, suffix)) {
+      return text.length;
+    }
+    
+    const fitsAt = end => this.fits(text.substring(0, end), limits, suffix);
+    return Math.max(this._lastFitting(this._boundaries(text).words, fitsAt), 0);
+  }
+  
+  /**
+   * Split off the part of the prompt that must stay at the end: Midjourney `--parameters`
+   * or a "Negative:" section
+   * @param {string} content Prompt text
+   * @param {Object} adapter Platform adapter
+   * @returns {Object} `{ body, tail }` where `tail` keeps its leading space
+   */
+  splitTail(content, adapter) {
+    const positions = [];
+    
+    if (adapter.parameterSyntax === 'midjourney') {
+      positions.push(content.search(/(^|\s)--[a-z]/i));
+    }
+    
+    const marker = adapter.formatting && adapter.formatting.negativePromptMarker;
+    if (marker) {
+      positions.push(content.toLowerCase().indexOf(marker.toLowerCase()));
+    }
+    
+    const index = Math.min(...positions.filter(position => position !== -1), content.length);
+    
+    return {
+      body: content.substring(0, index).replace(/[\s,;.]+$/, ''),
+      tail: index < content.length ? ` ${content.substring(index).trim()}` : ''
+    };
+  }
+  
+  /**
+   * Measure text against one limit
+   * @param {string} text Prompt text
+   * @param {Object} limit Limit from limits()
+   * @param {string} suffix Text that follows, counted for characters only
+   * @returns {number} Count
+   * @private
+   */
+  _measure(text, limit, suffix) {
+    return limit.counter === 'characters' ?
+      text.length + suffix.length :
+      this.tokenCounter.count(text, limit.counter);
+  }
+  
+  /**
+   * Get a limit's counter name for reports
+   * @param {Object} limit Limit from limits()
+   * @returns {string} Counter name ('custom' for counter functions)
+   * @private
+   */
+  _counterName(limit) {
+    return typeof limit.counter === 'function' ? 'custom' : limit.counter;
+  }
+  
+  /**
+   * Find the end offsets text may be cut at, outside brackets
+   * @param {string} text Text to cut
+   * @returns {Object} `{ clauses, words }` as ascending end offsets
+   * @private
+   */
+  _boundaries(text) {
+    const clauses = [];
+    const words = [];
+    let depth = 0;
+    
+    for (let index = 0; index < text.length; index++) {
+      const ch = text[index];
+      const next = text[index + 1];
+      
+      if (OPENING_BRACKETS.includes(ch)) {
+        depth++;
+      } else if (CLOSING_BRACKETS.includes(ch)) {
+        depth = Math.max(depth - 1, 0);
+      }
+      
+      if (depth > 0) {
+        continue;
+      }
+      
+      if (/\s/.test(ch)) {
+        words.push(index);
+        if (/[-–—]/.test(next || '') && /\s/.test(text[index + 2] || '')) {
+          clauses.push(index);
+        }
+      } else if (/[,;:]/.test(ch) && /\s/.test(next || '')) {
+        // Commas and the like go with the rest of the text
+        clauses.push(index);
+      } else if (/[.!?]/.test(ch) && (next === undefined || /\s/.test(next))) {
+        // Sentence punctuation stays with the sentence
+        clauses.push(index + 1);
+      }
+    }
+    
+    return { clauses, words };
+  }
+  
+  /**
+   * Binary-search ascending offsets for the last one that fits
+   * Text grows with the offset, so once an offset does not fit, no later one does.
+   * @param {Array<number>} offsets Ascending end offsets
+   * @param {Function} fitsAt `end => boolean`
+   * @returns {number} The offset, or -1 if none fits
+   * @private
+   */
+  _lastFitting(offsets, fitsAt) {
+    let low = 0;
+    let high = offsets.length - 1;
+    let found = -1;
+    
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+      
+      if (fitsAt(offsets[middle])) {
+        found = offsets[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    
+    return found;
+  }
+  
+  /**
+   * Remove separators left dangling at the end of cut text
+   * @param {string} text Cut text
+   * @returns {string} Tidied text
+   * @private
+   */
+  _tidy(text) {
+    return text.replace(/[\s,;:\-–—]+$/, '');
+  }
+}
+
+module.exports = PromptBudget;
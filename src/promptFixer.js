@@ -0,0 +1,310 @@
+/**
+ * Prompt Fixer Module
+ *
+ * Applies safe repairs to a prompt for a target platform
+ * Converts parameter syntax, drops or substitutes content policy violations, clamps
+ * parameter values into range and trims long prompts at clause boundaries to fit
+ * the platform's length limit and token budget
+ * Every edit is recorded in a change log
+ */
+
+const MidjourneyParameters = require('./midjourneyParameters');
+const PolicyRegistry = require('./policyRegistry');
+const PromptBudget = require('./promptBudget');
+
+// "Negative:" sections as written for Stable Diffusion
+const NEGATIVE_SECTION = /(^|[\s,])negative(?: prompt)?:/i;
+
+// Values that can be clamped without guessing what was meant
+const NUMBER = /^-?(\d+(\.\d+)?|\.\d+)$/;
+
+class PromptFixer {
+  /**
+   * Creates a new PromptFixer instance
+   * @param {Object} config Configuration options
+   * @param {PolicyRegistry} [config.policyRegistry] Registry holding the content policies
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+    
+    this.midjourneyParameters = new MidjourneyParameters(this.config);
+    this.policies = this.config.policyRegistry || new PolicyRegistry({ debug: this.config.debug });
+    this.budget = new PromptBudget(this.config);
+  }
+  
+  /**
+   * Repair a prompt for a platform
+   * Repairs run in this order: parameter syntax, content policy violations, parameter ranges, length.
+   * Each change is logged as `{ code, field, before, after, description }`, where `code` is the
+   * validator diagnostic it resolves and `field` is the part of the prompt that changed.
+   * @param {Object} prompt Prompt to repair
+   * @param {Object} adapter Platform adapter
+   * @param {Object} options Fix options
+   * @param {Object} [options.replacements] Substitutes for content policy violations, by matched text or
+   *   rule id, e.g. `{ gore: 'dramatic' }`
+   * @returns {Object} `{ prompt, changes }` with the repaired prompt
+   */
+  fix(prompt, adapter, options = {}) {
+    const changes = [];
+    let fixed = { ...prompt, content: prompt.content || '' };
+    
+    fixed = this._convertSyntax(fixed, adapter, changes);
+    fixed = this._replaceForbidden(fixed, adapter, options.replacements || {}, changes);
+    fixed = this._clampParameters(fixed, adapter, changes);
+    fixed = this._trim(fixed, adapter, changes);
+    
+    if (this.config.debug) {
+      console.log(`Fixed prompt for ${adapter.id} with ${changes.length} changes`);
+    }
+    
+    return { prompt: fixed, changes };
+  }
+  
+  /**
+   * Convert parameter syntax to the platform's
+   * Midjourney `--flags` are moved out of the text for other platforms, as
+   * MidjourneyParameters#relocate does on export: `--ar`, `--seed` and `--no` go to the platform's
+   * settings or negative prompt and the rest are dropped. For Midjourney, a "Negative:" section
+   * becomes `--no`.
+   * @param {Object} prompt Prompt being repaired
+   * @param {Object} adapter Platform adapter
+   * @param {Array<Object>} changes Change log to append to
+   * @returns {Object} Repaired prompt
+   * @private
+   */
+  _convertSyntax(prompt, adapter, changes) {
+    const content = prompt.content;
+    
+    if (adapter.parameterSyntax === 'midjourney') {
+      const match = content.match(NEGATIVE_SECTION);
+      if (!match) {
+        return prompt;
+      }
+      
+      const index = match.index + match[1].length;
+      const section = content.substring(index);
+      const terms = section.substring(section.indexOf(':') + 1).split(/\s+--(?=[a-z])/i)[0].trim();
+      const flags = this.midjourneyParameters.parse(section).parameters;
+      const no = [flags.no, terms].filter(Boolean).join(', ');
+      const parsed = this.midjourneyParameters.parse(content.substring(0, index));
+      const parameters = { ...parsed.parameters, ...flags, ...(no && { no }) };
+      const after = this.midjourneyParameters.format(parameters, parsed.unknown);
+      
+      changes.push({
+        code: 'parameter-syntax',
+        field: 'content',
+        before: section.trim(),
+        after: `--no ${no}`,
+        description: `Converted the negative prompt to --no for ${adapter.name}`
+      });
+      
+      return { ...prompt, content: [parsed.text, after].filter(Boolean).join(' ') };
+    }
+    
+    const { prompt: relocated, moved, spans } = this.midjourneyParameters.relocate(prompt, adapter);
+    if (!spans.length) {
+      return prompt;
+    }
+    
+    changes.push({
+      code: 'parameter-syntax',
+      field: 'content',
+      before: spans.map(span => content.substring(span.range.start, span.range.end)).join(' '),
+      after: '',
+      description: `Moved Midjourney parameters out of the prompt for ${adapter.name}: ${moved.join(', ')}`
+    });
+    
+    return relocated;
+  }
+  
+  /**
+   * Drop content policy violations, or substitute them
+   * A substitute comes from the replacement map, then from the rule's `replacement`. Violations
+   * with severity 'error' and no substitute are dropped, together with the rest of the word they
+   * are in; warnings are only ever substituted.
+   * @param {Object} prompt Prompt being repaired
+   * @param {Object} adapter Platform adapter
+   * @param {Object} replacements Substitutes by matched text or rule id (matched case-insensitively)
+   * @param {Array<Object>} changes Change log to append to
+   * @returns {Object} Repaired prompt
+   * @private
+   */
+  _replaceForbidden(prompt, adapter, replacements, changes) {
+    const substitutes = {};
+    Object.entries(replacements).forEach(([phrase, replacement]) => {
+      substitutes[phrase.toLowerCase()] = replacement;
+    });
+    
+    let content = prompt.content;
+    let dropped = false;
+    let end = Infinity;
+    
+    // Replace from the end so earlier offsets stay valid; overlapping matches are repaired once
+    this.policies.check(content, adapter).reverse().forEach(violation => {
+      const substitute = [substitutes[violation.text.toLowerCase()], substitutes[violation.rule.toLowerCase()], violation.replacement]
+        .find(replacement => typeof replacement === 'string');
+      
+      if ((substitute === undefined && violation.severity !== 'error') || violation.range.end > end) {
+        return;
+      }
+      
+      const range = substitute === undefined ? this._wordAround(content.substring(0, end), violation.range) : violation.range;
+      const before = content.substring(range.start, range.end);
+      const after = substitute === undefined ? '' : substitute;
+      dropped = dropped || !after;
+      
+      changes.unshift({
+        code: 'forbidden-phrase',
+        field: 'content',
+        before,
+        after,
+        description: `${after ? `Replaced "${before}" with "${after}"` : `Removed "${before}"`} (rule "${violation.rule}" of policy ${violation.policy})`
+      });
+      
+      content = `${content.substring(0, range.start)}${after}${content.substring(range.end)}`;
+      end = range.start;
+    });
+    
+    if (dropped) {
+      // Close the gaps left behind: doubled separators and spaces
+      content = content
+        .replace(/\s+([,.;:])(?!:)/g, '$1')
+        .replace(/([,;])(\s*[,;])+/g, '$1')
+        .replace(/^[\s,;]+|[\s,;]+$/g, '')
+        .replace(/\s{2,}/g, ' ');
+    }
+    
+    return { ...prompt, content };
+  }
+  
+  /**
+   * Widen a range to the whole word (or hyphenated word) it is in
+   * @param {string} content Prompt text
+   * @param {Object} range `{ start, end }`
+   * @returns {Object} Widened range
+   * @private
+   */
+  _wordAround(content, range) {
+    let { start, end } = range;
+    
+    while (start > 0 && /[\p{L}\p{N}_'-]/u.test(content[start - 1])) {
+      start--;
+    }
+    while (end < content.length && /[\p{L}\p{N}_'-]/u.test(content[end])) {
+      end++;
+    }
+    
+    return { start, end };
+  }
+  
+  /**
+   * Clamp numeric parameter values into the platform's `parameterRules` ranges
+   * Covers `--flag value` and `name:value` parameters in the text and `metadata.parameters`.
+   * @param {Object} prompt Prompt being repaired
+   * @param {Object} adapter Platform adapter
+   * @param {Array<Object>} changes Change log to append to
+   * @returns {Object} Repaired prompt
+   * @private
+   */
+  _clampParameters(prompt, adapter, changes) {
+    const rules = adapter.parameters || {};
+    const clamp = (name, value, field) => {
+      const rule = rules[name];
+      if (!rule || !rule.range || !NUMBER.test(String(value).trim())) {
+        return null;
+      }
+      
+      const [min, max] = rule.range;
+      const number = parseFloat(value);
+      if (number >= min && number <= max) {
+        return null;
+      }
+      
+      const clamped = String(Math.min(Math.max(number, min), max));
+      changes.push({
+        code: 'parameter-range',
+        field,
+        before: String(value),
+        after: clamped,
+        description: `Clamped ${name} from ${value} to ${clamped} (range ${min} to ${max})`
+      });
+      
+      return clamped;
+    };
+    
+    let content = prompt.content;
+    
+    if (adapter.parameterSyntax === 'midjourney') {
+      const edits = this.midjourneyParameters.locate(content)
+        .map(span => ({ range: span.valueRange, text: span.name && clamp(span.name, span.value, 'content') }))
+        .filter(edit => edit.text);
+      
+      // Replace from the end so earlier offsets stay valid
+      edits.reverse().forEach(({ range, text }) => {
+        content = `${content.substring(0, range.start)}${text}${content.substring(range.end)}`;
+      });
+    }
+    
+    content = content.replace(/\b([a-z0-9_]+):(-?[\d.]+)(?![\d.:])/gi, (match, name, value) => {
+      const clamped = clamp(name.toLowerCase(), value, 'content');
+      return clamped ? `${name}:${clamped}` : match;
+    });
+    
+    let metadata = prompt.metadata;
+    if (metadata && metadata.parameters) {
+      const parameters = { ...metadata.parameters };
+      Object.entries(parameters).forEach(([key, value]) => {
+        const name = adapter.parameterSyntax === 'midjourney' ? this.midjourneyParameters.normalizeName(key) : key;
+        const clamped = name && clamp(name, value, `metadata.parameters.${key}`);
+        if (clamped) {
+          parameters[key] = typeof value === 'number' ? Number(clamped) : clamped;
+        }
+      });
+      metadata = { ...metadata, parameters };
+    }
+    
+    return { ...prompt, content, ...(metadata && { metadata }) };
+  }
+  
+  /**
+   * Trim a prompt that is over the platform's length limit or token budget
+   * Trailing `--parameters` and "Negative:" sections are kept whole; the text before them is cut
+   * at a clause boundary (see PromptBudget#trim).
+   * @param {Object} prompt Prompt being repaired
+   * @param {Object} adapter Platform adapter
+   * @param {Array<Object>} changes Change log to append to
+   * @returns {Object} Repaired prompt
+   * @private
+   */
+  _trim(prompt, adapter, changes) {
+    const limits = this.budget.limits(adapter, adapter.validation.maxLength);
+    const { body, tail } = this.budget.splitTail(prompt.content, adapter);
+    const exceeded = this.budget.exceeded(body, limits, tail);
+    
+    if (!exceeded) {
+      return prompt;
+    }
+    
+    const trimmed = this.budget.trim(body, limits, tail);
+    
+    // A tail that does not fit leaves nothing safe to cut
+    if (!trimmed) {
+      return prompt;
+    }
+    
+    changes.push({
+      code: exceeded.counter === 'characters' ? 'max-length' : 'token-budget',
+      field: 'content',
+      before: body.substring(trimmed.length).replace(/^[\s,;:\-–—]+/, ''),
+      after: '',
+      description: `Trimmed the prompt to ${this.budget.describe(exceeded)}`
+    });
+    
+    return { ...prompt, content: `${trimmed}${tail}` };
+  }
+}
+
+module.exports = PromptFixer;
@@ -0,0 +1,275 @@
+/**
+ * Prompt Schema Module
+ * 
+ * Validates structured prompts against the published JSON Schema (src/schemas)
+ * Migrates documents from older schema versions to the current version
+ * Reports errors with the JSON Pointer path of each offending value
+ */
+
+const CURRENT_VERSION = 1;
+
+const SCHEMAS = {
+  1: require('./schemas/structured-prompt.v1.json')
+};
+
+// Keys of unversioned (version 0) documents that map onto schema fields
+const LEGACY_SUBJECT_KEYS = ['subject', 'prompt', 'description', 'text'];
+const LEGACY_NEGATIVE_KEYS = ['negative', 'negative_prompt', 'negativePrompt'];
+const LEGACY_KNOWN_KEYS = [
+  ...LEGACY_SUBJECT_KEYS,
+  ...LEGACY_NEGATIVE_KEYS,
+  'action', 'style', 'styles', 'setting', 'location', 'timeOfDay', 'camera',
+  'lighting', 'parameters', 'references', 'video'
+];
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each migration returns a document of the next version
+ */
+const MIGRATIONS = {
+  // Version 0 is the free-form JSON accepted before the schema existed
+  0: data => {
+    const migrated = { schemaVersion: 1 };
+    const toList = value => (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+    
+    const subjectKey = LEGACY_SUBJECT_KEYS.find(key => typeof data[key] === 'string');
+    if (subjectKey) {
+      migrated.subject = data[subjectKey];
+    }
+    
+    if (data.action !== undefined) {
+      migrated.action = data.action;
+    }
+    
+    const style = data.style !== undefined ? data.style : data.styles;
+    if (style !== undefined) {
+      migrated.style = toList(style);
+    }
+    
+    if (typeof data.setting === 'object' && data.setting !== null) {
+      migrated.setting = data.setting;
+    } else if (data.setting !== undefined || data.location !== undefined || data.timeOfDay !== undefined) {
+      migrated.setting = {};
+      if (data.setting !== undefined) {
+        migrated.setting.description = String(data.setting);
+      }
+      if (data.location !== undefined) {
+        migrated.setting.location = String(data.location);
+      }
+      if (data.timeOfDay !== undefined) {
+        migrated.setting.timeOfDay = String(data.timeOfDay);
+      }
+    }
+    
+    if (typeof data.camera === 'string') {
+      migrated.camera = { description: data.camera };
+    } else if (data.camera !== undefined) {
+      migrated.camera = data.camera;
+    }
+    
+    if (data.lighting !== undefined) {
+      migrated.lighting = data.lighting;
+    }
+    
+    const negativeKey = LEGACY_NEGATIVE_KEYS.find(key => data[key] !== undefined);
+    if (negativeKey) {
+      migrated.negative = toList(data[negativeKey]);
+    }
+    
+    ['references', 'video'].forEach(key => {
+      if (data[key] !== undefined) {
+        migrated[key] = data[key];
+      }
+    });
+    
+    // Anything else in a legacy document was a platform parameter (e.g. "ar", "steps")
+    const parameters = { ...data.parameters };
+    Object.keys(data)
+      .filter(key => !LEGACY_KNOWN_KEYS.includes(key) && key !== 'schemaVersion')
+      .forEach(key => {
+        parameters[key] = data[key];
+      });
+    
+    if (Object.keys(parameters).length) {
+      migrated.parameters = parameters;
+    }
+    
+    return migrated;
+  }
+};
+
+class PromptSchema {
+  /**
+   * Creates a new PromptSchema instance
+   * @param {Object} config Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+  }
+  
+  /**
+   * Get the JSON Schema for a version
+   * @param {number} version Schema version (default: current)
+   * @returns {Object} JSON Schema
+   */
+  getSchema(version = CURRENT_VERSION) {
+    if (!SCHEMAS[version]) {
+      throw new Error(`Unknown structured prompt schema version: ${version}`);
+    }
+    
+    return SCHEMAS[version];
+  }
+  
+  /**
+   * Migrate a document to the current schema version
+   * Documents without `schemaVersion` are treated as version 0.
+   * @param {Object} data Structured prompt document
+   * @returns {Object} `{ data, migratedFrom }` where `migratedFrom` is null if no migration ran
+   */
+  migrate(data) {
+    let version = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+    
+    if (!Number.isInteger(version) || version < 0 || version > CURRENT_VERSION) {
+      throw new Error(`Unsupported structured prompt schema version: ${data.schemaVersion}`);
+    }
+    
+    const migratedFrom = version < CURRENT_VERSION ? version : null;
+    let migrated = data;
+    
+    while (version < CURRENT_VERSION) {
+      migrated = MIGRATIONS[version](migrated);
+      version = migrated.schemaVersion;
+    }
+    
+    if (this.config.debug && migratedFrom !== null) {
+      console.log(`Migrated structured prompt from schema v${migratedFrom} to v${CURRENT_VERSION}`);
+    }
+    
+    return { data: migrated, migratedFrom };
+  }
+  
+  /**
+   * Validate a document against the current schema
+   * @param {Object} data Structured prompt document
+   * @returns {Array<Object>} Errors as `{ path, message }`; empty when valid
+   */
+  validate(data) {
+    const errors = [];
+    this._validateNode(data, this.getSchema(), '', errors);
+    return errors;
+  }
+  
+  /**
+   * Validate a value against a (sub)schema
+   * Supports the keywords used by the published schemas: type, enum, required,
+   * properties, additionalProperties, items, minLength, minimum, maximum and format 'uri'.
+   * @param {*} value Value to validate
+   * @param {Object} schema Schema for the value
+   * @param {string} path JSON Pointer to the value
+   * @param {Array<Object>} errors Error list to append to
+   * @private
+   */
+  _validateNode(value, schema, path, errors) {
+    const at = path || '/';
+    
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path: at, message: `must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+      return;
+    }
+    
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this._isType(value, type))) {
+        errors.push({ path: at, message: `must be ${types.join(' or ')}` });
+        return;
+      }
+    }
+    
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path: at, message: `must not be shorter than ${schema.minLength} characters` });
+      }
+      
+      if (schema.format === 'uri' && !/^[a-z][a-z0-9+.-]*:\S+$/i.test(value)) {
+        errors.push({ path: at, message: 'must be a URI' });
+      }
+    }
+    
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+      }
+      
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+      }
+    }
+    
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => this._validateNode(item, schema.items, `${path}/${index}`, errors));
+    }
+    
+    if (this._isType(value, 'object')) {
+      (schema.required || [])
+        .filter(key => value[key] === undefined)
+        .forEach(key => errors.push({ path: `${path}/${key}`, message: 'is required' }));
+      
+      const properties = schema.properties || {};
+      
+      Object.keys(value).forEach(key => {
+        const childPath = `${path}/${this._escapePointer(key)}`;
+        
+        if (properties[key]) {
+          this._validateNode(value[key], properties[key], childPath, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: childPath, message: 'is not an allowed property' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          this._validateNode(value[key], schema.additionalProperties, childPath, errors);
+        }
+      });
+    }
+  }
+  
+  /**
+   * Check a value against a JSON Schema type name
+   * @param {*} value Value to check
+   * @param {string} type JSON Schema type
+   * @returns {boolean} Whether the value has the type
+   * @private
+   */
+  _isType(value, type) {
+    switch (type) {
+      case 'object':
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && isFinite(value);
+      case 'null':
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+  
+  /**
+   * Escape a property name for use in a JSON Pointer
+   * @param {string} key Property name
+   * @returns {string} Escaped name
+   * @private
+   */
+  _escapePointer(key) {
+    return key.replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+}
+
+PromptSchema.CURRENT_VERSION = CURRENT_VERSION;
+
+module.exports = PromptSchema;
@@ -0,0 +1,277 @@
+/**
+ * Prompt Template Module
+ *
+ * Renders prompt scaffolds with `{{variables}}`, defaults, conditionals and list variables
+ * Expands matrix variables into one prompt per combination, in a fixed order
+ * Records the values each prompt was rendered with, so variants can be traced
+ */
+
+// `{{name}}`, `{{name|default}}`, `{{#if name}}`, `{{else}}` and `{{/if}}`
+const TAG_PATTERN = /\{\{\s*(#if\s+|\/if(?=\s*\}\})|else(?=\s*\}\}))?([^{}|]*?)\s*(?:\|([^{}]*))?\}\}/g;
+
+const VARIABLE_NAME = /^[A-Za-z_][\w-]*$/;
+
+class PromptTemplate {
+  /**
+   * Creates a new PromptTemplate instance
+   * @param {Object} config Configuration options
+   * @param {number} [config.maxTemplateVariants=100] Most prompts one template may expand to
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      maxTemplateVariants: 100,
+      ...config
+    };
+  }
+  
+  /**
+   * Render a template once
+   * `{{name}}` is replaced with the variable's value and `{{name|text}}` falls back to `text`
+   * when the variable is unset; an unset variable without a default is an error. List values
+   * are joined with `listSeparator`. `{{#if name}}...{{else}}...{{/if}}` keeps the first part
+   * when the variable is set and not empty, and conditionals may be nested.
+   * @param {string} template Template text
+   * @param {Object} variables Variable values: strings, numbers, booleans or lists of them
+   * @param {Object} [options] Render options
+   * @param {string} [options.listSeparator=', '] Text between the items of a list variable
+   * @returns {Object} `{ content, bindings }` where `bindings` has the value every variable
+   *   written out resolved to, defaults included
+   */
+  render(template, variables = {}, options = {}) {
+    const { listSeparator = ', ' } = options;
+    const bindings = {};
+    const nodes = this._compile(String(template || ''));
+    
+    const write = list => list.map(node => {
+      if (node.type === 'text') {
+        return node.text;
+      }
+      
+      if (node.type === 'if') {
+        return write(this._isSet(this._lookup(variables, node.name)) ? node.then : node.otherwise);
+      }
+      
+      let value = this._lookup(variables, node.name);
+      if (!this._isSet(value)) {
+        if (node.fallback === undefined) {
+          throw new Error(`Template variable ${node.name} has no value`);
+        }
+        value = node.fallback;
+      }
+      
+      bindings[node.name] = value;
+      return Array.isArray(value) ? value.join(listSeparator) : String(value);
+    }).join('');
+    
+    return { content: write(nodes), bindings };
+  }
+  
+  /**
+   * Render a template once per combination of its matrix variables
+   * The first matrix variable changes slowest, so `{ subject: [a, b], light: [x, y] }` gives
+   * a/x, a/y, b/x, b/y. Without a matrix the template is rendered once.
+   * @param {string} template Template text
+   * @param {Object} options Template options
+   * @param {Object} [options.variables] Variable values shared by every prompt
+   * @param {Object} [options.matrix] Values to expand, as lists by variable name; these win over `variables`
+   * @param {number} [options.maxVariants] Most prompts to expand to, up to `maxTemplateVariants`
+   * @param {string} [options.listSeparator=', '] Text between the items of a list variable
+   * @returns {Array<Object>} Prompts as `{ content, bindings, variant, variants }`, where `variant`
+   *   counts from 1 and `bindings` has the matrix values followed by the other variables used
+   */
+  expand(template, options = {}) {
+    const combinations = this.combinations(options);
+    
+    return combinations.map((combination, index) => {
+      const { content, bindings } = this.render(
+        template,
+        { ...options.variables, ...combination },
+        { listSeparator: options.listSeparator }
+      );
+      
+      return {
+        content,
+        bindings: { ...combination, ...bindings },
+        variant: index + 1,
+        variants: combinations.length
+      };
+    });
+  }
+  
+  /**
+   * Check template options and list the combinations of their matrix variables
+   * @param {Object} options Template options (see expand)
+   * @returns {Array<Object>} Matrix values of each prompt, in expansion order
+   */
+  combinations(options = {}) {
+    if (!this._isObject(options)) {
+      throw new Error('template must be an object of template options');
+    }
+    
+    const { variables = {}, matrix = {}, maxVariants } = options;
+    
+    if (!this._isObject(variables)) {
+      throw new Error('template.variables must be an object mapping names to values');
+    }
+    
+    if (!this._isObject(matrix)) {
+      throw new Error('template.matrix must be an object mapping names to lists of values');
+    }
+    
+    [...Object.keys(variables), ...Object.keys(matrix)].forEach(name => this._checkName(name));
+    
+    const axes = Object.entries(matrix);
+    axes.forEach(([name, values]) => {
+      if (!Array.isArray(values) || !values.length) {
+        throw new Error(`template.matrix.${name} must be a non-empty list`);
+      }
+    });
+    
+    const limit = this._limit(maxVariants);
+    const count = axes.reduce((product, [, values]) => product * values.length, 1);
+    if (count > limit) {
+      throw new Error(`Template matrix expands to ${count} prompts; the limit is ${limit}`);
+    }
+    
+    // Build the product from the last axis outward, so the first axis changes slowest
+    return axes.reduceRight(
+      (rest, [name, values]) => [].concat(...values.map(value => rest.map(combination => ({ [name]: value, ...combination })))),
+      [{}]
+    );
+  }
+  
+  /**
+   * Parse template text into text, variable and conditional nodes
+   * @param {string} template Template text
+   * @returns {Array<Object>} Nodes
+   * @private
+   */
+  _compile(template) {
+    const root = { nodes: [] };
+    const stack = [root];
+    let last = 0;
+    
+    for (const match of template.matchAll(TAG_PATTERN)) {
+      const [tag, keyword = '', name, fallback] = match;
+      const current = stack[stack.length - 1];
+      const block = keyword.trim();
+      
+      current.nodes.push({ type: 'text', text: template.substring(last, match.index) });
+      last = match.index + tag.length;
+      
+      if (block === '#if') {
+        const node = { type: 'if', name: this._checkName(name, tag), then: [], otherwise: [], tag };
+        node.nodes = node.then;
+        current.nodes.push(node);
+        stack.push(node);
+      } else if (block === 'else') {
+        if (current === root) {
+          throw new Error(`Template has ${tag} without a matching {{#if}}`);
+        }
+        if (current.nodes === current.otherwise) {
+          throw new Error(`Template ${current.tag} has more than one {{else}}`);
+        }
+        current.nodes = current.otherwise;
+      } else if (block === '/if') {
+        if (current === root) {
+          throw new Error(`Template has ${tag} without a matching {{#if}}`);
+        }
+        stack.pop();
+      } else {
+        current.nodes.push({
+          type: 'variable',
+          name: this._checkName(name, tag),
+          fallback: fallback === undefined ? undefined : fallback.trim()
+        });
+      }
+    }
+    
+    if (stack.length > 1) {
+      throw new Error(`Template ${stack[stack.length - 1].tag} is never closed with {{/if}}`);
+    }
+    
+    root.nodes.push({ type: 'text', text: template.substring(last) });
+    
+    return root.nodes;
+  }
+  
+  /**
+   * Check a variable name
+   * @param {string} name Variable name
+   * @param {string} [tag] Tag the name was written in, for messages
+   * @returns {string} The name
+   * @private
+   */
+  _checkName(name, tag) {
+    if (!VARIABLE_NAME.test(name)) {
+      throw new Error(tag ?
+        `Template tag ${tag} needs a variable name` :
+        `Template variable name ${name} must start with a letter and contain only letters, digits, _ and -`);
+    }
+    
+    // Assigning __proto__ would change the bindings object's prototype instead of adding a key
+    if (name === '__proto__') {
+      throw new Error('Template variable name __proto__ is reserved');
+    }
+    
+    return name;
+  }
+  
+  /**
+   * Work out how many prompts a template may expand to
+   * @param {number} [maxVariants] Requested limit
+   * @returns {number} The requested limit, capped at `maxTemplateVariants`
+   * @private
+   */
+  _limit(maxVariants) {
+    const configured = Number(this.config.maxTemplateVariants) || Infinity;
+    
+    if (maxVariants === undefined) {
+      return configured;
+    }
+    
+    if (!Number.isInteger(maxVariants) || maxVariants < 1) {
+      throw new Error('template.maxVariants must be a positive integer');
+    }
+    
+    return Math.min(maxVariants, configured);
+  }
+  
+  /**
+   * Read a variable's own value, so names such as `constructor` are not read from the prototype
+   * @param {Object} variables Variable values
+   * @param {string} name Variable name
+   * @returns {*} The value, or undefined when the variable is not set
+   * @private
+   */
+  _lookup(variables, name) {
+    return Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : undefined;
+  }
+  
+  /**
+   * Check whether a variable has a value
+   * @param {*} value Variable value
+   * @returns {boolean} False for unset, null, false, empty strings and empty lists
+   * @private
+   */
+  _isSet(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    
+    return value !== undefined && value !== null && value !== false && value !== '';
+  }
+  
+  /**
+   * Check whether a value is a plain object
+   * @param {*} value Value to check
+   * @returns {boolean} Whether it is an object and not a list
+   * @private
+   */
+  _isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+}
+
+module.exports = PromptTemplate;
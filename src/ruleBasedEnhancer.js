@@ -0,0 +1,274 @@
+/**
+ * Rule-Based Enhancer Module
+ *
+ * Offline, deterministic enhancement provider
+ * Fills missing lighting, lens, mood and quality slots from curated vocabularies,
+ * chosen by platform, detail level and the parser's extracted components
+ * Stays within the platform's maxLength and reports every phrase it added
+ */
+
+const PlatformRegistry = require('./platformRegistry');
+const PromptBudget = require('./promptBudget');
+
+// Slots filled at each detail level, in the order phrases are added
+const SLOTS_BY_LEVEL = {
+  basic: ['quality'],
+  standard: ['lighting', 'mood', 'quality'],
+  detailed: ['lighting', 'lens', 'mood', 'quality']
+};
+
+// Text that shows a slot is already covered
+const SLOT_PATTERNS = {
+  lighting: /\b(light|lights|lighting|lit|sunlight|moonlight|daylight|backlit|backlight|glow|glowing|shadows?|golden hour|neon)\b/i,
+  lens: /\b(\d+\s?mm|lens|depth of field|bokeh|wide-angle|telephoto|macro)\b/i,
+  mood: /\b(mood|moody|atmosphere|atmospheric|serene|tense|eerie|dreamy|dreamlike|melancholic|ominous|joyful|whimsical)\b/i,
+  quality: /\b(high quality|best quality|masterpiece|highly detailed|detailed|8k|4k|hd|sharp focus|high fidelity)\b/i
+};
+
+// Curated phrases: slot -> context key -> detail level -> phrase
+const VOCABULARY = {
+  lighting: {
+    night: {
+      standard: 'low-key night lighting',
+      detailed: 'low-key night lighting, pools of practical light'
+    },
+    golden: {
+      standard: 'warm golden hour light',
+      detailed: 'warm golden hour light, long soft shadows'
+    },
+    day: {
+      standard: 'soft natural daylight',
+      detailed: 'soft natural daylight, gentle contrast'
+    },
+    interior: {
+      standard: 'soft practical lighting',
+      detailed: 'soft practical lighting, subtle window light'
+    },
+    default: {
+      standard: 'soft diffused lighting',
+      detailed: 'soft diffused lighting, gentle rim light'
+    }
+  },
+  lens: {
+    close: { detailed: '85mm lens, shallow depth of field' },
+    wide: { detailed: '24mm wide-angle lens, deep focus' },
+    default: { detailed: '35mm lens, natural perspective' }
+  },
+  mood: {
+    noir: {
+      standard: 'tense, brooding atmosphere',
+      detailed: 'tense, brooding atmosphere with deep shadows'
+    },
+    futuristic: {
+      standard: 'gritty futuristic atmosphere',
+      detailed: 'gritty futuristic atmosphere, rain-slick reflections'
+    },
+    fantasy: {
+      standard: 'dreamlike, enchanted atmosphere',
+      detailed: 'dreamlike, enchanted atmosphere, drifting haze'
+    },
+    default: {
+      standard: 'cinematic atmosphere',
+      detailed: 'evocative cinematic atmosphere'
+    }
+  },
+  quality: {
+    stable_diffusion: {
+      basic: 'best quality',
+      standard: 'masterpiece, best quality',
+      detailed: 'masterpiece, best quality, highly detailed, sharp focus'
+    },
+    midjourney: {
+      basic: 'highly detailed',
+      standard: 'highly detailed, sharp focus',
+      detailed: 'intricate detail, sharp focus, rich texture'
+    },
+    video: {
+      basic: 'high quality',
+      standard: 'smooth motion, high quality',
+      detailed: 'smooth natural motion, consistent detail, high fidelity'
+    },
+    default: {
+      basic: 'high quality',
+      standard: 'highly detailed',
+      detailed: 'highly detailed, sharp focus, rich texture'
+    }
+  }
+};
+
+class RuleBasedEnhancer {
+  /**
+   * Creates a new RuleBasedEnhancer instance
+   * @param {Object} config Configuration options
+   * @param {PlatformRegistry} [config.platformRegistry] Registry holding the platform rules
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+    
+    this.name = 'local';
+    this.platforms = this.config.platformRegistry || new PlatformRegistry({ debug: this.config.debug });
+    this.budget = new PromptBudget(this.config);
+  }
+  
+  /**
+   * Enhance a prompt for a platform
+   * Phrases go after the prompt text, before any Midjourney `--parameters` or a
+   * "Negative:" section. A phrase that would take the prompt past the platform's
+   * maxLength or token budget is skipped. `metadata.enhancement` lists the phrases in `added` and
+   * `skipped`, each as `{ slot, phrase }` (skipped ones with a `reason`).
+   * @param {Object} prompt Parsed prompt
+   * @param {string} platform Target platform
+   * @param {Object} options Enhancement options
+   * @param {string} [options.detailLevel='standard'] 'basic', 'standard' or 'detailed'
+   * @returns {Promise<Object>} Enhanced prompt
+   */
+  async enhance(prompt, platform, options = {}) {
+    const { detailLevel = 'standard' } = options;
+    
+    if (!SLOTS_BY_LEVEL[detailLevel]) {
+      throw new Error(`Unknown detail level: ${detailLevel}`);
+    }
+    
+    const adapter = this.platforms.resolve(platform);
+    const metadata = prompt.metadata || {};
+    const separator = adapter.formatting.parameterSeparator || ',';
+    const { body, tail } = this.budget.splitTail(prompt.content || '', adapter);
+    const limits = this.budget.limits(adapter, adapter.formatting.maxLength);
+    const added = [];
+    const skipped = [];
+    let text = body;
+    
+    // Slots and context come from the original text, not from phrases added along the way
+    SLOTS_BY_LEVEL[detailLevel].forEach(slot => {
+      if (this._hasSlot(slot, body, metadata)) {
+        return;
+      }
+      
+      const phrase = this.getPhrase(slot, this._contextKey(slot, body, metadata, adapter), detailLevel);
+      if (!phrase) {
+        return;
+      }
+      
+      const candidate = text ? `${text}${separator} ${phrase}` : phrase;
+      const exceeded = this.budget.exceeded(candidate, limits, tail);
+      if (exceeded) {
+        skipped.push({ slot, phrase, reason: `would exceed ${this.budget.describe(exceeded)}` });
+        return;
+      }
+      
+      text = candidate;
+      added.push({ slot, phrase });
+    });
+    
+    if (this.config.debug) {
+      console.log(`Local enhancement for ${platform} (${detailLevel}) added ${added.length} phrases`);
+    }
+    
+    return {
+      ...prompt,
+      content: added.length ? `${text}${tail}` : prompt.content,
+      metadata: {
+        ...metadata,
+        enhancement: {
+          provider: this.name,
+          detailLevel,
+          status: added.length ? 'enhanced' : 'unchanged',
+          added,
+          skipped
+        }
+      }
+    };
+  }
+  
+  /**
+   * Look up a curated phrase
+   * @param {string} slot 'lighting', 'lens', 'mood' or 'quality'
+   * @param {string} key Context key within the slot (e.g. 'night', 'close', 'video')
+   * @param {string} detailLevel Detail level
+   * @returns {string|null} Phrase, or null if the slot has none at this level
+   */
+  getPhrase(slot, key, detailLevel) {
+    const phrases = VOCABULARY[slot][key] || VOCABULARY[slot].default;
+    return phrases[detailLevel] || null;
+  }
+  
+  /**
+   * Check whether the prompt already covers a slot
+   * @param {string} slot Slot name
+   * @param {string} text Prompt text
+   * @param {Object} metadata Parsed metadata
+   * @returns {boolean} Whether the slot is covered
+   * @private
+   */
+  _hasSlot(slot, text, metadata) {
+    const shot = metadata.shot || {};
+    
+    if (slot === 'lighting' && metadata.lighting) {
+      return true;
+    }
+    
+    if (slot === 'lens' && shot.lens && (shot.lens.focalLength || shot.lens.type)) {
+      return true;
+    }
+    
+    // The transformer appends the parser's quality tags itself
+    if (slot === 'quality' && metadata.qualities && metadata.qualities.length) {
+      return true;
+    }
+    
+    return SLOT_PATTERNS[slot].test(text);
+  }
+  
+  /**
+   * Choose the vocabulary entry for a slot from the prompt's context
+   * @param {string} slot Slot name
+   * @param {string} text Prompt text
+   * @param {Object} metadata Parsed metadata
+   * @param {Object} adapter Platform adapter
+   * @returns {string} Context key
+   * @private
+   */
+  _contextKey(slot, text, metadata, adapter) {
+    const setting = metadata.setting && typeof metadata.setting === 'object' ? metadata.setting : {};
+    const context = [text, setting.timeOfDay, ...(metadata.styles || [])].filter(Boolean).join(' ').toLowerCase();
+    
+    switch (slot) {
+      case 'lighting':
+        if (/\b(night|midnight)\b/.test(context)) {
+          return 'night';
+        }
+        if (/\b(dawn|dusk|sunrise|sunset|evening|golden hour|magic hour|twilight)\b/.test(context)) {
+          return 'golden';
+        }
+        if (/\b(day|daytime|morning|noon|afternoon)\b/.test(context)) {
+          return 'day';
+        }
+        return setting.interior || /\b(interior|indoors?|room|office)\b/.test(context) ? 'interior' : 'default';
+      case 'lens': {
+        const size = (metadata.shot && metadata.shot.size) || '';
+        if (/close/.test(size)) {
+          return 'close';
+        }
+        return /wide/.test(size) ? 'wide' : 'default';
+      }
+      case 'mood':
+        if (/\b(noir|detective)\b/.test(context)) {
+          return 'noir';
+        }
+        if (/\b(cyberpunk|futuristic|sci-fi|neon)\b/.test(context)) {
+          return 'futuristic';
+        }
+        return /\b(fantasy|magical?|enchanted|fairy)\b/.test(context) ? 'fantasy' : 'default';
+      default:
+        if (VOCABULARY.quality[adapter.id]) {
+          return adapter.id;
+        }
+        return adapter.video ? 'video' : 'default';
+    }
+  }
+}
+
+module.exports = RuleBasedEnhancer;
@@ -0,0 +1,287 @@
+/**
+ * Screenplay Parser Module
+ *
+ * Reads Fountain and plain-text screenplays
+ * Splits them into scenes on INT./EXT. headings, and optionally into shots
+ * Separates action, dialogue, transitions and centered text for prompt generation
+ */
+
+const SCENE_HEADING = /^(INT\.?\/EXT|EXT\.?\/INT|I\/E|INT|EXT|EST)[.\s]\s*(.*)$/i;
+const SCENE_NUMBER = /\s*#([\w.-]+)#\s*$/;
+const TRANSITION = /^[A-Z\s]+TO:$|^(FADE (IN|OUT)|CUT TO BLACK|SMASH CUT|MATCH CUT)[.:]?$/;
+const CENTERED = /^>\s*(.*?)\s*<$/;
+const SHOT_HEADING = /^(CLOSE ON|CLOSE UP|CLOSE-UP|EXTREME CLOSE|ANGLE ON|WIDE SHOT|WIDE ON|MEDIUM SHOT|INSERT|POV|REVERSE ANGLE|TRACKING|OVERHEAD|AERIAL|BACK TO SCENE|ON\s)/;
+const TIMES_OF_DAY = [
+  'DAY', 'NIGHT', 'MORNING', 'AFTERNOON', 'EVENING', 'DAWN', 'DUSK',
+  'SUNRISE', 'SUNSET', 'MIDNIGHT', 'NOON', 'TWILIGHT', 'MAGIC HOUR'
+];
+
+class ScreenplayParser {
+  /**
+   * Creates a new ScreenplayParser instance
+   * @param {Object} config Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+  }
+  
+  /**
+   * Parse a screenplay into scenes
+   * @param {string} text Screenplay text (Fountain or plain text)
+   * @returns {Array<Object>} Scenes in script order, each with `sceneNumber`, `heading`,
+   *   `setting`, `elements` (action, dialogue, transition, shot and centered entries) and `source`
+   */
+  parse(text) {
+    const lines = this._stripNonPrinting(text).split('\n');
+    const scenes = [];
+    let scene = null;
+    let i = this._skipTitlePage(lines);
+    
+    while (i < lines.length) {
+      const line = lines[i].trim();
+      const previousBlank = i === 0 || !lines[i - 1].trim();
+      const nextLine = i + 1 < lines.length ? lines[i + 1].trim() : '';
+      
+      if (!line) {
+        i++;
+        continue;
+      }
+      
+      // Sections (#), synopses (=) and page breaks (===) carry no visuals
+      if (/^(#|=)/.test(line)) {
+        i++;
+        continue;
+      }
+      
+      if (previousBlank && this._isSceneHeading(line)) {
+        scene = this._createScene(line, scenes.length + 1, lines[i]);
+        scenes.push(scene);
+        i++;
+        continue;
+      }
+      
+      // Transitions and centered text before the first heading (e.g. "FADE IN:") open the script, not a scene
+      if (!scene && (this._isTransition(line) || CENTERED.test(line))) {
+        i++;
+        continue;
+      }
+      
+      // Anything else before the first heading belongs to an implicit opening scene
+      if (!scene) {
+        scene = this._createScene(null, 1, '');
+        scenes.push(scene);
+      }
+      
+      // Centered text (`> THE END <`) is a title card, not action
+      if (CENTERED.test(line)) {
+        scene.elements.push({ type: 'centered', text: line.replace(CENTERED, '$1') });
+        scene.source.push(lines[i]);
+        i++;
+        continue;
+      }
+      
+      if (previousBlank && this._isCharacterCue(line, nextLine)) {
+        const { element, end } = this._readDialogue(lines, i);
+        scene.elements.push(element);
+        scene.source.push(...lines.slice(i, end));
+        i = end;
+        continue;
+      }
+      
+      if (this._isTransition(line)) {
+        scene.elements.push({ type: 'transition', text: line.replace(/^>\s*/, '') });
+        scene.source.push(lines[i]);
+        i++;
+        continue;
+      }
+      
+      if (previousBlank && !nextLine && SHOT_HEADING.test(line) && line === line.toUpperCase()) {
+        scene.elements.push({ type: 'shot', text: line.replace(/[.:]$/, '') });
+        scene.source.push(lines[i]);
+        i++;
+        continue;
+      }
+      
+      // Action paragraph: consecutive non-blank lines, up to a transition or centered line
+      const start = i;
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() &&
+        (i === start || !(this._isTransition(lines[i].trim()) || CENTERED.test(lines[i].trim())))) {
+        paragraph.push(lines[i].trim().replace(/^!/, ''));
+        i++;
+      }
+      scene.elements.push({ type: 'action', text: paragraph.join(' ') });
+      scene.source.push(...lines.slice(start, i));
+    }
+    
+    return scenes.map(current => ({
+      ...current,
+      source: current.source.join('\n').trim()
+    }));
+  }
+  
+  /**
+   * Remove boneyard (/* *\/) and notes ([[ ]]), and normalize line endings
+   * @param {string} text Screenplay text
+   * @returns {string} Cleaned text
+   * @private
+   */
+  _stripNonPrinting(text) {
+    return String(text)
+      .replace(/\r\n?/g, '\n')
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/\[\[[\s\S]*?\]\]/g, '');
+  }
+  
+  /**
+   * Skip a Fountain title page (key: value block at the top)
+   * @param {Array<string>} lines Screenplay lines
+   * @returns {number} Index of the first line after the title page
+   * @private
+   */
+  _skipTitlePage(lines) {
+    const first = lines.findIndex(line => line.trim());
+    
+    if (first === -1 || !/^(Title|Credit|Author|Authors|Source|Draft date|Date|Contact|Notes|Copyright):/i.test(lines[first].trim())) {
+      return 0;
+    }
+    
+    let i = first;
+    while (i < lines.length && lines[i].trim()) {
+      i++;
+    }
+    
+    return i;
+  }
+  
+  /**
+   * Check whether a line is a scene heading
+   * @param {string} line Trimmed line
+   * @returns {boolean} Whether the line is a scene heading
+   * @private
+   */
+  _isSceneHeading(line) {
+    return SCENE_HEADING.test(line) || /^\.[^.]/.test(line);
+  }
+  
+  /**
+   * Check whether a line is a character cue followed by dialogue
+   * @param {string} line Trimmed line
+   * @param {string} nextLine Trimmed following line
+   * @returns {boolean} Whether the line is a character cue
+   * @private
+   */
+  _isCharacterCue(line, nextLine) {
+    if (!nextLine) {
+      return false;
+    }
+    
+    if (line.startsWith('@')) {
+      return true;
+    }
+    
+    const name = line.replace(/\s*\^$/, '').replace(/\s*\(.*\)$/, '');
+    return /[A-Z]/.test(name) && name === name.toUpperCase() && !/[!?:]$/.test(name) &&
+      !SHOT_HEADING.test(line) && !this._isTransition(line);
+  }
+  
+  /**
+   * Check whether a line is a transition
+   * @param {string} line Trimmed line
+   * @returns {boolean} Whether the line is a transition
+   * @private
+   */
+  _isTransition(line) {
+    return TRANSITION.test(line) || (/^>/.test(line) && !/<$/.test(line));
+  }
+  
+  /**
+   * Read a character cue with its parentheticals and dialogue lines
+   * @param {Array<string>} lines Screenplay lines
+   * @param {number} start Index of the character cue
+   * @returns {Object} `{ element, end }` where `end` is the index after the dialogue block
+   * @private
+   */
+  _readDialogue(lines, start) {
+    const character = lines[start].trim()
+      .replace(/^@/, '')
+      .replace(/\s*\^$/, '')
+      .replace(/\s*\(.*\)$/, '');
+    const parentheticals = [];
+    const speech = [];
+    let i = start + 1;
+    
+    while (i < lines.length && lines[i].trim()) {
+      const line = lines[i].trim();
+      if (/^\(.*\)$/.test(line)) {
+        parentheticals.push(line.slice(1, -1));
+      } else {
+        speech.push(line.replace(/^~/, ''));
+      }
+      i++;
+    }
+    
+    return {
+      element: { type: 'dialogue', character, parentheticals, text: speech.join(' ') },
+      end: i
+    };
+  }
+  
+  /**
+   * Create a scene from its heading
+   * @param {string|null} heading Trimmed heading line, or null for an implicit opening scene
+   * @param {number} position Scene position in the script (1-based)
+   * @param {string} rawHeading Heading line as written
+   * @returns {Object} Scene
+   * @private
+   */
+  _createScene(heading, position, rawHeading) {
+    const scene = {
+      sceneNumber: String(position),
+      heading: null,
+      setting: { location: null, timeOfDay: null, interior: null },
+      elements: [],
+      source: rawHeading ? [rawHeading] : []
+    };
+    
+    if (!heading) {
+      return scene;
+    }
+    
+    let text = heading.replace(/^\./, '');
+    const numberMatch = text.match(SCENE_NUMBER);
+    if (numberMatch) {
+      scene.sceneNumber = numberMatch[1];
+      text = text.replace(SCENE_NUMBER, '');
+    }
+    
+    scene.heading = text.trim();
+    
+    const headingMatch = text.match(SCENE_HEADING);
+    let place = text;
+    if (headingMatch) {
+      const prefix = headingMatch[1].toUpperCase();
+      scene.setting.interior = prefix.startsWith('INT') && !prefix.includes('/') ? true :
+        prefix === 'EXT' ? false : null;
+      place = headingMatch[2];
+    }
+    
+    // "LOCATION - SUBLOCATION - TIME": the last segment is the time when it names one
+    const segments = place.split(/\s+[-–—]\s+/).map(segment => segment.trim()).filter(Boolean);
+    const last = segments.length > 1 ? segments[segments.length - 1].toUpperCase() : null;
+    if (last && TIMES_OF_DAY.some(time => last === time || last.startsWith(`${time} `) || last.endsWith(` ${time}`))) {
+      scene.setting.timeOfDay = segments.pop().toLowerCase();
+    } else if (last && /^(CONTINUOUS|LATER|MOMENTS LATER|SAME|SAME TIME)$/.test(last)) {
+      segments.pop();
+    }
+    
+    scene.setting.location = segments.join(' - ') || null;
+    
+    return scene;
+  }
+}
+
+module.exports = ScreenplayParser;
@@ -0,0 +1,146 @@
+/**
+ * Shot List Formatter Module
+ *
+ * Writes prompts as a Markdown shot list for director review
+ * One table row per prompt: shot, prompt, platform and validation status
+ * Optional per-shot metadata lists below the table
+ * Shared by the transformer and the export engine
+ */
+
+// Characters Markdown would read as formatting, links, HTML or a table cell boundary
+const MARKDOWN_SPECIAL = /[\\`*_[\]<>|]/g;
+
+class ShotListFormatter {
+  /**
+   * Creates a new ShotListFormatter instance
+   * @param {Object} config Configuration options
+   * @param {string} [config.title='Shot List'] Document heading
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      title: 'Shot List',
+      ...config
+    };
+  }
+  
+  /**
+   * Format prompts as a Markdown shot list
+   * Prompts carry their platform in `platformName` and their validation result in
+   * `validation` (`{ status, warnings, errors }`); cells are left empty when either is missing.
+   * @param {Array<Object>} prompts Formatted prompts, in shot order
+   * @param {boolean} includeMetadata Whether to list each shot's metadata below the table
+   * @param {Object} options Per-call overrides of the formatter config (e.g. `title`)
+   * @returns {string} Markdown document (without a trailing line break)
+   */
+  format(prompts, includeMetadata = false, options = {}) {
+    const { title } = { ...this.config, ...options };
+    const lines = [
+      `# ${this.escape(title)}`,
+      '',
+      '| Shot | Prompt | Platform | Status |',
+      '| --- | --- | --- | --- |'
+    ];
+    
+    prompts.forEach((prompt, index) => {
+      const cells = [
+        this.shotLabel(prompt, index),
+        prompt.content,
+        prompt.platformName,
+        this._formatStatus(prompt.validation)
+      ];
+      
+      lines.push(`| ${cells.map(cell => this.escape(cell)).join(' | ')} |`);
+    });
+    
+    if (includeMetadata) {
+      prompts.forEach((prompt, index) => {
+        // Empty values (null, empty lists) would only add noise to the review
+        const entries = Object.entries(prompt.metadata || {})
+          .map(([key, value]) => [key, this._formatValue(value)])
+          .filter(([, text]) => text !== '');
+        
+        if (!entries.length) {
+          return;
+        }
+        
+        lines.push('', `## Shot ${this.escape(this.shotLabel(prompt, index))}`, '');
+        entries.forEach(([key, text]) => {
+          lines.push(`- **${this.escape(key)}**: ${this.escape(text)}`);
+        });
+      });
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Get the shot label for a prompt
+   * Screenplay and CSV prompts use their scene and shot numbers ("12", "12.3");
+   * other prompts use their position.
+   * @param {Object} prompt Formatted prompt
+   * @param {number} index Position of the prompt (0-based)
+   * @returns {string} Shot label
+   */
+  shotLabel(prompt, index) {
+    const { sceneNumber, shotNumber } = prompt.metadata || {};
+    
+    if (sceneNumber !== undefined && sceneNumber !== null) {
+      return shotNumber !== undefined && shotNumber !== null ? `${sceneNumber}.${shotNumber}` : String(sceneNumber);
+    }
+    
+    if (shotNumber !== undefined && shotNumber !== null) {
+      return String(shotNumber);
+    }
+    
+    return String(index + 1);
+  }
+  
+  /**
+   * Escape text for a table cell or list item
+   * Line breaks become `<br>` so a value stays in its cell.
+   * @param {*} value Text value
+   * @returns {string} Escaped text
+   */
+  escape(value) {
+    return (value === undefined || value === null ? '' : String(value))
+      .replace(MARKDOWN_SPECIAL, '\\$&')
+      .replace(/\r\n?|\n/g, '<br>');
+  }
+  
+  /**
+   * Describe a validation result
+   * @param {Object} [validation] Validation result
+   * @returns {string} Status followed by any errors and warnings
+   * @private
+   */
+  _formatStatus(validation) {
+    if (!validation) {
+      return '';
+    }
+    
+    const issues = [...(validation.errors || []), ...(validation.warnings || [])];
+    
+    return issues.length ? `${validation.status}: ${issues.join('\n')}` : validation.status;
+  }
+  
+  /**
+   * Convert a metadata value to text (empty for null, undefined and empty lists)
+   * @param {*} value Metadata value
+   * @returns {string} Value text
+   * @private
+   */
+  _formatValue(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => (item !== null && typeof item === 'object' ? JSON.stringify(item) : item)).join(', ');
+    }
+    
+    if (value !== null && typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    
+    return value === undefined || value === null ? '' : String(value);
+  }
+}
+
+module.exports = ShotListFormatter;
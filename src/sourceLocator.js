@@ -0,0 +1,124 @@
+/**
+ * Source Locator Module
+ *
+ * Maps character ranges in parsed prompts back to the source text they came from
+ * Prompt text that only differs from its source in whitespace is aligned character by
+ * character; otherwise the flagged text is looked up in the prompt's part of the source
+ */
+
+class SourceLocator {
+  /**
+   * Creates a new SourceLocator instance
+   * @param {string} source Whole source text
+   */
+  constructor(source) {
+    this.source = source || '';
+    this.cursor = 0;
+  }
+  
+  /**
+   * Find the part of the source a prompt was parsed from
+   * Prompts are expected in source order: each is looked for after the one before, so
+   * repeated rows or scenes map to their own place.
+   * @param {Object} prompt Parsed prompt with `source` and `content`
+   * @returns {Object} `{ range, map }` where `range` is the prompt's part of the source (null if
+   *   it cannot be found) and `map(range)` turns a range in `prompt.content` into a range in the
+   *   source, or null
+   */
+  locate(prompt) {
+    const found = this._find(prompt.source || '', this.cursor) || this._find(prompt.source || '', 0);
+    
+    if (!found) {
+      return { range: null, map: () => null };
+    }
+    
+    const offset = found.start;
+    const segment = this.source.substring(found.start, found.end);
+    this.cursor = found.end;
+    
+    const content = prompt.content || '';
+    const offsets = this._align(segment, content);
+    
+    const map = range => {
+      if (!range || range.start < 0 || range.end > content.length) {
+        return null;
+      }
+      
+      if (offsets) {
+        const start = offsets[range.start];
+        return { start: offset + start, end: offset + (range.end > range.start ? offsets[range.end - 1] + 1 : start) };
+      }
+      
+      // Rewritten text (screenplay prose, CSV columns): find the flagged words themselves
+      const text = content.substring(range.start, range.end);
+      const found = text ? segment.toLowerCase().indexOf(text.toLowerCase()) : -1;
+      
+      return found === -1 ? null : { start: offset + found, end: offset + found + text.length };
+    };
+    
+    return { range: found, map };
+  }
+  
+  /**
+   * Find a prompt's source text, allowing for differences in whitespace
+   * Parsers may rejoin the lines of a scene or row, so any run of whitespace matches any other.
+   * @param {string} segment Source text of the prompt
+   * @param {number} from Offset to search from
+   * @returns {Object|null} `{ start, end }` in the source, or null if it is not there
+   * @private
+   */
+  _find(segment, from) {
+    const words = segment.trim().split(/\s+/).filter(Boolean);
+    if (!words.length) {
+      return null;
+    }
+    
+    const pattern = new RegExp(words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'g');
+    pattern.lastIndex = from;
+    
+    const match = pattern.exec(this.source);
+    return match ? { start: match.index, end: match.index + match[0].length } : null;
+  }
+  
+  /**
+   * Align prompt text with its source, where runs of whitespace may have become single spaces
+   * @param {string} segment Source text of the prompt
+   * @param {string} content Prompt text
+   * @returns {Array<number>|null} Source offset of each prompt character and of the end, or null
+   *   if the prompt text is not its source with whitespace collapsed
+   * @private
+   */
+  _align(segment, content) {
+    const offsets = [];
+    let index = segment.search(/\S|$/);
+    
+    for (let position = 0; position < content.length; position++) {
+      const ch = content[position];
+      
+      if (/\s/.test(ch)) {
+        if (!/\s/.test(segment[index] || '')) {
+          return null;
+        }
+        
+        offsets.push(index);
+        while (index < segment.length && /\s/.test(segment[index])) {
+          index++;
+        }
+      } else {
+        if (segment[index] !== ch) {
+          return null;
+        }
+        
+        offsets.push(index);
+        index++;
+      }
+    }
+    
+    // The end of the prompt text, for empty ranges there
+    offsets.push(index);
+    
+    return offsets;
+  }
+}
+
+module.exports = SourceLocator;
@@ -0,0 +1,443 @@
+/**
+ * Stable Diffusion Weights Module
+ * 
+ * Tokenizes Stable Diffusion prompt syntax into a weighted-term tree:
+ * `(token:1.3)`, `((emphasis))`, `[de-emphasis]`, `{emphasis}`,
+ * `[from:to:step]` scheduling and `[a|b]` alternation
+ * Serializes the tree back to the exact source text
+ * Flattens or rescales weights for other platforms
+ */
+
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = { ')': '(', ']': '[', '}': '{' };
+
+// Implicit multipliers applied by each bracket type when no explicit weight is given
+const BRACKET_MULTIPLIERS = { '(': 1.1, '[': 1 / 1.1, '{': 1.05 };
+
+const NUMERIC = /^\s*-?(\d+(\.\d*)?|\.\d+)\s*$/;
+
+class StableDiffusionWeights {
+  /**
+   * Creates a new StableDiffusionWeights instance
+   * @param {Object} config Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+  }
+  
+  /**
+   * Parse prompt text into a node tree
+   *
+   * Node types:
+   * - `{ type: 'text', value, index }` where `index` is the offset of `value` in the prompt text
+   * - `{ type: 'emphasis', bracket, weight, weightRaw, children }`
+   * - `{ type: 'schedule', parts, when }` for `[from:to:step]`, `[to:step]` and `[from::step]`
+   * - `{ type: 'alternate', bracket, options }` for `[a|b]`
+   *
+   * Unbalanced brackets are kept as literal text and reported in `issues`.
+   * @param {string} text Prompt text
+   * @returns {Object} `{ nodes, issues }` where each issue has a `message` and `index`
+   */
+  parse(text = '') {
+    const issues = [];
+    const pairs = this._matchBrackets(text, issues);
+    const nodes = this._parseRange(text, 0, text.length, pairs);
+    
+    return { nodes, issues };
+  }
+  
+  /**
+   * Serialize a node tree back to prompt text
+   * @param {Array<Object>} nodes Node tree from parse()
+   * @returns {string} Prompt text
+   */
+  stringify(nodes) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'emphasis':
+          return `${node.bracket}${this.stringify(node.children)}` +
+            `${node.weightRaw !== null ? `:${node.weightRaw}` : ''}${OPENERS[node.bracket]}`;
+        case 'schedule':
+          return `[${node.parts.map(part => this.stringify(part)).join(':')}:${node.when}]`;
+        case 'alternate':
+          return `${node.bracket}${node.options.map(option => this.stringify(option)).join('|')}${OPENERS[node.bracket]}`;
+        case 'text':
+        default:
+          return node.value;
+      }
+    }).join('');
+  }
+  
+  /**
+   * Get every text term with its effective weight
+   * @param {Array<Object>} nodes Node tree from parse()
+   * @param {number} multiplier Weight inherited from enclosing groups
+   * @returns {Array<Object>} Terms as `{ text, weight, range }`, where `range` is the term's
+   *   `{ start, end }` in the parsed text, or null for nodes that were not parsed from it
+   */
+  getTerms(nodes, multiplier = 1) {
+    const terms = [];
+    
+    nodes.forEach(node => {
+      switch (node.type) {
+        case 'emphasis': {
+          const factor = node.weight !== null ? node.weight : BRACKET_MULTIPLIERS[node.bracket];
+          terms.push(...this.getTerms(node.children, multiplier * factor));
+          break;
+        }
+        case 'schedule':
+          node.parts.forEach(part => terms.push(...this.getTerms(part, multiplier)));
+          break;
+        case 'alternate':
+          node.options.forEach(option => terms.push(...this.getTerms(option, multiplier)));
+          break;
+        case 'text':
+        default: {
+          let offset = node.index;
+          node.value.split(',').forEach(raw => {
+            const text = this._unescape(raw).trim();
+            const start = offset + raw.length - raw.trimStart().length;
+            
+            if (text) {
+              terms.push({
+                text,
+                weight: Number(multiplier.toFixed(4)),
+                range: Number.isInteger(start) ? { start, end: start + raw.trim().length } : null
+              });
+            }
+            offset += raw.length + 1;
+          });
+        }
+      }
+    });
+    
+    return terms;
+  }
+  
+  /**
+   * Check whether the tree uses weighting syntax rather than ordinary parentheses
+   * A single `(aside)` in prose is not treated as weighting.
+   * @param {Array<Object>} nodes Node tree from parse()
+   * @returns {boolean} Whether weighting syntax is present
+   */
+  hasWeightSyntax(nodes) {
+    return nodes.some(node => {
+      if (node.type === 'schedule' || node.type === 'alternate') {
+        return true;
+      }
+      
+      if (node.type === 'emphasis') {
+        return node.weight !== null ||
+          node.bracket !== '(' ||
+          node.children.some(child => child.type !== 'text') ||
+          this.hasWeightSyntax(node.children);
+      }
+      
+      return false;
+    });
+  }
+  
+  /**
+   * Remove all weighting syntax, keeping the text
+   * Schedules keep their final part; alternations keep every option.
+   * @param {Array<Object>} nodes Node tree from parse()
+   * @returns {string} Plain prompt text
+   */
+  flatten(nodes) {
+    const text = nodes.map(node => {
+      switch (node.type) {
+        case 'emphasis':
+          return this.flatten(node.children);
+        case 'schedule': {
+          const finalPart = node.parts.slice().reverse().find(part => this.flatten(part));
+          return finalPart ? this.flatten(finalPart) : '';
+        }
+        case 'alternate':
+          return node.options.map(option => this.flatten(option)).filter(Boolean).join(' and ');
+        case 'text':
+        default:
+          return this._unescape(node.value);
+      }
+    }).join('');
+    
+    return text.replace(/\s{2,}/g, ' ');
+  }
+  
+  /**
+   * Scale explicit weights toward 1 so that all of them fit within a range
+   * The relative order of weights is preserved.
+   * @param {Array<Object>} nodes Node tree from parse()
+   * @param {Array<number>} range Allowed `[min, max]` weight
+   * @returns {Array<Object>} New node tree
+   */
+  rescale(nodes, range) {
+    const [min, max] = range;
+    const weights = this._collectWeights(nodes);
+    
+    if (!weights.length) {
+      return nodes;
+    }
+    
+    const highest = Math.max(...weights);
+    const lowest = Math.min(...weights);
+    let factor = 1;
+    
+    if (highest > max && highest !== 1) {
+      factor = Math.min(factor, (max - 1) / (highest - 1));
+    }
+    
+    if (lowest < min && lowest !== 1) {
+      factor = Math.min(factor, (1 - min) / (1 - lowest));
+    }
+    
+    if (factor >= 1) {
+      return nodes;
+    }
+    
+    return this._mapWeights(nodes, weight => Number((1 + (weight - 1) * factor).toFixed(2)));
+  }
+  
+  /**
+   * Remove backslash escapes from brackets
+   * @param {string} text Text with escapes
+   * @returns {string} Unescaped text
+   * @private
+   */
+  _unescape(text) {
+    return text.replace(/\\([()[\]{}])/g, '$1');
+  }
+  
+  /**
+   * Find matching bracket pairs, skipping escaped characters
+   * @param {string} text Prompt text
+   * @param {Array<Object>} issues Issue list to append to
+   * @returns {Map<number, number>} Opening index to closing index
+   * @private
+   */
+  _matchBrackets(text, issues) {
+    const stack = [];
+    const pairs = new Map();
+    
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      
+      if (ch === '\\') {
+        i++;
+        continue;
+      }
+      
+      if (OPENERS[ch]) {
+        stack.push({ ch, index: i });
+      } else if (CLOSERS[ch]) {
+        const top = stack[stack.length - 1];
+        
+        if (top && top.ch === CLOSERS[ch]) {
+          pairs.set(top.index, i);
+          stack.pop();
+        } else {
+          issues.push({ message: `Unmatched closing bracket "${ch}" at position ${i}`, index: i });
+        }
+      }
+    }
+    
+    stack.forEach(open => {
+      issues.push({ message: `Unclosed bracket "${open.ch}" at position ${open.index}`, index: open.index });
+    });
+    
+    return pairs;
+  }
+  
+  /**
+   * Parse a range of text into nodes
+   * @param {string} text Prompt text
+   * @param {number} start Start index (inclusive)
+   * @param {number} end End index (exclusive)
+   * @param {Map<number, number>} pairs Bracket pairs
+   * @returns {Array<Object>} Nodes
+   * @private
+   */
+  _parseRange(text, start, end, pairs) {
+    const nodes = [];
+    let buffer = '';
+    let bufferStart = start;
+    
+    const flush = () => {
+      if (buffer) {
+        nodes.push({ type: 'text', value: buffer, index: bufferStart });
+        buffer = '';
+      }
+    };
+    
+    for (let i = start; i < end; i++) {
+      if (!buffer) {
+        bufferStart = i;
+      }
+      
+      if (text[i] === '\\' && i + 1 < end) {
+        buffer += text[i] + text[i + 1];
+        i++;
+        continue;
+      }
+      
+      if (pairs.has(i)) {
+        flush();
+        const close = pairs.get(i);
+        nodes.push(this._parseGroup(text, i, close, pairs));
+        i = close;
+        continue;
+      }
+      
+      buffer += text[i];
+    }
+    
+    flush();
+    return nodes;
+  }
+  
+  /**
+   * Parse a matched bracket group
+   * @param {string} text Prompt text
+   * @param {number} open Opening bracket index
+   * @param {number} close Closing bracket index
+   * @param {Map<number, number>} pairs Bracket pairs
+   * @returns {Object} Group node
+   * @private
+   */
+  _parseGroup(text, open, close, pairs) {
+    const bracket = text[open];
+    const innerStart = open + 1;
+    const separators = this._topLevelSeparators(text, innerStart, close, pairs);
+    const colons = separators.filter(sep => sep.ch === ':').map(sep => sep.index);
+    const pipes = separators.filter(sep => sep.ch === '|').map(sep => sep.index);
+    const lastColon = colons[colons.length - 1];
+    const trailingNumber = lastColon !== undefined && NUMERIC.test(text.slice(lastColon + 1, close));
+    
+    // [from:to:step], [to:step] and [from::step]
+    if (bracket === '[' && !pipes.length && colons.length <= 2 && trailingNumber) {
+      const bounds = [innerStart, ...colons.map(index => index + 1)];
+      const parts = bounds.slice(0, -1).map((partStart, i) =>
+        this._parseRange(text, partStart, colons[i], pairs));
+      
+      return { type: 'schedule', parts, when: text.slice(lastColon + 1, close) };
+    }
+    
+    // [a|b] alternation (and {a|b} variants)
+    if (bracket !== '(' && pipes.length && !colons.length) {
+      const bounds = [innerStart, ...pipes.map(index => index + 1)];
+      const options = bounds.map((optionStart, i) =>
+        this._parseRange(text, optionStart, i < pipes.length ? pipes[i] : close, pairs));
+      
+      return { type: 'alternate', bracket, options };
+    }
+    
+    // (token:1.3) explicit weight
+    if (bracket === '(' && trailingNumber) {
+      const weightRaw = text.slice(lastColon + 1, close);
+      
+      return {
+        type: 'emphasis',
+        bracket,
+        weight: parseFloat(weightRaw),
+        weightRaw,
+        children: this._parseRange(text, innerStart, lastColon, pairs)
+      };
+    }
+    
+    return {
+      type: 'emphasis',
+      bracket,
+      weight: null,
+      weightRaw: null,
+      children: this._parseRange(text, innerStart, close, pairs)
+    };
+  }
+  
+  /**
+   * Find ':' and '|' separators that are not nested in another group or escaped
+   * @param {string} text Prompt text
+   * @param {number} start Start index (inclusive)
+   * @param {number} end End index (exclusive)
+   * @param {Map<number, number>} pairs Bracket pairs
+   * @returns {Array<Object>} Separators as `{ ch, index }`
+   * @private
+   */
+  _topLevelSeparators(text, start, end, pairs) {
+    const separators = [];
+    
+    for (let i = start; i < end; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (pairs.has(i)) {
+        i = pairs.get(i);
+      } else if (text[i] === ':' || text[i] === '|') {
+        separators.push({ ch: text[i], index: i });
+      }
+    }
+    
+    return separators;
+  }
+  
+  /**
+   * Collect every explicit weight in the tree
+   * @param {Array<Object>} nodes Node tree
+   * @returns {Array<number>} Weights
+   * @private
+   */
+  _collectWeights(nodes) {
+    const weights = [];
+    
+    nodes.forEach(node => {
+      if (node.type === 'emphasis') {
+        if (node.weight !== null) {
+          weights.push(node.weight);
+        }
+        weights.push(...this._collectWeights(node.children));
+      } else if (node.type === 'schedule') {
+        node.parts.forEach(part => weights.push(...this._collectWeights(part)));
+      } else if (node.type === 'alternate') {
+        node.options.forEach(option => weights.push(...this._collectWeights(option)));
+      }
+    });
+    
+    return weights;
+  }
+  
+  /**
+   * Copy the tree, replacing each explicit weight
+   * @param {Array<Object>} nodes Node tree
+   * @param {Function} mapWeight Weight mapping function
+   * @returns {Array<Object>} New node tree
+   * @private
+   */
+  _mapWeights(nodes, mapWeight) {
+    return nodes.map(node => {
+      if (node.type === 'emphasis') {
+        const weight = node.weight !== null ? mapWeight(node.weight) : null;
+        
+        return {
+          ...node,
+          weight,
+          weightRaw: weight !== null ? String(weight) : null,
+          children: this._mapWeights(node.children, mapWeight)
+        };
+      }
+      
+      if (node.type === 'schedule') {
+        return { ...node, parts: node.parts.map(part => this._mapWeights(part, mapWeight)) };
+      }
+      
+      if (node.type === 'alternate') {
+        return { ...node, options: node.options.map(option => this._mapWeights(option, mapWeight)) };
+      }
+      
+      return node;
+    });
+  }
+}
+
+StableDiffusionWeights.BRACKET_MULTIPLIERS = BRACKET_MULTIPLIERS;
+
+module.exports = StableDiffusionWeights;
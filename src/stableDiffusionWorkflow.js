@@ -0,0 +1,329 @@
+/**
+ * Stable Diffusion Workflow Module
+ *
+ * Builds generation requests for local Stable Diffusion servers:
+ * ComfyUI API-format workflows (filled in from a user-supplied template) and
+ * Automatic1111 `/sdapi/v1/txt2img` bodies
+ * Resolves steps, cfg, sampler, seed and image size from the stable_diffusion parameter rules
+ * Shared by the transformer and the export engine
+ */
+
+const fs = require('fs');
+const PlatformRegistry = require('./platformRegistry');
+const MidjourneyParameters = require('./midjourneyParameters');
+
+// Generation parameters written to both request types, in the order they are resolved
+const GENERATION_PARAMETERS = ['steps', 'cfg', 'sampler', 'seed', 'width', 'height'];
+
+// Automatic1111 sampler names and their ComfyUI sampler and scheduler
+const COMFYUI_SAMPLERS = {
+  'euler': { sampler: 'euler', scheduler: 'normal' },
+  'euler a': { sampler: 'euler_ancestral', scheduler: 'normal' },
+  'heun': { sampler: 'heun', scheduler: 'normal' },
+  'lms': { sampler: 'lms', scheduler: 'normal' },
+  'lms karras': { sampler: 'lms', scheduler: 'karras' },
+  'dpm2': { sampler: 'dpm_2', scheduler: 'normal' },
+  'dpm2 a': { sampler: 'dpm_2_ancestral', scheduler: 'normal' },
+  'dpm++ 2m': { sampler: 'dpmpp_2m', scheduler: 'normal' },
+  'dpm++ 2m karras': { sampler: 'dpmpp_2m', scheduler: 'karras' },
+  'dpm++ sde': { sampler: 'dpmpp_sde', scheduler: 'normal' },
+  'dpm++ sde karras': { sampler: 'dpmpp_sde', scheduler: 'karras' },
+  'dpm++ 2m sde karras': { sampler: 'dpmpp_2m_sde', scheduler: 'karras' },
+  'ddim': { sampler: 'ddim', scheduler: 'ddim_uniform' },
+  'unipc': { sampler: 'uni_pc', scheduler: 'normal' }
+};
+
+const COMFYUI_SAMPLER_NODES = ['KSampler', 'KSamplerAdvanced'];
+
+class StableDiffusionWorkflow {
+  /**
+   * Creates a new StableDiffusionWorkflow instance
+   * @param {Object} config Configuration options
+   * @param {Object|string} [config.comfyuiTemplate] ComfyUI workflow in API format, as an
+   *   object, a JSON string or the path of a JSON file
+   * @param {PlatformRegistry} [config.platformRegistry] Registry holding the stable_diffusion rules
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+    
+    this.platforms = this.config.platformRegistry || new PlatformRegistry({ debug: this.config.debug });
+    this.midjourneyParameters = new MidjourneyParameters(this.config);
+    this.template = null;
+  }
+  
+  /**
+   * Resolve the positive prompt, negative prompt and generation parameters of a prompt
+   * The negative prompt joins `metadata.negative` with any text after the platform's
+   * negative prompt marker ("Negative:"). Parameters come from the rule defaults, then
+   * `metadata.parameters`, then inline `name:value` tokens such as `steps:40`, which are
+   * removed from the prompt text. Midjourney-style `--flag value` parameters (e.g. `--ar 16:9`)
+   * are dropped with one value word each (see MidjourneyParameters#strip).
+   * @param {Object} prompt Transformed prompt
+   * @returns {Object} `{ positive, negative, parameters }` where `parameters` holds
+   *   `steps`, `cfg`, `sampler` and `seed`, plus `width` and `height` when they are set
+   */
+  resolve(prompt) {
+    const adapter = this.platforms.resolve('stable_diffusion');
+    const rules = adapter.parameters;
+    const metadata = prompt.metadata || {};
+    let positive = prompt.content || '';
+    const negatives = Array.isArray(metadata.negative) ? [...metadata.negative] : [];
+    
+    const marker = adapter.formatting.negativePromptMarker;
+    const markerIndex = marker ? positive.toLowerCase().indexOf(marker.toLowerCase()) : -1;
+    if (markerIndex !== -1) {
+      negatives.push(positive.substring(markerIndex + marker.length).trim());
+      positive = positive.substring(0, markerIndex);
+    }
+    
+    const parameters = {};
+    GENERATION_PARAMETERS.forEach(name => {
+      if (rules[name] && rules[name].default !== undefined) {
+        parameters[name] = rules[name].default;
+      }
+    });
+    
+    Object.entries(metadata.parameters || {}).forEach(([key, value]) => {
+      const name = key.toLowerCase();
+      if (GENERATION_PARAMETERS.includes(name) && value !== undefined && value !== null) {
+        parameters[name] = value;
+      }
+    });
+    
+    positive = positive.replace(/(^|[\s,])([a-z]+):([^\s,]+)(?=[\s,]|$)/gi, (token, lead, key, value) => {
+      const name = key.toLowerCase();
+      
+      if (!GENERATION_PARAMETERS.includes(name) || !rules[name]) {
+        return token;
+      }
+      
+      parameters[name] = value;
+      return lead;
+    });
+    
+    return {
+      positive: this._tidy(this.midjourneyParameters.strip(positive).text),
+      negative: negatives.map(text => this._tidy(this.midjourneyParameters.strip(text).text)).filter(Boolean).join(', '),
+      parameters: this._coerceParameters(parameters)
+    };
+  }
+  
+  /**
+   * Build an Automatic1111 `/sdapi/v1/txt2img` request body
+   * @param {Object} prompt Transformed prompt
+   * @returns {Object} Request body
+   */
+  buildA1111Request(prompt) {
+    const { positive, negative, parameters } = this.resolve(prompt);
+    
+    return {
+      prompt: positive,
+      negative_prompt: negative,
+      steps: parameters.steps,
+      cfg_scale: parameters.cfg,
+      sampler_name: parameters.sampler,
+      seed: parameters.seed,
+      ...(parameters.width !== undefined && { width: parameters.width }),
+      ...(parameters.height !== undefined && { height: parameters.height }),
+      batch_size: 1,
+      n_iter: 1
+    };
+  }
+  
+  /**
+   * Build a ComfyUI `/prompt` request body from the configured workflow template
+   * Every KSampler (or KSamplerAdvanced) node gets the steps, cfg, sampler, scheduler and
+   * seed, and the text encoders wired to its positive and negative inputs get the prompts.
+   * A width and height, when set, go to the latent image node wired to its latent_image input.
+   * A seed of -1 (random) keeps the template's seed, since ComfyUI seeds cannot be negative.
+   * @param {Object} prompt Transformed prompt
+   * @param {Object} [extraData] Extra data to send with the workflow (e.g. `extra_pnginfo`)
+   * @returns {Object} Request body as `{ prompt: workflow }`
+   */
+  buildComfyUIRequest(prompt, extraData) {
+    const template = this._loadTemplate();
+    const { positive, negative, parameters } = this.resolve(prompt);
+    const workflow = JSON.parse(JSON.stringify(template));
+    const sampler = this._comfyUISampler(parameters.sampler);
+    
+    const samplerNodes = Object.values(workflow)
+      .filter(node => node && COMFYUI_SAMPLER_NODES.includes(node.class_type));
+    
+    if (!samplerNodes.length) {
+      throw new Error('ComfyUI template has no KSampler node');
+    }
+    
+    samplerNodes.forEach(node => {
+      const inputs = node.inputs || (node.inputs = {});
+      
+      inputs.steps = parameters.steps;
+      inputs.cfg = parameters.cfg;
+      inputs.sampler_name = sampler.sampler;
+      inputs.scheduler = sampler.scheduler;
+      
+      if (parameters.seed >= 0) {
+        inputs[node.class_type === 'KSamplerAdvanced' ? 'noise_seed' : 'seed'] = parameters.seed;
+      }
+      
+      this._setLinkedText(workflow, inputs.positive, positive, 'positive');
+      this._setLinkedText(workflow, inputs.negative, negative, 'negative');
+      this._setLatentSize(workflow, inputs.latent_image, parameters);
+    });
+    
+    return extraData ? { prompt: workflow, extra_data: extraData } : { prompt: workflow };
+  }
+  
+  /**
+   * Load and check the configured ComfyUI workflow template
+   * @returns {Object} Workflow in API format, keyed by node id
+   * @private
+   */
+  _loadTemplate() {
+    if (this.template) {
+      return this.template;
+    }
+    
+    let template = this.config.comfyuiTemplate;
+    
+    if (!template) {
+      throw new Error('ComfyUI export needs a workflow template (comfyuiTemplate option)');
+    }
+    
+    if (typeof template === 'string') {
+      try {
+        const text = template.trim().startsWith('{') ? template : fs.readFileSync(template, 'utf8');
+        template = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`ComfyUI template could not be read: ${error.message}`);
+      }
+    }
+    
+    if (typeof template !== 'object' || template === null || Array.isArray(template)) {
+      throw new Error('ComfyUI template must be a workflow object in API format, keyed by node id');
+    }
+    
+    // A saved /prompt request body holds the workflow under `prompt`
+    if (template.prompt && typeof template.prompt === 'object' && !template.prompt.class_type) {
+      template = template.prompt;
+    }
+    
+    if (Array.isArray(template.nodes)) {
+      throw new Error('ComfyUI template must be saved in API format, not as a UI workflow');
+    }
+    
+    this.template = template;
+    return template;
+  }
+  
+  /**
+   * Set the text of the encoder node a sampler input is linked to
+   * @param {Object} workflow Workflow in API format
+   * @param {Array} link Sampler input link as `[nodeId, outputIndex]`
+   * @param {string} text Prompt text
+   * @param {string} inputName Sampler input name, for error messages
+   * @private
+   */
+  _setLinkedText(workflow, link, text, inputName) {
+    const node = Array.isArray(link) ? workflow[link[0]] : null;
+    
+    if (!node || !node.inputs || typeof node.inputs.text !== 'string') {
+      throw new Error(`ComfyUI template: the sampler's ${inputName} input must come from a text encoder node`);
+    }
+    
+    node.inputs.text = text;
+  }
+  
+  /**
+   * Set the width and height of the latent image node a sampler input is linked to
+   * @param {Object} workflow Workflow in API format
+   * @param {Array} link Sampler `latent_image` input link as `[nodeId, outputIndex]`
+   * @param {Object} parameters Resolved parameters
+   * @private
+   */
+  _setLatentSize(workflow, link, parameters) {
+    if (parameters.width === undefined && parameters.height === undefined) {
+      return;
+    }
+    
+    const node = Array.isArray(link) ? workflow[link[0]] : null;
+    
+    if (!node || !node.inputs || typeof node.inputs.width !== 'number' || typeof node.inputs.height !== 'number') {
+      throw new Error("ComfyUI template: the sampler's latent_image input must come from a node with a width and height, such as EmptyLatentImage");
+    }
+    
+    ['width', 'height']
+      .filter(name => parameters[name] !== undefined)
+      .forEach(name => {
+        node.inputs[name] = parameters[name];
+      });
+  }
+  
+  /**
+   * Map an Automatic1111 sampler name to a ComfyUI sampler and scheduler
+   * ComfyUI sampler names (e.g. "dpmpp_2m") are passed through with the normal scheduler.
+   * @param {string} name Sampler name
+   * @returns {Object} `{ sampler, scheduler }`
+   * @private
+   */
+  _comfyUISampler(name) {
+    const mapped = COMFYUI_SAMPLERS[String(name).toLowerCase()];
+    
+    if (mapped) {
+      return mapped;
+    }
+    
+    if (/^[a-z0-9_]+$/.test(name)) {
+      return { sampler: name, scheduler: 'normal' };
+    }
+    
+    throw new Error(`No ComfyUI sampler for "${name}"`);
+  }
+  
+  /**
+   * Convert numeric parameters given as text to numbers
+   * @param {Object} parameters Resolved parameters
+   * @returns {Object} Parameters with numeric steps, cfg, seed, width and height
+   * @private
+   */
+  _coerceParameters(parameters) {
+    const coerced = { ...parameters };
+    
+    ['steps', 'cfg', 'seed', 'width', 'height'].forEach(name => {
+      if (coerced[name] === undefined) {
+        return;
+      }
+      
+      const value = Number(coerced[name]);
+      if (Number.isNaN(value)) {
+        throw new Error(`Stable Diffusion parameter "${name}" must be a number, got "${coerced[name]}"`);
+      }
+      
+      coerced[name] = name === 'cfg' ? value : Math.round(value);
+    });
+    
+    if (coerced.sampler !== undefined) {
+      coerced.sampler = String(coerced.sampler);
+    }
+    
+    return coerced;
+  }
+  
+  /**
+   * Collapse whitespace and stray separators left after removing tokens
+   * @param {string} text Prompt text
+   * @returns {string} Tidied text
+   * @private
+   */
+  _tidy(text) {
+    return text
+      .replace(/\s+/g, ' ')
+      .replace(/\s*,(\s*,)+/g, ',')
+      .replace(/\s+,/g, ',')
+      .replace(/^[\s,]+|[\s,]+$/g, '');
+  }
+}
+
+module.exports = StableDiffusionWorkflow;
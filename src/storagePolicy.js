@@ -0,0 +1,104 @@
+/**
+ * Storage Policy Module
+ *
+ * Checks the storage choices API clients send with export and batch requests
+ * Clients may only pick the storage providers and Drive permissions the server allows
+ * Folder and other provider options stay under the server's control
+ */
+
+// Permission fields compared against the allowed permissions
+const PERMISSION_FIELDS = ['type', 'role', 'domain', 'emailAddress'];
+
+// Storage options clients may set themselves
+const CLIENT_STORAGE_OPTIONS = ['baseName'];
+
+class StoragePolicy {
+  /**
+   * Creates a new StoragePolicy instance
+   * @param {Object} config Configuration options
+   * @param {Array<string>} [config.storage=['local', 'memory']] Storage providers clients may pick
+   * @param {Array<Object>} [config.sharing=[]] Drive permissions clients may ask for, e.g.
+   *   `{ type: 'domain', role: 'reader', domain: 'example.com' }`; files are always private otherwise
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      storage: ['local', 'memory'],
+      sharing: [],
+      ...config
+    };
+  }
+  
+  /**
+   * Check the storage choices in a client request
+   * `storage` must be an allowed provider, `sharing` (at the top level, for folder batches, or in
+   * `storageOptions`) must be false or an allowed permission, and any other storage option is dropped.
+   * @param {Object} options Request options
+   * @returns {Object} Options that are safe to pass to the exporter
+   */
+  apply(options = {}) {
+    const { storage, storageOptions, sharing, ...rest } = options;
+    const checked = { ...rest };
+    
+    if (storage !== undefined) {
+      if (!this.config.storage.includes(storage)) {
+        throw new Error(`storage must be one of: ${this.config.storage.join(', ')}`);
+      }
+      checked.storage = storage;
+    }
+    
+    if (sharing !== undefined) {
+      checked.sharing = this._checkSharing(sharing, 'sharing');
+    }
+    
+    if (storageOptions !== undefined) {
+      if (typeof storageOptions !== 'object' || storageOptions === null || Array.isArray(storageOptions)) {
+        throw new Error('storageOptions must be an object');
+      }
+      
+      checked.storageOptions = {};
+      CLIENT_STORAGE_OPTIONS
+        .filter(name => storageOptions[name] !== undefined)
+        .forEach(name => {
+          checked.storageOptions[name] = storageOptions[name];
+        });
+      
+      if (storageOptions.sharing !== undefined) {
+        checked.storageOptions.sharing = this._checkSharing(storageOptions.sharing, 'storageOptions.sharing');
+      }
+    }
+    
+    return checked;
+  }
+  
+  /**
+   * Check a requested Drive permission against the allowed ones
+   * @param {Object|boolean} sharing Requested permission, or false for a private file
+   * @param {string} name Option name, for messages
+   * @returns {Object|boolean} The permission, or false
+   * @private
+   */
+  _checkSharing(sharing, name) {
+    if (sharing === false) {
+      return false;
+    }
+    
+    const allowed = typeof sharing === 'object' && sharing !== null && !Array.isArray(sharing) &&
+      this.config.sharing.some(permission => PERMISSION_FIELDS.every(field => permission[field] === sharing[field]));
+    
+    if (!allowed) {
+      throw new Error(`${name} must be false or a permission the server allows`);
+    }
+    
+    const permission = {};
+    PERMISSION_FIELDS
+      .filter(field => sharing[field] !== undefined)
+      .forEach(field => {
+        permission[field] = sharing[field];
+      });
+    
+    return permission;
+  }
+}
+
+module.exports = StoragePolicy;
@@ -0,0 +1,75 @@
+/**
+ * Token Counter Module
+ *
+ * Named ways of measuring prompt text: characters, words, CLIP tokens, or counters
+ * registered by the application
+ * Platform adapters choose theirs with `tokens.counter`
+ */
+
+const ClipTokenizer = require('./clipTokenizer');
+
+class TokenCounter {
+  /**
+   * Creates a new TokenCounter instance
+   * @param {Object} config Configuration options
+   * @param {Object} [config.tokenCounters] Extra counters by name, as `text => count` functions or
+   *   objects with a `count(text)` method (e.g. a tokenizer)
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+    
+    this.clip = new ClipTokenizer(this.config);
+    this.counters = new Map([
+      ['characters', text => text.length],
+      ['words', text => (text.match(/\S+/g) || []).length],
+      ['clip', text => this.clip.count(text)]
+    ]);
+    
+    Object.entries(this.config.tokenCounters || {}).forEach(([name, counter]) => this.register(name, counter));
+  }
+  
+  /**
+   * Register a counter, replacing any counter with the same name
+   * @param {string} name Counter name, for `tokens.counter` in platform adapters
+   * @param {Function|Object} counter `text => count` function, or an object with a `count(text)` method
+   */
+  register(name, counter) {
+    const count = typeof counter === 'function' ? counter : counter && counter.count && (text => counter.count(text));
+    
+    if (!count) {
+      throw new Error(`Token counter ${name} must be a function or have a count() method`);
+    }
+    
+    this.counters.set(name, count);
+  }
+  
+  /**
+   * Check whether a counter is registered
+   * @param {string} name Counter name
+   * @returns {boolean} Whether the counter exists
+   */
+  has(name) {
+    return this.counters.has(name);
+  }
+  
+  /**
+   * Measure text with a counter
+   * @param {string} text Text to measure
+   * @param {string|Function} [counter='characters'] Counter name, or a `text => count` function
+   * @returns {number} Count
+   */
+  count(text, counter = 'characters') {
+    const count = typeof counter === 'function' ? counter : this.counters.get(counter);
+    
+    if (!count) {
+      throw new Error(`Unknown token counter: ${counter}`);
+    }
+    
+    return count(text || '');
+  }
+}
+
+module.exports = TokenCounter;
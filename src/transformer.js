@@ -6,6 +6,16 @@
  * Handles special characters and platform-specific syntax
  */
 
+const yaml = require('js-yaml');
+const PlatformRegistry = require('./platformRegistry');
+const MidjourneyParameters = require('./midjourneyParameters');
+const StableDiffusionWeights = require('./stableDiffusionWeights');
+const CsvCodec = require('./csvCodec');
+const XmlCodec = require('./xmlCodec');
+const ShotListFormatter = require('./shotListFormatter');
+const StableDiffusionWorkflow = require('./stableDiffusionWorkflow');
+const PromptBudget = require('./promptBudget');
+
 class FormatTransformer {
   /**
    * Creates a new FormatTransformer instance
@@ -17,46 +27,15 @@ class FormatTransformer {
       ...config
     };
     
-    // Platform-specific formatting rules
-    this.platformRules = {
-      midjourney: {
-        maxLength: 500,
-        parameterSeparator: ',',
-        weightOperator: '::',
-        supportsTags: true,
-        supportsWeights: true,
-        imageRatio: '1:1, 16:9, 4:3, 3:2',
-        commonParameters: ['ar', 'stylize', 'quality', 'chaos']
-      },
-      stable_diffusion: {
-        maxLength: 1000,
-        parameterSeparator: ',',
-        weightOperator: ':',
-        supportsTags: true,
-        supportsWeights: true,
-        bracketTypes: ['()', '[]', '{}'],
-        negativePromptMarker: 'Negative:'
-      },
-      dall_e: {
-        maxLength: 1000,
-        parameterSeparator: ',',
-        supportsTags: false,
-        supportsWeights: false
-      },
-      runway: {
-        maxLength: 800,
-        parameterSeparator: ',',
-        supportsTags: true,
-        supportsWeights: false
-      },
-      custom: {
-        maxLength: 2000,
-        parameterSeparator: ',',
-        weightOperator: '::',
-        supportsTags: true,
-        supportsWeights: true
-      }
-    };
+    // Platform-specific formatting rules come from the shared registry
+    this.platforms = this.config.platformRegistry || new PlatformRegistry({ debug: this.config.debug });
+    this.midjourneyParameters = new MidjourneyParameters(this.config);
+    this.sdWeights = new StableDiffusionWeights(this.config);
+    this.csv = new CsvCodec();
+    this.xml = new XmlCodec();
+    this.shotList = new ShotListFormatter();
+    this.workflow = new StableDiffusionWorkflow({ ...this.config, platformRegistry: this.platforms });
+    this.budget = new PromptBudget(this.config);
     
     // Format-specific rules
     this.formatRules = {
@@ -71,11 +50,31 @@ class FormatTransformer {
       csv: {
         delimiter: ',',
         includeHeader: true,
-        quoteStrings: true
+        quoteStrings: true,
+        bom: false,
+        lineEnding: '\r\n',
+        ...this.config.csvOptions
       },
       xml: {
         rootElement: 'prompt',
         indent: 2
+      },
+      yaml: {
+        includeMetadata: true
+      },
+      md: {
+        title: 'Shot List',
+        includeMetadata: false
+      },
+      jsonl: {
+        includeMetadata: true
+      },
+      comfyui: {
+        indent: 2,
+        includeMetadata: false
+      },
+      a1111: {
+        indent: 2
       }
     };
   }
@@ -93,10 +92,44 @@ class FormatTransformer {
     }
     
     // Get platform-specific rules
-    const platformConfig = this.platformRules[platform] || this.platformRules.custom;
+    const adapter = this.platforms.resolve(platform);
+    const platformConfig = this.getRulesForPlatform(platform);
+    
+    // Pull inline parameters out so tags and camera phrases are added before them; other
+    // platforms would read them as prompt text, so they move to the platform's settings
+    let parameterSyntax = null;
+    if (adapter.parameterSyntax === 'midjourney') {
+      parameterSyntax = this.midjourneyParameters.parse(prompt.content);
+      prompt = { ...prompt, content: parameterSyntax.text };
+    } else {
+      prompt = this.midjourneyParameters.relocate(prompt, adapter).prompt;
+    }
+    
+    // Flatten or rescale weighted-prompt syntax before truncation can split a group
+    prompt = this._applyWeightHandling(prompt, platformConfig);
     
     // Apply platform-specific transformations
-    const platformPrompt = this._applyPlatformRules(prompt, platformConfig);
+    let platformPrompt = this._applyPlatformRules(prompt, platformConfig, this.budget.limits(adapter, platformConfig.maxLength));
+    
+    // Render shot grammar in the platform's camera phrasing
+    const videoSettings = this.platforms.getVideoSettings(platform, prompt);
+    platformPrompt = this._applyShot(platformPrompt, adapter, videoSettings);
+    
+    // Build the generation request for video platforms
+    if (videoSettings) {
+      platformPrompt = this._applyVideoSettings(platformPrompt, adapter, videoSettings);
+    }
+    
+    // Emit parameters in canonical order at the end of the prompt
+    if (parameterSyntax) {
+      platformPrompt = this._applyMidjourneyParameters(platformPrompt, parameterSyntax);
+    }
+    
+    // The Markdown shot list names the platform and shows the validation result
+    platformPrompt = { ...platformPrompt, platformName: adapter.name };
+    if (prompt.validation) {
+      platformPrompt.validation = prompt.validation;
+    }
     
     // Format the output according to the requested format
     const formattedPrompt = this._formatOutput(platformPrompt, format);
@@ -104,35 +137,63 @@ class FormatTransformer {
     return formattedPrompt;
   }
   
+  /**
+   * Get formatting rules for a specific platform
+   * @param {string} platform Platform name
+   * @returns {Object} Formatting rules for the platform
+   */
+  getRulesForPlatform(platform) {
+    return this.platforms.resolve(platform).formatting;
+  }
+  
   /**
    * Apply platform-specific rules to a prompt
+   * Style and quality tags are added after the prompt text. A prompt over the platform's limits
+   * loses quality tags first, then style tags, then its last clauses; `metadata.budget` records
+   * what was dropped.
    * @param {Object} prompt The prompt to transform
    * @param {Object} rules Platform-specific rules
+   * @param {Array<Object>} limits Length limits (see PromptBudget#limits)
    * @returns {Object} Platform-optimized prompt
    * @private
    */
-  _applyPlatformRules(prompt, rules) {
+  _applyPlatformRules(prompt, rules, limits) {
     let content = prompt.content;
-    const metadata = prompt.metadata || {};
+    let metadata = prompt.metadata || {};
     
-    // Truncate if needed
-    if (content.length > rules.maxLength) {
-      content = content.substring(0, rules.maxLength);
+    // Tags belong to the positive prompt, before a trailing "Negative: ..." section
+    let negativeSection = '';
+    const markerIndex = rules.negativePromptMarker ?
+      content.toLowerCase().indexOf(rules.negativePromptMarker.toLowerCase()) : -1;
+    if (markerIndex !== -1) {
+      negativeSection = ` ${content.substring(markerIndex)}`;
+      content = content.substring(0, markerIndex).replace(/[\s,]+$/, '');
     }
     
-    // Apply platform-specific formatting
-    if (rules.supportsTags && metadata.styles && metadata.styles.length) {
-      // Add style tags with appropriate syntax
-      const styleTags = metadata.styles.join(rules.parameterSeparator + ' ');
-      content = `${content}${rules.parameterSeparator} ${styleTags}`;
-    }
+    // Add style tags where supported, then quality indicators; the prompt text itself is never dropped
+    const components = [
+      { text: content, required: true },
+      ...(rules.supportsTags ? metadata.styles || [] : []).map(tag => ({ text: tag, priority: 2, tag: 'style' })),
+      ...(metadata.qualities || []).map(tag => ({ text: tag, priority: 1, tag: 'quality' }))
+    ];
     
-    // Add quality indicators if supported
-    if (metadata.qualities && metadata.qualities.length) {
-      const qualities = metadata.qualities.join(rules.parameterSeparator + ' ');
-      content = `${content}${rules.parameterSeparator} ${qualities}`;
+    const fitted = this.budget.fit(components, limits, {
+      separator: `${rules.parameterSeparator} `,
+      suffix: negativeSection
+    });
+    
+    if (fitted.dropped.length || fitted.trimmed) {
+      metadata = {
+        ...metadata,
+        budget: {
+          dropped: fitted.dropped.map(component => ({ tag: component.tag, text: component.text })),
+          trimmed: fitted.trimmed
+        }
+      };
     }
     
+    content = fitted.content + negativeSection;
+    
     return {
       content,
       metadata,
@@ -140,6 +201,262 @@ class FormatTransformer {
     };
   }
   
+  /**
+   * Adapt Stable Diffusion weight syntax to the target platform
+   * 
+   * Weight handling (formatting.weightHandling):
+   * - 'preserve': leave weights untouched (default when supportsWeights is true)
+   * - 'flatten': remove all weight syntax, keeping the text (default when supportsWeights is false)
+   * - 'rescale': scale explicit weights into formatting.weightRange
+   * 
+   * @param {Object} prompt The prompt to transform
+   * @param {Object} rules Platform-specific rules
+   * @returns {Object} Prompt with adapted content
+   * @private
+   */
+  _applyWeightHandling(prompt, rules) {
+    const handling = rules.weightHandling || (rules.supportsWeights ? 'preserve' : 'flatten');
+    
+    if (handling === 'preserve' || !prompt.content) {
+      return prompt;
+    }
+    
+    const { nodes } = this.sdWeights.parse(prompt.content);
+    if (!this.sdWeights.hasWeightSyntax(nodes)) {
+      return prompt;
+    }
+    
+    let content = prompt.content;
+    if (handling === 'flatten') {
+      content = this.sdWeights.flatten(nodes).trim();
+    } else if (handling === 'rescale' && rules.weightRange) {
+      content = this.sdWeights.stringify(this.sdWeights.rescale(nodes, rules.weightRange));
+    }
+    
+    return { ...prompt, content };
+  }
+  
+  /**
+   * Render the prompt's shot (size, camera move, lens) in the platform's camera phrasing
+   * 
+   * Phrasing styles (formatting.cameraPhrasing):
+   * - 'inline': rewrite each source phrase in place, appending phrases that are missing
+   * - 'prefix': like 'inline', but a camera move missing from the text leads the prompt
+   *   ("Slow camera pan right: ...") instead of being appended
+   * - 'still': size and lens only, for image platforms where the camera cannot move
+   * Platforms with structured camera control receive the move in the request instead.
+   * 
+   * @param {Object} platformPrompt Platform-optimized prompt
+   * @param {Object} adapter Platform adapter
+   * @param {Object|null} videoSettings Resolved video settings
+   * @returns {Object} Platform-optimized prompt with the resolved shot
+   * @private
+   */
+  _applyShot(platformPrompt, adapter, videoSettings) {
+    const parsedShot = platformPrompt.metadata && platformPrompt.metadata.shot;
+    const motion = videoSettings && videoSettings.cameraMotion;
+    
+    if (!parsedShot && !motion) {
+      return platformPrompt;
+    }
+    
+    // Explicit camera motion settings take precedence over what the parser found
+    const shot = {
+      ...parsedShot,
+      lens: { ...(parsedShot && parsedShot.lens) },
+      phrases: { ...(parsedShot && parsedShot.phrases) }
+    };
+    if (motion && typeof motion === 'object') {
+      shot.move = motion.move;
+      shot.direction = motion.direction || null;
+      shot.speed = motion.speed || null;
+    }
+    
+    const separator = adapter.formatting.parameterSeparator;
+    const phrasing = adapter.formatting.cameraPhrasing || 'still';
+    const structured = Boolean(adapter.video && adapter.video.cameraControl === 'structured');
+    let content = platformPrompt.content;
+    
+    if (shot.size) {
+      content = this._replacePhrase(content, shot.phrases.size, this._describeShotSize(shot.size), separator);
+    }
+    
+    if (shot.lens.focalLength) {
+      content = this._replacePhrase(content, shot.phrases.focalLength, `${shot.lens.focalLength}mm lens`, separator);
+    }
+    
+    if (shot.lens.type) {
+      content = this._replacePhrase(content, shot.phrases.lensType, `${shot.lens.type} lens`, separator);
+    }
+    
+    const moveText = typeof motion === 'string' ? motion : shot.move && this._describeCameraMotion(shot);
+    if (moveText && phrasing !== 'still' && (!structured || typeof motion === 'string')) {
+      const source = shot.phrases.move;
+      
+      if (phrasing === 'prefix' && !(source && content.includes(source))) {
+        content = `${moveText.charAt(0).toUpperCase()}${moveText.slice(1)}: ${content}`;
+      } else {
+        content = this._replacePhrase(content, source, this._keepArticle(source, moveText), separator);
+      }
+    }
+    
+    return {
+      ...platformPrompt,
+      content,
+      shot
+    };
+  }
+  
+  /**
+   * Replace a source phrase in the content, or append the replacement if the phrase is absent
+   * @param {string} content Prompt content
+   * @param {string} source Source phrase found by the parser
+   * @param {string} replacement Phrase to write (empty string removes the source phrase)
+   * @param {string} separator Platform parameter separator
+   * @returns {string} Updated content
+   * @private
+   */
+  _replacePhrase(content, source, replacement, separator) {
+    if (source && content.includes(source)) {
+      // Keep sentence-initial capitalization of the phrase being replaced
+      const text = /^[A-Z]/.test(source) ?
+        `${replacement.charAt(0).toUpperCase()}${replacement.slice(1)}` : replacement;
+      
+      return content
+        .replace(source, text)
+        .replace(/\s+([,.;:])/g, '$1')
+        .replace(/([,;])\1+/g, '$1')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+    }
+    
+    if (!replacement || content.toLowerCase().includes(replacement.toLowerCase())) {
+      return content;
+    }
+    
+    return `${content}${separator} ${replacement}`;
+  }
+  
+  /**
+   * Give a replacement phrase the article its source phrase started with
+   * "a"/"an" is chosen for the replacement, so "an orbit" can become "a slow camera orbit".
+   * @param {string} source Source phrase found by the parser
+   * @param {string} replacement Phrase to write
+   * @returns {string} Replacement, with the article if the source had one
+   * @private
+   */
+  _keepArticle(source, replacement) {
+    const match = source && source.match(/^(an?|the)\s/i);
+    
+    if (!match || !replacement) {
+      return replacement;
+    }
+    
+    let article = match[1].toLowerCase() === 'the' ? 'the' : (/^[aeiou]/i.test(replacement) ? 'an' : 'a');
+    if (/^[A-Z]/.test(match[1])) {
+      article = `${article.charAt(0).toUpperCase()}${article.slice(1)}`;
+    }
+    
+    return `${article} ${replacement}`;
+  }
+  
+  /**
+   * Append Midjourney parameters from metadata and inline text
+   * @param {Object} platformPrompt Platform-optimized prompt
+   * @param {Object} parsed Result of MidjourneyParameters#parse on the source content
+   * @returns {Object} Platform-optimized prompt with parameters appended
+   * @private
+   */
+  _applyMidjourneyParameters(platformPrompt, parsed) {
+    const metadata = platformPrompt.metadata || {};
+    const parameters = this.midjourneyParameters.merge(metadata.parameters, parsed.parameters);
+    
+    // A structured negative prompt becomes --no unless one was given explicitly
+    if (parameters.no === undefined && Array.isArray(metadata.negative) && metadata.negative.length) {
+      parameters.no = metadata.negative.join(', ');
+    }
+    const parameterString = this.midjourneyParameters.format(parameters, parsed.unknown);
+    
+    return {
+      ...platformPrompt,
+      content: parameterString ? `${platformPrompt.content} ${parameterString}` : platformPrompt.content,
+      parameters
+    };
+  }
+  
+  /**
+   * Describe a shot size as prompt text
+   * @param {string} size Shot size id from the parser
+   * @returns {string} Shot size phrase
+   * @private
+   */
+  _describeShotSize(size) {
+    return size.endsWith('close-up') ? size : `${size} shot`;
+  }
+  
+  /**
+   * Apply video settings and build the platform's request body
+   * @param {Object} platformPrompt Platform-optimized prompt
+   * @param {Object} adapter Platform adapter
+   * @param {Object} settings Resolved video settings
+   * @returns {Object} Platform-optimized prompt with video settings and request
+   * @private
+   */
+  _applyVideoSettings(platformPrompt, adapter, settings) {
+    const shot = platformPrompt.shot;
+    const videoSettings = { ...settings };
+    
+    // Structured camera controls fall back to the move found in the prompt text
+    if (!videoSettings.cameraMotion && shot && shot.move) {
+      videoSettings.cameraMotion = {
+        move: shot.move,
+        direction: shot.direction,
+        speed: shot.speed
+      };
+    }
+    
+    const request = adapter.buildRequest ?
+      adapter.buildRequest({ content: platformPrompt.content, settings: videoSettings }) :
+      { prompt: platformPrompt.content, ...videoSettings };
+    
+    return {
+      ...platformPrompt,
+      video: videoSettings,
+      request
+    };
+  }
+  
+  /**
+   * Describe a camera motion as prompt text
+   * Moves named as a shot keep the direction before "shot" ("dolly-in shot", not "dolly shot in").
+   * @param {Object|string} motion Camera motion ({ move, direction, speed }) or free text
+   * @returns {string} Camera motion phrase
+   * @private
+   */
+  _describeCameraMotion(motion) {
+    if (typeof motion === 'string') {
+      return motion;
+    }
+    
+    // Each move as `[phrase, phrase with a direction]`
+    const moveNames = {
+      pan: ['camera pan', direction => `camera pan ${direction}`],
+      tilt: ['camera tilt', direction => `camera tilt ${direction}`],
+      zoom: ['camera zoom', direction => `camera zoom ${direction}`],
+      orbit: ['camera orbit', direction => `camera orbit ${direction}`],
+      crane: ['crane shot', direction => `crane-${direction} shot`],
+      dolly: ['dolly shot', direction => `dolly-${direction} shot`],
+      static: ['static camera', () => 'static camera'],
+      tracking: ['tracking shot', direction => `tracking shot moving ${direction}`],
+      handheld: ['handheld camera', direction => `handheld camera moving ${direction}`]
+    };
+    
+    const [name, withDirection] = moveNames[motion.move] || [motion.move, direction => `${motion.move} ${direction}`];
+    const move = motion.direction ? withDirection(motion.direction) : name;
+    
+    return [motion.speed, move].filter(Boolean).join(' ');
+  }
+  
   /**
    * Format the output according to the requested format
    * @param {Object} platformPrompt Platform-optimized prompt
@@ -164,6 +481,21 @@ class FormatTransformer {
       case 'xml':
         output = this._formatXml(platformPrompt, formatConfig);
         break;
+      case 'yaml':
+        output = this._formatYaml(platformPrompt, formatConfig);
+        break;
+      case 'md':
+        output = this._formatMarkdown(platformPrompt, formatConfig);
+        break;
+      case 'jsonl':
+        output = this._formatJsonl(platformPrompt, formatConfig);
+        break;
+      case 'comfyui':
+        output = this._formatComfyUI(platformPrompt, formatConfig);
+        break;
+      case 'a1111':
+        output = this._formatA1111(platformPrompt, formatConfig);
+        break;
       default:
         output = this._formatJson(platformPrompt, formatConfig);
     }
@@ -188,6 +520,10 @@ class FormatTransformer {
       timestamp: new Date().toISOString()
     };
     
+    if (prompt.request) {
+      jsonObj.request = prompt.request;
+    }
+    
     if (config.includeMetadata && prompt.metadata) {
       jsonObj.metadata = prompt.metadata;
     }
@@ -231,45 +567,20 @@ class FormatTransformer {
    * @private
    */
   _formatCsv(prompt, config) {
-    const delimiter = config.delimiter || ',';
-    const quote = config.quoteStrings ? '"' : '';
-    
-    let csv = '';
+    const metadata = prompt.metadata || {};
+    const rows = [[prompt.content, new Date().toISOString(), ...Object.values(metadata)]];
     
     // Add header if requested
     if (config.includeHeader) {
-      csv += `prompt${delimiter}timestamp`;
-      
-      if (prompt.metadata) {
-        Object.keys(prompt.metadata).forEach(key => {
-          csv += `${delimiter}${key}`;
-        });
-      }
-      
-      csv += '\n';
+      rows.unshift(['prompt', 'timestamp', ...Object.keys(metadata)]);
     }
     
-    // Add content row
-    csv += `${quote}${prompt.content}${quote}${delimiter}${quote}${new Date().toISOString()}${quote}`;
-    
-    // Add metadata if available
-    if (prompt.metadata) {
-      Object.values(prompt.metadata).forEach(value => {
-        let cellValue;
-        
-        if (Array.isArray(value)) {
-          cellValue = value.join('; ');
-        } else if (typeof value === 'object') {
-          cellValue = JSON.stringify(value);
-        } else {
-          cellValue = value;
-        }
-        
-        csv += `${delimiter}${quote}${cellValue}${quote}`;
-      });
-    }
-    
-    return csv;
+    return this.csv.stringify(rows, {
+      delimiter: config.delimiter || ',',
+      quoteAll: Boolean(config.quoteStrings),
+      bom: Boolean(config.bom),
+      lineEnding: config.lineEnding || '\r\n'
+    });
   }
   
   /**
@@ -280,12 +591,12 @@ class FormatTransformer {
    * @private
    */
   _formatXml(prompt, config) {
-    const rootElement = config.rootElement || 'prompt';
+    const rootElement = this.xml.elementName(config.rootElement || 'prompt');
     const indent = ' '.repeat(config.indent || 2);
     
-    let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+    let xml = `${this.xml.declaration()}\n`;
     xml += `<${rootElement}>\n`;
-    xml += `${indent}<content><![CDATA[${prompt.content}]]></content>\n`;
+    xml += `${indent}<content>${this.xml.cdata(prompt.content)}</content>\n`;
     xml += `${indent}<timestamp>${new Date().toISOString()}</timestamp>\n`;
     
     // Add metadata if available
@@ -293,17 +604,7 @@ class FormatTransformer {
       xml += `${indent}<metadata>\n`;
       
       Object.entries(prompt.metadata).forEach(([key, value]) => {
-        if (Array.isArray(value)) {
-          xml += `${indent}${indent}<${key}>\n`;
-          value.forEach(item => {
-            xml += `${indent}${indent}${indent}<item>${item}</item>\n`;
-          });
-          xml += `${indent}${indent}</${key}>\n`;
-        } else if (typeof value === 'object') {
-          xml += `${indent}${indent}<${key}><![CDATA[${JSON.stringify(value)}]]></${key}>\n`;
-        } else {
-          xml += `${indent}${indent}<${key}>${value}</${key}>\n`;
-        }
+        xml += `${this.xml.field(key, value, indent.repeat(2), indent)}\n`;
       });
       
       xml += `${indent}</metadata>\n`;
@@ -313,6 +614,79 @@ class FormatTransformer {
     
     return xml;
   }
+  
+  /**
+   * Format prompt as YAML
+   * @param {Object} prompt Platform-optimized prompt
+   * @param {Object} config Format configuration
+   * @returns {string} YAML-formatted prompt
+   * @private
+   */
+  _formatYaml(prompt, config) {
+    const yamlObj = {
+      prompt: prompt.content,
+      timestamp: new Date().toISOString()
+    };
+    
+    if (prompt.request) {
+      yamlObj.request = prompt.request;
+    }
+    
+    if (config.includeMetadata && prompt.metadata) {
+      yamlObj.metadata = prompt.metadata;
+    }
+    
+    return yaml.safeDump(yamlObj, { skipInvalid: true, noRefs: true, lineWidth: -1 }).replace(/\n$/, '');
+  }
+  
+  /**
+   * Format prompt as a one-row Markdown shot list
+   * @param {Object} prompt Platform-optimized prompt
+   * @param {Object} config Format configuration
+   * @returns {string} Markdown-formatted prompt
+   * @private
+   */
+  _formatMarkdown(prompt, config) {
+    return this.shotList.format([prompt], Boolean(config.includeMetadata), { title: config.title });
+  }
+  
+  /**
+   * Format prompt as a single JSON Lines record
+   * @param {Object} prompt Platform-optimized prompt
+   * @param {Object} config Format configuration
+   * @returns {string} JSONL-formatted prompt
+   * @private
+   */
+  _formatJsonl(prompt, config) {
+    return this._formatJson(prompt, { ...config, indent: 0 });
+  }
+  
+  /**
+   * Format prompt as a ComfyUI `/prompt` request body (see StableDiffusionWorkflow)
+   * @param {Object} prompt Platform-optimized prompt
+   * @param {Object} config Format configuration
+   * @returns {string} ComfyUI request body
+   * @private
+   */
+  _formatComfyUI(prompt, config) {
+    const extraData = config.includeMetadata && prompt.metadata ?
+      { extra_pnginfo: { promptMetadata: prompt.metadata } } :
+      undefined;
+    
+    return JSON.stringify(this.workflow.buildComfyUIRequest(prompt, extraData), null, config.indent || 0);
+  }
+  
+  /**
+   * Format prompt as an Automatic1111 `/sdapi/v1/txt2img` request body
+   * @param {Object} prompt Platform-optimized prompt
+   * @param {Object} config Format configuration
+   * @returns {string} Automatic1111 request body
+   * @private
+   */
+  _formatA1111(prompt, config) {
+    return JSON.stringify(this.workflow.buildA1111Request(prompt), null, config.indent || 0);
+  }
+
 }
 
 module.exports = FormatTransformer;
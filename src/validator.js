@@ -3,9 +3,17 @@
  * 
  * Validates prompts against platform-specific requirements
  * Checks for required elements, forbidden content, and format issues
- * Provides clear error messages and warnings
+ * Provides clear error messages and warnings, and diagnostics that locate each
+ * problem in the prompt text like a linter
  */
 
+const PlatformRegistry = require('./platformRegistry');
+const PolicyRegistry = require('./policyRegistry');
+const MidjourneyParameters = require('./midjourneyParameters');
+const StableDiffusionWeights = require('./stableDiffusionWeights');
+const PromptFixer = require('./promptFixer');
+const PromptBudget = require('./promptBudget');
+
 class PromptValidator {
   /**
    * Creates a new PromptValidator instance
@@ -18,89 +26,86 @@ class PromptValidator {
       ...config
     };
     
-    // Platform-specific validation rules
-    this.validationRules = {
-      midjourney: {
-        maxLength: 500,
-        maxParameters: 10,
-        forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing'],
-        recommendedFormat: 'subject, style, setting, quality parameters',
-        parameterRules: {
-          ar: { format: /^\d+:\d+$/, examples: ['16:9', '4:3', '1:1'] },
-          stylize: { format: /^\d+$/, range: [0, 1000] },
-          quality: { format: /^\d+$/, range: [0.25, 5] }
-        }
-      },
-      stable_diffusion: {
-        maxLength: 1000,
-        forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing'],
-        recommendedFormat: 'detailed description with weights using () or []',
-        parameterRules: {
-          steps: { format: /^\d+$/, range: [20, 150] },
-          cfg: { format: /^\d+(\.\d+)?$/, range: [1, 30] },
-          sampler: { validValues: ['Euler a', 'DPM++ 2M Karras', 'DDIM'] }
-        }
-      },
-      dall_e: {
-        maxLength: 1000,
-        forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing', 'political', 'celebrity'],
-        recommendedFormat: 'detailed description, clear style references',
-        requirements: ['clear subject', 'specific style']
-      },
-      runway: {
-        maxLength: 800,
-        forbiddenPhrases: ['nsfw', 'nude', 'explicit', 'gore', 'disturbing'],
-        recommendedFormat: 'descriptive text with visual details',
-        parameterRules: {
-          guidance: { format: /^\d+(\.\d+)?$/, range: [1, 50] }
-        }
-      },
-      custom: {
-        maxLength: 2000,
-        forbiddenPhrases: [],
-        recommendedFormat: 'any format acceptable'
-      }
-    };
+    // Platform-specific validation rules come from the shared registry
+    this.platforms = this.config.platformRegistry || new PlatformRegistry({ debug: this.config.debug });
+    this.policies = this.config.policyRegistry || new PolicyRegistry({ debug: this.config.debug });
+    this.midjourneyParameters = new MidjourneyParameters(this.config);
+    this.sdWeights = new StableDiffusionWeights(this.config);
+    this.budget = new PromptBudget(this.config);
+    this.fixer = new PromptFixer({ ...this.config, policyRegistry: this.policies });
   }
   
   /**
    * Validate a prompt against platform requirements
+   * Every warning and error also comes as a diagnostic `{ code, severity, message, range, fix }`:
+   * `code` is a stable rule id (e.g. 'forbidden-phrase'), `range` is the `{ start, end }` of the
+   * offending text in `prompt.content` (null when the problem has no place in the text), and
+   * `fix`, when there is one, either replaces `range` with `text` or sets a video `setting` to `value`.
+   * `tokenUsage` measures the prompt against each of the platform's limits (see PromptBudget#usage).
+   * With `options.fix`, the prompt is repaired first (see PromptFixer) and the repaired prompt is
+   * validated; the result then also has `fixedPrompt` and `changes`, the log of every edit.
    * @param {Object} prompt The prompt to validate
    * @param {string} platform Target platform
-   * @returns {Object} Validation result with status and messages
+   * @param {Object} options Validation options
+   * @param {boolean|Object} [options.fix] Repair the prompt first; an object is passed to the fixer
+   *   as its options (e.g. `{ replacements: { gore: 'dramatic' } }`)
+   * @returns {Object} Validation result with status, messages, diagnostics and token usage
    */
-  validate(prompt, platform) {
+  validate(prompt, platform, options = {}) {
+    if (options.fix) {
+      const fixOptions = options.fix === true ? {} : options.fix;
+      const { prompt: fixedPrompt, changes } = this.fixer.fix(prompt, this.platforms.resolve(platform), fixOptions);
+      
+      return { ...this.validate(fixedPrompt, platform), fixedPrompt, changes };
+    }
+    
     if (this.config.debug) {
       console.log(`Validating prompt for ${platform}`);
     }
     
     // Get platform-specific rules
-    const rules = this.validationRules[platform] || this.validationRules.custom;
+    const rules = this.getRulesForPlatform(platform);
     
     // Initialize validation result
     const result = {
       status: 'valid',
       message: `Prompt successfully validated for ${platform}`,
       warnings: [],
-      errors: []
+      errors: [],
+      diagnostics: [],
+      tokenUsage: []
     };
     
     // Check length constraints
     if (prompt.content && prompt.content.length > rules.maxLength) {
-      result.warnings.push(`Prompt exceeds maximum length of ${rules.maxLength} characters`);
-      result.status = 'warning';
+      this._report(result, {
+        code: 'max-length',
+        severity: 'warning',
+        message: `Prompt exceeds maximum length of ${rules.maxLength} characters`,
+        range: { start: rules.maxLength, end: prompt.content.length },
+        fix: this._lengthFix(prompt.content, this.platforms.resolve(platform), rules.maxLength)
+      });
     }
     
-    // Check for forbidden content
-    if (prompt.content && rules.forbiddenPhrases && rules.forbiddenPhrases.length) {
-      const lowerContent = prompt.content.toLowerCase();
+    // Measure the prompt against the platform's token budget; text past it is ignored by the platform
+    this._validateBudget(prompt.content || '', this.platforms.resolve(platform), rules, result);
+    
+    // Check for forbidden content against the platform's content policies; every occurrence is reported
+    for (const violation of this.policies.check(prompt.content, this.platforms.resolve(platform))) {
+      const source = violation.file ? `${violation.policy} (${violation.file})` : violation.policy;
       
-      for (const phrase of rules.forbiddenPhrases) {
-        if (lowerContent.includes(phrase.toLowerCase())) {
-          result.errors.push(`Prompt contains forbidden content: "${phrase}"`);
-          result.status = 'error';
-        }
-      }
+      this._report(result, {
+        code: 'forbidden-phrase',
+        severity: violation.severity,
+        message: `${violation.message} [rule "${violation.rule}" of policy ${source}]`,
+        range: violation.range,
+        fix: violation.replacement === null ? undefined : {
+          description: `Replace "${violation.text}" with "${violation.replacement}"`,
+          range: violation.range,
+          text: violation.replacement
+        },
+        policy: { id: violation.policy, file: violation.file, rule: violation.rule }
+      });
     }
     
     // Check required elements (if any)
@@ -108,57 +113,49 @@ class PromptValidator {
       for (const requirement of rules.requirements) {
         // This is a simplified check - a real implementation would be more sophisticated
         if (!prompt.content.toLowerCase().includes(requirement.toLowerCase())) {
-          result.warnings.push(`Prompt may be missing required element: "${requirement}"`);
-          if (result.status === 'valid') {
-            result.status = 'warning';
-          }
+          this._report(result, {
+            code: 'missing-element',
+            severity: 'warning',
+            message: `Prompt may be missing required element: "${requirement}"`
+          });
         }
       }
     }
     
     // Check parameter rules if present in prompt
     if (rules.parameterRules && prompt.content.includes(':')) {
-      const paramMatches = prompt.content.match(/\b([a-z0-9_]+):(\S+)/gi);
-      
-      if (paramMatches) {
-        for (const match of paramMatches) {
-          const [param, value] = match.split(':');
-          const paramName = param.toLowerCase();
-          
-          if (rules.parameterRules[paramName]) {
-            const paramRule = rules.parameterRules[paramName];
-            
-            // Check format
-            if (paramRule.format && !paramRule.format.test(value)) {
-              result.warnings.push(`Parameter "${paramName}" has invalid format. Expected format: ${paramRule.format}`);
-              if (result.status === 'valid') {
-                result.status = 'warning';
-              }
-            }
-            
-            // Check range
-            if (paramRule.range) {
-              const numValue = parseFloat(value);
-              if (isNaN(numValue) || numValue < paramRule.range[0] || numValue > paramRule.range[1]) {
-                result.warnings.push(`Parameter "${paramName}" is out of range. Expected range: ${paramRule.range[0]} to ${paramRule.range[1]}`);
-                if (result.status === 'valid') {
-                  result.status = 'warning';
-                }
-              }
-            }
-            
-            // Check valid values
-            if (paramRule.validValues && !paramRule.validValues.includes(value)) {
-              result.warnings.push(`Parameter "${paramName}" has invalid value. Valid values: ${paramRule.validValues.join(', ')}`);
-              if (result.status === 'valid') {
-                result.status = 'warning';
-              }
-            }
-          }
+      for (const match of prompt.content.matchAll(/\b([a-z0-9_]+):(\S+)/gi)) {
+        const paramName = match[1].toLowerCase();
+        const value = match[2].split(':')[0];
+        const start = match.index + match[1].length + 1;
+        
+        if (rules.parameterRules[paramName]) {
+          this._validateParameter(paramName, value, rules.parameterRules[paramName], result, {
+            start,
+            end: start + value.length
+          });
         }
       }
     }
     
+    // Check Midjourney --parameter syntax from inline text and metadata
+    if (rules.parameterSyntax === 'midjourney') {
+      this._validateMidjourneyParameters(prompt, rules, result);
+    } else {
+      this._validateParameterSyntax(prompt, this.platforms.resolve(platform), result);
+    }
+    
+    // Check weighted-prompt syntax for malformed brackets and out-of-range weights
+    if (rules.weightSyntax === 'stable_diffusion' && prompt.content) {
+      this._validateWeights(prompt.content, rules, result);
+    }
+    
+    // Check clip settings against the platform's video limits
+    const videoSettings = this.platforms.getVideoSettings(platform, prompt);
+    if (rules.video && videoSettings) {
+      this._validateVideoSettings(videoSettings, rules.video, result);
+    }
+    
     // Update final message based on status
     if (result.status === 'warning') {
       result.message = `Prompt validated with ${result.warnings.length} warnings for ${platform}`;
@@ -169,13 +166,324 @@ class PromptValidator {
     return result;
   }
   
+  /**
+   * Record token usage and report prompts over the platform's token budget
+   * Character limits are reported as 'max-length' above; token budgets cover the prompt text before
+   * any `--parameters` or negative section.
+   * @param {string} content Prompt text
+   * @param {Object} adapter Platform adapter
+   * @param {Object} rules Platform validation rules
+   * @param {Object} result Validation result to update
+   * @private
+   */
+  _validateBudget(content, adapter, rules, result) {
+    const limits = this.budget.limits(adapter, rules.maxLength);
+    const { body, tail } = this.budget.splitTail(content, adapter);
+    
+    result.tokenUsage = this.budget.usage(body, limits, tail);
+    
+    limits.forEach((limit, index) => {
+      const usage = result.tokenUsage[index];
+      if (limit.counter === 'characters' || usage.used <= usage.limit) {
+        return;
+      }
+      
+      const start = this.budget.fitLength(body, [limit]);
+      this._report(result, {
+        code: 'token-budget',
+        severity: 'warning',
+        message: `Prompt uses ${usage.used} ${usage.counter} tokens, over the budget of ${this.budget.describe(limit)}`,
+        range: { start, end: body.length }
+      });
+    });
+  }
+  
+  /**
+   * Build the fix for an over-long prompt
+   * The text before any `--parameters` or negative section is cut at a clause or word boundary,
+   * as the prompt fixer does, and the tail is kept.
+   * @param {string} content Prompt text
+   * @param {Object} adapter Platform adapter
+   * @param {number} maxLength Maximum length in characters
+   * @returns {Object|undefined} Fix, or undefined when the tail alone is too long
+   * @private
+   */
+  _lengthFix(content, adapter, maxLength) {
+    const { body, tail } = this.budget.splitTail(content, adapter);
+    const kept = this.budget.trim(body, [{ counter: 'characters', limit: maxLength }], tail);
+    
+    if (!kept) {
+      return undefined;
+    }
+    
+    return {
+      description: `Cut the prompt to ${maxLength} characters at a clause or word boundary`,
+      range: { start: kept.length, end: tail ? content.lastIndexOf(tail.trim()) : content.length },
+      text: tail ? ' ' : ''
+    };
+  }
+  
+  /**
+   * Validate a single parameter value against its rule
+   * @param {string} paramName Parameter name
+   * @param {string} value Parameter value
+   * @param {Object} paramRule Rule with optional format, range and validValues
+   * @param {Object} result Validation result to update
+   * @param {Object|null} range Position of the value in the prompt text, if it is written there
+   * @private
+   */
+  _validateParameter(paramName, value, paramRule, result, range = null) {
+    // Check format
+    if (paramRule.format && !paramRule.format.test(value)) {
+      this._report(result, {
+        code: 'parameter-format',
+        severity: 'warning',
+        message: `Parameter "${paramName}" has invalid format. Expected format: ${paramRule.format}`,
+        range
+      });
+    }
+    
+    // Check range; numbers outside it can be clamped to the nearest bound
+    if (paramRule.range) {
+      const [min, max] = paramRule.range;
+      const numValue = parseFloat(value);
+      if (isNaN(numValue) || numValue < min || numValue > max) {
+        const clamped = String(Math.min(Math.max(numValue, min), max));
+        this._report(result, {
+          code: 'parameter-range',
+          severity: 'warning',
+          message: `Parameter "${paramName}" is out of range. Expected range: ${min} to ${max}`,
+          range,
+          fix: range && !isNaN(numValue) ? { description: `Change ${paramName} to ${clamped}`, range, text: clamped } : undefined
+        });
+      }
+    }
+    
+    // Check valid values
+    if (paramRule.validValues && !paramRule.validValues.includes(value)) {
+      this._report(result, {
+        code: 'parameter-value',
+        severity: 'warning',
+        message: `Parameter "${paramName}" has invalid value. Valid values: ${paramRule.validValues.join(', ')}`,
+        range
+      });
+    }
+  }
+  
+  /**
+   * Validate Midjourney `--parameter` values against the platform's parameter rules
+   * @param {Object} prompt The prompt to validate
+   * @param {Object} rules Platform validation rules
+   * @param {Object} result Validation result to update
+   * @private
+   */
+  _validateMidjourneyParameters(prompt, rules, result) {
+    const parsed = this.midjourneyParameters.parse(prompt.content || '');
+    const structured = prompt.metadata && prompt.metadata.parameters;
+    const parameters = this.midjourneyParameters.merge(structured, parsed.parameters);
+    const spans = this.midjourneyParameters.locate(prompt.content || '');
+    
+    Object.entries(parameters).forEach(([paramName, value]) => {
+      if (rules.parameterRules[paramName]) {
+        // Later flags win, as in parse(); parameters only given in metadata have no position
+        const span = spans.filter(candidate => candidate.name === paramName).pop();
+        this._validateParameter(paramName, value, rules.parameterRules[paramName], result, span ? span.valueRange : null);
+      }
+    });
+    
+    const seen = new Map();
+    spans.filter(span => span.name).forEach(span => {
+      if (span.value === '') {
+        this._report(result, {
+          code: 'parameter-missing-value',
+          severity: 'warning',
+          message: `Parameter "--${span.flag}" has no value and will be dropped`,
+          range: span.range,
+          fix: { description: `Remove --${span.flag}`, range: span.removeRange, text: '' }
+        });
+        return;
+      }
+      
+      const earlier = seen.get(span.name);
+      if (earlier) {
+        this._report(result, {
+          code: 'duplicate-parameter',
+          severity: 'warning',
+          message: `Parameter "--${span.flag}" is given more than once; only the last value (${span.value}) is used`,
+          range: span.range,
+          fix: { description: `Remove --${earlier.flag} ${earlier.value}`, range: earlier.removeRange, text: '' }
+        });
+      }
+      seen.set(span.name, span);
+    });
+    
+    spans.filter(span => !span.name).forEach(span => {
+      this._report(result, {
+        code: 'unknown-parameter',
+        severity: 'warning',
+        message: `Unknown parameter "--${span.flag}" will be passed through unchanged`,
+        range: span.range,
+        fix: { description: `Remove --${span.flag}`, range: span.removeRange, text: '' }
+      });
+    });
+    
+    const count = Object.keys(parameters).length + parsed.unknown.length;
+    if (rules.maxParameters && count > rules.maxParameters) {
+      this._report(result, {
+        code: 'max-parameters',
+        severity: 'warning',
+        message: `Prompt uses ${count} parameters, more than the maximum of ${rules.maxParameters}`
+      });
+    }
+  }
+  
+  /**
+   * Report Midjourney `--flags` in a prompt for a platform that would read them as prompt text
+   * Exports move them out of the text (see MidjourneyParameters#relocate); each diagnostic says how.
+   * @param {Object} prompt The prompt to validate
+   * @param {Object} adapter Platform adapter
+   * @param {Object} result Validation result to update
+   * @private
+   */
+  _validateParameterSyntax(prompt, adapter, result) {
+    const content = prompt.content || '';
+    const { moved, spans } = this.midjourneyParameters.relocate(prompt, adapter);
+    
+    spans.forEach((span, index) => {
+      const flagText = content.substring(span.range.start, span.range.end);
+      const dropped = moved[index].startsWith('dropped');
+      
+      this._report(result, {
+        code: 'parameter-syntax',
+        severity: 'warning',
+        message: `Midjourney parameter "${flagText}" is not read by ${adapter.name} (on export: ${moved[index]})`,
+        range: span.range,
+        ...(dropped && { fix: { description: `Remove ${flagText}`, range: span.removeRange, text: '' } })
+      });
+    });
+  }
+  
+  /**
+   * Validate Stable Diffusion weight syntax
+   * @param {string} content Prompt content
+   * @param {Object} rules Platform validation rules
+   * @param {Object} result Validation result to update
+   * @private
+   */
+  _validateWeights(content, rules, result) {
+    const { nodes, issues } = this.sdWeights.parse(content);
+    
+    issues.forEach(issue => this._report(result, {
+      code: 'weight-syntax',
+      severity: 'warning',
+      message: `Malformed weight syntax: ${issue.message}`,
+      range: { start: issue.index, end: issue.index + 1 }
+    }));
+    
+    if (rules.weightRange) {
+      const [min, max] = rules.weightRange;
+      this.sdWeights.getTerms(nodes)
+        .filter(term => term.weight < min || term.weight > max)
+        .forEach(term => this._report(result, {
+          code: 'weight-range',
+          severity: 'warning',
+          message: `Weight ${term.weight} for "${term.text}" is out of range. Expected range: ${min} to ${max}`,
+          range: term.range
+        }));
+    }
+  }
+  
+  /**
+   * Validate video settings (duration, aspect ratio, frame rate, resolution, references)
+   * @param {Object} settings Resolved video settings
+   * @param {Object} video Platform video limits
+   * @param {Object} result Validation result to update
+   * @private
+   */
+  _validateVideoSettings(settings, video, result) {
+    const report = (code, severity, message, fix) => this._report(result, { code, severity, message, fix });
+    
+    const duration = Number(settings.duration);
+    if (video.durations && !video.durations.includes(duration)) {
+      const nearest = video.durations.reduce((best, candidate) => (
+        Math.abs(candidate - duration) < Math.abs(best - duration) ? candidate : best
+      ));
+      report('video-duration', 'error',
+        `Clip duration ${settings.duration}s is not supported. Supported durations: ${video.durations.join(', ')} seconds`,
+        { description: `Use a ${nearest}s clip`, setting: 'duration', value: nearest });
+    }
+    
+    if (video.aspectRatios && !video.aspectRatios.includes(settings.aspectRatio)) {
+      report('video-aspect-ratio', 'error',
+        `Aspect ratio "${settings.aspectRatio}" is not supported. Supported aspect ratios: ${video.aspectRatios.join(', ')}`);
+    }
+    
+    if (video.resolutions && settings.resolution && !video.resolutions.includes(settings.resolution)) {
+      report('video-resolution', 'error',
+        `Resolution "${settings.resolution}" is not supported. Supported resolutions: ${video.resolutions.join(', ')}`);
+    }
+    
+    if (video.frameRates && settings.frameRate && !video.frameRates.includes(Number(settings.frameRate))) {
+      report('video-frame-rate', 'warning',
+        `Frame rate ${settings.frameRate} fps is not supported and will be ignored. Supported frame rates: ${video.frameRates.join(', ')}`);
+    }
+    
+    if (video.imageReference === 'required' && !settings.imageReference) {
+      report('image-reference-required', 'error', 'An image reference is required for this platform');
+    } else if (video.imageReference === 'none' && settings.imageReference) {
+      report('image-reference-unsupported', 'warning', 'Image references are not supported and will be ignored');
+    }
+    
+    if (settings.negativePrompt && !video.supportsNegativePrompt) {
+      report('negative-prompt-unsupported', 'warning', 'Negative prompts are not supported and will be ignored');
+    }
+    
+    if (settings.seed !== undefined && !video.supportsSeed) {
+      report('seed-unsupported', 'warning', 'Seeds are not supported and will be ignored');
+    } else if (settings.seed !== undefined && !Number.isInteger(Number(settings.seed))) {
+      const seed = Math.round(Number(settings.seed));
+      report('seed-not-integer', 'warning', `Seed "${settings.seed}" should be an integer`,
+        isNaN(seed) ? undefined : { description: `Use seed ${seed}`, setting: 'seed', value: seed });
+    }
+  }
+  
+  /**
+   * Record a problem as a diagnostic and as a warning or error message
+   * @param {Object} result Validation result to update
+   * @param {Object} diagnostic `{ code, severity, message, range, fix, policy }`; `severity` is 'error' or
+   *   'warning', and `range`, `fix` and `policy` (the content policy rule that was broken) are optional
+   * @private
+   */
+  _report(result, diagnostic) {
+    const { code, severity, message, range = null, fix, policy } = diagnostic;
+    
+    result.diagnostics.push({ code, severity, message, range, ...(fix && { fix }), ...(policy && { policy }) });
+    
+    if (severity === 'error') {
+      result.errors.push(message);
+      result.status = 'error';
+    } else {
+      result.warnings.push(message);
+      if (result.status === 'valid') {
+        result.status = 'warning';
+      }
+    }
+  }
+  
   /**
    * Get validation rules for a specific platform
    * @param {string} platform Platform name
    * @returns {Object} Validation rules for the platform
    */
   getRulesForPlatform(platform) {
-    return this.validationRules[platform] || this.validationRules.custom;
+    const adapter = this.platforms.resolve(platform);
+    return {
+      ...adapter.validation,
+      parameterRules: adapter.parameters,
+      parameterSyntax: adapter.parameterSyntax,
+      weightSyntax: adapter.weightSyntax,
+      video: adapter.video
+    };
   }
   
   /**
@@ -184,7 +492,7 @@ class PromptValidator {
    * @returns {string} Formatting recommendations
    */
   getRecommendations(platform) {
-    const rules = this.validationRules[platform] || this.validationRules.custom;
+    const rules = this.getRulesForPlatform(platform);
     return rules.recommendedFormat || 'No specific format recommendations available';
   }
 }
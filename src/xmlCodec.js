@@ -0,0 +1,263 @@
+/**
+ * XML Codec Module
+ *
+ * Writes well-formed XML for exports: entity escaping, CDATA sections and safe element names
+ * Removes characters XML 1.0 cannot represent
+ * Reads exported XML back into an element tree (no DTDs or namespaces)
+ * Shared by the transformer, the export engine and the import engine
+ */
+
+// Characters outside the XML 1.0 Char production (C0 controls other than tab, LF and CR,
+// lone surrogates, U+FFFE and U+FFFF)
+const INVALID_CHARS = /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const START_TAG = /<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/y;
+const ATTRIBUTE = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class XmlCodec {
+  /**
+   * Creates a new XmlCodec instance
+   * @param {Object} config Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+  }
+  
+  /**
+   * Get the XML declaration
+   * @returns {string} XML declaration
+   */
+  declaration() {
+    return '<?xml version="1.0" encoding="UTF-8"?>';
+  }
+  
+  /**
+   * Escape text content
+   * Carriage returns are written as character references so parsers do not normalize them away.
+   * @param {*} value Text value
+   * @returns {string} Escaped text
+   */
+  escapeText(value) {
+    return this._clean(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\r/g, '&#13;');
+  }
+  
+  /**
+   * Escape an attribute value (for use in double quotes)
+   * @param {*} value Attribute value
+   * @returns {string} Escaped value
+   */
+  escapeAttribute(value) {
+    return this.escapeText(value)
+      .replace(/"/g, '&quot;')
+      .replace(/\t/g, '&#9;')
+      .replace(/\n/g, '&#10;');
+  }
+  
+  /**
+   * Wrap text in a CDATA section
+   * `]]>` and carriage returns, which a CDATA section cannot hold, are split out of it.
+   * @param {*} value Text value
+   * @returns {string} CDATA section(s)
+   */
+  cdata(value) {
+    const text = this._clean(value)
+      .replace(/]]>/g, ']]]]><![CDATA[>')
+      .replace(/\r/g, ']]>&#13;<![CDATA[');
+    
+    return `<![CDATA[${text}]]>`;
+  }
+  
+  /**
+   * Turn an arbitrary key into a valid element name
+   * Characters other than ASCII letters, digits, '.', '-' and '_' become '_', and names
+   * that would start with a digit, '.', '-' or the reserved "xml" get a leading '_'.
+   * @param {string} name Key to use as an element name
+   * @returns {string} Element name
+   */
+  elementName(name) {
+    let safe = String(name).replace(/[^A-Za-z0-9._-]/g, '_');
+    
+    if (!/^[A-Za-z_]/.test(safe) || /^xml/i.test(safe)) {
+      safe = `_${safe}`;
+    }
+    
+    return safe;
+  }
+  
+  /**
+   * Format a key/value pair as an element
+   * Arrays become `<item>` children, objects are written as JSON in a CDATA section and
+   * null or undefined as an empty element. An empty array is an empty element with
+   * `type="list"`, so it reads back as a list. If the key had to be changed to make a valid
+   * element name, the original key is kept in a `key` attribute.
+   * @param {string} key Key
+   * @param {*} value Value
+   * @param {string} indent Indentation of the element
+   * @param {string} indentUnit Indentation added for child elements
+   * @returns {string} Formatted element (without a trailing line break)
+   */
+  field(key, value, indent = '', indentUnit = '  ') {
+    const name = this.elementName(key);
+    const attributes = name === key ? '' : ` key="${this.escapeAttribute(key)}"`;
+    
+    if (value === undefined || value === null) {
+      return `${indent}<${name}${attributes}/>`;
+    }
+    
+    if (Array.isArray(value) && !value.length) {
+      return `${indent}<${name}${attributes} type="list"/>`;
+    }
+    
+    if (Array.isArray(value)) {
+      const items = value.map(item => {
+        const text = item !== null && typeof item === 'object' ? JSON.stringify(item) : item;
+        return `${indent}${indentUnit}<item>${this.escapeText(text)}</item>`;
+      });
+      
+      return [`${indent}<${name}${attributes}>`, ...items, `${indent}</${name}>`].join('\n');
+    }
+    
+    if (typeof value === 'object') {
+      return `${indent}<${name}${attributes}>${this.cdata(JSON.stringify(value))}</${name}>`;
+    }
+    
+    return `${indent}<${name}${attributes}>${this.escapeText(value)}</${name}>`;
+  }
+  
+  /**
+   * Parse XML into an element tree
+   * @param {string} text XML text
+   * @returns {Object} Root element as `{ name, attributes, children, text, selfClosing }`,
+   *   where `text` joins the element's own character data and CDATA sections
+   */
+  parse(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const document = { name: null, attributes: {}, children: [], text: '' };
+    const stack = [document];
+    let i = 0;
+    
+    const find = (token, from, what) => {
+      const index = input.indexOf(token, from);
+      if (index === -1) {
+        throw new Error(`Unterminated ${what} at offset ${from}`);
+      }
+      return index;
+    };
+    
+    while (i < input.length) {
+      const current = stack[stack.length - 1];
+      
+      if (input.startsWith('<?', i)) {
+        i = find('?>', i, 'processing instruction') + 2;
+      } else if (input.startsWith('<!--', i)) {
+        i = find('-->', i, 'comment') + 3;
+      } else if (input.startsWith('<![CDATA[', i)) {
+        const end = find(']]>', i, 'CDATA section');
+        current.text += input.slice(i + 9, end).replace(/\r\n?/g, '\n');
+        i = end + 3;
+      } else if (input.startsWith('<!', i)) {
+        throw new Error('DOCTYPE declarations are not supported');
+      } else if (input.startsWith('</', i)) {
+        const end = find('>', i, 'end tag');
+        const name = input.slice(i + 2, end).trim();
+        
+        if (stack.length === 1 || current.name !== name) {
+          throw new Error(`Unexpected end tag </${name}> at offset ${i}`);
+        }
+        
+        stack.pop();
+        i = end + 1;
+      } else if (input[i] === '<') {
+        START_TAG.lastIndex = i;
+        const match = START_TAG.exec(input);
+        
+        if (!match) {
+          throw new Error(`Malformed start tag at offset ${i}`);
+        }
+        
+        if (stack.length === 1 && document.children.length) {
+          throw new Error('XML must have a single root element');
+        }
+        
+        const element = { name: match[1], attributes: {}, children: [], text: '', selfClosing: Boolean(match[3]) };
+        for (const [, name, doubleQuoted, singleQuoted] of match[2].matchAll(ATTRIBUTE)) {
+          const value = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+          element.attributes[name] = this._decodeEntities(value.replace(/[\t\n\r]/g, ' '));
+        }
+        
+        current.children.push(element);
+        if (!match[3]) {
+          stack.push(element);
+        }
+        i = START_TAG.lastIndex;
+      } else {
+        const end = input.indexOf('<', i) === -1 ? input.length : input.indexOf('<', i);
+        const characters = input.slice(i, end);
+        
+        if (stack.length === 1) {
+          if (characters.trim()) {
+            throw new Error(`Text outside the root element at offset ${i}`);
+          }
+        } else {
+          current.text += this._decodeEntities(characters.replace(/\r\n?/g, '\n'));
+        }
+        i = end;
+      }
+    }
+    
+    if (stack.length > 1) {
+      throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+    }
+    
+    if (!document.children.length) {
+      throw new Error('XML has no root element');
+    }
+    
+    return document.children[0];
+  }
+  
+  /**
+   * Replace entity and character references
+   * @param {string} text Escaped text
+   * @returns {string} Unescaped text
+   * @private
+   */
+  _decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);|&/gi, (reference, entity) => {
+      if (!entity) {
+        throw new Error('Unescaped "&" in XML text');
+      }
+      
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      
+      if (!ENTITIES[entity]) {
+        throw new Error(`Unknown XML entity: ${reference}`);
+      }
+      
+      return ENTITIES[entity];
+    });
+  }
+  
+  /**
+   * Convert a value to a string and remove characters XML cannot hold
+   * @param {*} value Value
+   * @returns {string} Cleaned text
+   * @private
+   */
+  _clean(value) {
+    return (value === undefined || value === null ? '' : String(value)).replace(INVALID_CHARS, '');
+  }
+}
+
+module.exports = XmlCodec;
@@ -0,0 +1,55 @@
+const AdmZip = require('adm-zip');
+const BatchSource = require('../src/batchSource');
+
+const archive = files => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  return zip.toBuffer();
+};
+
+/**
+ * Overwrite the uncompressed size in every local and central directory header
+ * @param {Buffer} buffer Zip archive
+ * @param {number} size Size to declare
+ * @returns {Buffer} The forged archive
+ */
+const forgeSizes = (buffer, size) => {
+  for (let offset = 0; offset < buffer.length - 4; offset++) {
+    const signature = buffer.readUInt32LE(offset);
+    if (signature === 0x04034b50) {
+      buffer.writeUInt32LE(size, offset + 22);
+    } else if (signature === 0x02014b50) {
+      buffer.writeUInt32LE(size, offset + 24);
+    }
+  }
+  return buffer;
+};
+
+describe('BatchSource zip archives', () => {
+  test('reads the files of an archive', async () => {
+    const files = new BatchSource().fromArchive(archive({ 'shots/one.txt': 'a red fox', 'two.fountain': 'INT. HOUSE - DAY' }));
+
+    expect(files.map(file => [file.name, file.sourceType])).toEqual([['shots/one.txt', 'text'], ['two.fountain', 'screenplay']]);
+    expect(await files[0].load()).toBe('a red fox');
+  });
+
+  test('stops inflating an entry whose header understates its size', async () => {
+    const source = new BatchSource({ maxBatchFileSize: 1024 * 1024 });
+    const [file] = source.fromArchive(forgeSizes(archive({ 'bomb.txt': 'a'.repeat(4 * 1024 * 1024) }), 10));
+
+    await expect(file.load()).rejects.toThrow('bomb.txt is larger than 1048576 bytes');
+  });
+
+  test('caps the bytes read from the whole archive', async () => {
+    const source = new BatchSource({ maxBatchFileSize: 1024, maxArchiveSize: 2500 });
+    const files = source.fromArchive(archive({
+      'one.txt': 'a'.repeat(1000),
+      'two.txt': 'b'.repeat(1000),
+      'three.txt': 'c'.repeat(1000)
+    }));
+
+    expect(await files[0].load()).toHaveLength(1000);
+    expect(await files[1].load()).toHaveLength(1000);
+    await expect(files[2].load()).rejects.toThrow('Zip archive holds more than 2500 bytes of files');
+  });
+});
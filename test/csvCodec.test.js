@@ -0,0 +1,25 @@
+const CsvCodec = require('../src/csvCodec');
+
+describe('CsvCodec', () => {
+  const csv = new CsvCodec();
+
+  test('quotes fields with delimiters, quotes and line breaks', () => {
+    expect(csv.stringify([['a,b', 'say "hi"', 'one\r\ntwo', 'plain']]))
+      .toBe('"a,b","say ""hi""","one\r\ntwo",plain');
+  });
+
+  test('parses quoted fields across lines and reports where records start', () => {
+    const records = csv.parse('prompt,note\r\n"a\nb",x\n"c ""d""",');
+    expect(records.map(record => record.fields)).toEqual([['prompt', 'note'], ['a\nb', 'x'], ['c "d"', '']]);
+    expect(records.map(record => record.line)).toEqual([1, 2, 4]);
+  });
+
+  test('writes a record holding one empty field as an empty quoted field', () => {
+    expect(csv.parse(csv.stringify([['prompt'], ['']])).map(record => record.fields)).toEqual([['prompt'], ['']]);
+  });
+
+  test('rejects unterminated quotes and bad delimiters', () => {
+    expect(() => csv.parse('a,"b\nc')).toThrow('Unterminated quoted field starting on line 1');
+    expect(() => csv.parse('a', { delimiter: '"' })).toThrow('Invalid CSV delimiter');
+  });
+});
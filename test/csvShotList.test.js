@@ -0,0 +1,83 @@
+const PromptParser = require('../src/parser');
+const VeoPromptExporter = require('../src/index');
+
+const sheet = [
+  'Shot,Action,Camera Move,Duration,Notes',
+  '1,A fox runs through snow,slow dolly in,6s,hero shot',
+  '2,,static,4,',
+  ',,,,',
+  '3,An owl lands on a branch,,ten,',
+  '4,"A hare, frozen",close-up,8,'
+].join('\n');
+
+describe('CSV shot lists', () => {
+  const parser = new PromptParser();
+
+  test('read the recognised headers and keep the spreadsheet row numbers', async () => {
+    const prompts = await parser.parseAll(sheet, 'csv');
+
+    expect(prompts.map(prompt => [prompt.label, prompt.content || null, prompt.error || null])).toEqual([
+      ['Row 2', 'A fox runs through snow, slow dolly in', null],
+      ['Row 3', null, 'Description is empty'],
+      ['Row 5', null, 'Duration is not a number of seconds: ten'],
+      ['Row 6', 'A hare, frozen, close-up', null]
+    ]);
+    expect(prompts[0].metadata).toMatchObject({
+      type: 'csv',
+      rowNumber: 2,
+      shotNumber: '1',
+      notes: 'hero shot',
+      video: { duration: 6 }
+    });
+    expect(prompts[1].metadata).toEqual({ type: 'csv', rowNumber: 3 });
+    expect(prompts[3].source).toBe('4,"A hare, frozen",close-up,8,');
+  });
+
+  test('read the mapped columns instead of the recognised ones', async () => {
+    const csv = 'Prompt,Beat,Look,AR,Avoid\nunused,A ship in a storm,oil painting,9:16,"text, logos"\n';
+    const [prompt] = await parser.parseAll(csv, 'csv', { columns: { description: 'Beat' } });
+
+    expect(prompt.content).toBe('A ship in a storm, oil painting');
+    expect(prompt.metadata).toMatchObject({
+      negative: ['text', 'logos'],
+      video: { aspectRatio: '9:16', negativePrompt: 'text, logos' }
+    });
+  });
+
+  test('read other delimiters', async () => {
+    const [prompt] = await parser.parseAll('Description;Duration\nA quiet harbor, at dawn;5\n', 'csv', { delimiter: ';' });
+
+    expect(prompt.content).toBe('A quiet harbor, at dawn');
+    expect(prompt.metadata.video).toEqual({ duration: 5 });
+  });
+
+  test('fail for unknown fields, missing columns and sheets without data', async () => {
+    await expect(parser.parseAll(sheet, 'csv', { columns: { mood: 'Notes' } })).rejects.toThrow('Unknown CSV field: mood');
+    await expect(parser.parseAll(sheet, 'csv', { columns: { description: 'Beat' } }))
+      .rejects.toThrow('CSV column not found for description: Beat');
+    await expect(parser.parseAll('Shot,Notes\n1,a note\n', 'csv'))
+      .rejects.toThrow('CSV has no description column; map one with columns.description');
+    await expect(parser.parseAll('Description\n\n', 'csv')).rejects.toThrow('CSV contains no data rows');
+  });
+
+  test('export each row and report failed rows by number', async () => {
+    const exporter = new VeoPromptExporter({ defaultStorage: 'memory', enhancementProvider: 'none' });
+
+    const result = await exporter.exportPrompt({
+      sourceContent: sheet,
+      sourceType: 'csv',
+      sourceOptions: { columns: { description: 'Action', camera: 'Camera Move' } },
+      targetPlatform: 'veo',
+      exportFormat: 'json'
+    });
+
+    expect(result.summary).toMatchObject({ totalPrompts: 4, errorPrompts: 2 });
+    expect(result.exportedPrompts.map(entry => [entry.validationStatus, entry.errors])).toEqual([
+      ['valid', []],
+      ['error', ['Row 3: Description is empty']],
+      ['error', ['Row 5: Duration is not a number of seconds: ten']],
+      ['valid', []]
+    ]);
+    expect(result.exportedPrompts[0].enhancedPrompt).toBe('A fox runs through snow, slow dolly in');
+  });
+});
@@ -0,0 +1,130 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExportEngine = require('../src/exportEngine');
+const DriveClient = require('../src/driveClient');
+const StoragePolicy = require('../src/storagePolicy');
+
+const fakeDrive = () => {
+  const drive = {
+    shared: [],
+    async uploadFile({ name }) {
+      return { id: `id-${name}` };
+    },
+    async shareFile(fileId, permission) {
+      drive.shared.push({ fileId, permission });
+    }
+  };
+  return drive;
+};
+
+const prompt = { content: 'a red fox in snow', metadata: {} };
+
+describe('Google Drive uploads', () => {
+  test('stay private unless a permission is configured or requested', async () => {
+    const driveClient = fakeDrive();
+    const engine = new ExportEngine({ driveClient, driveOptions: { outputFolderId: 'out' } });
+
+    const result = await engine.export(prompt, 'txt', false, 'google_drive');
+
+    expect(result).toMatchObject({ storage: 'Google Drive', url: expect.stringMatching(/^https:\/\/drive\.google\.com\/file\/d\/id-/) });
+    expect(driveClient.shared).toEqual([]);
+
+    const domain = { type: 'domain', role: 'reader', domain: 'example.com' };
+    await engine.export(prompt, 'txt', false, 'google_drive', { sharing: domain });
+
+    expect(driveClient.shared).toHaveLength(1);
+    expect(driveClient.shared[0].permission).toEqual(domain);
+  });
+
+  test('sign-in asks for the drive.file scope by default', () => {
+    const client = new DriveClient({ clientId: 'id', clientSecret: 'secret', redirectUri: 'http://localhost/callback' });
+    const url = new URL(client.getAuthUrl('state'));
+
+    expect(url.searchParams.get('scope')).toBe('https://www.googleapis.com/auth/drive.file');
+  });
+});
+
+describe('StoragePolicy', () => {
+  const domain = { type: 'domain', role: 'reader', domain: 'example.com' };
+  const policy = new StoragePolicy({ sharing: [domain] });
+
+  test('rejects storage providers the server does not allow', () => {
+    expect(policy.apply({ storage: 'memory' }).storage).toBe('memory');
+    expect(() => policy.apply({ storage: 'google_drive' })).toThrow('storage must be one of: local, memory');
+  });
+
+  test('passes on only allowed permissions and client storage options', () => {
+    const options = policy.apply({
+      sourceContent: 'a fox',
+      storageOptions: { baseName: 'fox', folderId: 'someone-elses-folder', sharing: { ...domain, extra: true } }
+    });
+
+    expect(options).toEqual({ sourceContent: 'a fox', storageOptions: { baseName: 'fox', sharing: domain } });
+    expect(policy.apply({ sharing: false }).sharing).toBe(false);
+  });
+
+  test('rejects permissions the server does not allow', () => {
+    expect(() => policy.apply({ storageOptions: { sharing: { type: 'anyone', role: 'reader' } } }))
+      .toThrow('storageOptions.sharing must be false or a permission the server allows');
+    expect(() => policy.apply({ sharing: { ...domain, role: 'writer' } }))
+      .toThrow('sharing must be false or a permission the server allows');
+    expect(() => new StoragePolicy().apply({ sharing: true })).toThrow('sharing must be false');
+  });
+});
+
+describe('Drive configuration errors', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drive-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Starts the server with extra environment variables; it must exit before it listens
+  const startServer = env => spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    cwd: dir,
+    encoding: 'utf8',
+    timeout: 10000,
+    env: { ...process.env, PORT: '0', EXPORT_DIR: path.join(dir, 'exports'), JOB_STATE_DIR: path.join(dir, 'jobs'), ...env }
+  });
+
+  test('a corrupt token file names the file', () => {
+    const tokenPath = path.join(dir, 'tokens.json');
+
+    fs.writeFileSync(tokenPath, '{"access_token": ');
+    expect(() => new DriveClient({ tokenPath })).toThrow(`Could not load Drive tokens from ${tokenPath}: `);
+
+    fs.writeFileSync(tokenPath, '["token"]');
+    expect(() => new DriveClient({ tokenPath })).toThrow('not a JSON object. Delete the file and sign in again');
+
+    fs.writeFileSync(tokenPath, '{"refresh_token":"r"}');
+    expect(new DriveClient({ tokenPath }).isAuthorized()).toBe(true);
+  });
+
+  test('the server exits with a message for a corrupt token file', () => {
+    const tokenPath = path.join(dir, 'tokens.json');
+    fs.writeFileSync(tokenPath, 'not json');
+
+    const result = startServer({ GOOGLE_DRIVE_TOKEN_PATH: tokenPath });
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain(`Could not start the server: Could not load Drive tokens from ${tokenPath}`);
+  });
+
+  test.each([
+    ['{"type":"domain"}', 'not an array of objects'],
+    ['[{"type":"domain", role: "reader"}]', 'JSON']
+  ])('the server exits with a message for GOOGLE_DRIVE_ALLOWED_SHARING=%s', (value, problem) => {
+    const result = startServer({ GOOGLE_DRIVE_ALLOWED_SHARING: value });
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('GOOGLE_DRIVE_ALLOWED_SHARING must be a JSON array of Drive permissions, such as ' +
+      '[{"type":"domain","role":"reader","domain":"example.com"}]');
+    expect(result.stderr).toContain(problem);
+  });
+});
@@ -0,0 +1,92 @@
+const yaml = require('js-yaml');
+const FormatTransformer = require('../src/transformer');
+const ExportEngine = require('../src/exportEngine');
+const ImportEngine = require('../src/importEngine');
+const VeoPromptExporter = require('../src/index');
+
+const prompt = {
+  content: 'a fox | in snow',
+  metadata: { shotNumber: '3' },
+  validation: { status: 'warning', warnings: ['Prompt is short'], errors: [] }
+};
+
+describe('YAML, Markdown and JSONL formats', () => {
+  test('are registered with their MIME types and extensions', () => {
+    const formats = new ExportEngine().getSupportedFormats()
+      .filter(format => ['yaml', 'md', 'jsonl'].includes(format.id))
+      .map(format => [format.id, format.mimeType, format.extension]);
+
+    expect(formats).toEqual([
+      ['yaml', 'application/yaml', '.yaml'],
+      ['md', 'text/markdown', '.md'],
+      ['jsonl', 'application/x-ndjson', '.jsonl']
+    ]);
+  });
+
+  test('format a transformed prompt with its request and metadata', () => {
+    const transformer = new FormatTransformer();
+    const request = transformer.transform(prompt, 'veo', 'json').request;
+
+    expect(yaml.safeLoad(transformer.transform(prompt, 'veo', 'yaml').formatted)).toEqual({
+      prompt: 'a fox | in snow',
+      timestamp: expect.any(String),
+      request,
+      metadata: { shotNumber: '3' }
+    });
+    expect(JSON.parse(transformer.transform(prompt, 'veo', 'jsonl').formatted)).toMatchObject({ prompt: 'a fox | in snow', request });
+    expect(transformer.transform(prompt, 'veo', 'jsonl').formatted).not.toContain('\n');
+    expect(transformer.transform(prompt, 'veo', 'md').formatted).toBe([
+      '# Shot List',
+      '',
+      '| Shot | Prompt | Platform | Status |',
+      '| --- | --- | --- | --- |',
+      '| 3 | a fox \\| in snow | Google Veo | warning: Prompt is short |'
+    ].join('\n'));
+  });
+
+  test('leave metadata out when asked to', async () => {
+    const exportEngine = new ExportEngine({ includeTimestamp: false });
+
+    const withMetadata = await exportEngine.export(prompt, 'yaml', true);
+    const withoutMetadata = await exportEngine.export(prompt, 'yaml', false);
+
+    expect(withMetadata.fileName).toBe('prompt.yaml');
+    expect(yaml.safeLoad(withMetadata.content).metadata).toEqual({ shotNumber: '3' });
+    expect(yaml.safeLoad(withoutMetadata.content)).not.toHaveProperty('metadata');
+    expect(JSON.parse((await exportEngine.export(prompt, 'jsonl', false)).content)).not.toHaveProperty('metadata');
+  });
+});
+
+describe('Multi-prompt YAML, Markdown and JSONL exports', () => {
+  const exporter = new VeoPromptExporter({ defaultStorage: 'memory', enhancementProvider: 'none' });
+  const exportTwo = exportFormat => exporter.exportPrompts({
+    prompts: ['a fox in snow', 'an owl at dusk'],
+    targetPlatform: 'midjourney',
+    exportFormat,
+    enhancementOptions: { includeMetadata: false }
+  });
+
+  test('write one table row per prompt in the shot list', async () => {
+    const { exportFile } = await exportTwo('md');
+
+    expect(exportFile).toMatchObject({ fileName: expect.stringMatching(/\.md$/), mimeType: 'text/markdown' });
+    expect(exportFile.content.split('\n').slice(-2)).toEqual([
+      '| 1 | a fox in snow | Midjourney | valid |',
+      '| 2 | an owl at dusk | Midjourney | valid |'
+    ]);
+  });
+
+  test.each(['yaml', 'jsonl'])('write %s that imports back', async format => {
+    const { exportFile } = await exportTwo(format);
+    const imported = new ImportEngine().import(exportFile.content, { fileName: exportFile.fileName });
+
+    expect(imported.format).toBe(format);
+    expect(imported.prompts.map(item => item.content)).toEqual(['a fox in snow', 'an owl at dusk']);
+  });
+
+  test('write JSONL as one line per prompt', async () => {
+    const { exportFile } = await exportTwo('jsonl');
+
+    expect(exportFile.content.trim().split('\n').map(line => JSON.parse(line).prompt)).toEqual(['a fox in snow', 'an owl at dusk']);
+  });
+});
@@ -0,0 +1,120 @@
+const ExportEngine = require('../src/exportEngine');
+const ImportEngine = require('../src/importEngine');
+
+// Characters that break naive CSV and XML writers, plus multi-byte text
+const ALPHABET = [
+  'a', 'b', 'Z', '0', ' ', ' ', ',', ';', '"', "'", '\r', '\n', '\r\n', '\t',
+  '<', '>', '&', '&amp;', ']]>', ']]', '<![CDATA[', 'é', 'ß', '東京', '🎬', '👩‍🎤', ' '
+];
+
+/**
+ * Small seeded generator, so failures can be reproduced
+ * @param {number} seed Seed
+ * @returns {Function} `() => number` in [0, 1)
+ */
+const random = seed => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const text = (next, maxLength) => {
+  const length = 1 + Math.floor(next() * maxLength);
+  let value = 'x';
+  for (let i = 0; i < length; i++) {
+    value += ALPHABET[Math.floor(next() * ALPHABET.length)];
+  }
+  return value;
+};
+
+const prompts = (seed, count) => {
+  const next = random(seed);
+  return Array.from({ length: count }, () => ({
+    content: text(next, 40),
+    metadata: {
+      title: text(next, 20),
+      'scene, "note"': text(next, 20),
+      '東京 key': text(next, 10)
+    }
+  }));
+};
+
+describe('CSV and XML exports re-import with the same fields', () => {
+  const exportEngine = new ExportEngine();
+  const importEngine = new ImportEngine();
+
+  for (const format of ['csv', 'xml']) {
+    for (let seed = 1; seed <= 25; seed++) {
+      test(`${format}, seed ${seed}`, async () => {
+        const exported = prompts(seed, 1 + (seed % 4));
+        const result = exported.length > 1 ?
+          await exportEngine.exportCollection(exported, format, true, 'memory') :
+          await exportEngine.export(exported[0], format, true, 'memory');
+
+        const imported = importEngine.import(result.content, { format });
+
+        expect(imported.prompts.map(prompt => ({ content: prompt.content, metadata: prompt.metadata })))
+          .toEqual(exported);
+      });
+    }
+  }
+});
+
+describe('Lists and null survive export, import and export again', () => {
+  const exportEngine = new ExportEngine();
+  const importEngine = new ImportEngine();
+  const withoutTimestamps = content => content.replace(/\d{4}-\d\d-\d\dT[\d:.]+Z/g, 'TIMESTAMP');
+
+  const exported = [
+    {
+      content: 'a detective reads case files',
+      metadata: {
+        subjects: ['detective', 'case files'],
+        styles: [],
+        heading: null,
+        setting: { location: 'office', timeOfDay: 'night', interior: true },
+        dialogue: [{ character: 'Sam', text: 'Not again; not tonight.' }]
+      }
+    },
+    {
+      content: 'rain on the window',
+      metadata: { subjects: ['window'], styles: ['film noir'], heading: 'INT. OFFICE - NIGHT' }
+    }
+  ];
+
+  for (const format of ['csv', 'xml']) {
+    test(`${format} keeps lists as lists`, async () => {
+      const first = await exportEngine.exportCollection(exported, format, true, 'memory');
+      const imported = importEngine.import(first.content, { format }).prompts;
+
+      expect(imported[0].metadata).toMatchObject({
+        subjects: ['detective', 'case files'],
+        styles: [],
+        heading: null,
+        setting: { location: 'office', timeOfDay: 'night', interior: true },
+        dialogue: [{ character: 'Sam', text: 'Not again; not tonight.' }]
+      });
+      expect(imported[1].metadata).toMatchObject({ subjects: ['window'], styles: ['film noir'] });
+
+      const second = await exportEngine.exportCollection(imported, format, true, 'memory');
+      expect(withoutTimestamps(second.content)).toBe(withoutTimestamps(first.content));
+    });
+  }
+
+  test('xml tells an empty list from null', async () => {
+    const { content } = await exportEngine.export({ content: 'a fox', metadata: { styles: [], heading: null } }, 'xml', true, 'memory');
+
+    expect(content).toContain('<styles type="list"/>');
+    expect(importEngine.import(content, { format: 'xml' }).prompts[0].metadata).toEqual({ styles: [], heading: null });
+  });
+});
+
+describe('Export results', () => {
+  test('give the size in bytes', async () => {
+    const result = await new ExportEngine().export({ content: '東京の夜 🎬' }, 'txt', false, 'memory');
+
+    expect(result.size).toBe(Buffer.byteLength(result.content));
+    expect(result.size).toBeGreaterThan(result.content.length);
+  });
+});
@@ -0,0 +1,145 @@
+const http = require('http');
+const GeminiEnhancer = require('../src/geminiEnhancer');
+const VeoPromptExporter = require('../src/index');
+
+const answer = (prompt, structured = { subject: 'a lighthouse' }) => JSON.stringify({
+  candidates: [{ finishReason: 'STOP', content: { parts: [{ text: JSON.stringify({ prompt, structured }) }] } }]
+});
+
+const parsedPrompt = { content: 'a lighthouse at night', metadata: { type: 'text' } };
+
+describe('GeminiEnhancer against a local stand-in', () => {
+  let server;
+  let handlers;
+  let requests;
+  let baseUrl;
+
+  beforeAll(done => {
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        requests.push({ url: request.url, key: request.headers['x-goog-api-key'], body: JSON.parse(body) });
+        const handler = handlers.shift();
+        if (handler) {
+          handler(response);
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/v1beta`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    handlers = [];
+    requests = [];
+  });
+
+  const enhancer = options => new GeminiEnhancer({
+    geminiOptions: { apiKey: 'test-key', baseUrl, retryDelay: 1, timeout: 200, ...options }
+  });
+
+  test('returns the rewritten prompt from a 200 response', async () => {
+    handlers.push(response => response.end(answer('a lone lighthouse at night, beam sweeping the fog')));
+
+    const result = await enhancer().enhance(parsedPrompt, 'midjourney', { detailLevel: 'standard' });
+
+    expect(result.content).toBe('a lone lighthouse at night, beam sweeping the fog');
+    expect(result.metadata.enhancement).toMatchObject({ provider: 'gemini', status: 'enhanced', attempts: 1 });
+    expect(requests[0].url).toBe('/v1beta/models/gemini-2.0-flash:generateContent');
+    expect(requests[0].key).toBe('test-key');
+    expect(requests[0].body.contents[0].parts[0].text).toBe('a lighthouse at night');
+  });
+
+  test('retries a 503 and uses the next answer', async () => {
+    handlers.push(
+      response => {
+        response.statusCode = 503;
+        response.end(JSON.stringify({ error: { message: 'overloaded' } }));
+      },
+      response => response.end(answer('a lighthouse in a storm'))
+    );
+
+    const result = await enhancer().enhance(parsedPrompt, 'midjourney');
+
+    expect(result.content).toBe('a lighthouse in a storm');
+    expect(result.metadata.enhancement).toMatchObject({ status: 'enhanced', attempts: 2 });
+    expect(requests).toHaveLength(2);
+  });
+
+  test('times out a request that gets no answer', async () => {
+    // The stand-in never responds
+    handlers.push(() => {});
+
+    const result = await enhancer({ maxRetries: 0, timeout: 100 }).enhance(parsedPrompt, 'midjourney');
+
+    expect(result.content).toBe('a lighthouse at night');
+    expect(result.metadata.enhancement).toMatchObject({
+      status: 'fallback',
+      attempts: 1,
+      error: 'Gemini request timed out after 100ms'
+    });
+  });
+
+  test('retries malformed JSON, then falls back or fails', async () => {
+    handlers.push(response => response.end('{"candidates": ['), response => response.end('not json'));
+
+    const result = await enhancer({ maxRetries: 1 }).enhance(parsedPrompt, 'midjourney');
+
+    expect(result.metadata.enhancement).toMatchObject({
+      status: 'fallback',
+      attempts: 2,
+      error: 'Gemini API returned invalid JSON'
+    });
+
+    handlers.push(response => response.end('<html>'));
+    await expect(enhancer({ maxRetries: 0, fallback: false }).enhance(parsedPrompt, 'midjourney'))
+      .rejects.toThrow('Gemini enhancement failed: Gemini API returned invalid JSON');
+  });
+
+  test('does not retry errors a retry cannot fix', async () => {
+    handlers.push(response => {
+      response.statusCode = 400;
+      response.end(JSON.stringify({ error: { message: 'API key not valid' } }));
+    });
+
+    const result = await enhancer().enhance(parsedPrompt, 'midjourney');
+
+    expect(result.metadata.enhancement).toMatchObject({ status: 'fallback', attempts: 1, error: 'Gemini API returned 400: API key not valid' });
+    expect(requests).toHaveLength(1);
+  });
+});
+
+describe('Gemini without an API key', () => {
+  test('exports the prompt unenhanced, with a warning', async () => {
+    const exporter = new VeoPromptExporter({ geminiOptions: { apiKey: '' }, defaultStorage: 'memory' });
+
+    const result = await exporter.exportPrompt({ sourceContent: 'a lighthouse at night', targetPlatform: 'midjourney' });
+    const [entry] = result.exportedPrompts;
+
+    expect(entry.enhancedPrompt).toBe('a lighthouse at night');
+    expect(entry.metadata.enhancement).toMatchObject({ provider: 'gemini', status: 'fallback', attempts: 0, error: 'GEMINI_API_KEY is not set' });
+    expect(entry.warnings).toEqual([
+      'Enhancement failed, exported the unenhanced prompt: GEMINI_API_KEY is not set'
+    ]);
+  });
+
+  test('uses offline enhancement only when asked for', async () => {
+    const exporter = new VeoPromptExporter({ geminiOptions: { apiKey: '' }, enhancementProvider: 'local', defaultStorage: 'memory' });
+
+    const result = await exporter.exportPrompt({ sourceContent: 'a lighthouse at night', targetPlatform: 'midjourney' });
+    const [entry] = result.exportedPrompts;
+
+    expect(entry.metadata.enhancement).toMatchObject({ provider: 'local' });
+    expect(entry.warnings).toEqual([]);
+  });
+});
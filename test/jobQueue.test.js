@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('../src/jobQueue');
+
+const FINISHED = ['completed', 'cancelled'];
+
+const waitFor = async (check, timeout = 2000) => {
+  const started = Date.now();
+  while (!(await check())) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting for the job queue');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const finished = async (queue, id) => {
+  await waitFor(async () => FINISHED.includes((await queue.get(id)).status));
+  return queue.get(id);
+};
+
+const items = count => Array.from({ length: count }, (value, index) => ({ name: `item ${index}` }));
+
+describe('JobQueue', () => {
+  let stateDir;
+
+  beforeEach(() => {
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  test('runs at most `concurrency` items at a time', async () => {
+    let running = 0;
+    let most = 0;
+    const queue = new JobQueue({
+      concurrency: 2,
+      worker: async (job, item) => {
+        running++;
+        most = Math.max(most, running);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        running--;
+        return item.name.toUpperCase();
+      }
+    });
+
+    const job = await queue.submit({ type: 'test', items: items(5) });
+    const done = await finished(queue, job.id);
+
+    expect(most).toBe(2);
+    expect(done.status).toBe('completed');
+    expect(done.items.map(item => [item.status, item.result])).toEqual(
+      items(5).map(item => ['completed', item.name.toUpperCase()])
+    );
+  });
+
+  test('retries a failing item with a doubling delay', async () => {
+    const attempts = [];
+    const queue = new JobQueue({
+      retryDelay: 20,
+      maxRetries: 2,
+      worker: async () => {
+        attempts.push(Date.now());
+        if (attempts.length < 3) {
+          throw new Error('busy');
+        }
+        return 'ok';
+      }
+    });
+
+    const job = await queue.submit({ type: 'test', items: items(1) });
+    await waitFor(() => queue.timer);
+    expect(queue.timer.hasRef()).toBe(false);
+
+    const [item] = (await finished(queue, job.id)).items;
+    expect(item).toMatchObject({ status: 'completed', attempts: 3, error: null, result: 'ok' });
+    expect(attempts[1] - attempts[0]).toBeGreaterThanOrEqual(19);
+    expect(attempts[2] - attempts[1]).toBeGreaterThanOrEqual(39);
+  });
+
+  test('fails an item once its retries are used up, or straight away when it cannot be retried', async () => {
+    const queue = new JobQueue({
+      retryDelay: 1,
+      maxRetries: 1,
+      worker: async (job, item) => {
+        const error = new Error(`cannot run ${item.name}`);
+        error.retryable = item.index !== 1;
+        throw error;
+      }
+    });
+
+    const job = await queue.submit({ type: 'test', items: items(2) });
+    const done = await finished(queue, job.id);
+
+    expect(done.status).toBe('completed');
+    expect(done.items.map(item => [item.status, item.attempts, item.error])).toEqual([
+      ['failed', 2, 'cannot run item 0'],
+      ['failed', 1, 'cannot run item 1']
+    ]);
+  });
+
+  test('cancels queued items and lets running ones finish', async () => {
+    let release;
+    const gate = new Promise(resolve => {
+      release = resolve;
+    });
+    const queue = new JobQueue({ concurrency: 1, worker: () => gate.then(() => 'done') });
+
+    const job = await queue.submit({ type: 'test', items: items(3) });
+    await waitFor(() => job.items[0].status === 'running');
+
+    const cancelled = await queue.cancel(job.id);
+    expect(cancelled.status).toBe('cancelled');
+    release();
+
+    await waitFor(() => job.items[0].status === 'completed');
+    expect(job.items.map(item => item.status)).toEqual(['completed', 'cancelled', 'cancelled']);
+    expect(await queue.cancel('missing')).toBeNull();
+  });
+
+  test('saves jobs and resumes interrupted items after a restart', async () => {
+    // The first queue stops mid-item, as if the process had exited
+    const stalled = new JobQueue({ stateDir, concurrency: 1, worker: () => new Promise(() => {}) });
+    const job = await stalled.submit({
+      type: 'test',
+      items: [{ name: 'a.txt', content: 'first' }, { name: 'b.txt', content: 'second' }, { name: 'c.txt', status: 'skipped' }]
+    });
+    await waitFor(() => job.items[0].status === 'running');
+
+    const saved = JSON.parse(fs.readFileSync(path.join(stateDir, `${job.id}.json`), 'utf8'));
+    expect(saved.items.map(item => item.status)).toEqual(['running', 'queued', 'skipped']);
+
+    const resumed = new JobQueue({ stateDir, worker: (queued, item) => resumed.readContent(queued, item) });
+    const done = await finished(resumed, job.id);
+
+    expect(done.items.map(item => [item.status, item.result])).toEqual([
+      ['completed', 'first'],
+      ['completed', 'second'],
+      ['skipped', null]
+    ]);
+    expect(done.items[0].attempts).toBe(2);
+    expect(fs.existsSync(path.join(stateDir, job.id))).toBe(false);
+    expect(JSON.parse(fs.readFileSync(path.join(stateDir, `${job.id}.json`), 'utf8')).status).toBe('completed');
+  });
+
+  test('forgets finished jobs past their retention', async () => {
+    const queue = new JobQueue({ stateDir, retention: 0, worker: async () => 'ok' });
+
+    const job = await queue.submit({ type: 'test', items: items(1) });
+    await finished(queue, job.id);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const next = await queue.submit({ type: 'test', items: items(1) });
+    expect(await queue.get(job.id)).toBeNull();
+    expect(fs.existsSync(path.join(stateDir, `${job.id}.json`))).toBe(false);
+    await finished(queue, next.id);
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalFileStorage = require('../src/localFileStorage');
+const VeoPromptExporter = require('../src/index');
+
+describe('LocalFileStorage', () => {
+  let exportDir;
+  let storage;
+
+  beforeEach(() => {
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+    storage = new LocalFileStorage({ exportDir, mimeTypes: { '.json': 'application/json' } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  test('stores each file under its name with a random token', async () => {
+    const first = await storage.save({ fileName: 'prompt.json', content: '{"a":1}' });
+    const second = await storage.save({ fileName: 'prompt.json', content: '{"b":2}' });
+
+    expect(first.id).toMatch(/^prompt\.[0-9a-f]{24}\.json$/);
+    expect(second.id).toMatch(/^prompt\.[0-9a-f]{24}\.json$/);
+    expect(second.id).not.toBe(first.id);
+    expect(first).toMatchObject({ fileName: 'prompt.json', url: `/api/exports/${first.id}` });
+    expect(fs.readFileSync(path.join(exportDir, first.id), 'utf8')).toBe('{"a":1}');
+    expect(fs.readFileSync(path.join(exportDir, second.id), 'utf8')).toBe('{"b":2}');
+    expect(fs.readdirSync(exportDir).sort()).toEqual([first.id, second.id].sort());
+  });
+
+  test('looks files up by id and reports the name they were saved under', async () => {
+    const saved = await storage.save({ fileName: '../notes/prompt.json', content: '[]' });
+    const bare = await storage.save({ fileName: 'README', content: 'text' });
+
+    expect(await storage.get(saved.id)).toEqual({
+      id: saved.id,
+      fileName: 'prompt.json',
+      path: path.join(exportDir, saved.id),
+      mimeType: 'application/json',
+      size: 2
+    });
+    expect(await storage.get(bare.id)).toMatchObject({ fileName: 'README', mimeType: 'application/octet-stream' });
+  });
+
+  test('does not serve guessable names or paths outside the directory', async () => {
+    fs.writeFileSync(path.join(exportDir, 'prompt.json'), '{}');
+
+    expect(await storage.get('prompt.json')).toBeNull();
+    expect(await storage.get(`prompt.${'0'.repeat(24)}.json`)).toBeNull();
+    await expect(storage.get('../.env')).rejects.toThrow('Invalid export id');
+    await expect(storage.get('.prompt.json.tmp')).rejects.toThrow('Invalid export id');
+  });
+
+  test('serves exports from the exporter by their id', async () => {
+    const exporter = new VeoPromptExporter({ exportDir, defaultStorage: 'local', enhancementProvider: 'none' });
+
+    const result = await exporter.exportPrompt({
+      sourceContent: 'a lighthouse at night',
+      targetPlatform: 'midjourney',
+      exportFormat: 'json',
+      storageOptions: { baseName: 'lighthouse' }
+    });
+
+    expect(result.exportFile.fileName).toMatch(/^lighthouse.*\.json$/);
+    expect(result.exportFile.id).toMatch(/^lighthouse.*\.[0-9a-f]{24}\.json$/);
+
+    const file = await exporter.getExport(result.exportFile.id);
+    expect(file.fileName).toBe(result.exportFile.fileName);
+    expect(fs.readFileSync(file.path, 'utf8')).toBe(result.exportFile.content);
+  });
+});
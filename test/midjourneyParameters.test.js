@@ -0,0 +1,92 @@
+const MidjourneyParameters = require('../src/midjourneyParameters');
+const VeoPromptExporter = require('../src/index');
+
+describe('MidjourneyParameters', () => {
+  const parameters = new MidjourneyParameters();
+
+  test('drops known flags written without a value', () => {
+    expect(parameters.parse('a red fox --ar 16:9 --s --tile')).toEqual({
+      text: 'a red fox',
+      parameters: { ar: '16:9' },
+      unknown: [{ flag: 'tile', value: '' }]
+    });
+    expect(parameters.merge({ stylize: '', chaos: 10 }, {})).toEqual({ chaos: '10' });
+  });
+
+  test('keeps the last value of a repeated flag', () => {
+    expect(parameters.parse('a red fox --s 100 --stylize 250').parameters).toEqual({ stylize: '250' });
+  });
+});
+
+describe('Midjourney parameter diagnostics', () => {
+  const exporter = new VeoPromptExporter({ defaultStorage: 'memory', enhancementProvider: 'none' });
+  const validate = sourceContent => exporter.validatePrompt({ sourceContent, targetPlatform: 'midjourney' });
+  const codes = result => result.diagnostics.map(diagnostic => diagnostic.code);
+
+  test('reports a flag without a value and leaves it out of the export', async () => {
+    const sourceContent = 'a red fox in snow --stylize --ar 16:9';
+    const { diagnostics } = await validate(sourceContent);
+    const [missing] = diagnostics.filter(diagnostic => diagnostic.code === 'parameter-missing-value');
+
+    expect(missing.message).toBe('Parameter "--stylize" has no value and will be dropped');
+    expect(sourceContent.substring(missing.range.start, missing.range.end)).toBe('--stylize');
+
+    const result = await exporter.exportPrompt({ sourceContent, targetPlatform: 'midjourney' });
+    expect(result.exportedPrompts[0].formattedPrompt).toMatch(/ --ar 16:9$/);
+    expect(result.exportedPrompts[0].warnings).toContain('Parameter "--stylize" has no value and will be dropped');
+  });
+
+  test('warns about a flag given twice', async () => {
+    const sourceContent = 'a red fox in snow --s 100 --ar 16:9 --s 250';
+    const result = await validate(sourceContent);
+    const [duplicate] = result.diagnostics.filter(diagnostic => diagnostic.code === 'duplicate-parameter');
+
+    expect(duplicate.message).toBe('Parameter "--s" is given more than once; only the last value (250) is used');
+    expect(sourceContent.substring(duplicate.range.start, duplicate.range.end)).toBe('--s 250');
+    expect(duplicate.fix.description).toBe('Remove --s 100');
+    expect(codes(await validate('a red fox in snow --s 100 --ar 16:9'))).not.toContain('duplicate-parameter');
+  });
+});
+
+describe('Midjourney flags on other platforms', () => {
+  const exporter = new VeoPromptExporter({ defaultStorage: 'memory', enhancementProvider: 'none' });
+  const sourceContent = 'A cat on a roof --ar 9:16 --s 250 --seed 42 --no rain';
+  const exported = async targetPlatform => (await exporter.exportPrompt({ sourceContent, targetPlatform })).exportedPrompts[0];
+
+  test('strip() keeps the text after a flag value', () => {
+    const { text, parameters, spans } = new MidjourneyParameters().strip('a castle --ar 16:9 moody lighting, fog --tile');
+
+    expect(text).toBe('a castle moody lighting, fog');
+    expect(parameters).toEqual({ ar: '16:9' });
+    expect(spans.map(span => span.flag)).toEqual(['ar', 'tile']);
+  });
+
+  test('move to the clip settings of a video platform', async () => {
+    const entry = await exported('veo');
+
+    expect(entry.formattedPrompt).toBe('A cat on a roof');
+    expect(entry.request.instances[0].prompt).toBe('A cat on a roof');
+    expect(entry.request.parameters).toMatchObject({ aspectRatio: '9:16', seed: 42, negativePrompt: 'rain' });
+  });
+
+  test('move to the negative section of Stable Diffusion', async () => {
+    const entry = await exported('stable_diffusion');
+
+    expect(entry.formattedPrompt).toBe('A cat on a roof Negative: rain');
+  });
+
+  test('are dropped where the platform has no setting for them', async () => {
+    expect((await exported('dall_e')).formattedPrompt).toBe('A cat on a roof');
+  });
+
+  test('are reported with their place in the text', async () => {
+    const { diagnostics } = await exporter.validatePrompt({ sourceContent, targetPlatform: 'veo' });
+    const syntax = diagnostics.filter(diagnostic => diagnostic.code === 'parameter-syntax');
+
+    expect(syntax.map(diagnostic => sourceContent.substring(diagnostic.range.start, diagnostic.range.end)))
+      .toEqual(['--ar 9:16', '--s 250', '--seed 42', '--no rain']);
+    expect(syntax[0].message).toBe('Midjourney parameter "--ar 9:16" is not read by Google Veo (on export: --ar 9:16 to video.aspectRatio)');
+    expect(syntax[1].message).toBe('Midjourney parameter "--s 250" is not read by Google Veo (on export: dropped --s 250)');
+    expect(syntax[1].fix.description).toBe('Remove --s 250');
+  });
+});
@@ -0,0 +1,73 @@
+const ExportEngine = require('../src/exportEngine');
+const VeoPromptExporter = require('../src/index');
+
+const prompts = [
+  { content: 'a fox in snow', metadata: { scene: '1' } },
+  { content: 'an owl, at dusk', metadata: { shot: '2', lens: '85mm' } }
+];
+
+// Export times differ from run to run
+const withoutTimes = content => content.replace(/\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z/g, '<time>');
+
+describe('ExportEngine collections', () => {
+  const exportEngine = new ExportEngine({ includeTimestamp: false });
+
+  test('write JSON as an array of prompts', async () => {
+    const result = await exportEngine.exportCollection(prompts, 'json', true);
+
+    expect(result).toMatchObject({ fileName: 'prompts.json', count: 2, mimeType: 'application/json' });
+    expect(JSON.parse(result.content).map(({ prompt, metadata }) => ({ prompt, metadata }))).toEqual([
+      { prompt: 'a fox in snow', metadata: { scene: '1' } },
+      { prompt: 'an owl, at dusk', metadata: { shot: '2', lens: '85mm' } }
+    ]);
+  });
+
+  test('write CSV with the union of the metadata columns', async () => {
+    const result = await exportEngine.exportCollection(prompts, 'csv', true);
+
+    expect(withoutTimes(result.content).trim().split(/\r?\n/)).toEqual([
+      'prompt,timestamp,scene,shot,lens',
+      'a fox in snow,<time>,1,,',
+      '"an owl, at dusk",<time>,,2,85mm'
+    ]);
+    expect((await exportEngine.exportCollection(prompts, 'csv', false)).content.trim().split(/\r?\n/)[0]).toBe('prompt,timestamp');
+  });
+
+  test('write XML under a prompts root and TXT as numbered sections', async () => {
+    const xml = (await exportEngine.exportCollection(prompts, 'xml', true)).content;
+    const txt = (await exportEngine.exportCollection(prompts, 'txt', false)).content;
+
+    expect(xml).toContain('<prompts count="2">');
+    expect(xml.match(/<prompt>/g)).toHaveLength(2);
+    expect(xml).toContain('<content><![CDATA[an owl, at dusk]]></content>');
+    expect(txt).toMatch(/^=== Prompt 1 ===\na fox in snow\n+=== Prompt 2 ===\nan owl, at dusk\s*$/);
+  });
+});
+
+describe('exportPrompts', () => {
+  test('exports every prompt into one file and counts them all', async () => {
+    const exporter = new VeoPromptExporter({ defaultStorage: 'memory', enhancementProvider: 'none' });
+
+    const result = await exporter.exportPrompts({
+      prompts: ['a fox in snow', { sourceContent: 'an owl at dusk', videoSettings: { duration: 6 } }, '', 'a hare'],
+      targetPlatform: 'veo',
+      exportFormat: 'json',
+      videoSettings: { duration: 4 }
+    });
+
+    expect(result.summary).toEqual({ totalPrompts: 4, validPrompts: 3, warningPrompts: 0, errorPrompts: 1 });
+    expect(result.exportedPrompts[2].errors).toEqual(['Prompt 3: Source content is required']);
+    expect(result.exportFile.fileName).toMatch(/^prompts_.*\.json$/);
+    expect(JSON.parse(result.exportFile.content).map(entry => [entry.prompt, entry.request.parameters.durationSeconds])).toEqual([
+      ['a fox in snow', 4],
+      ['an owl at dusk', 6],
+      ['a hare', 4]
+    ]);
+  });
+
+  test('rejects a missing prompt list', async () => {
+    const exporter = new VeoPromptExporter({ defaultStorage: 'memory', enhancementProvider: 'none' });
+
+    await expect(exporter.exportPrompts({ prompts: 'a fox' })).rejects.toThrow('Failed to export prompts: prompts must be an array');
+  });
+});
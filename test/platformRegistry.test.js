@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PlatformRegistry = require('../src/platformRegistry');
+const VeoPromptExporter = require('../src/index');
+
+const storyboard = {
+  id: 'storyboard',
+  name: 'Storyboard Tool',
+  formatting: { maxLength: 40, parameterSeparator: ';' },
+  parameters: { panel: { format: '^\\d+$' } }
+};
+
+describe('PlatformRegistry', () => {
+  test('registers, replaces and removes adapters', () => {
+    const registry = new PlatformRegistry({ includeBuiltins: false });
+
+    expect(registry.list()).toEqual([]);
+    expect(registry.register(storyboard)).toMatchObject({ id: 'storyboard', name: 'Storyboard Tool' });
+    expect(registry.has('storyboard')).toBe(true);
+
+    registry.register({ ...storyboard, name: 'Boards' });
+    expect(registry.list().map(adapter => adapter.name)).toEqual(['Boards']);
+
+    expect(registry.unregister('storyboard')).toBe(true);
+    expect(registry.get('storyboard')).toBeUndefined();
+  });
+
+  test('fills in formatting, validation, formats and parameter patterns', () => {
+    const adapter = new PlatformRegistry({ includeBuiltins: false }).register(storyboard);
+
+    expect(adapter.formatting).toEqual({ maxLength: 40, parameterSeparator: ';', supportsTags: true, supportsWeights: false });
+    expect(adapter.validation).toEqual({ maxLength: 40, forbiddenPhrases: [] });
+    expect(adapter.supportedFormats).toEqual(expect.arrayContaining(['json', 'txt', 'csv', 'xml']));
+    expect(adapter.supportedFormats).not.toContain('comfyui');
+    expect(adapter.parameters.panel.format).toEqual(/^\d+$/);
+  });
+
+  test('rejects adapters without an id', () => {
+    const registry = new PlatformRegistry({ includeBuiltins: false });
+
+    expect(() => registry.register(null)).toThrow('Platform adapter must be an object');
+    expect(() => registry.register({ name: 'Nameless' })).toThrow('Platform adapter requires a string id');
+  });
+
+  test('resolves unknown platforms to the custom platform', () => {
+    const registry = new PlatformRegistry();
+
+    expect(registry.resolve('veo').id).toBe('veo');
+    expect(registry.resolve('unknown')).toBe(registry.get('custom'));
+    expect(new PlatformRegistry({ includeBuiltins: false }).resolve('unknown')).toMatchObject({
+      id: PlatformRegistry.FALLBACK_PLATFORM,
+      name: 'Custom Platform'
+    });
+  });
+
+  test('loads adapters from the JSON and JS files in a directory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'platforms-'));
+
+    try {
+      fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify(storyboard));
+      fs.writeFileSync(path.join(dir, 'b.js'), "module.exports = [{ id: 'one' }, { id: 'two', name: 'Two' }];");
+      fs.writeFileSync(path.join(dir, 'c.txt'), 'not an adapter');
+
+      const registry = new PlatformRegistry({ platformsDir: dir });
+
+      expect(registry.list().slice(-3).map(adapter => adapter.id)).toEqual(['storyboard', 'one', 'two']);
+      expect(registry.get('storyboard').parameters.panel.format.test('12')).toBe(true);
+
+      fs.writeFileSync(path.join(dir, 'd.json'), JSON.stringify({ name: 'No id' }));
+      expect(() => registry.loadFromDirectory(dir)).toThrow('Invalid platform adapter in d.json: Platform adapter requires a string id');
+
+      fs.writeFileSync(path.join(dir, 'd.json'), '{');
+      expect(() => registry.loadFromDirectory(dir)).toThrow(/^Failed to load platform adapter d\.json: /);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Registered platforms in the exporter', () => {
+  test('are listed, transformed and validated with their own rules', async () => {
+    const exporter = new VeoPromptExporter({ defaultStorage: 'memory', enhancementProvider: 'none' });
+    exporter.registerPlatform(storyboard);
+
+    expect(exporter.getSupportedPlatforms().find(platform => platform.id === 'storyboard')).toEqual({
+      id: 'storyboard',
+      name: 'Storyboard Tool',
+      supportedFormats: exporter.platformRegistry.get('storyboard').supportedFormats,
+      mediaType: 'image',
+      parameters: ['panel']
+    });
+
+    const result = await exporter.exportPrompt({
+      sourceContent: 'a lighthouse on a cliff over a stormy sea at night',
+      targetPlatform: 'storyboard',
+      exportFormat: 'txt'
+    });
+    const [entry] = result.exportedPrompts;
+
+    expect(entry.formattedPrompt.length).toBeLessThanOrEqual(40);
+    expect(entry.warnings).toContain('Prompt exceeds maximum length of 40 characters');
+  });
+
+  test('reject formats the platform does not list', async () => {
+    const exporter = new VeoPromptExporter({ defaultStorage: 'memory', enhancementProvider: 'none' });
+    exporter.registerPlatform({ ...storyboard, supportedFormats: ['txt'] });
+
+    await expect(exporter.exportPrompt({ sourceContent: 'a lighthouse', targetPlatform: 'storyboard', exportFormat: 'json' }))
+      .rejects.toThrow('Export format json is not supported for storyboard');
+  });
+});
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PolicyRegistry = require('../src/policyRegistry');
+
+const veo = { id: 'veo', validation: { forbiddenPhrases: ['nude'] } };
+const runway = { id: 'runway', validation: {} };
+
+const found = (registry, content, adapter = runway) =>
+  registry.check(content, adapter).map(violation => [violation.rule, violation.text, violation.severity]);
+
+describe('PolicyRegistry matching', () => {
+  test('matches whole words by default', () => {
+    const registry = new PolicyRegistry();
+    registry.register({ id: 'base', platforms: ['*'], rules: ['gore'] });
+
+    expect(found(registry, 'gore and gory, gores, Gore-tex')).toEqual([
+      ['gore', 'gore', 'error'],
+      ['gore', 'Gore', 'error']
+    ]);
+  });
+
+  test('matches inflected and derived words with match "stem"', () => {
+    const registry = new PolicyRegistry();
+    registry.register({ id: 'base', platforms: ['*'], match: 'stem', rules: ['explode', 'gore', 'mutilate', 'bleed'] });
+
+    const content = 'explosions, an explosive, it exploded while exploding; gory gores; a mutilation; bleeding';
+    expect(registry.check(content, runway).map(violation => violation.text)).toEqual([
+      'explosions', 'explosive', 'exploded', 'exploding', 'gory', 'gores', 'mutilation', 'bleeding'
+    ]);
+    expect(found(registry, 'an explorer, a goat, a decision')).toEqual([]);
+  });
+
+  test('matches multi-word stems as a run of words', () => {
+    const registry = new PolicyRegistry();
+    registry.register({ id: 'base', platforms: ['*'], rules: [{ term: 'car crash', match: 'stem' }] });
+
+    const [violation] = registry.check('two cars crashing at night', runway);
+    expect(violation).toMatchObject({ text: 'cars crashing', range: { start: 4, end: 17 } });
+  });
+
+  test('matches substrings and patterns', () => {
+    const registry = new PolicyRegistry();
+    registry.register({
+      id: 'base',
+      platforms: ['*'],
+      rules: [{ term: 'nud', match: 'substring' }, { id: 'year', pattern: '\\b19\\d\\d\\b' }]
+    });
+
+    expect(found(registry, 'denuded hills in 1984')).toEqual([
+      ['nud', 'nud', 'error'],
+      ['year', '1984', 'error']
+    ]);
+  });
+
+  test('reports the range, message and replacement of each violation', () => {
+    const registry = new PolicyRegistry();
+    registry.register({ id: 'base', platforms: ['*'], rules: [{ term: 'blood', message: 'No blood', replacement: 'paint' }] });
+
+    expect(registry.check('red blood', runway)).toEqual([{
+      policy: 'base',
+      file: null,
+      rule: 'blood',
+      severity: 'error',
+      text: 'blood',
+      range: { start: 4, end: 9 },
+      message: 'No blood',
+      replacement: 'paint'
+    }]);
+  });
+
+  test('rejects rules without a term or pattern, and unknown modes and severities', () => {
+    const registry = new PolicyRegistry();
+
+    expect(() => registry.register({ id: 'bad', rules: [{ id: 'empty' }] })).toThrow('needs either a term or a pattern');
+    expect(() => registry.register({ id: 'bad', rules: [{ term: 'a', match: 'fuzzy' }] })).toThrow('unknown match mode: fuzzy');
+    expect(() => registry.register({ id: 'bad', rules: [{ term: 'a', severity: 'info' }] })).toThrow('unknown severity: info');
+    expect(() => registry.register({ id: 'bad', rules: [{ pattern: '(' }] })).toThrow('invalid pattern');
+  });
+});
+
+describe('PolicyRegistry severities and allowlists', () => {
+  test('uses the pack severity unless a rule sets its own, and drops rules turned off', () => {
+    const registry = new PolicyRegistry();
+    registry.register({
+      id: 'base',
+      platforms: ['*'],
+      severity: 'warning',
+      rules: ['smoke', { term: 'fire', severity: 'error' }, { term: 'ash', severity: 'off' }]
+    });
+
+    expect(found(registry, 'smoke, fire and ash')).toEqual([
+      ['smoke', 'smoke', 'warning'],
+      ['fire', 'fire', 'error']
+    ]);
+    expect(registry.terms(runway)).toEqual(['fire']);
+  });
+
+  test('exempts text on the pack allowlist and on the rule allowlist', () => {
+    const registry = new PolicyRegistry();
+    registry.register({
+      id: 'base',
+      platforms: ['*'],
+      allow: ['shot glass', { pattern: 'blood orange' }],
+      rules: ['shot', 'blood', { term: 'kill', allow: ['kill switch'] }]
+    });
+
+    expect(found(registry, 'a shot glass of blood orange juice; kill switch; a long shot to kill time')).toEqual([
+      ['shot', 'shot', 'error'],
+      ['kill', 'kill', 'error']
+    ]);
+  });
+
+  test('applies a rule allowlist only to its own rule', () => {
+    const registry = new PolicyRegistry();
+    registry.register({
+      id: 'base',
+      platforms: ['*'],
+      rules: [{ term: 'kill', allow: ['kill switch'] }, { term: 'switch', match: 'word' }]
+    });
+
+    expect(found(registry, 'kill switch')).toEqual([['switch', 'switch', 'error']]);
+  });
+});
+
+describe('PolicyRegistry packs', () => {
+  test('starts from the rules and allowlist of the packs a pack extends', () => {
+    const registry = new PolicyRegistry();
+    registry.register({ id: 'violence', rules: ['gun', { id: 'blood', term: 'blood' }], allow: ['water gun'] });
+    registry.register({
+      id: 'studio',
+      platforms: ['*'],
+      extends: 'violence',
+      rules: [{ id: 'blood', term: 'blood', severity: 'warning' }, 'knife']
+    });
+
+    expect(registry.resolve(runway).policies).toEqual(['platform:runway', 'violence', 'studio']);
+    expect(found(registry, 'a gun, a water gun, blood and a knife')).toEqual([
+      ['gun', 'gun', 'error'],
+      ['blood', 'blood', 'warning'],
+      ['knife', 'knife', 'error']
+    ]);
+    expect(registry.check('blood', runway)[0].policy).toBe('studio');
+  });
+
+  test('applies packs to their platforms, the platform forbidden phrases and the project policies', () => {
+    const registry = new PolicyRegistry({ policies: ['project'] });
+    registry.register({ id: 'video', platforms: ['veo'], rules: ['logo'] });
+    registry.register({ id: 'named', rules: ['watermark'] });
+    registry.register({ id: 'project', rules: ['brand'] });
+
+    const veoWithNamed = { ...veo, validation: { ...veo.validation, policies: ['named'] } };
+    const content = 'nude logo with a watermark and a brand';
+
+    expect(registry.resolve(veoWithNamed).policies).toEqual(['platform:veo', 'named', 'video', 'project']);
+    expect(found(registry, content, veoWithNamed).map(([rule]) => rule)).toEqual(['nude', 'logo', 'watermark', 'brand']);
+    expect(found(registry, content, runway).map(([rule]) => rule)).toEqual(['brand']);
+  });
+
+  test('fails on unknown and cyclic extends', () => {
+    const registry = new PolicyRegistry();
+    registry.register({ id: 'a', platforms: ['*'], extends: 'b', rules: [] });
+
+    expect(() => registry.resolve(runway)).toThrow('Unknown content policy: b (extended by a)');
+
+    registry.register({ id: 'b', extends: 'a', rules: [] });
+    expect(() => registry.resolve(runway)).toThrow('Content policy a extends itself: a > b > a');
+  });
+
+  test('names the file each violation came from', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policies-'));
+
+    try {
+      fs.writeFileSync(path.join(dir, 'base.json'), JSON.stringify({ id: 'base', rules: ['gore'] }));
+      fs.writeFileSync(path.join(dir, 'studio.js'), "module.exports = [{ id: 'studio', platforms: ['*'], extends: 'base', rules: ['knife'] }];");
+      fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a pack');
+
+      const registry = new PolicyRegistry({ policiesDir: dir });
+
+      expect(registry.list().map(pack => pack.id)).toEqual(['base', 'studio']);
+      expect(registry.check('gore and a knife', runway).map(violation => [violation.policy, violation.file])).toEqual([
+        ['base', path.join(dir, 'base.json')],
+        ['studio', path.join(dir, 'studio.js')]
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('names the file of a pack that fails to load', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policies-'));
+
+    try {
+      fs.writeFileSync(path.join(dir, 'broken.json'), '{ "id": ');
+      expect(() => new PolicyRegistry({ policiesDir: dir })).toThrow(/^Failed to load policy pack broken\.json: /);
+
+      fs.writeFileSync(path.join(dir, 'broken.json'), JSON.stringify({ rules: [] }));
+      expect(() => new PolicyRegistry({ policiesDir: dir })).toThrow('Invalid policy pack in broken.json: Policy pack requires a string id');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,33 @@
+const PromptFixer = require('../src/promptFixer');
+const PlatformRegistry = require('../src/platformRegistry');
+
+describe('PromptFixer aspect ratios', () => {
+  const fixer = new PromptFixer();
+  const platforms = new PlatformRegistry();
+
+  test('turn --ar into a Stable Diffusion width and height', () => {
+    const { prompt, changes } = fixer.fix({ content: 'a castle on a hill --ar 16:9' }, platforms.resolve('stable_diffusion'));
+
+    expect(prompt.content).toBe('a castle on a hill');
+    expect(prompt.metadata.parameters).toEqual({ width: 680, height: 384 });
+    expect(changes[0].description).toContain('--ar 16:9 to 680x384 in metadata.parameters');
+  });
+
+  test('drop --ar when it cannot be used, and say why', () => {
+    const adapter = platforms.resolve('stable_diffusion');
+
+    const unreadable = fixer.fix({ content: 'a castle --ar wide' }, adapter);
+    expect(unreadable.prompt).not.toHaveProperty('metadata.parameters');
+    expect(unreadable.changes[0].description).toContain('dropped --ar wide (not a width:height ratio)');
+
+    const sized = fixer.fix({ content: 'a castle --ar 2:3', metadata: { parameters: { width: 768 } } }, adapter);
+    expect(sized.prompt.metadata.parameters).toEqual({ width: 768 });
+    expect(sized.changes[0].description).toContain('dropped --ar 2:3 (width and height are set)');
+  });
+
+  test('keep the video aspect ratio on video platforms', () => {
+    const { prompt } = fixer.fix({ content: 'waves at dusk --ar 9:16' }, platforms.resolve('veo'));
+
+    expect(prompt.video.aspectRatio).toBe('9:16');
+  });
+});
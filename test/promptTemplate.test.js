@@ -0,0 +1,33 @@
+const PromptTemplate = require('../src/promptTemplate');
+
+describe('PromptTemplate variables', () => {
+  const template = new PromptTemplate();
+
+  test('does not read variables from the object prototype', () => {
+    expect(() => template.render('a {{constructor}} at dawn')).toThrow('Template variable constructor has no value');
+    expect(template.render('{{#if toString}}set{{else}}unset{{/if}}').content).toBe('unset');
+    expect(template.render('{{hasOwnProperty|plain}} light', {}).content).toBe('plain light');
+  });
+
+  test('reads variables that share a prototype name when they are set', () => {
+    const { content, bindings } = template.render('{{#if constructor}}a {{constructor}}{{/if}}', { constructor: 'builder' });
+
+    expect(content).toBe('a builder');
+    expect(bindings).toEqual({ constructor: 'builder' });
+  });
+
+  test('expands matrix variables with prototype names', () => {
+    const prompts = template.expand('{{valueOf}} {{subject}}', {
+      variables: { subject: 'fox' },
+      matrix: { valueOf: ['red', 'grey'] }
+    });
+
+    expect(prompts.map(prompt => prompt.content)).toEqual(['red fox', 'grey fox']);
+  });
+
+  test('rejects __proto__ as a variable name', () => {
+    expect(() => template.render('{{__proto__|x}}')).toThrow('Template variable name __proto__ is reserved');
+    expect(() => template.combinations({ matrix: JSON.parse('{"__proto__": ["a"]}') }))
+      .toThrow('Template variable name __proto__ is reserved');
+  });
+});
@@ -0,0 +1,120 @@
+const RuleBasedEnhancer = require('../src/ruleBasedEnhancer');
+const PlatformRegistry = require('../src/platformRegistry');
+
+const enhancer = new RuleBasedEnhancer();
+const lighthouse = { content: 'a lighthouse on a cliff at night', metadata: {} };
+
+describe('RuleBasedEnhancer detail levels', () => {
+  test.each([
+    ['midjourney', 'basic', 'highly detailed'],
+    ['midjourney', 'standard', 'low-key night lighting, cinematic atmosphere, highly detailed, sharp focus'],
+    ['midjourney', 'detailed', 'low-key night lighting, pools of practical light, 35mm lens, natural perspective, ' +
+      'evocative cinematic atmosphere, intricate detail, sharp focus, rich texture'],
+    ['stable_diffusion', 'basic', 'best quality'],
+    ['stable_diffusion', 'standard', 'low-key night lighting, cinematic atmosphere, masterpiece, best quality'],
+    ['stable_diffusion', 'detailed', 'low-key night lighting, pools of practical light, 35mm lens, natural perspective, ' +
+      'evocative cinematic atmosphere, masterpiece, best quality, highly detailed, sharp focus'],
+    ['veo', 'basic', 'high quality'],
+    ['veo', 'standard', 'low-key night lighting, cinematic atmosphere, smooth motion, high quality'],
+    ['veo', 'detailed', 'low-key night lighting, pools of practical light, 35mm lens, natural perspective, ' +
+      'evocative cinematic atmosphere, smooth natural motion, consistent detail, high fidelity'],
+    ['dall_e', 'basic', 'high quality'],
+    ['dall_e', 'standard', 'low-key night lighting, cinematic atmosphere, highly detailed'],
+    ['dall_e', 'detailed', 'low-key night lighting, pools of practical light, 35mm lens, natural perspective, ' +
+      'evocative cinematic atmosphere, highly detailed, sharp focus, rich texture']
+  ])('%s at %s', async (platform, detailLevel, phrases) => {
+    const result = await enhancer.enhance(lighthouse, platform, { detailLevel });
+
+    expect(result.content).toBe(`${lighthouse.content}, ${phrases}`);
+    expect(result.metadata.enhancement).toMatchObject({ provider: 'local', detailLevel, status: 'enhanced', skipped: [] });
+    expect(await enhancer.enhance(lighthouse, platform, { detailLevel })).toEqual(result);
+  });
+
+  test('defaults to standard and rejects unknown levels', async () => {
+    const result = await enhancer.enhance(lighthouse, 'veo');
+
+    expect(result.metadata.enhancement.detailLevel).toBe('standard');
+    await expect(enhancer.enhance(lighthouse, 'veo', { detailLevel: 'extreme' })).rejects.toThrow('Unknown detail level: extreme');
+  });
+});
+
+describe('RuleBasedEnhancer slots', () => {
+  test('leaves slots the text already covers', async () => {
+    const prompt = { content: 'a moody neon-lit street, 50mm, 8k', metadata: { extra: true } };
+    const result = await enhancer.enhance(prompt, 'midjourney', { detailLevel: 'detailed' });
+
+    expect(result.content).toBe(prompt.content);
+    expect(result.metadata).toEqual({
+      extra: true,
+      enhancement: { provider: 'local', detailLevel: 'detailed', status: 'unchanged', added: [], skipped: [] }
+    });
+  });
+
+  test('leaves slots the parser filled', async () => {
+    const prompt = {
+      content: 'a fox in the snow',
+      metadata: { lighting: 'overcast', qualities: ['cinematic'], shot: { lens: { focalLength: '85mm' } } }
+    };
+    const result = await enhancer.enhance(prompt, 'midjourney', { detailLevel: 'detailed' });
+
+    expect(result.metadata.enhancement.added).toEqual([{ slot: 'mood', phrase: 'evocative cinematic atmosphere' }]);
+  });
+
+  test('picks phrases from the prompt context', async () => {
+    const result = await enhancer.enhance({
+      content: 'a cyberpunk courier on a rooftop',
+      metadata: { setting: { timeOfDay: 'sunset' }, shot: { size: 'close-up' } }
+    }, 'kling', { detailLevel: 'detailed' });
+
+    expect(result.metadata.enhancement.added).toEqual([
+      { slot: 'lighting', phrase: 'warm golden hour light, long soft shadows' },
+      { slot: 'lens', phrase: '85mm lens, shallow depth of field' },
+      { slot: 'mood', phrase: 'gritty futuristic atmosphere, rain-slick reflections' },
+      { slot: 'quality', phrase: 'smooth natural motion, consistent detail, high fidelity' }
+    ]);
+  });
+
+  test('adds phrases before Midjourney parameters', async () => {
+    const result = await enhancer.enhance({ content: 'a lighthouse at night --ar 16:9 --v 6', metadata: {} }, 'midjourney', {
+      detailLevel: 'basic'
+    });
+
+    expect(result.content).toBe('a lighthouse at night, highly detailed --ar 16:9 --v 6');
+    expect(result.metadata.enhancement.added).toEqual([{ slot: 'quality', phrase: 'highly detailed' }]);
+  });
+});
+
+describe('RuleBasedEnhancer limits', () => {
+  test('skips phrases that would pass the platform maxLength and reports them', async () => {
+    const platformRegistry = new PlatformRegistry();
+    platformRegistry.register({
+      id: 'short',
+      name: 'Short',
+      formatting: { maxLength: 60, parameterSeparator: ',' },
+      validation: { maxLength: 60, forbiddenPhrases: [] },
+      parameters: {}
+    });
+    const limited = new RuleBasedEnhancer({ platformRegistry });
+
+    const result = await limited.enhance(lighthouse, 'short', { detailLevel: 'standard' });
+
+    expect(result.content).toBe('a lighthouse on a cliff at night, low-key night lighting');
+    expect(result.content.length).toBeLessThanOrEqual(60);
+    expect(result.metadata.enhancement.added).toEqual([{ slot: 'lighting', phrase: 'low-key night lighting' }]);
+    expect(result.metadata.enhancement.skipped).toEqual([
+      { slot: 'mood', phrase: 'cinematic atmosphere', reason: expect.stringMatching(/^would exceed .*60/) },
+      { slot: 'quality', phrase: 'highly detailed', reason: expect.stringMatching(/^would exceed .*60/) }
+    ]);
+  });
+
+  test('skips phrases that would pass the Stable Diffusion token budget', async () => {
+    const content = Array.from({ length: 70 }, (value, index) => `tag${index}`).join(' ');
+    const result = await enhancer.enhance({ content, metadata: {} }, 'stable_diffusion', { detailLevel: 'basic' });
+
+    expect(result.content).toBe(content);
+    expect(result.metadata.enhancement.status).toBe('unchanged');
+    expect(result.metadata.enhancement.skipped).toEqual([
+      { slot: 'quality', phrase: 'best quality', reason: expect.stringMatching(/token/) }
+    ]);
+  });
+});
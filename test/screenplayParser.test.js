@@ -0,0 +1,49 @@
+const ScreenplayParser = require('../src/screenplayParser');
+const VeoPromptExporter = require('../src/index');
+
+const script = [
+  'INT. LIGHTHOUSE - NIGHT',
+  '',
+  'The keeper climbs the stairs.',
+  'CUT TO:',
+  '',
+  'EXT. CLIFF - DAWN',
+  '',
+  'Waves break on the rocks.',
+  '> THE END <',
+  '',
+  '> INTERMISSION <',
+  'Gulls circle overhead.',
+  '',
+  '> FADE TO BLACK.'
+].join('\n');
+
+describe('ScreenplayParser centered text and transitions', () => {
+  const [lighthouse, cliff] = new ScreenplayParser().parse(script);
+
+  test('ends an action paragraph at a transition', () => {
+    expect(lighthouse.elements).toEqual([
+      { type: 'action', text: 'The keeper climbs the stairs.' },
+      { type: 'transition', text: 'CUT TO:' }
+    ]);
+  });
+
+  test('reads centered text as its own element, never as action or a character cue', () => {
+    expect(cliff.elements).toEqual([
+      { type: 'action', text: 'Waves break on the rocks.' },
+      { type: 'centered', text: 'THE END' },
+      { type: 'centered', text: 'INTERMISSION' },
+      { type: 'action', text: 'Gulls circle overhead.' },
+      { type: 'transition', text: 'FADE TO BLACK.' }
+    ]);
+  });
+
+  test('leaves centered text and transitions out of the prompts', async () => {
+    const exporter = new VeoPromptExporter({ defaultStorage: 'memory', enhancementProvider: 'none' });
+    const result = await exporter.validatePrompt({ sourceContent: script, sourceType: 'screenplay', targetPlatform: 'veo' });
+    const contents = result.prompts.map(prompt => prompt.content).join('\n');
+
+    expect(contents).toContain('The keeper climbs the stairs');
+    expect(contents).not.toMatch(/THE END|INTERMISSION|CUT TO|FADE/i);
+  });
+});
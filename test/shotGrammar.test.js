@@ -0,0 +1,76 @@
+const PromptParser = require('../src/parser');
+const FormatTransformer = require('../src/transformer');
+
+describe('shot grammar', () => {
+  const parser = new PromptParser();
+  const transformer = new FormatTransformer();
+
+  const render = async (text, platform, videoSettings) => {
+    const prompt = await parser.parse(text);
+    return transformer.transform({ ...prompt, video: videoSettings }, platform, 'txt').content;
+  };
+
+  test.each([
+    ['handheld camera follows a kid', 'handheld', 'handheld camera'],
+    ['Handheld camera follows a kid', 'handheld', 'Handheld camera'],
+    ['A tracking shot of a runner', 'tracking', 'A tracking shot'],
+    ['a slow crane shot over the city', 'crane', 'a slow crane shot'],
+    ['a crane shot over the city', 'crane', 'a crane shot'],
+    ['a dolly shot of a hallway', 'dolly', 'a dolly shot'],
+    ['the camera slowly pans left across a field', 'pan', 'the camera slowly pans left']
+  ])('parses "%s" as a %s move covering the whole phrase', async (text, move, phrase) => {
+    const { metadata } = await parser.parse(text);
+    expect(metadata.shot.move).toBe(move);
+    expect(metadata.shot.phrases.move).toBe(phrase);
+  });
+
+  test('does not take a bare ambiguous noun for a camera move', async () => {
+    const { metadata } = await parser.parse('a cook holds a frying pan');
+    expect(metadata.shot.move).toBeNull();
+  });
+
+  test.each(['sora', 'pika', 'luma', 'veo'])('keeps "handheld camera" whole on %s', async platform => {
+    expect(await render('handheld camera follows a kid', platform)).toBe('handheld camera follows a kid');
+  });
+
+  test.each([
+    ['A tracking shot of a runner', 'A tracking shot of a runner'],
+    ['handheld camera follows a kid', 'handheld camera follows a kid'],
+    ['Handheld camera follows a kid', 'Handheld camera follows a kid'],
+    ['the camera slowly pans left across a field', 'the slow camera pan left across a field']
+  ])('rewrites "%s" in place on runway_gen3', async (text, expected) => {
+    expect(await render(text, 'runway_gen3')).toBe(expected);
+  });
+
+  test.each([
+    ['dolly in on her face', 'dolly-in shot on her face'],
+    ['a slow dolly out from the window', 'a slow dolly-out shot from the window'],
+    ['crane up over the city', 'crane-up shot over the city'],
+    ['tracking left past the shops', 'tracking shot moving left past the shops']
+  ])('keeps the direction of "%s" before the noun on veo', async (text, expected) => {
+    expect(await render(text, 'veo')).toBe(expected);
+  });
+
+  test.each([
+    [{ move: 'tracking', direction: 'forward' }, { zoom: 5, horizontal: 0 }],
+    [{ move: 'tracking', direction: 'backward', speed: 'slow' }, { zoom: -3, horizontal: 0 }],
+    [{ move: 'tracking', direction: 'left' }, { zoom: 0, horizontal: -5 }]
+  ])('sends %o to Kling as %o', async (cameraMotion, config) => {
+    const prompt = await parser.parse('a runner in a forest');
+    const { request } = transformer.transform({ ...prompt, video: { cameraMotion } }, 'kling', 'json');
+
+    expect(request.camera_control.config).toMatchObject(config);
+  });
+
+  test('leads with a move that is only in the video settings on runway_gen3', async () => {
+    const content = await render('a runner on a beach', 'runway_gen3', {
+      cameraMotion: { move: 'pan', direction: 'right', speed: 'slow' }
+    });
+    expect(content).toBe('Slow camera pan right: a runner on a beach');
+  });
+
+  test('adjusts the article when a video setting replaces the move', async () => {
+    const content = await render('an orbit shot of a statue', 'veo', { cameraMotion: { move: 'tracking' } });
+    expect(content).toBe('a tracking shot of a statue');
+  });
+});
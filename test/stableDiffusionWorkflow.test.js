@@ -0,0 +1,86 @@
+const StableDiffusionWorkflow = require('../src/stableDiffusionWorkflow');
+const VeoPromptExporter = require('../src/index');
+
+const template = {
+  3: { class_type: 'KSampler', inputs: { seed: 1, steps: 20, cfg: 7, positive: ['6', 0], negative: ['7', 0] } },
+  6: { class_type: 'CLIPTextEncode', inputs: { text: '' } },
+  7: { class_type: 'CLIPTextEncode', inputs: { text: '' } }
+};
+
+describe('Stable Diffusion request bodies', () => {
+  test('drop Midjourney-style flags from both prompts', () => {
+    const workflow = new StableDiffusionWorkflow();
+
+    const body = workflow.buildA1111Request({
+      content: 'a castle on a hill --ar 16:9 --v 6 steps:30, soft light Negative: blurry --no text, lowres'
+    });
+
+    expect(body.prompt).toBe('a castle on a hill, soft light');
+    expect(body.negative_prompt).toBe('blurry, lowres');
+    expect(body.steps).toBe(30);
+  });
+
+  test('keep the words after a flag value', () => {
+    const body = new StableDiffusionWorkflow().buildA1111Request({ content: 'a castle --ar 16:9 moody lighting, fog' });
+
+    expect(body.prompt).toBe('a castle moody lighting, fog');
+  });
+
+  test('fill in a ComfyUI template', () => {
+    const workflow = new StableDiffusionWorkflow({ comfyuiTemplate: template });
+
+    const { prompt } = workflow.buildComfyUIRequest({ content: 'a red fox --ar 3:2 Negative: blurry' });
+
+    expect(prompt[6].inputs.text).toBe('a red fox');
+    expect(prompt[7].inputs.text).toBe('blurry');
+  });
+
+  test('send a width and height when they are set', () => {
+    const prompt = { content: 'a red fox', metadata: { parameters: { width: 680, height: 384 } } };
+    const latent = {
+      ...template,
+      3: { ...template[3], inputs: { ...template[3].inputs, latent_image: ['5', 0] } },
+      5: { class_type: 'EmptyLatentImage', inputs: { width: 1024, height: 1024, batch_size: 1 } }
+    };
+
+    expect(new StableDiffusionWorkflow().buildA1111Request(prompt)).toMatchObject({ width: 680, height: 384 });
+    expect(new StableDiffusionWorkflow().buildA1111Request({ content: 'a red fox' })).not.toHaveProperty('width');
+    expect(new StableDiffusionWorkflow({ comfyuiTemplate: latent }).buildComfyUIRequest(prompt).prompt[5].inputs)
+      .toEqual({ width: 680, height: 384, batch_size: 1 });
+    expect(() => new StableDiffusionWorkflow({ comfyuiTemplate: template }).buildComfyUIRequest(prompt))
+      .toThrow(/latent_image input must come from a node with a width and height/);
+  });
+
+  test('explain a missing or unusable ComfyUI template', () => {
+    const prompt = { content: 'a red fox' };
+
+    expect(() => new StableDiffusionWorkflow().buildComfyUIRequest(prompt))
+      .toThrow('ComfyUI export needs a workflow template (comfyuiTemplate option)');
+    expect(() => new StableDiffusionWorkflow({ comfyuiTemplate: [template] }).buildComfyUIRequest(prompt))
+      .toThrow('ComfyUI template must be a workflow object in API format, keyed by node id');
+    expect(() => new StableDiffusionWorkflow({ comfyuiTemplate: '{ "3": ' }).buildComfyUIRequest(prompt))
+      .toThrow(/^ComfyUI template could not be read: /);
+  });
+});
+
+describe('Export formats per platform', () => {
+  const exporter = new VeoPromptExporter({ defaultStorage: 'memory', comfyuiTemplate: template });
+
+  test.each([
+    ['midjourney', 'comfyui'],
+    ['veo', 'a1111']
+  ])('rejects %s in %s format', async (targetPlatform, exportFormat) => {
+    await expect(exporter.exportPrompt({ sourceContent: 'a red fox', targetPlatform, exportFormat }))
+      .rejects.toThrow(`Export format ${exportFormat} is not supported for ${targetPlatform}`);
+  });
+
+  test('accepts the Stable Diffusion formats for stable_diffusion', async () => {
+    const result = await exporter.exportPrompt({
+      sourceContent: 'a red fox in snow --ar 16:9',
+      targetPlatform: 'stable_diffusion',
+      exportFormat: 'a1111'
+    });
+
+    expect(JSON.parse(result.exportFile.content).prompt).not.toContain('--ar');
+  });
+});
@@ -0,0 +1,55 @@
+const ClipTokenizer = require('../src/clipTokenizer');
+const PromptParser = require('../src/parser');
+const VeoPromptExporter = require('../src/index');
+
+describe('CLIP token counts', () => {
+  const tokenizer = new ClipTokenizer();
+
+  test('count byte-pair tokens without the start and end tokens', () => {
+    expect(tokenizer.count('')).toBe(0);
+    expect(tokenizer.count('a photo of a cat')).toBe(5);
+    expect(tokenizer.decode(tokenizer.encode('A Photo of a Cat')).trim()).toBe('a photo of a cat');
+  });
+});
+
+describe('Prompts over a token budget', () => {
+  const clauses = Array.from({ length: 80 }, (value, index) => `lantern number ${index} glowing`).join(', ');
+
+  test('are not cut by the parser', async () => {
+    const parsed = await new PromptParser().parse(clauses, 'text');
+
+    expect(parsed.content).toBe(clauses);
+    expect(parsed.content.length).toBeGreaterThan(1000);
+  });
+
+  test('export with a warning about what was cut', async () => {
+    const exporter = new VeoPromptExporter({ defaultStorage: 'memory', enhancementProvider: 'none' });
+
+    const result = await exporter.exportPrompt({ sourceContent: clauses, targetPlatform: 'stable_diffusion' });
+    const [entry] = result.exportedPrompts;
+
+    expect(entry.warnings).toContain('Prompt was over the length limit or token budget for stable_diffusion: cut the prompt text to fit');
+    expect(new ClipTokenizer().count(entry.formattedPrompt)).toBeLessThanOrEqual(75);
+  });
+
+  test('name the tags that were dropped', async () => {
+    const exporter = new VeoPromptExporter({ defaultStorage: 'memory', enhancementProvider: 'none' });
+    exporter.registerPlatform({
+      id: 'four_words',
+      name: 'Four Words',
+      tokens: { counter: 'words', maxTokens: 4 },
+      formatting: { maxLength: 300, parameterSeparator: ',', supportsTags: true, supportsWeights: false },
+      validation: { maxLength: 300, forbiddenPhrases: [] },
+      parameters: {}
+    });
+
+    const result = await exporter.exportPrompt({ sourceContent: 'a detailed cinematic lighthouse', targetPlatform: 'four_words' });
+    const [entry] = result.exportedPrompts;
+
+    expect(entry.formattedPrompt).toBe('a detailed cinematic lighthouse');
+    expect(entry.validationStatus).toBe('warning');
+    expect(entry.warnings).toEqual([
+      'Prompt was over the length limit or token budget for four_words: dropped "cinematic", "high quality" to fit'
+    ]);
+  });
+});
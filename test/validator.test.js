@@ -0,0 +1,48 @@
+const Validator = require('../src/validator');
+
+const applyFix = (content, fix) => content.substring(0, fix.range.start) + fix.text + content.substring(fix.range.end);
+
+describe('Validator max-length fix', () => {
+  const validator = new Validator();
+
+  test('cuts at a word boundary, not inside a word', () => {
+    const content = 'lighthouse '.repeat(60).trim();
+    const diagnostic = validator.validate({ content }, 'midjourney').diagnostics.find(item => item.code === 'max-length');
+
+    expect(diagnostic.range).toEqual({ start: 500, end: content.length });
+
+    const fixed = applyFix(content, diagnostic.fix);
+    expect(fixed.length).toBeLessThanOrEqual(500);
+    expect(fixed).toMatch(/^(lighthouse )+lighthouse$/);
+  });
+
+  test('prefers a clause boundary and keeps trailing parameters', () => {
+    const content = `${'a quiet harbor at dawn, '.repeat(25)}gulls overhead --ar 16:9 --v 6`;
+    const diagnostic = validator.validate({ content }, 'midjourney').diagnostics.find(item => item.code === 'max-length');
+
+    const fixed = applyFix(content, diagnostic.fix);
+    expect(fixed.length).toBeLessThanOrEqual(500);
+    expect(fixed).toMatch(/a quiet harbor at dawn --ar 16:9 --v 6$/);
+  });
+});
+
+describe('Validator weight-range diagnostics', () => {
+  const validator = new Validator();
+
+  test('point at the weighted occurrence of a repeated term', () => {
+    const content = 'cat, a garden, (cat:1.8)';
+    const [diagnostic] = validator.validate({ content }, 'stable_diffusion').diagnostics.filter(item => item.code === 'weight-range');
+
+    expect(diagnostic.range).toEqual({ start: 16, end: 19 });
+    expect(content.substring(diagnostic.range.start, diagnostic.range.end)).toBe('cat');
+  });
+
+  test('cover escaped brackets in the term as written', () => {
+    const content = 'tree, (tree \\(oak\\), moss:0.2)';
+    const ranges = validator.validate({ content }, 'stable_diffusion').diagnostics
+      .filter(item => item.code === 'weight-range')
+      .map(item => content.substring(item.range.start, item.range.end));
+
+    expect(ranges).toEqual(['tree \\(oak\\)', 'moss']);
+  });
+});
@@ -0,0 +1,93 @@
+const FormatTransformer = require('../src/transformer');
+const PromptValidator = require('../src/validator');
+const VeoPromptExporter = require('../src/index');
+
+const content = 'a red fox running through snow';
+const video = { seed: 7, negativePrompt: 'blur', imageReference: 'gs://bucket/fox.png' };
+
+describe('Video platform requests', () => {
+  const transformer = new FormatTransformer();
+
+  test.each([
+    ['veo', {
+      instances: [{ prompt: content, image: { gcsUri: 'gs://bucket/fox.png', mimeType: 'image/png' } }],
+      parameters: { aspectRatio: '16:9', durationSeconds: 8, resolution: '720p', sampleCount: 1, negativePrompt: 'blur', seed: 7 }
+    }],
+    ['sora', { model: 'sora-2', prompt: content, seconds: '4', size: '1280x720', input_reference: 'gs://bucket/fox.png' }],
+    ['runway_gen3', {
+      model: 'gen3a_turbo', promptImage: 'gs://bucket/fox.png', promptText: content, duration: 10, ratio: '1280:768', seed: 7
+    }],
+    ['pika', {
+      prompt: content, aspect_ratio: '16:9', resolution: '720p', duration: 5, negative_prompt: 'blur', seed: 7,
+      image_url: 'gs://bucket/fox.png'
+    }],
+    ['kling', {
+      model_name: 'kling-v1', prompt: content, mode: 'std', aspect_ratio: '16:9', duration: '5', negative_prompt: 'blur',
+      image: 'gs://bucket/fox.png'
+    }],
+    ['luma', {
+      model: 'ray-2', prompt: content, aspect_ratio: '16:9', resolution: '720p', duration: '5s',
+      keyframes: { frame0: { type: 'image', url: 'gs://bucket/fox.png' } }
+    }]
+  ])('%s uses its defaults and leaves out what it does not support', (platform, request) => {
+    expect(transformer.transform({ content, metadata: {}, video }, platform, 'json').request).toEqual(request);
+  });
+
+  test('use the prompt settings over the platform defaults', () => {
+    const settings = { duration: 5, aspectRatio: '9:16' };
+
+    expect(transformer.transform({ content, metadata: {}, video: settings }, 'sora', 'json').request)
+      .toMatchObject({ seconds: '5', size: '720x1280' });
+    expect(transformer.transform({ content, metadata: {}, video: settings }, 'runway_gen3', 'json').request)
+      .toMatchObject({ duration: 5, ratio: '768:1280' });
+  });
+
+  test('are not built for image platforms', () => {
+    expect(transformer.transform({ content, metadata: {} }, 'midjourney', 'json').request).toBeUndefined();
+  });
+});
+
+describe('Video platform limits', () => {
+  const validator = new PromptValidator();
+  const diagnostics = (platform, settings) => validator.validate({ content, video: settings }, platform).diagnostics
+    .map(diagnostic => [diagnostic.code, diagnostic.severity]);
+
+  test('reject unsupported durations and suggest the nearest one', () => {
+    const [diagnostic] = validator.validate({ content, video: { duration: 7 } }, 'veo').diagnostics;
+
+    expect(diagnostic).toMatchObject({
+      code: 'video-duration',
+      severity: 'error',
+      message: 'Clip duration 7s is not supported. Supported durations: 4, 6, 8 seconds',
+      fix: { description: 'Use a 6s clip', setting: 'duration', value: 6 }
+    });
+    expect(diagnostics('luma', { duration: 9 })).toEqual([]);
+    expect(diagnostics('kling', { duration: 9 })).toEqual([['video-duration', 'error']]);
+  });
+
+  test('reject unsupported aspect ratios per platform', () => {
+    expect(diagnostics('veo', { aspectRatio: '4:3' })).toEqual([['video-aspect-ratio', 'error']]);
+    expect(diagnostics('luma', { aspectRatio: '4:3' })).toEqual([]);
+    expect(validator.validate({ content, video: { aspectRatio: '4:3' } }, 'kling').errors)
+      .toEqual(['Aspect ratio "4:3" is not supported. Supported aspect ratios: 16:9, 9:16, 1:1']);
+  });
+
+  test('require an image reference on Runway Gen-3 and warn about ignored settings', () => {
+    expect(diagnostics('runway_gen3', { negativePrompt: 'blur' })).toEqual([
+      ['image-reference-required', 'error'],
+      ['negative-prompt-unsupported', 'warning']
+    ]);
+    expect(diagnostics('sora', { seed: 7 })).toEqual([['seed-unsupported', 'warning']]);
+    expect(diagnostics('pika', { seed: 7, negativePrompt: 'blur' })).toEqual([]);
+  });
+
+  test('apply to the shared video settings of an export', async () => {
+    const exporter = new VeoPromptExporter({ defaultStorage: 'memory', enhancementProvider: 'none' });
+
+    const result = await exporter.exportPrompt({ sourceContent: content, targetPlatform: 'veo', videoSettings: { duration: 10 } });
+    const [entry] = result.exportedPrompts;
+
+    expect(entry.validationStatus).toBe('error');
+    expect(entry.errors).toEqual(['Clip duration 10s is not supported. Supported durations: 4, 6, 8 seconds']);
+  });
+});
@@ -0,0 +1,26 @@
+const XmlCodec = require('../src/xmlCodec');
+
+describe('XmlCodec', () => {
+  const xml = new XmlCodec();
+
+  test('splits ]]> and carriage returns out of CDATA sections', () => {
+    const root = xml.parse(`<content>${xml.cdata('a ]]> b\r\nc')}</content>`);
+    expect(root.text).toBe('a ]]> b\r\nc');
+  });
+
+  test('escapes text and drops characters XML cannot hold', () => {
+    expect(xml.escapeText('a < b & c > d\u0001')).toBe('a &lt; b &amp; c &gt; d');
+  });
+
+  test('keeps keys that are not element names in a key attribute', () => {
+    const field = xml.field('1st "shot"', 'x');
+    expect(field).toBe('<_1st__shot_ key="1st &quot;shot&quot;">x</_1st__shot_>');
+    expect(xml.parse(field).attributes.key).toBe('1st "shot"');
+  });
+
+  test('rejects malformed documents', () => {
+    expect(() => xml.parse('<a><b></a>')).toThrow('Unexpected end tag </a>');
+    expect(() => xml.parse('<a>&</a>')).toThrow('Unescaped "&"');
+    expect(() => xml.parse('<!DOCTYPE a><a/>')).toThrow('DOCTYPE declarations are not supported');
+  });
+});